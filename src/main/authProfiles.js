@@ -0,0 +1,199 @@
+const axios = require('axios');
+const secrets = require('./secrets');
+
+// ──────────────────────────────────────────────
+// OAuth2 auth profiles
+//
+// A profile describes how to get an access token for a source API (client
+// credentials, refresh token or password grant). Its settings live in the
+// settings store under authProfiles; the client secret, refresh token and
+// password live in the vault as auth:<profile id>:<field>. Access tokens are
+// minted here, cached in memory until shortly before they expire, and never
+// sent to the renderer. A token only goes to the API hosts its profile lists.
+// ──────────────────────────────────────────────
+
+const SECRET_FIELDS = ['clientSecret', 'refreshToken', 'password'];
+const EXPIRY_MARGIN_MS = 60 * 1000;
+const TOKEN_TIMEOUT_MS = 30000;
+
+// profile id -> { accessToken, tokenType, expiresAt, refreshToken? }
+const tokenCache = new Map();
+// profile id -> Promise of a token being minted, so concurrent requests share it
+const pendingTokens = new Map();
+
+function secretName(profileId, field) {
+  return `auth:${profileId}:${field}`;
+}
+
+/**
+ * Profiles as the renderer sees them: secret fields replaced by
+ * `saved: { clientSecret: true, ... }` flags
+ */
+function publicProfiles(profiles) {
+  return (profiles || []).map(profile => ({
+    ...profile,
+    saved: Object.fromEntries(SECRET_FIELDS.map(field => [field, secrets.has(secretName(profile.id, field))]))
+  }));
+}
+
+/**
+ * Split profiles from the renderer into settings to store and secrets for the
+ * vault. A secret field left empty keeps its saved value, unless the token URL
+ * or API hosts changed: saved secrets never follow a profile to another server,
+ * they have to be entered again. Vault entries of removed profiles are deleted.
+ * Cached tokens are dropped, since any setting may have changed.
+ */
+function storeProfileSecrets(profiles, previous = []) {
+  const stored = profiles.map(({ saved, ...profile }) => {
+    const before = previous.find(p => p.id === profile.id);
+    if (before && !sameServers(before, profile)) {
+      for (const field of SECRET_FIELDS) secrets.remove(secretName(profile.id, field));
+    }
+    const settings = {};
+    for (const [key, value] of Object.entries(profile)) {
+      if (SECRET_FIELDS.includes(key)) {
+        if (value) secrets.set(secretName(profile.id, key), value);
+      } else {
+        settings[key] = value;
+      }
+    }
+    return settings;
+  });
+
+  const ids = new Set(stored.map(profile => profile.id));
+  for (const name of secrets.names()) {
+    const [prefix, profileId] = name.split(':');
+    if (prefix === 'auth' && !ids.has(profileId)) secrets.remove(name);
+  }
+  tokenCache.clear();
+  return stored;
+}
+
+/**
+ * Whether two versions of a profile send secrets and tokens to the same places
+ */
+function sameServers(a, b) {
+  return a.tokenUrl === b.tokenUrl && JSON.stringify(a.allowedHosts || []) === JSON.stringify(b.allowedHosts || []);
+}
+
+/**
+ * Access token for a profile: the cached one while it's valid, else a new one.
+ * `renew` skips the cache (the API answered 401 to the cached token).
+ * Resolves to { accessToken, tokenType, fresh }.
+ */
+async function getToken(profile, { renew = false } = {}) {
+  const cached = tokenCache.get(profile.id);
+  if (!renew && cached && (!cached.expiresAt || cached.expiresAt - EXPIRY_MARGIN_MS > Date.now())) {
+    return { accessToken: cached.accessToken, tokenType: cached.tokenType, fresh: false };
+  }
+
+  if (!pendingTokens.has(profile.id)) {
+    pendingTokens.set(profile.id, mintToken(profile, cached).finally(() => pendingTokens.delete(profile.id)));
+  }
+  const token = await pendingTokens.get(profile.id);
+  return { accessToken: token.accessToken, tokenType: token.tokenType, fresh: true };
+}
+
+/**
+ * Whether a profile's token may be sent to a URL: its host must be one of the
+ * profile's allowedHosts, exactly or under a "*.example.com" wildcard
+ */
+function allowsHost(profile, url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+  return (profile.allowedHosts || []).some(pattern => {
+    const allowed = pattern.toLowerCase();
+    return allowed.startsWith('*.') ? hostname.endsWith(allowed.slice(1)) : hostname === allowed;
+  });
+}
+
+/**
+ * Authorization header value for a token ("bearer" from the server is normalised)
+ */
+function authorizationHeader({ accessToken, tokenType }) {
+  const type = !tokenType || tokenType.toLowerCase() === 'bearer' ? 'Bearer' : tokenType;
+  return `${type} ${accessToken}`;
+}
+
+async function mintToken(profile, previous) {
+  const secret = (field) => secrets.get(secretName(profile.id, field)) || '';
+  let response;
+
+  // A refresh token handed out with an earlier grant is tried first; the
+  // profile's own grant is the fallback when the server no longer accepts it
+  if (previous?.refreshToken && profile.grantType !== 'refresh_token') {
+    try {
+      response = await requestToken(profile, { grant_type: 'refresh_token', refresh_token: previous.refreshToken });
+    } catch {
+      response = null;
+    }
+  }
+
+  if (!response) {
+    const params = { grant_type: profile.grantType };
+    if (profile.grantType === 'refresh_token') {
+      params.refresh_token = secret('refreshToken');
+      if (!params.refresh_token) throw new Error(`Auth profile "${profile.name}" has no refresh token`);
+    } else if (profile.grantType === 'password') {
+      params.username = profile.username || '';
+      params.password = secret('password');
+    }
+    response = await requestToken(profile, params);
+  }
+
+  const token = {
+    accessToken: response.access_token,
+    tokenType: response.token_type,
+    expiresAt: response.expires_in ? Date.now() + Number(response.expires_in) * 1000 : null,
+    refreshToken: response.refresh_token || previous?.refreshToken
+  };
+
+  // Servers that rotate refresh tokens invalidate the old one; keep the new one
+  if (profile.grantType === 'refresh_token' && response.refresh_token) {
+    secrets.set(secretName(profile.id, 'refreshToken'), response.refresh_token);
+  }
+
+  tokenCache.set(profile.id, token);
+  return token;
+}
+
+/**
+ * POST to the token endpoint; client credentials go in a Basic header or the
+ * form body depending on the profile
+ */
+async function requestToken(profile, params) {
+  const clientSecret = secrets.get(secretName(profile.id, 'clientSecret')) || '';
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  const body = new URLSearchParams(params);
+
+  if (profile.clientAuth === 'basic') {
+    const credentials = `${encodeURIComponent(profile.clientId || '')}:${encodeURIComponent(clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials, 'utf8').toString('base64')}`;
+  } else {
+    if (profile.clientId) body.set('client_id', profile.clientId);
+    if (clientSecret) body.set('client_secret', clientSecret);
+  }
+  if (profile.scope) body.set('scope', profile.scope);
+  if (profile.audience) body.set('audience', profile.audience);
+
+  const response = await axios.post(profile.tokenUrl, body.toString(), {
+    headers,
+    timeout: TOKEN_TIMEOUT_MS,
+    validateStatus: () => true
+  });
+
+  const data = response.data || {};
+  if (response.status >= 400 || !data.access_token) {
+    const reason = data.error
+      ? `${data.error}${data.error_description ? ` - ${data.error_description}` : ''}`
+      : `no access_token in the response`;
+    throw new Error(`Token request for "${profile.name}" failed (HTTP ${response.status}): ${reason}`);
+  }
+  return data;
+}
+
+module.exports = { publicProfiles, storeProfileSecrets, getToken, allowsHost, authorizationHeader };
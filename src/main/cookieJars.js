@@ -0,0 +1,116 @@
+const { CookieJar } = require('tough-cookie');
+
+// ──────────────────────────────────────────────
+// Cookie jars
+//
+// A request config's `cookieJar` names a jar (curl's -c / -b file, or one
+// typed in the Request Preview). Cookies a server sets are kept in that jar
+// and sent with every later request naming it, so a login request and the
+// API calls after it share a session. Jars live in memory only: session
+// cookies are credentials, and they go away when the app quits.
+// ──────────────────────────────────────────────
+
+// jar name -> CookieJar
+const jars = new Map();
+
+function getJar(name) {
+  if (!jars.has(name)) jars.set(name, new CookieJar(undefined, { looseMode: true }));
+  return jars.get(name);
+}
+
+/**
+ * Headers with the jar's cookies for `url` added to the request's own Cookie
+ * header. A jar cookie replaces a pasted one of the same name, so a fresh
+ * login wins over a session copied from the browser.
+ */
+function withCookies(name, url, headers) {
+  const key = Object.keys(headers).find(header => header.toLowerCase() === 'cookie');
+  const value = mergeCookieHeader(key ? headers[key] : '', getJar(name).getCookieStringSync(url));
+  if (!value) return headers;
+  const rest = Object.fromEntries(Object.entries(headers).filter(([header]) => header !== key));
+  return { ...rest, [key || 'Cookie']: value };
+}
+
+/**
+ * Keep the Set-Cookie headers of a response from `url`. Cookies the server may
+ * not set (another domain, malformed) are skipped, as a browser would.
+ */
+function storeCookies(name, url, setCookie) {
+  if (!setCookie) return;
+  const jar = getJar(name);
+  for (const header of [].concat(setCookie)) {
+    jar.setCookieSync(header, url, { ignoreError: true });
+  }
+}
+
+/**
+ * axios beforeRedirect hook: keeps the cookies each redirect response sets and
+ * sends the jar's cookies to the next hop. Form logins typically answer with a
+ * 302 that carries the session cookie.
+ */
+function redirectHandler(name, url, headers) {
+  const ownCookies = Object.entries(headers).find(([header]) => header.toLowerCase() === 'cookie')?.[1] || '';
+  let hopUrl = url;
+
+  return (options, { headers: responseHeaders }) => {
+    storeCookies(name, hopUrl, responseHeaders['set-cookie']);
+    hopUrl = options.href;
+
+    // The Cookie header survives only same-host redirects; the request's own cookies go with it
+    const key = Object.keys(options.headers).find(header => header.toLowerCase() === 'cookie');
+    const value = mergeCookieHeader(key ? ownCookies : '', getJar(name).getCookieStringSync(hopUrl));
+    if (key) delete options.headers[key];
+    if (value) options.headers.Cookie = value;
+  };
+}
+
+/**
+ * Every jar with its unexpired cookies, for the cookie viewer
+ */
+async function listJars() {
+  const now = Date.now();
+  const result = [];
+  for (const [name, jar] of jars) {
+    const cookies = await jar.store.getAllCookies();
+    result.push({
+      name,
+      cookies: cookies
+        .filter(cookie => cookie.expiryTime() > now)
+        .map(cookie => ({
+          key: cookie.key,
+          value: cookie.value,
+          domain: cookie.domain,
+          path: cookie.path,
+          expires: Number.isFinite(cookie.expiryTime()) ? new Date(cookie.expiryTime()).toISOString() : null,
+          secure: cookie.secure,
+          httpOnly: cookie.httpOnly,
+          sameSite: cookie.sameSite || null
+        }))
+    });
+  }
+  return result;
+}
+
+async function removeCookie(name, { domain, path, key }) {
+  const jar = jars.get(name);
+  if (jar) await jar.store.removeCookie(domain, path, key);
+}
+
+/**
+ * Empty one jar, or drop every jar when no name is given
+ */
+function clearJars(name) {
+  if (name) jars.delete(name);
+  else jars.clear();
+}
+
+function mergeCookieHeader(own, fromJar) {
+  if (!own || !fromJar) return own || fromJar;
+  const jarNames = new Set(fromJar.split('; ').map(pair => pair.split('=')[0]));
+  const kept = own.split(';')
+    .map(pair => pair.trim())
+    .filter(pair => pair && !jarNames.has(pair.split('=')[0].trim()));
+  return [...kept, fromJar].join('; ');
+}
+
+module.exports = { withCookies, storeCookies, redirectHandler, listJars, removeCookie, clearJars };
@@ -1,28 +1,162 @@
-const { app, BrowserWindow, ipcMain, shell } = require('electron');
+const { app, BrowserWindow, ipcMain, shell, dialog, protocol } = require('electron');
+const crypto = require('crypto');
 const path = require('path');
+const fs = require('fs');
+const { once } = require('events');
+const { Readable } = require('stream');
+const http = require('http');
+const https = require('https');
 const Store = require('electron-store');
 const axios = require('axios');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
 const { OAuth2Client } = require('google-auth-library');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const secrets = require('./secrets');
+const authProfiles = require('./authProfiles');
+const requestSigning = require('./signing');
+const cookieJars = require('./cookieJars');
 
-// Encrypted store for tokens and config (electron-store v8 - CJS compatible)
+// {{variable}} substitution shared with the renderer (an ES module)
+const requestVariables = import('../shared/requestVariables.mjs');
+
+// JSON schema electron-store validates every write against
+const HTTP_URL = { type: 'string', anyOf: [{ maxLength: 0 }, { format: 'uri', pattern: '^https?://' }] };
+// Signing keys are {{secret}} variables; the keys themselves belong in the vault
+const SECRET_REFERENCE = { type: 'string', pattern: '^(\\{\\{[^{}]+\\}\\})?$' };
+const SIGNING = {
+  type: ['object', 'null'],
+  properties: { secretAccessKey: SECRET_REFERENCE, sessionToken: SECRET_REFERENCE, secret: SECRET_REFERENCE, password: SECRET_REFERENCE }
+};
+const CONFIG_SCHEMA = {
+  n8nWebhookUrl: HTTP_URL,
+  googleClientId: { type: 'string', maxLength: 512 },
+  googleScriptId: { type: 'string', pattern: '^[\\w-]*$', maxLength: 256 },
+  googleWebAppUrl: HTTP_URL,
+  savedRequests: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['id', 'name', 'request'],
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        tags: { type: 'array', items: { type: 'string' } },
+        request: {
+          type: 'object',
+          required: ['method', 'url'],
+          properties: { method: { type: 'string' }, url: { type: 'string' }, signing: SIGNING }
+        },
+        pagination: { type: ['object', 'null'] },
+        rateLimit: { type: ['object', 'null'] },
+        chain: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'name', 'request', 'extract'],
+            properties: { request: { type: ['object', 'null'], properties: { signing: SIGNING } } }
+          }
+        },
+        assertions: { type: 'array', items: { type: 'object', required: ['id', 'type'] } },
+        savedAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' }
+      }
+    }
+  },
+  environments: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['id', 'name', 'variables'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        variables: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['key', 'value', 'secret'],
+            additionalProperties: false,
+            properties: { key: { type: 'string' }, value: { type: 'string' }, secret: { type: 'boolean' } },
+            // Secret values belong in the vault, never in the settings file
+            if: { properties: { secret: { const: true } } },
+            then: { properties: { value: { type: 'string', maxLength: 0 } } }
+          }
+        }
+      }
+    }
+  },
+  activeEnvironmentId: { type: 'string' },
+  // Hosts the user has allowed each environment secret to be sent to, by vault name
+  secretHosts: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } },
+  authProfiles: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['id', 'name', 'grantType', 'tokenUrl'],
+      // clientSecret / refreshToken / password belong in the vault
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        grantType: { enum: ['client_credentials', 'refresh_token', 'password'] },
+        tokenUrl: HTTP_URL,
+        clientId: { type: 'string' },
+        clientAuth: { enum: ['basic', 'body'] },
+        scope: { type: 'string' },
+        audience: { type: 'string' },
+        username: { type: 'string' },
+        allowedHosts: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  },
+  legacyMigrated: { type: 'boolean' }
+};
+
+// Plain settings store (electron-store v8 - CJS compatible). Secret values
+// live in the encrypted vault (./secrets.js) and never in this file.
 const store = new Store({
-  name: 'api-switchboard-config',
-  encryptionKey: 'api-switchboard-v1-secure',
+  name: 'api-switchboard-settings',
+  schema: CONFIG_SCHEMA,
   defaults: {
     n8nWebhookUrl: '',
     googleClientId: '',
-    googleClientSecret: '',
     googleScriptId: '',
-    googleTokens: {},
-    savedRequests: []
+    googleWebAppUrl: '',
+    savedRequests: [],
+    environments: [],         // secret variable values are kept in the vault as env:<id>:<key>
+    activeEnvironmentId: '',
+    secretHosts: {},
+    authProfiles: []          // OAuth2 secrets are kept in the vault as auth:<id>:<field>
   }
 });
 
+// Keys the renderer may read and write through store-get / store-set.
+// Environments, auth profiles and secrets have their own narrower channels.
+const RENDERER_CONFIG_KEYS = [
+  'n8nWebhookUrl', 'googleClientId', 'googleScriptId', 'googleWebAppUrl', 'savedRequests', 'activeEnvironmentId'
+];
+
+// Earlier versions kept everything, secrets included, in one store encrypted
+// with a key hard-coded in the app. Only used to migrate it (see migrateLegacyStore).
+const LEGACY_STORE_NAME = 'api-switchboard-config';
+const LEGACY_ENCRYPTION_KEY = 'api-switchboard-v1-secure';
+const LEGACY_SECRET_KEYS = ['googleClientSecret', 'googleTokens'];
+
 let mainWindow;
 let oauthClient;
 
+// In-flight requests by "<webContents id>:<request id>", aborted through cancel-request
+const inFlightRequests = new Map();
+
 const isDev = !app.isPackaged;
 
+// Image / PDF previews of response bodies kept on disk (see "Response bodies")
+protocol.registerSchemesAsPrivileged([
+  { scheme: 'switchboard-body', privileges: { standard: true, secure: true, stream: true, supportFetchAPI: true } }
+]);
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1200,
@@ -49,41 +183,709 @@ function createWindow() {
 // ──────────────────────────────────────────────
 // IPC: Execute API Request (Layer 2 - Fetcher)
 // ──────────────────────────────────────────────
-ipcMain.handle('execute-request', async (event, requestConfig) => {
+// options.fullBody: always return the parsed body (Bulk / Enrich need every page's items)
+ipcMain.handle('execute-request', async (event, requestConfig, requestId, options = {}) => {
+  const controller = trackRequest(event, requestId);
   try {
-    const { method, url, headers, data, params } = requestConfig;
-
-    const response = await axios({
-      method: method || 'GET',
-      url,
-      headers: headers || {},
-      data: data || undefined,
-      params: params || undefined,
-      timeout: 30000,
-      validateStatus: () => true // Accept all status codes
-    });
+    // Secret {{variables}} are not known to the renderer; fill them in here
+    requestConfig = await resolveSecretVariables(event, requestConfig);
+    const { method, headers, data, params, form, dataParts, dataInQuery, queryParts, transport } = requestConfig;
+
+    let url = requestConfig.url;
+    let requestHeaders = headers || {};
+    let body = data || undefined;
+
+    // Data segments that reference files (-d @file, --data-urlencode name@file)
+    const queryStrings = [];
+    const dataFiles = [...(dataParts || []), ...(queryParts || [])].filter(part => part.file).map(part => part.file);
+    if (dataFiles.length > 0) await approveFiles(event, dataFiles, url);
+    if (dataParts && dataParts.length > 0) {
+      const resolved = await resolveDataParts(dataParts);
+      if (dataInQuery) queryStrings.push(resolved);
+      else body = resolved;
+    }
+    if (queryParts && queryParts.length > 0) {
+      queryStrings.push(await resolveDataParts(queryParts));
+    }
+    if (queryStrings.length > 0) {
+      url += (url.includes('?') ? '&' : '?') + queryStrings.join('&');
+    }
+    if (form && form.length > 0) {
+      await approveFiles(event, form.filter(part => part.file).map(part => part.file), url);
+      body = await buildMultipartBody(form);
+      // Let axios set multipart/form-data with the generated boundary
+      requestHeaders = Object.fromEntries(
+        Object.entries(requestHeaders).filter(([key]) => key.toLowerCase() !== 'content-type')
+      );
+    }
+
+    // OAuth2 auth profile: its access token replaces any Authorization header
+    const authProfile = requestConfig.authProfileId ? findAuthProfile(requestConfig.authProfileId) : null;
+    if (authProfile && !authProfiles.allowsHost(authProfile, url)) {
+      let host = url;
+      try { host = new URL(url).host; } catch { /* keep the raw URL */ }
+      throw new Error(`Auth profile "${authProfile.name}" may not send its token to ${host}; add the host to the profile's API hosts`);
+    }
+    let token = authProfile ? await authProfiles.getToken(authProfile) : null;
+
+    // Signed requests (SigV4, HMAC, Digest) need the exact URL and body bytes up front
+    const signing = requestSigning.SIGNING_TYPES.includes(requestConfig.signing?.type) ? requestConfig.signing : null;
+    let queryParams = params || undefined;
+    if (signing) {
+      ({ url, headers: requestHeaders, body } = await requestSigning.prepareSignedRequest({
+        url, params, headers: requestHeaders, body
+      }));
+      queryParams = undefined;
+    }
+
+    // Cookie jar: its cookies go out with every attempt, and every response's Set-Cookie goes in
+    const jarName = requestConfig.cookieJar || null;
+
+    // Built per attempt: signatures carry a timestamp (and Digest a nonce count)
+    const attemptHeaders = () => {
+      let base = token ? withAuthorization(requestHeaders, authProfiles.authorizationHeader(token)) : requestHeaders;
+      if (jarName) base = cookieJars.withCookies(jarName, url, base);
+      return signing ? requestSigning.signRequest(signing, { method: method || 'GET', url, headers: base, body }) : base;
+    };
+
+    const transportOptions = buildTransportOptions(url, transport || {});
+    const timer = createRequestTimer(transportOptions);
+    const signal = transportOptions.signal ? AbortSignal.any([controller.signal, transportOptions.signal]) : controller.signal;
+    const send = async () => {
+      const response = await axios({
+        method: method || 'GET',
+        url,
+        headers: attemptHeaders(),
+        data: body,
+        params: queryParams,
+        ...transportOptions,
+        ...timer.agents,
+        ...(jarName && { beforeRedirect: cookieJars.redirectHandler(jarName, url, requestHeaders) }),
+        signal,
+        responseType: 'stream',
+        validateStatus: () => true // Accept all status codes
+      });
+      if (jarName) cookieJars.storeCookies(jarName, response.request?.res?.responseUrl || url, response.headers['set-cookie']);
+      return response;
+    };
+
+    let response = await send();
+
+    // Digest: the first request to a server (or one with an expired nonce) gets a challenge to answer
+    if (response.status === 401 && signing?.type === 'digest' &&
+      requestSigning.acceptDigestChallenge(signing, url, response.headers['www-authenticate'])) {
+      response.data.destroy();
+      timer.start();
+      response = await send();
+    }
+
+    // A cached token the server no longer accepts (revoked, clock skew): mint a new one and retry once
+    if (response.status === 401 && token && !token.fresh) {
+      response.data.destroy();
+      token = await authProfiles.getToken(authProfile, { renew: true });
+      timer.start();
+      response = await send();
+    }
+    const responseBody = await readResponseBody(event, response, { fullBody: options.fullBody, signal });
 
     return {
       success: true,
       status: response.status,
       statusText: response.statusText,
       headers: response.headers,
-      data: response.data,
-      timing: Date.now()
+      data: responseBody.data,
+      ...(responseBody.body && { body: responseBody.body }),
+      timing: timer.finish()
     };
   } catch (error) {
+    if (controller.signal.aborted) return cancelledResult();
+    // --max-time aborts through an AbortSignal, which axios reports as a plain cancel
+    if (error.code === 'ERR_CANCELED' && requestConfig.transport?.maxTime) {
+      return {
+        success: false,
+        error: `Request exceeded --max-time of ${requestConfig.transport.maxTime}s`,
+        code: 'ETIMEDOUT'
+      };
+    }
     return {
       success: false,
       error: error.message,
       code: error.code || 'UNKNOWN'
     };
+  } finally {
+    releaseRequest(event, requestId);
   }
 });
 
+function findAuthProfile(id) {
+  const profile = store.get('authProfiles').find(p => p.id === id);
+  if (!profile) throw new Error('The auth profile selected for this request no longer exists');
+  return profile;
+}
+
+function withAuthorization(headers, value) {
+  const rest = Object.fromEntries(Object.entries(headers).filter(([key]) => key.toLowerCase() !== 'authorization'));
+  return { ...rest, Authorization: value };
+}
+
+ipcMain.handle('cancel-request', (event, requestId) => {
+  const controller = inFlightRequests.get(requestKey(event, requestId));
+  if (!controller) return false;
+  controller.abort();
+  return true;
+});
+
+/**
+ * AbortController for a request the renderer may cancel. Requests sent
+ * without an ID get one that nothing can reach.
+ */
+function trackRequest(event, requestId) {
+  const controller = new AbortController();
+  if (requestId) inFlightRequests.set(requestKey(event, requestId), controller);
+  return controller;
+}
+
+function releaseRequest(event, requestId) {
+  if (requestId) inFlightRequests.delete(requestKey(event, requestId));
+}
+
+function requestKey(event, requestId) {
+  return `${event.sender.id}:${requestId}`;
+}
+
+function cancelledResult() {
+  return { success: false, cancelled: true, error: 'Request cancelled', code: 'ECANCELED' };
+}
+
+// ──────────────────────────────────────────────
+// Request timing
+// ──────────────────────────────────────────────
+
+/**
+ * Time the phases of a request from its socket events. `agents` wrap the
+ * http / https agents of the axios options (once per request, so retries
+ * don't stack wrappers) and observe every request they start, each redirect
+ * hop included; start() begins an attempt and the breakdown describes the
+ * last hop of the latest one.
+ *
+ * finish() returns durations in ms: blocked (redirects, queueing, proxy tunnel),
+ * dns, connect, tls, ttfb (request sent until response headers), download, total.
+ */
+function createRequestTimer(options) {
+  let start = performance.now();
+  let hop = {};
+  let hops = 0;
+
+  const observe = (req) => {
+    hops++;
+    hop = { start: performance.now() };
+    const current = hop;
+    req.once('socket', (socket) => {
+      current.socket = performance.now();
+      // A keep-alive socket (or an already tunnelled proxy socket) skips DNS, connect and TLS
+      if (!socket.connecting) {
+        current.reused = true;
+        return;
+      }
+      socket.once('lookup', () => { current.lookup = performance.now(); });
+      socket.once('connect', () => { current.connect = performance.now(); });
+      socket.once('secureConnect', () => { current.secureConnect = performance.now(); });
+    });
+    req.once('response', (res) => {
+      current.response = performance.now();
+      res.once('end', () => { current.end = performance.now(); });
+    });
+  };
+
+  const wrap = (agent) => {
+    const wrapped = Object.create(agent);
+    wrapped.addRequest = (req, requestOptions) => {
+      observe(req);
+      return agent.addRequest(req, requestOptions);
+    };
+    return wrapped;
+  };
+  return {
+    agents: {
+      httpAgent: wrap(options.httpAgent || http.globalAgent),
+      httpsAgent: wrap(options.httpsAgent || https.globalAgent)
+    },
+    start() {
+      start = performance.now();
+      hop = {};
+      hops = 0;
+    },
+    finish() {
+      const end = hop.end ?? performance.now();
+      const span = (from, to) => (from !== undefined && to !== undefined ? Math.max(0, to - from) : 0);
+      const round = (ms) => Math.round(ms * 10) / 10;
+      const connected = hop.secureConnect ?? hop.connect ?? hop.socket;
+      return {
+        total: round(end - start),
+        blocked: round(span(start, hop.socket ?? hop.start)),
+        dns: round(span(hop.socket, hop.lookup)),
+        connect: round(span(hop.lookup ?? hop.socket, hop.connect)),
+        tls: round(span(hop.connect, hop.secureConnect)),
+        ttfb: round(span(connected, hop.response)),
+        download: round(span(hop.response, end)),
+        reusedConnection: !!hop.reused,
+        redirects: Math.max(0, hops - 1)
+      };
+    }
+  };
+}
+
+// ──────────────────────────────────────────────
+// Response bodies
+// Binary bodies, and text bodies over LARGE_BODY_BYTES, are streamed to a temp
+// file instead of going over IPC. The renderer gets a descriptor
+// ({ id, binary, contentType, size, fileName }) and pages through, previews or
+// saves the file through the response-body-* channels.
+// ──────────────────────────────────────────────
+const LARGE_BODY_BYTES = 5 * 1024 * 1024;
+const BODY_PAGE_BYTES = 256 * 1024;
+const PREVIEW_TYPES = /^(image\/|application\/pdf)/i;
+const TEXT_TYPES = /^text\/|[/+](json|xml)\b|^application\/(javascript|x-www-form-urlencoded|graphql|x-ndjson|yaml|x-yaml)\b/i;
+
+// id -> { file, owner (webContents id), binary, contentType, size, fileName }
+const responseBodies = new Map();
+
+function responseBodyDir() {
+  return path.join(app.getPath('temp'), 'api-switchboard-responses');
+}
+
+/**
+ * Read an axios response stream. Small text bodies are decoded the way axios
+ * would (JSON when it parses, else a string) and returned as `data`; the rest
+ * is written to disk and returned as `body`.
+ */
+async function readResponseBody(event, response, { fullBody, signal }) {
+  const stream = response.data;
+  const contentType = String(response.headers['content-type'] || '');
+  let binary = !fullBody && isBinaryContentType(contentType);
+  let chunks = [];
+  let size = 0;
+  let spool = null;
+
+  // Without this a cancel after the headers arrived would leave the download running
+  const abort = () => stream.destroy(Object.assign(new Error('Response aborted'), { code: 'ERR_CANCELED' }));
+  signal.addEventListener('abort', abort, { once: true });
+
+  try {
+    for await (const chunk of stream) {
+      // No content type: a NUL byte in the first chunk means it isn't text
+      if (size === 0 && !contentType && !fullBody) binary = chunk.includes(0);
+      size += chunk.length;
+
+      if (!spool && !fullBody && (binary || size > LARGE_BODY_BYTES)) {
+        spool = await openSpool();
+        for (const buffered of chunks) await writeChunk(spool.out, buffered);
+        chunks = [];
+      }
+      if (spool) await writeChunk(spool.out, chunk);
+      else chunks.push(chunk);
+    }
+    if (spool) {
+      spool.out.end();
+      await once(spool.out, 'finish');
+    }
+  } catch (err) {
+    if (spool) {
+      spool.out.destroy();
+      fs.promises.unlink(spool.file).catch(() => {});
+    }
+    throw err;
+  } finally {
+    signal.removeEventListener('abort', abort);
+  }
+
+  if (!spool) return { data: decodeBody(Buffer.concat(chunks)) };
+
+  const body = {
+    id: spool.id,
+    binary,
+    contentType,
+    size,
+    fileName: responseFileName(response.headers, response.config.url, contentType)
+  };
+  responseBodies.set(spool.id, { ...body, file: spool.file, owner: event.sender.id });
+  return { body };
+}
+
+function isBinaryContentType(contentType) {
+  return !!contentType && !TEXT_TYPES.test(contentType);
+}
+
+// Same as axios' default transformResponse
+function decodeBody(buffer) {
+  const text = buffer.toString('utf8');
+  if (!text) return text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+async function openSpool() {
+  await fs.promises.mkdir(responseBodyDir(), { recursive: true });
+  const id = crypto.randomUUID();
+  const file = path.join(responseBodyDir(), id);
+  return { id, file, out: fs.createWriteStream(file) };
+}
+
+async function writeChunk(out, chunk) {
+  if (!out.write(chunk)) await once(out, 'drain');
+}
+
+const EXTENSIONS = {
+  'application/json': 'json', 'application/pdf': 'pdf', 'application/zip': 'zip', 'application/xml': 'xml',
+  'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif', 'image/webp': 'webp', 'image/svg+xml': 'svg',
+  'text/csv': 'csv', 'text/plain': 'txt', 'text/html': 'html', 'text/xml': 'xml'
+};
+
+/**
+ * Suggested file name: Content-Disposition, else the last URL path segment,
+ * with an extension from the content type when it has none
+ */
+function responseFileName(headers, url, contentType) {
+  const disposition = String(headers['content-disposition'] || '');
+  const encoded = disposition.match(/filename\*\s*=\s*[\w-]+'[^']*'([^;]+)/i);
+  const plain = disposition.match(/filename\s*=\s*"?([^";]+)"?/i);
+  let name = '';
+  try {
+    name = encoded ? decodeURIComponent(encoded[1].trim()) : plain ? plain[1].trim() : '';
+  } catch {
+    name = plain ? plain[1].trim() : '';
+  }
+  if (!name) {
+    try {
+      name = decodeURIComponent(new URL(url).pathname.split('/').pop());
+    } catch {
+      name = '';
+    }
+  }
+  name = path.basename(name.replace(/\\/g, '/')) || 'response';
+
+  const extension = EXTENSIONS[contentType.split(';')[0].trim().toLowerCase()];
+  return extension && !path.extname(name) ? `${name}.${extension}` : name;
+}
+
+function ownedResponseBody(event, id) {
+  const body = responseBodies.get(id);
+  if (!body || body.owner !== event.sender.id) throw new Error('Response body is no longer available');
+  return body;
+}
+
+/**
+ * One page of a stored text body, cut back to a whole UTF-8 character
+ */
+ipcMain.handle('response-body-read', async (event, id, offset = 0) => {
+  try {
+    const body = ownedResponseBody(event, id);
+    const start = Math.max(0, Math.min(Number(offset) || 0, body.size));
+    const buffer = Buffer.alloc(Math.min(BODY_PAGE_BYTES, body.size - start));
+    const handle = await fs.promises.open(body.file, 'r');
+    try {
+      await handle.read(buffer, 0, buffer.length, start);
+    } finally {
+      await handle.close();
+    }
+    const length = start + buffer.length < body.size ? completeUtf8Length(buffer) : buffer.length;
+    return {
+      success: true,
+      text: buffer.subarray(0, length).toString('utf8'),
+      offset: start,
+      nextOffset: start + length,
+      size: body.size
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('response-body-save', async (event, id) => {
+  try {
+    const body = ownedResponseBody(event, id);
+    const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+      defaultPath: path.join(app.getPath('downloads'), body.fileName)
+    });
+    if (canceled || !filePath) return { success: false, cancelled: true };
+    await fs.promises.copyFile(body.file, filePath);
+    return { success: true, filePath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('response-body-release', (event, id) => {
+  const body = responseBodies.get(id);
+  if (!body || body.owner !== event.sender.id) return false;
+  releaseResponseBody(id);
+  return true;
+});
+
+function releaseResponseBody(id) {
+  const body = responseBodies.get(id);
+  if (!body) return;
+  responseBodies.delete(id);
+  fs.promises.unlink(body.file).catch(() => {});
+}
+
+/**
+ * Length of the buffer without a multi-byte character cut off at its end
+ */
+function completeUtf8Length(buffer) {
+  let lead = buffer.length - 1;
+  while (lead > 0 && buffer.length - lead < 4 && (buffer[lead] & 0xc0) === 0x80) lead--;
+  const byte = buffer[lead];
+  const charLength = byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : byte >= 0xc0 ? 2 : 1;
+  return lead + charLength > buffer.length ? lead : buffer.length;
+}
+
+/**
+ * switchboard-body://<id>/ serves stored images and PDFs to <img> / <iframe>
+ * previews; the random id is the only handle on a body.
+ */
+function registerResponseBodyProtocol() {
+  protocol.handle('switchboard-body', (request) => {
+    const body = responseBodies.get(new URL(request.url).hostname);
+    if (!body || !PREVIEW_TYPES.test(body.contentType)) {
+      return new Response('Not found', { status: 404 });
+    }
+    return new Response(Readable.toWeb(fs.createReadStream(body.file)), {
+      headers: { 'Content-Type': body.contentType, 'Content-Length': String(body.size) }
+    });
+  });
+}
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Translate parsed cURL transport flags (-k, -m, --connect-timeout, -x, -L, --max-redirs)
+ * into per-request axios options.
+ */
+function buildTransportOptions(url, transport) {
+  const isHttps = url.startsWith('https:');
+  const options = {
+    timeout: transport.maxTime ? transport.maxTime * 1000 : DEFAULT_TIMEOUT_MS
+  };
+
+  // axios' timeout only covers socket inactivity; --max-time is a hard cap on the whole transfer
+  if (transport.maxTime) {
+    options.signal = AbortSignal.timeout(transport.maxTime * 1000);
+  }
+
+  // Like curl, redirects are only followed with -L, and --max-redirs only counts then (-1 = unlimited)
+  if (!transport.followRedirects) {
+    options.maxRedirects = 0;
+  } else if (transport.maxRedirs !== undefined) {
+    options.maxRedirects = transport.maxRedirs < 0 ? Infinity : transport.maxRedirs;
+  }
+
+  if (transport.proxy) {
+    const proxyUrl = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(transport.proxy) ? transport.proxy : `http://${transport.proxy}`);
+    if (transport.proxyUser) {
+      const [username, ...password] = transport.proxyUser.split(':');
+      proxyUrl.username = username;
+      proxyUrl.password = password.join(':');
+    }
+
+    if (isHttps) {
+      // Tunnel through the proxy with CONNECT; axios' own proxy option can't do this for https targets
+      options.httpsAgent = createProxyAgent(proxyUrl, transport);
+      options.proxy = false;
+    } else {
+      options.proxy = {
+        protocol: proxyUrl.protocol.replace(':', ''),
+        host: proxyUrl.hostname,
+        port: parseInt(proxyUrl.port, 10) || 80,
+        ...(proxyUrl.username ? {
+          auth: { username: decodeURIComponent(proxyUrl.username), password: decodeURIComponent(proxyUrl.password) }
+        } : {})
+      };
+    }
+  }
+
+  // The tunnel agent handles -k and --connect-timeout itself; for plain http
+  // through a proxy, --connect-timeout applies to the connection to the proxy
+  if (!options.httpsAgent && (transport.insecure || transport.connectTimeout)) {
+    const agent = createAgent(isHttps, transport);
+    if (isHttps) options.httpsAgent = agent;
+    else options.httpAgent = agent;
+  }
+
+  return options;
+}
+
+/**
+ * Create a one-off agent that can skip TLS verification (-k) and give up
+ * if the connection (including the TLS handshake) isn't up within --connect-timeout.
+ */
+function createAgent(isHttps, { insecure, connectTimeout }) {
+  const agent = isHttps
+    ? new https.Agent({ rejectUnauthorized: !insecure })
+    : new http.Agent();
+
+  if (connectTimeout) {
+    const createConnection = agent.createConnection.bind(agent);
+    agent.createConnection = (options, callback) => {
+      const socket = createConnection(options, callback);
+      const timer = setTimeout(() => socket.destroy(connectTimeoutError(connectTimeout)), connectTimeout * 1000);
+      socket.once(isHttps ? 'secureConnect' : 'connect', () => clearTimeout(timer));
+      socket.once('close', () => clearTimeout(timer));
+      return socket;
+    };
+  }
+
+  return agent;
+}
+
+/**
+ * CONNECT tunnel agent for an https target behind -x, with the same -k and
+ * --connect-timeout handling as createAgent. The timeout covers the proxy
+ * connection, the CONNECT exchange and the TLS handshake with the target.
+ */
+function createProxyAgent(proxyUrl, { insecure, connectTimeout }) {
+  const agent = new HttpsProxyAgent(proxyUrl);
+  if (!insecure && !connectTimeout) return agent;
+
+  // The TLS session with the target is set up from the request's options,
+  // so -k goes in there rather than in the agent's
+  const connect = agent.connect.bind(agent);
+  agent.connect = (req, options) => {
+    const connecting = connect(req, insecure ? { ...options, rejectUnauthorized: false } : options);
+    if (!connectTimeout) return connecting;
+
+    return new Promise((resolve, reject) => {
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        reject(connectTimeoutError(connectTimeout));
+      }, connectTimeout * 1000);
+      connecting.then((socket) => {
+        clearTimeout(timer);
+        // Connected after all, but the request has already failed
+        if (timedOut) socket.destroy();
+        else resolve(socket);
+      }, (err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+    });
+  };
+
+  return agent;
+}
+
+function connectTimeoutError(connectTimeout) {
+  const err = new Error(`Connection not established within --connect-timeout of ${connectTimeout}s`);
+  err.code = 'ECONNTIMEOUT';
+  return err;
+}
+
+/**
+ * Resolve parsed data segments into a single '&'-joined string, reading
+ * file references (allowed through approveFiles) from disk. Plain string
+ * segments are already encoded.
+ */
+async function resolveDataParts(parts) {
+  const resolved = [];
+
+  for (const part of parts) {
+    if (typeof part === 'string') {
+      resolved.push(part);
+      continue;
+    }
+
+    let contents = await readApprovedFile(part.file, 'utf8');
+    if (part.stripNewlines) contents = contents.replace(/[\r\n]/g, '');
+    if (part.urlencode) contents = curlEscape(contents);
+    resolved.push(part.name ? `${part.name}=${contents}` : contents);
+  }
+
+  return resolved.join('&');
+}
+
+/**
+ * Percent-encode everything except RFC 3986 unreserved characters (matches curl_easy_escape)
+ */
+function curlEscape(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Build a multipart/form-data body from parsed -F parts.
+ * File parts are read from disk here since the renderer has no fs access;
+ * only files allowed through approveFiles are.
+ */
+async function buildMultipartBody(form) {
+  const formData = new FormData();
+
+  for (const part of form) {
+    if (!part.file) {
+      formData.append(part.name, part.value ?? '');
+      continue;
+    }
+
+    const contents = await readApprovedFile(part.file);
+    if (part.inline) {
+      formData.append(part.name, contents.toString('utf8'));
+    } else {
+      const blob = new Blob([contents], { type: part.type || 'application/octet-stream' });
+      formData.append(part.name, blob, part.filename || path.basename(part.file));
+    }
+  }
+
+  return formData;
+}
+
+// ──────────────────────────────────────────────
+// Local files
+// A request names the files it uploads by path, and the renderer can send any
+// path, so a file is only read once the user has allowed it in a native dialog
+// (which script running in the renderer can't click through). Approvals last
+// until the app quits.
+// ──────────────────────────────────────────────
+const approvedFiles = new Set();
+const pendingFileApprovals = new Map(); // paths -> dialog promise, so parallel requests ask once
+
+async function approveFiles(event, files, url) {
+  const pending = [...new Set(files.map(file => path.resolve(file)))].filter(file => !approvedFiles.has(file));
+  if (pending.length === 0) return;
+
+  const key = pending.join('\n');
+  if (!pendingFileApprovals.has(key)) {
+    let host = url;
+    try { host = new URL(url).host; } catch { /* keep the raw URL */ }
+    const what = pending.length === 1 ? 'this file' : `these ${pending.length} files`;
+    const prompt = dialog.showMessageBox(BrowserWindow.fromWebContents(event.sender), {
+      type: 'question',
+      buttons: ['Allow', 'Cancel'],
+      defaultId: 1,
+      cancelId: 1,
+      message: `Read ${what} and send the contents to ${host}?`,
+      detail: key
+    }).finally(() => pendingFileApprovals.delete(key));
+    pendingFileApprovals.set(key, prompt);
+  }
+
+  const { response } = await pendingFileApprovals.get(key);
+  if (response !== 0) throw new Error(`Reading ${pending.join(', ')} was not allowed`);
+  pending.forEach(file => approvedFiles.add(file));
+}
+
+function readApprovedFile(file, encoding) {
+  const resolved = path.resolve(file);
+  if (!approvedFiles.has(resolved)) throw new Error(`Reading ${resolved} has not been allowed`);
+  return fs.promises.readFile(resolved, encoding);
+}
+
 // ──────────────────────────────────────────────
 // IPC: Send to n8n Webhook (Layer 3 - Route A)
 // ──────────────────────────────────────────────
-ipcMain.handle('send-to-n8n', async (event, { webhookUrl, data }) => {
+ipcMain.handle('send-to-n8n', async (event, { webhookUrl, data, requestId }) => {
+  const controller = trackRequest(event, requestId);
   try {
     const payload = {
       source: 'API Switchboard',
@@ -93,12 +895,16 @@ ipcMain.handle('send-to-n8n', async (event, { webhookUrl, data }) => {
 
     const response = await axios.post(webhookUrl, payload, {
       timeout: 15000,
-      headers: { 'Content-Type': 'application/json' }
+      headers: { 'Content-Type': 'application/json' },
+      signal: controller.signal
     });
 
     return { success: true, status: response.status, data: response.data };
   } catch (error) {
+    if (controller.signal.aborted) return cancelledResult();
     return { success: false, error: error.message };
+  } finally {
+    releaseRequest(event, requestId);
   }
 });
 
@@ -107,7 +913,12 @@ ipcMain.handle('send-to-n8n', async (event, { webhookUrl, data }) => {
 // ──────────────────────────────────────────────
 ipcMain.handle('google-auth-start', async () => {
   const clientId = store.get('googleClientId');
-  const clientSecret = store.get('googleClientSecret');
+  let clientSecret;
+  try {
+    clientSecret = secrets.get('googleClientSecret');
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
 
   if (!clientId || !clientSecret) {
     return { success: false, error: 'Google Client ID and Secret not configured. Go to Settings.' };
@@ -129,7 +940,6 @@ ipcMain.handle('google-auth-start', async () => {
 
   // Start local callback server
   return new Promise((resolve) => {
-    const http = require('http');
     const server = http.createServer(async (req, res) => {
       const url = new URL(req.url, 'http://localhost:8234');
       const code = url.searchParams.get('code');
@@ -138,7 +948,7 @@ ipcMain.handle('google-auth-start', async () => {
         try {
           const { tokens } = await oauthClient.getToken(code);
           oauthClient.setCredentials(tokens);
-          store.set('googleTokens', tokens);
+          secrets.set('googleTokens', tokens);
 
           res.writeHead(200, { 'Content-Type': 'text/html' });
           res.end(`
@@ -150,7 +960,7 @@ ipcMain.handle('google-auth-start', async () => {
             </body></html>
           `);
           server.close();
-          resolve({ success: true, tokens });
+          resolve({ success: true });
         } catch (err) {
           res.writeHead(400);
           res.end('Auth failed');
@@ -172,8 +982,14 @@ ipcMain.handle('google-auth-start', async () => {
   });
 });
 
+// Tokens stay in the main process; the renderer only learns whether we're connected
 ipcMain.handle('google-auth-check', async () => {
-  const tokens = store.get('googleTokens');
+  let tokens;
+  try {
+    tokens = secrets.get('googleTokens');
+  } catch {
+    return { authenticated: false };
+  }
   if (!tokens || !tokens.access_token) {
     return { authenticated: false };
   }
@@ -182,14 +998,14 @@ ipcMain.handle('google-auth-check', async () => {
   if (tokens.expiry_date && tokens.expiry_date < Date.now()) {
     // Try to refresh
     const clientId = store.get('googleClientId');
-    const clientSecret = store.get('googleClientSecret');
+    const clientSecret = secrets.get('googleClientSecret');
     if (tokens.refresh_token && clientId && clientSecret) {
       try {
         const client = new OAuth2Client(clientId, clientSecret, 'http://localhost:8234/callback');
         client.setCredentials(tokens);
         const { credentials } = await client.refreshAccessToken();
-        store.set('googleTokens', credentials);
-        return { authenticated: true, tokens: credentials };
+        secrets.set('googleTokens', credentials);
+        return { authenticated: true };
       } catch {
         return { authenticated: false };
       }
@@ -197,15 +1013,21 @@ ipcMain.handle('google-auth-check', async () => {
     return { authenticated: false };
   }
 
-  return { authenticated: true, tokens };
+  return { authenticated: true };
+});
+
+ipcMain.handle('google-auth-disconnect', () => {
+  secrets.remove('googleTokens');
+  return { success: true };
 });
 
 // ──────────────────────────────────────────────
 // IPC: Send to Google Apps Script (Layer 3 - Route B)
 // ──────────────────────────────────────────────
-ipcMain.handle('send-to-appscript', async (event, { scriptId, data }) => {
+ipcMain.handle('send-to-appscript', async (event, { scriptId, data, requestId }) => {
+  const controller = trackRequest(event, requestId);
   try {
-    let tokens = store.get('googleTokens');
+    let tokens = secrets.get('googleTokens');
 
     if (!tokens || !tokens.access_token) {
       return { success: false, error: 'Not authenticated with Google. Please authenticate first.' };
@@ -214,12 +1036,12 @@ ipcMain.handle('send-to-appscript', async (event, { scriptId, data }) => {
     // Refresh if expired
     if (tokens.expiry_date && tokens.expiry_date < Date.now()) {
       const clientId = store.get('googleClientId');
-      const clientSecret = store.get('googleClientSecret');
+      const clientSecret = secrets.get('googleClientSecret');
       const client = new OAuth2Client(clientId, clientSecret, 'http://localhost:8234/callback');
       client.setCredentials(tokens);
       const { credentials } = await client.refreshAccessToken();
       tokens = credentials;
-      store.set('googleTokens', tokens);
+      secrets.set('googleTokens', tokens);
     }
 
     const response = await axios.post(
@@ -233,7 +1055,8 @@ ipcMain.handle('send-to-appscript', async (event, { scriptId, data }) => {
           Authorization: `Bearer ${tokens.access_token}`,
           'Content-Type': 'application/json'
         },
-        timeout: 30000
+        timeout: 30000,
+        signal: controller.signal
       }
     );
 
@@ -243,21 +1066,383 @@ ipcMain.handle('send-to-appscript', async (event, { scriptId, data }) => {
 
     return { success: true, result: response.data.response?.result || 'Data sent successfully' };
   } catch (error) {
+    if (controller.signal.aborted) return cancelledResult();
     return { success: false, error: error.message };
+  } finally {
+    releaseRequest(event, requestId);
   }
 });
 
 // ──────────────────────────────────────────────
 // IPC: Settings/Store Operations
 // ──────────────────────────────────────────────
-ipcMain.handle('store-get', (event, key) => store.get(key));
-ipcMain.handle('store-set', (event, key, value) => store.set(key, value));
-ipcMain.handle('store-delete', (event, key) => store.delete(key));
+// Only allow-listed keys; writes are rejected unless they match CONFIG_SCHEMA.
+// Anything a rendered API response manages to run in the renderer is limited to these.
+function assertConfigKey(key) {
+  if (!RENDERER_CONFIG_KEYS.includes(key)) throw new Error(`Unknown setting "${key}"`);
+}
+
+ipcMain.handle('store-get', (event, key) => {
+  assertConfigKey(key);
+  return store.get(key);
+});
+
+ipcMain.handle('store-set', (event, key, value) => {
+  assertConfigKey(key);
+  store.set(key, value);
+});
+
+// ──────────────────────────────────────────────
+// IPC: Secrets
+// Values go in but only come back out through secret-reveal, which the
+// renderer calls when the user explicitly asks to see one.
+// ──────────────────────────────────────────────
+const RENDERER_SECRETS = ['googleClientSecret'];
+
+ipcMain.handle('secrets-status', () => secrets.getStatus());
+
+ipcMain.handle('secrets-unlock', (event, passphrase) => {
+  try {
+    secrets.unlock(passphrase);
+    migrateLegacyStore();
+    return { success: true, status: secrets.getStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('secrets-setup', (event, passphrase) => {
+  try {
+    secrets.setup(passphrase);
+    migrateLegacyStore();
+    return { success: true, status: secrets.getStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('secret-set', (event, name, value) => {
+  if (!RENDERER_SECRETS.includes(name)) return { success: false, error: `Unknown secret "${name}"` };
+  try {
+    secrets.set(name, value);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('secret-has', (event, name) => RENDERER_SECRETS.includes(name) && secrets.has(name));
+
+// Confirmed in a native dialog, which script running in the renderer can't click through
+ipcMain.handle('secret-reveal', async (event, name) => {
+  if (!RENDERER_SECRETS.includes(name) && !isEnvironmentSecret(name)) {
+    return { success: false, error: `Unknown secret "${name}"` };
+  }
+  const label = isEnvironmentSecret(name) ? `{{${name.split(':').slice(2).join(':')}}}` : 'Google client secret';
+  const { response } = await dialog.showMessageBox(BrowserWindow.fromWebContents(event.sender), {
+    type: 'question',
+    buttons: ['Show', 'Cancel'],
+    defaultId: 1,
+    cancelId: 1,
+    message: `Show the saved value of ${label}?`
+  });
+  if (response !== 0) return { success: false, cancelled: true };
+  try {
+    return { success: true, value: secrets.get(name) ?? '' };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('environments-get', () => publicEnvironments(store.get('environments')));
+
+ipcMain.handle('environments-save', (event, environments) => {
+  try {
+    store.set('environments', storeEnvironmentSecrets(environments));
+    return { success: true, environments: publicEnvironments(store.get('environments')) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('auth-profiles-get', () => authProfiles.publicProfiles(store.get('authProfiles')));
+
+ipcMain.handle('auth-profiles-save', (event, profiles) => {
+  try {
+    store.set('authProfiles', authProfiles.storeProfileSecrets(profiles, store.get('authProfiles')));
+    return { success: true, profiles: authProfiles.publicProfiles(store.get('authProfiles')) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Mint a token to check a saved profile; the token itself stays here
+ipcMain.handle('auth-profile-test', async (event, id) => {
+  try {
+    const token = await authProfiles.getToken(findAuthProfile(id), { renew: true });
+    return { success: true, tokenType: token.tokenType || 'Bearer' };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Cookie jars (in memory; requests name theirs with cookieJar)
+ipcMain.handle('cookie-jars-get', async () => {
+  try {
+    return { success: true, jars: await cookieJars.listJars() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('cookie-remove', async (event, jarName, cookie) => {
+  try {
+    await cookieJars.removeCookie(jarName, cookie);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// No name: every jar
+ipcMain.handle('cookie-jars-clear', (event, jarName) => {
+  cookieJars.clearJars(jarName);
+  return { success: true };
+});
+
+// ──────────────────────────────────────────────
+// Environment secrets
+// A secret variable is saved as { key, value: '', secret: true } and its value
+// in the vault under env:<environment id>:<key>. The renderer sees it with a
+// `ref` to that vault entry instead of the value, and main only fills it into
+// requests for hosts the user has allowed it to go to.
+// ──────────────────────────────────────────────
+const pendingSecretApprovals = new Map(); // host + secrets -> dialog promise, so parallel requests ask once
+
+// Request config fields a secret may be filled into: what goes to the request's
+// own host. A proxy, cookie jar name or the like would take it elsewhere.
+const SECRET_REQUEST_FIELDS = ['url', 'params', 'headers', 'auth', 'data', 'form', 'dataParts', 'queryParts', 'signing'];
+
+function environmentSecretName(environmentId, key) {
+  return `env:${environmentId}:${key}`;
+}
+
+function isEnvironmentSecret(name) {
+  return typeof name === 'string' && name.startsWith('env:');
+}
+
+function publicEnvironments(environments) {
+  return (environments || []).map(env => ({
+    ...env,
+    variables: env.variables.map(v => {
+      const ref = environmentSecretName(env.id, v.key);
+      return v.secret && secrets.has(ref) ? { ...v, value: '', ref } : { ...v };
+    })
+  }));
+}
+
+/**
+ * Move secret values out of an environment list into the vault. A secret left
+ * empty keeps the value saved under its own environment and key; the `ref` the
+ * renderer sends back is never read, so a renamed, copied or un-marked secret
+ * only keeps its value if the user revealed it (see secret-reveal). Vault
+ * entries no longer referenced are removed.
+ */
+function storeEnvironmentSecrets(environments) {
+  const kept = new Set();
+  const stored = environments.map(env => ({
+    id: env.id,
+    name: env.name,
+    variables: env.variables.map(({ key, value, secret }) => {
+      const name = environmentSecretName(env.id, key);
+      if (!secret) return { key, value: value || '', secret: false };
+      if (value) {
+        secrets.set(name, value);
+        kept.add(name);
+      } else if (secrets.has(name)) {
+        kept.add(name);
+      }
+      return { key, value: '', secret: true };
+    })
+  }));
+
+  for (const name of secrets.names()) {
+    if (isEnvironmentSecret(name) && !kept.has(name)) secrets.remove(name);
+  }
+  // A secret saved again under a removed name starts without allowed hosts
+  const secretHosts = Object.fromEntries(Object.entries(store.get('secretHosts')).filter(([name]) => kept.has(name)));
+  store.set('secretHosts', secretHosts);
+  return stored;
+}
+
+/**
+ * Substitute the active environment's secret variables into a request config
+ * the renderer has already resolved the plain variables of. A secret only goes
+ * to a host the user has allowed it to be sent to (see approveSecretHost).
+ */
+async function resolveSecretVariables(event, config) {
+  const { findVariables, resolveRequest } = await requestVariables;
+  const environment = store.get('environments').find(env => env.id === store.get('activeEnvironmentId'));
+  const secretKeys = new Set((environment?.variables || [])
+    .filter(v => v.secret && secrets.has(environmentSecretName(environment.id, v.key)))
+    .map(v => v.key));
+  const used = findVariables(config).filter(name => secretKeys.has(name));
+  if (used.length === 0) return config;
+
+  for (const [field, value] of Object.entries(config)) {
+    const names = SECRET_REQUEST_FIELDS.includes(field) ? [] : findVariables({ [field]: value });
+    const misplaced = names.find(name => secretKeys.has(name));
+    if (misplaced) throw new Error(`The secret {{${misplaced}}} can only be used in the URL, params, headers, body and signing, not in ${field}`);
+  }
+
+  const values = Object.fromEntries(used.map(name => [name, String(secrets.get(environmentSecretName(environment.id, name)))]));
+  const resolved = resolveRequest(config, values);
+  // The proxy reads a plain-http request in full, secrets included
+  if (resolved.transport?.proxy && !/^https:/i.test(resolved.url)) {
+    throw new Error('Secrets are not sent over plain http through a proxy; use https:// or remove the proxy');
+  }
+  await approveSecretHost(event, environment.id, used, resolved.url);
+  return resolved;
+}
+
+/**
+ * Ask before a secret is first sent to a host: the renderer picks the URL, so
+ * without this any script running there could send a secret anywhere. The
+ * answer is kept per secret and host.
+ */
+async function approveSecretHost(event, environmentId, keys, url) {
+  let host = String(url);
+  try { host = new URL(url).host; } catch { /* keep the raw URL */ }
+  const approved = store.get('secretHosts');
+  const pending = keys.filter(key => !(approved[environmentSecretName(environmentId, key)] || []).includes(host));
+  if (pending.length === 0) return;
+
+  const labels = pending.map(key => `{{${key}}}`).join(', ');
+  const promptKey = `${host}\n${pending.map(key => environmentSecretName(environmentId, key)).join('\n')}`;
+  if (!pendingSecretApprovals.has(promptKey)) {
+    const prompt = dialog.showMessageBox(BrowserWindow.fromWebContents(event.sender), {
+      type: 'warning',
+      buttons: ['Allow', 'Cancel'],
+      defaultId: 1,
+      cancelId: 1,
+      message: `Send ${labels} to ${host}?`,
+      detail: `${pending.length === 1 ? 'This secret has' : 'These secrets have'} not been sent to ${host} before. ` +
+        'Only allow it if this request is meant for that host; the answer is remembered.'
+    }).finally(() => pendingSecretApprovals.delete(promptKey));
+    pendingSecretApprovals.set(promptKey, prompt);
+  }
+
+  const { response } = await pendingSecretApprovals.get(promptKey);
+  if (response !== 0) throw new Error(`Sending ${labels} to ${host} was not allowed`);
+  const updated = store.get('secretHosts');
+  for (const key of pending) {
+    const name = environmentSecretName(environmentId, key);
+    updated[name] = [...new Set([...(updated[name] || []), host])];
+  }
+  store.set('secretHosts', updated);
+}
+
+/**
+ * Move settings out of the store encrypted with the old hard-coded key. Plain
+ * settings are copied on first launch; secrets follow as soon as the vault is
+ * unlocked (immediately with an OS keyring, after the passphrase otherwise),
+ * then the old file is deleted.
+ */
+function migrateLegacyStore() {
+  const legacyPath = path.join(app.getPath('userData'), `${LEGACY_STORE_NAME}.json`);
+  if (!fs.existsSync(legacyPath)) return;
+
+  let legacy;
+  try {
+    legacy = new Store({ name: LEGACY_STORE_NAME, encryptionKey: LEGACY_ENCRYPTION_KEY });
+  } catch (err) {
+    console.error('Could not read the previous settings store:', err.message);
+    return;
+  }
+
+  if (!store.get('legacyMigrated')) {
+    for (const [key, value] of Object.entries(legacy.store)) {
+      if (!Object.hasOwn(CONFIG_SCHEMA, key)) continue;
+      try {
+        store.set(key, key === 'environments'
+          ? value.map(env => ({ ...env, variables: env.variables.map(v => (v.secret ? { ...v, value: '' } : v)) }))
+          : value);
+      } catch (err) {
+        console.error(`Skipped invalid setting "${key}" from the previous store:`, err.message);
+      }
+    }
+    store.set('legacyMigrated', true);
+  }
+
+  if (!secrets.isUnlocked()) return;
+
+  for (const key of LEGACY_SECRET_KEYS) {
+    const value = legacy.get(key);
+    if (value && (typeof value !== 'object' || Object.keys(value).length > 0) && !secrets.has(key)) {
+      secrets.set(key, value);
+    }
+  }
+  const current = store.get('environments');
+  for (const env of legacy.get('environments') || []) {
+    if (!current.some(e => e.id === env.id)) continue;
+    for (const v of env.variables) {
+      const name = environmentSecretName(env.id, v.key);
+      if (v.secret && v.value && !secrets.has(name)) secrets.set(name, v.value);
+    }
+  }
+
+  fs.unlinkSync(legacyPath);
+}
+
+// ──────────────────────────────────────────────
+// Response assertions
+// JSON Schema checks run here: the renderer's CSP doesn't allow the code
+// generation ajv compiles schemas with.
+// ──────────────────────────────────────────────
+const ajv = addFormats(new Ajv({ allErrors: true, strict: false }));
+const schemaValidators = new Map(); // schema JSON -> compiled validator
+
+// Each call brings a new schema object, so compiled schemas are cached by their JSON
+function schemaValidator(schema) {
+  const key = JSON.stringify(schema);
+  if (!schemaValidators.has(key)) {
+    if (schemaValidators.size >= 50) {
+      schemaValidators.clear();
+      ajv.removeSchema();
+    }
+    // An edited schema keeps its $id
+    if (schema && schema.$id) ajv.removeSchema(schema.$id);
+    schemaValidators.set(key, ajv.compile(schema));
+  }
+  return schemaValidators.get(key);
+}
+
+ipcMain.handle('validate-json-schema', (event, schema, data) => {
+  try {
+    const validate = schemaValidator(schema);
+    if (validate(data)) return { success: true, valid: true, errors: [] };
+    const errors = validate.errors.map(err => `${err.instancePath || '(root)'} ${err.message}`);
+    return { success: true, valid: false, errors };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
 
 // ──────────────────────────────────────────────
 // App Lifecycle
 // ──────────────────────────────────────────────
-app.whenReady().then(createWindow);
+app.whenReady().then(() => {
+  secrets.init();
+  migrateLegacyStore();
+  // Response bodies left behind by a previous run
+  fs.rmSync(responseBodyDir(), { recursive: true, force: true });
+  registerResponseBodyProtocol();
+  createWindow();
+});
+
+app.on('will-quit', () => {
+  fs.rmSync(responseBodyDir(), { recursive: true, force: true });
+});
 
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') app.quit();
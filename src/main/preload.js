@@ -2,21 +2,53 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 // Expose a safe API to the renderer process
 contextBridge.exposeInMainWorld('switchboard', {
-  // Layer 2: Execute API request
-  executeRequest: (config) => ipcRenderer.invoke('execute-request', config),
+  // Layer 2: Execute API request. requestId (optional) lets cancelRequest abort it;
+  // options.fullBody returns the parsed body even when it's large
+  executeRequest: (config, requestId, options) => ipcRenderer.invoke('execute-request', config, requestId, options),
+  cancelRequest: (requestId) => ipcRenderer.invoke('cancel-request', requestId),
+
+  // Binary / large response bodies kept on disk by the main process
+  readResponseBody: (id, offset) => ipcRenderer.invoke('response-body-read', id, offset),
+  saveResponseBody: (id) => ipcRenderer.invoke('response-body-save', id),
+  releaseResponseBody: (id) => ipcRenderer.invoke('response-body-release', id),
 
   // Layer 3A: Send to n8n
-  sendToN8n: (webhookUrl, data) => ipcRenderer.invoke('send-to-n8n', { webhookUrl, data }),
+  sendToN8n: (webhookUrl, data, requestId) => ipcRenderer.invoke('send-to-n8n', { webhookUrl, data, requestId }),
 
   // Layer 3B: Google OAuth
   googleAuthStart: () => ipcRenderer.invoke('google-auth-start'),
   googleAuthCheck: () => ipcRenderer.invoke('google-auth-check'),
+  googleAuthDisconnect: () => ipcRenderer.invoke('google-auth-disconnect'),
 
   // Layer 3B: Send to Google Apps Script
-  sendToAppScript: (scriptId, data) => ipcRenderer.invoke('send-to-appscript', { scriptId, data }),
+  sendToAppScript: (scriptId, data, requestId) => ipcRenderer.invoke('send-to-appscript', { scriptId, data, requestId }),
 
-  // Settings store
+  // Settings store (allow-listed keys only, validated in the main process)
   getConfig: (key) => ipcRenderer.invoke('store-get', key),
   setConfig: (key, value) => ipcRenderer.invoke('store-set', key, value),
-  deleteConfig: (key) => ipcRenderer.invoke('store-delete', key)
+
+  // Secrets vault: values can be set, but only revealSecret returns one
+  secretsStatus: () => ipcRenderer.invoke('secrets-status'),
+  unlockSecrets: (passphrase) => ipcRenderer.invoke('secrets-unlock', passphrase),
+  setupSecrets: (passphrase) => ipcRenderer.invoke('secrets-setup', passphrase),
+  setSecret: (name, value) => ipcRenderer.invoke('secret-set', name, value),
+  hasSecret: (name) => ipcRenderer.invoke('secret-has', name),
+  revealSecret: (name) => ipcRenderer.invoke('secret-reveal', name),
+
+  // Environments (secret variable values are moved into the vault on save)
+  getEnvironments: () => ipcRenderer.invoke('environments-get'),
+  saveEnvironments: (environments) => ipcRenderer.invoke('environments-save', environments),
+
+  // OAuth2 auth profiles (secrets go to the vault; tokens never leave the main process)
+  getAuthProfiles: () => ipcRenderer.invoke('auth-profiles-get'),
+  saveAuthProfiles: (profiles) => ipcRenderer.invoke('auth-profiles-save', profiles),
+  testAuthProfile: (id) => ipcRenderer.invoke('auth-profile-test', id),
+
+  // Cookie jars kept by the main process for requests with a cookieJar
+  getCookieJars: () => ipcRenderer.invoke('cookie-jars-get'),
+  removeCookie: (jarName, cookie) => ipcRenderer.invoke('cookie-remove', jarName, cookie),
+  clearCookieJars: (jarName) => ipcRenderer.invoke('cookie-jars-clear', jarName),
+
+  // JSON Schema assertions (ajv can't compile schemas under the renderer's CSP)
+  validateJsonSchema: (schema, data) => ipcRenderer.invoke('validate-json-schema', schema, data)
 });
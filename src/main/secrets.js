@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const { safeStorage } = require('electron');
+const Store = require('electron-store');
+
+// ──────────────────────────────────────────────
+// Secrets vault
+//
+// Secret values (Google client secret and tokens, environment secrets) are
+// encrypted with AES-256-GCM under a random per-install key. That key is
+// itself protected by the OS keyring through Electron's safeStorage or, when
+// no keyring is available (e.g. Linux without libsecret), by a key derived
+// from a user passphrase. Values never leave the main process unless the
+// renderer explicitly asks to reveal one.
+// ──────────────────────────────────────────────
+
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+// { protection: 'safeStorage' | 'passphrase', wrappedKey, salt?, entries: { name: sealed } }
+const vault = new Store({ name: 'api-switchboard-secrets' });
+
+let installKey = null;
+let status = { state: 'locked', protection: null };
+
+/**
+ * Open the vault. Call once the app is ready (safeStorage needs it).
+ * A fresh install gets a keyring-protected key straight away; otherwise the
+ * vault stays locked until unlock() / setup() is given a passphrase.
+ */
+function init() {
+  const protection = vault.get('protection');
+
+  if (!protection) {
+    if (keyringAvailable()) {
+      createKey('safeStorage');
+    } else {
+      status = { state: 'setup', protection: 'passphrase' };
+    }
+    return getStatus();
+  }
+
+  if (protection === 'safeStorage') {
+    if (!keyringAvailable()) {
+      status = {
+        state: 'unavailable',
+        protection,
+        error: 'The OS keyring that protects your saved secrets is not available.'
+      };
+      return getStatus();
+    }
+    try {
+      installKey = Buffer.from(safeStorage.decryptString(Buffer.from(vault.get('wrappedKey'), 'base64')), 'base64');
+      status = { state: 'unlocked', protection };
+    } catch (err) {
+      status = { state: 'unavailable', protection, error: `Could not read the secret key from the OS keyring: ${err.message}` };
+    }
+    return getStatus();
+  }
+
+  status = { state: 'locked', protection: 'passphrase' };
+  return getStatus();
+}
+
+/**
+ * Unlock a passphrase-protected vault
+ */
+function unlock(passphrase) {
+  if (status.state !== 'locked') throw new Error('Secrets are not locked');
+  const kek = deriveKey(passphrase, Buffer.from(vault.get('salt'), 'base64'));
+  try {
+    installKey = Buffer.from(open(kek, vault.get('wrappedKey')), 'base64');
+  } catch {
+    throw new Error('Wrong passphrase');
+  }
+  status = { state: 'unlocked', protection: 'passphrase' };
+  return getStatus();
+}
+
+/**
+ * Create a passphrase-protected vault when there is no OS keyring. When an
+ * existing vault can't be opened any more ('unavailable'), this starts over and
+ * the secrets saved in it are lost.
+ */
+function setup(passphrase) {
+  if (status.state !== 'setup' && status.state !== 'unavailable') {
+    throw new Error('Secrets are already set up');
+  }
+  if (!passphrase || passphrase.length < 8) throw new Error('Passphrase must be at least 8 characters');
+  vault.clear();
+  createKey('passphrase', passphrase);
+  return getStatus();
+}
+
+function getStatus() {
+  return { ...status };
+}
+
+function isUnlocked() {
+  return status.state === 'unlocked';
+}
+
+function has(name) {
+  return Object.prototype.hasOwnProperty.call(vault.get('entries') || {}, name);
+}
+
+/**
+ * Decrypted value of a secret (any JSON value), or undefined when not set
+ */
+function get(name) {
+  if (!has(name)) return undefined;
+  requireUnlocked();
+  return JSON.parse(open(installKey, vault.get('entries')[name]));
+}
+
+/**
+ * Store a secret; null / undefined / '' removes it
+ */
+function set(name, value) {
+  if (value === undefined || value === null || value === '') {
+    remove(name);
+    return;
+  }
+  requireUnlocked();
+  vault.set('entries', { ...(vault.get('entries') || {}), [name]: seal(installKey, JSON.stringify(value)) });
+}
+
+function remove(name) {
+  const entries = { ...(vault.get('entries') || {}) };
+  delete entries[name];
+  vault.set('entries', entries);
+}
+
+function names() {
+  return Object.keys(vault.get('entries') || {});
+}
+
+function requireUnlocked() {
+  if (!isUnlocked()) {
+    throw new Error(status.state === 'unavailable'
+      ? status.error
+      : 'Secrets are locked. Enter your passphrase to unlock them.');
+  }
+}
+
+/**
+ * safeStorage is "available" on Linux even without a keyring, but then only
+ * obfuscates with a hard-coded password; treat that like no keyring at all.
+ */
+function keyringAvailable() {
+  if (!safeStorage.isEncryptionAvailable()) return false;
+  if (process.platform === 'linux' && typeof safeStorage.getSelectedStorageBackend === 'function') {
+    return safeStorage.getSelectedStorageBackend() !== 'basic_text';
+  }
+  return true;
+}
+
+function createKey(protection, passphrase) {
+  const key = crypto.randomBytes(KEY_BYTES);
+  if (protection === 'safeStorage') {
+    vault.set('wrappedKey', safeStorage.encryptString(key.toString('base64')).toString('base64'));
+  } else {
+    const salt = crypto.randomBytes(16);
+    vault.set('salt', salt.toString('base64'));
+    vault.set('wrappedKey', seal(deriveKey(passphrase, salt), key.toString('base64')));
+  }
+  vault.set('protection', protection);
+  if (!vault.has('entries')) vault.set('entries', {});
+  installKey = key;
+  status = { state: 'unlocked', protection };
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(String(passphrase), salt, KEY_BYTES, SCRYPT_OPTIONS);
+}
+
+// AES-256-GCM; sealed values are base64(iv | auth tag | ciphertext)
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function open(key, sealed) {
+  const raw = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(0, IV_BYTES));
+  decipher.setAuthTag(raw.subarray(IV_BYTES, IV_BYTES + 16));
+  return Buffer.concat([decipher.update(raw.subarray(IV_BYTES + 16)), decipher.final()]).toString('utf8');
+}
+
+module.exports = { init, unlock, setup, getStatus, isUnlocked, has, get, set, remove, names };
@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+
+// ──────────────────────────────────────────────
+// Request signing
+//
+// A request config's `signing` ({ type: 'aws-sigv4' | 'hmac' | 'digest', ... })
+// is applied here on every send, so each Bulk page and Enrich ID gets its own
+// signature and timestamp. Signatures cover the exact bytes that go on the
+// wire, so the body is serialized and the query string built up front.
+// ──────────────────────────────────────────────
+
+const SIGNING_TYPES = ['aws-sigv4', 'hmac', 'digest'];
+
+// Last Digest challenge per "<origin>|<username>", answered pre-emptively so
+// only the first request to a server needs the extra round trip
+const digestSessions = new Map();
+
+/**
+ * Fix the URL, body and content type a signed request will be sent with:
+ * params are appended to the URL, JSON and multipart bodies are serialized.
+ */
+async function prepareSignedRequest({ url, params, headers, body }) {
+  let finalUrl = url;
+  if (params && Object.keys(params).length > 0) {
+    const query = Object.entries(params).map(([key, value]) => `${encodeRfc3986(key)}=${encodeRfc3986(String(value))}`);
+    finalUrl += (finalUrl.includes('?') ? '&' : '?') + query.join('&');
+  }
+
+  let finalHeaders = { ...headers };
+  let finalBody = body;
+  if (body instanceof FormData) {
+    // Let fetch's encoder pick the boundary, then sign and send those exact bytes
+    const encoded = new Request('http://localhost/', { method: 'POST', body });
+    finalBody = Buffer.from(await encoded.arrayBuffer());
+    finalHeaders = setHeader(finalHeaders, 'Content-Type', encoded.headers.get('content-type'));
+  } else if (body !== undefined && body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+    finalBody = JSON.stringify(body);
+    if (!findHeader(finalHeaders, 'content-type')) finalHeaders['Content-Type'] = 'application/json';
+  }
+
+  return { url: finalUrl, headers: finalHeaders, body: finalBody };
+}
+
+/**
+ * Headers to send for one attempt of a signed request
+ */
+function signRequest(signing, { method, url, headers, body }) {
+  switch (signing.type) {
+    case 'aws-sigv4':
+      return signAwsV4(signing, { method, url, headers, body });
+    case 'hmac':
+      return signHmac(signing, { method, url, headers, body });
+    case 'digest':
+      return signDigest(signing, { method, url, headers, body });
+    default:
+      throw new Error(`Unknown signing type "${signing.type}"`);
+  }
+}
+
+/**
+ * Remember the Digest challenge of a 401 response. Returns true when the
+ * request should be sent again with an answer to it.
+ */
+function acceptDigestChallenge(signing, url, wwwAuthenticate) {
+  const challenge = parseDigestChallenge(wwwAuthenticate);
+  if (!challenge) return false;
+  const key = digestSessionKey(signing, url);
+  const previous = digestSessions.get(key);
+  // Same nonce refused again and not stale: the credentials are wrong
+  if (previous && previous.challenge.nonce === challenge.nonce && !/^true$/i.test(challenge.stale || '')) {
+    return false;
+  }
+  digestSessions.set(key, { challenge, count: 0 });
+  return true;
+}
+
+// ── AWS Signature Version 4 ──
+
+function signAwsV4(signing, { method, url, headers, body }) {
+  const { accessKeyId, secretAccessKey, sessionToken, region, service } = signing;
+  if (!accessKeyId || !secretAccessKey || !region || !service) {
+    throw new Error('AWS SigV4 signing needs an access key, secret key, region and service');
+  }
+
+  const target = new URL(url);
+  const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const date = amzDate.slice(0, 8);
+  const payloadHash = sha256Hex(body ?? '');
+
+  const signed = withoutHeaders(headers, ['x-amz-date', 'x-amz-security-token', 'x-amz-content-sha256', 'authorization']);
+  signed['X-Amz-Date'] = amzDate;
+  if (sessionToken) signed['X-Amz-Security-Token'] = sessionToken;
+  if (service === 's3') signed['X-Amz-Content-Sha256'] = payloadHash;
+
+  const canonical = { host: findHeader(headers, 'host')?.[1] || target.host };
+  for (const [key, value] of Object.entries(signed)) {
+    if (/^(x-amz-|content-type$)/i.test(key)) canonical[key.toLowerCase()] = String(value).trim().replace(/\s+/g, ' ');
+  }
+  const headerNames = Object.keys(canonical).sort();
+  const signedHeaders = headerNames.join(';');
+
+  // Paths are encoded twice for every service but S3
+  const encodeSegment = (segment) => {
+    const once = encodeRfc3986(safeDecode(segment));
+    return service === 's3' ? once : encodeRfc3986(once);
+  };
+  const canonicalUri = target.pathname.split('/').map(encodeSegment).join('/') || '/';
+  const canonicalQuery = target.search.slice(1).split('&').filter(Boolean)
+    .map(pair => {
+      const [key, ...value] = pair.split('=');
+      return [encodeRfc3986(safeDecode(key)), encodeRfc3986(safeDecode(value.join('=')))];
+    })
+    .sort(([a, x], [b, y]) => (a === b ? (x < y ? -1 : x > y ? 1 : 0) : a < b ? -1 : 1))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method.toUpperCase(),
+    canonicalUri,
+    canonicalQuery,
+    headerNames.map(name => `${name}:${canonical[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${date}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = ['aws4_request']
+    .reduce((key, part) => hmac(key, part), [date, region, service]
+      .reduce((key, part) => hmac(key, part), `AWS4${secretAccessKey}`));
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  signed.Authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+  return signed;
+}
+
+// ── HMAC header signature ──
+
+/**
+ * Signs a payload built from `payload`, e.g. "{timestamp}.{body}" or
+ * "{method}\n{path}\n{timestamp}\n{body}", and sends it in `header`
+ * (optionally with the timestamp in `timestampHeader`).
+ */
+function signHmac(signing, { method, url, headers, body }) {
+  const {
+    secret, algorithm = 'sha256', encoding = 'hex', header = 'X-Signature', prefix = '',
+    payload = '{timestamp}.{body}', timestampHeader = '', timestampFormat = 'unix'
+  } = signing;
+  if (!secret) throw new Error('HMAC signing needs a secret');
+
+  const now = new Date();
+  const timestamp = timestampFormat === 'iso' ? now.toISOString()
+    : timestampFormat === 'unix-ms' ? String(now.getTime())
+      : String(Math.floor(now.getTime() / 1000));
+  const target = new URL(url);
+  const values = {
+    method: method.toUpperCase(),
+    path: target.pathname + target.search,
+    timestamp,
+    body: body ?? ''
+  };
+  // Fed piece by piece so a binary body is signed byte for byte
+  const mac = crypto.createHmac(algorithm, secret);
+  for (const part of payload.replace(/\\n/g, '\n').split(/(\{(?:method|path|timestamp|body)\})/)) {
+    const name = part.match(/^\{(\w+)\}$/)?.[1];
+    mac.update(name ? values[name] : part);
+  }
+  const signature = mac.digest(encoding);
+
+  const signed = withoutHeaders(headers, [header, timestampHeader].filter(Boolean));
+  signed[header] = `${prefix}${signature}`;
+  if (timestampHeader) signed[timestampHeader] = timestamp;
+  return signed;
+}
+
+// ── HTTP Digest (RFC 7616) ──
+
+const DIGEST_HASHES = { MD5: 'md5', 'SHA-256': 'sha256', 'SHA-512-256': 'sha512-256' };
+
+function signDigest(signing, { method, url, headers, body }) {
+  const session = digestSessions.get(digestSessionKey(signing, url));
+  // No challenge yet: send as-is and answer the 401
+  if (!session) return headers;
+
+  const { challenge } = session;
+  const algorithm = (challenge.algorithm || 'MD5').toUpperCase();
+  const hashName = DIGEST_HASHES[algorithm.replace(/-SESS$/, '')];
+  if (!hashName) throw new Error(`Unsupported Digest algorithm ${challenge.algorithm}`);
+  const hash = (value) => crypto.createHash(hashName).update(value).digest('hex');
+
+  const target = new URL(url);
+  const uri = target.pathname + target.search;
+  const offered = (challenge.qop || '').split(',').map(q => q.trim());
+  const qop = offered.includes('auth') ? 'auth' : offered.includes('auth-int') ? 'auth-int' : null;
+  const nc = (++session.count).toString(16).padStart(8, '0');
+  const cnonce = crypto.randomBytes(8).toString('hex');
+
+  let ha1 = hash(`${signing.username || ''}:${challenge.realm || ''}:${signing.password || ''}`);
+  if (algorithm.endsWith('-SESS')) ha1 = hash(`${ha1}:${challenge.nonce}:${cnonce}`);
+  const ha2 = qop === 'auth-int'
+    ? hash(`${method.toUpperCase()}:${uri}:${hash(body ?? '')}`)
+    : hash(`${method.toUpperCase()}:${uri}`);
+  const response = qop
+    ? hash(`${ha1}:${challenge.nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+    : hash(`${ha1}:${challenge.nonce}:${ha2}`);
+
+  const fields = [
+    `username="${signing.username || ''}"`,
+    `realm="${challenge.realm || ''}"`,
+    `nonce="${challenge.nonce}"`,
+    `uri="${uri}"`,
+    `algorithm=${challenge.algorithm || 'MD5'}`,
+    `response="${response}"`
+  ];
+  if (qop) fields.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`);
+  if (challenge.opaque) fields.push(`opaque="${challenge.opaque}"`);
+
+  return { ...withoutHeaders(headers, ['authorization']), Authorization: `Digest ${fields.join(', ')}` };
+}
+
+/**
+ * The Digest challenge of a WWW-Authenticate header (which may list several schemes)
+ */
+function parseDigestChallenge(header) {
+  const value = Array.isArray(header) ? header.join(', ') : String(header || '');
+  const start = value.search(/\bDigest\s/i);
+  if (start === -1) return null;
+
+  // Parameters one after another; a new scheme name ("Basic realm=...") ends the Digest ones
+  const challenge = {};
+  const pattern = /\s*,?\s*(?:([A-Za-z][\w-]*)\s+(?=[\w-]+\s*=))?([\w-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]*))/y;
+  pattern.lastIndex = start + 'Digest'.length;
+  let match;
+  while ((match = pattern.exec(value)) && !match[1]) {
+    challenge[match[2].toLowerCase()] = match[3] !== undefined ? match[3].replace(/\\(.)/g, '$1') : match[4];
+  }
+  return challenge.nonce ? challenge : null;
+}
+
+function digestSessionKey(signing, url) {
+  return `${new URL(url).origin}|${signing.username || ''}`;
+}
+
+// ── Helpers ──
+
+function encodeRfc3986(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function safeDecode(str) {
+  try {
+    return decodeURIComponent(str);
+  } catch {
+    return str;
+  }
+}
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function findHeader(headers, name) {
+  return Object.entries(headers).find(([key]) => key.toLowerCase() === name.toLowerCase());
+}
+
+function setHeader(headers, name, value) {
+  return { ...withoutHeaders(headers, [name]), [name]: value };
+}
+
+function withoutHeaders(headers, names) {
+  const lower = names.map(name => name.toLowerCase());
+  return Object.fromEntries(Object.entries(headers).filter(([key]) => !lower.includes(key.toLowerCase())));
+}
+
+module.exports = { SIGNING_TYPES, prepareSignedRequest, signRequest, acceptDigestChallenge };
@@ -3,31 +3,60 @@ import useAppStore from './store/appStore';
 import Header from './components/Header';
 import CurlInput from './components/CurlInput';
 import RequestPreview from './components/RequestPreview';
+import SavedRequests from './components/SavedRequests';
 import ResponseViewer from './components/ResponseViewer';
 import ExportModal from './components/ExportModal';
 import BulkTransportModal from './components/BulkTransportModal';
+import HarImportModal from './components/HarImportModal';
+import PostmanImportModal from './components/PostmanImportModal';
+import OpenApiImportModal from './components/OpenApiImportModal';
+import EnvironmentsModal from './components/EnvironmentsModal';
+import AuthProfilesModal from './components/AuthProfilesModal';
+import CookieJarsModal from './components/CookieJarsModal';
+import TestRunnerModal from './components/TestRunnerModal';
+import SecretsUnlockModal from './components/SecretsUnlockModal';
 import Settings from './components/Settings';
 import StatusBar from './components/StatusBar';
 
 function App() {
-  const { showSettings, showExportModal, showBulkTransport, activeTab, setConfig, setGoogleAuth } = useAppStore();
+  const {
+    showSettings, showExportModal, showBulkTransport, harImport, postmanImport, openapiImport, activeTab, showLibrary,
+    setConfig, setGoogleAuth, setSavedRequests, restoreEnvironments, showEnvironments,
+    restoreAuthProfiles, showAuthProfiles, showCookieJars, testRunner,
+    secretsStatus, setSecretsStatus
+  } = useAppStore();
+
+  // Reloaded after the secrets are unlocked, which may migrate settings from an older version
+  async function loadConfig() {
+    if (!window.switchboard) return; // Dev mode without Electron
+    const keys = ['n8nWebhookUrl', 'googleClientId', 'googleScriptId', 'googleWebAppUrl'];
+    const config = {};
+    for (const key of keys) {
+      config[key] = await window.switchboard.getConfig(key) || '';
+    }
+    config.googleClientSecret = '';
+    config.hasGoogleClientSecret = await window.switchboard.hasSecret('googleClientSecret');
+    setConfig(config);
+    setSavedRequests(await window.switchboard.getConfig('savedRequests') || []);
+    restoreEnvironments(
+      await window.switchboard.getEnvironments(),
+      await window.switchboard.getConfig('activeEnvironmentId') || ''
+    );
+    restoreAuthProfiles(await window.switchboard.getAuthProfiles());
+
+    // Check Google auth status
+    const authStatus = await window.switchboard.googleAuthCheck();
+    setGoogleAuth(authStatus);
+  }
 
   // Load config on mount
   useEffect(() => {
-    async function loadConfig() {
-      if (!window.switchboard) return; // Dev mode without Electron
-      const keys = ['n8nWebhookUrl', 'googleClientId', 'googleClientSecret', 'googleScriptId', 'googleWebAppUrl'];
-      const config = {};
-      for (const key of keys) {
-        config[key] = await window.switchboard.getConfig(key) || '';
-      }
-      setConfig(config);
-
-      // Check Google auth status
-      const authStatus = await window.switchboard.googleAuthCheck();
-      setGoogleAuth(authStatus);
+    async function init() {
+      if (!window.switchboard) return;
+      setSecretsStatus(await window.switchboard.secretsStatus());
+      await loadConfig();
     }
-    loadConfig();
+    init();
   }, []);
 
   return (
@@ -35,7 +64,8 @@ function App() {
       <Header />
       <main className="app-main">
         {activeTab === 'input' && (
-          <div className="panels">
+          <div className={`panels ${showLibrary ? 'with-library' : ''}`}>
+            {showLibrary && <SavedRequests />}
             <CurlInput />
             <RequestPreview />
           </div>
@@ -45,7 +75,17 @@ function App() {
       <StatusBar />
       {showExportModal && <ExportModal />}
       {showBulkTransport && <BulkTransportModal />}
+      {harImport && <HarImportModal />}
+      {postmanImport && <PostmanImportModal />}
+      {openapiImport && <OpenApiImportModal />}
+      {showEnvironments && <EnvironmentsModal />}
+      {showAuthProfiles && <AuthProfilesModal />}
+      {showCookieJars && <CookieJarsModal />}
+      {testRunner && <TestRunnerModal />}
       {showSettings && <Settings />}
+      {secretsStatus && secretsStatus.state !== 'unlocked' && !secretsStatus.dismissed && (
+        <SecretsUnlockModal onUnlocked={loadConfig} />
+      )}
     </div>
   );
 }
@@ -0,0 +1,38 @@
+import React from 'react';
+import { assertionSummary } from '../utils/assertions';
+
+const OUTCOMES = {
+  true: { badge: 'success', text: 'PASS' },
+  false: { badge: 'error', text: 'FAIL' },
+  null: { badge: 'neutral', text: 'SKIP' }
+};
+
+/**
+ * Pass/fail list of a response's assertion checks
+ */
+function AssertionResults({ checks }) {
+  if (!checks || checks.length === 0) return null;
+  const { passed, failed, skipped } = assertionSummary(checks);
+
+  return (
+    <div className="assertion-results">
+      <div className="assertion-results-summary">
+        <span className={`status-badge ${failed > 0 ? 'error' : 'success'}`}>
+          {passed}/{checks.length} assertions passed
+        </span>
+        {skipped > 0 && <span className="settings-hint">{skipped} not checked</span>}
+      </div>
+      <ul>
+        {checks.map((check, idx) => (
+          <li key={check.id || idx}>
+            <span className={`status-badge ${OUTCOMES[check.passed].badge}`}>{OUTCOMES[check.passed].text}</span>
+            <span className="assertion-label">{check.label}</span>
+            {check.message && <span className="assertion-message">{check.message}</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default AssertionResults;
@@ -0,0 +1,115 @@
+import React from 'react';
+import { ASSERTION_TYPES, JSON_PATH_OPS, LENGTH_OPS, newAssertion } from '../utils/assertions';
+
+/**
+ * Editor for the checks run against the request's responses: one row per
+ * assertion, with the inputs of its type
+ */
+function AssertionsEditor({ assertions, onChange }) {
+  const update = (id, updates) => onChange(assertions.map(a => (a.id === id ? { ...a, ...updates } : a)));
+
+  return (
+    <>
+      {assertions.length > 0 && (
+        <table className="kv-table assertions-table">
+          <tbody>
+            {assertions.map(assertion => (
+              <tr key={assertion.id}>
+                <td>
+                  <select
+                    className="form-input"
+                    value={assertion.type}
+                    onChange={(e) => onChange(assertions.map(a => (a.id === assertion.id ? { ...newAssertion(e.target.value), id: a.id } : a)))}
+                  >
+                    {Object.entries(ASSERTION_TYPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                  </select>
+                </td>
+                <td>
+                  <AssertionSettings assertion={assertion} onUpdate={(updates) => update(assertion.id, updates)} />
+                </td>
+                <td>
+                  <button
+                    className="btn btn-small btn-ghost"
+                    onClick={() => onChange(assertions.filter(a => a.id !== assertion.id))}
+                    title="Remove this assertion"
+                  >
+                    x
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <button className="btn btn-small btn-ghost" onClick={() => onChange([...assertions, newAssertion()])}>
+        + Add assertion
+      </button>
+    </>
+  );
+}
+
+function AssertionSettings({ assertion, onUpdate }) {
+  const input = (key, props = {}) => (
+    <input
+      className="form-input"
+      type="text"
+      value={assertion[key]}
+      onChange={(e) => onUpdate({ [key]: props.type === 'number' ? e.target.valueAsNumber || 0 : e.target.value })}
+      {...props}
+    />
+  );
+
+  switch (assertion.type) {
+    case 'status':
+      return (
+        <div className="assertion-settings">
+          {input('min', { type: 'number', min: 100, max: 599 })}
+          <span>to</span>
+          {input('max', { type: 'number', min: 100, max: 599 })}
+        </div>
+      );
+    case 'header':
+      return <div className="assertion-settings">{input('name', { placeholder: 'Content-Type' })}</div>;
+    case 'jsonPath':
+      return (
+        <div className="assertion-settings">
+          {input('path', { placeholder: '$.data.status' })}
+          <select className="form-input" value={assertion.op} onChange={(e) => onUpdate({ op: e.target.value })}>
+            {Object.entries(JSON_PATH_OPS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          {assertion.op !== 'exists' && input('expected', { placeholder: assertion.op === 'matches' ? '^ok$' : '"active"' })}
+        </div>
+      );
+    case 'length':
+      return (
+        <div className="assertion-settings">
+          {input('path', { placeholder: '$.items' })}
+          <select className="form-input" value={assertion.op} onChange={(e) => onUpdate({ op: e.target.value })}>
+            {Object.entries(LENGTH_OPS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          {input('expected', { type: 'number', min: 0 })}
+        </div>
+      );
+    case 'time':
+      return (
+        <div className="assertion-settings">
+          <span>under</span>
+          {input('maxMs', { type: 'number', min: 1 })}
+          <span>ms</span>
+        </div>
+      );
+    case 'schema':
+      return (
+        <textarea
+          className="form-input enrich-curl-textarea"
+          value={assertion.schema}
+          onChange={(e) => onUpdate({ schema: e.target.value })}
+          rows={4}
+        />
+      );
+    default:
+      return null;
+  }
+}
+
+export default AssertionsEditor;
@@ -0,0 +1,299 @@
+import React, { useState } from 'react';
+import useAppStore from '../store/appStore';
+
+const GRANT_TYPES = {
+  client_credentials: 'Client credentials',
+  refresh_token: 'Refresh token',
+  password: 'Password'
+};
+
+/**
+ * OAuth2 auth profile editor. A request (or an Enrich run) that picks a profile
+ * gets its access token from the main process, which renews it before it
+ * expires and when the API answers 401, and only for the API hosts the profile
+ * lists. Client secrets, refresh tokens and passwords are write-only here: a
+ * saved one shows up empty.
+ */
+function AuthProfilesModal() {
+  const { authProfiles, setAuthProfiles, setShowAuthProfiles } = useAppStore();
+
+  const [drafts, setDrafts] = useState(() => JSON.parse(JSON.stringify(authProfiles)));
+  const [selectedId, setSelectedId] = useState(authProfiles[0]?.id || null);
+  const [error, setError] = useState(null);
+  const [testResult, setTestResult] = useState(null); // { success, message }
+
+  const selected = drafts.find(profile => profile.id === selectedId) || null;
+  const isSaved = selected && authProfiles.some(profile => profile.id === selected.id);
+
+  const updateSelected = (updates) => {
+    setDrafts(prev => prev.map(profile => (profile.id === selectedId ? { ...profile, ...updates } : profile)));
+    setTestResult(null);
+  };
+
+  const addProfile = () => {
+    const profile = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+      name: `Auth profile ${drafts.length + 1}`,
+      grantType: 'client_credentials',
+      tokenUrl: '',
+      clientId: '',
+      clientAuth: 'basic',
+      scope: '',
+      audience: '',
+      username: '',
+      allowedHosts: [],
+      saved: {}
+    };
+    setDrafts(prev => [...prev, profile]);
+    setSelectedId(profile.id);
+  };
+
+  // Saved secrets are dropped when the token URL or API hosts change (they must not follow
+  // the profile to another server), so they only count while both stay the same
+  const keepsSecrets = (profile) => {
+    const saved = authProfiles.find(p => p.id === profile.id);
+    return !!saved && saved.tokenUrl === profile.tokenUrl.trim() && apiHosts(saved).join() === apiHosts(profile).join();
+  };
+
+  const removeProfile = () => {
+    const remaining = drafts.filter(profile => profile.id !== selectedId);
+    setDrafts(remaining);
+    setSelectedId(remaining[0]?.id || null);
+  };
+
+  const handleSave = async () => {
+    for (const profile of drafts) {
+      if (!profile.name.trim()) {
+        setError('Every auth profile needs a name');
+        return;
+      }
+      if (!/^https?:\/\//i.test(profile.tokenUrl.trim())) {
+        setError(`"${profile.name}" needs an http(s) token URL`);
+        return;
+      }
+      if (profile.grantType === 'refresh_token' && !profile.refreshToken && !(profile.saved?.refreshToken && keepsSecrets(profile))) {
+        setError(`"${profile.name}" needs a refresh token`);
+        return;
+      }
+      if (apiHosts(profile).length === 0) {
+        setError(`"${profile.name}" needs the API hosts its token may be sent to`);
+        return;
+      }
+    }
+
+    try {
+      await setAuthProfiles(drafts.map(profile => ({
+        ...profile,
+        name: profile.name.trim(),
+        tokenUrl: profile.tokenUrl.trim(),
+        allowedHosts: apiHosts(profile)
+      })));
+      setShowAuthProfiles(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleTest = async () => {
+    setTestResult({ success: null, message: 'Requesting a token...' });
+    const result = await window.switchboard.testAuthProfile(selected.id);
+    setTestResult(result.success
+      ? { success: true, message: `Got a ${result.tokenType} token` }
+      : { success: false, message: result.error });
+  };
+
+  const secretField = (field, label) => (
+    <label className="form-label secret-input">
+      {label}
+      <input
+        className="form-input"
+        type="password"
+        value={selected[field] || ''}
+        onChange={(e) => updateSelected({ [field]: e.target.value })}
+        placeholder={!selected.saved?.[field] ? '' : keepsSecrets(selected)
+          ? 'Saved (encrypted) - type to replace'
+          : 'Enter again: the token URL or API hosts changed'}
+      />
+    </label>
+  );
+
+  return (
+    <div className="modal-overlay" onClick={() => setShowAuthProfiles(false)}>
+      <div className="modal modal-wide environments-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Auth Profiles</h2>
+          <button className="btn btn-ghost modal-close" onClick={() => setShowAuthProfiles(false)}>
+            X
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="modal-subtitle">
+            OAuth2 token sources for the APIs you fetch from. Pick a profile in the Request Preview and its
+            access token replaces the request's Authorization header, renewed automatically during long Bulk runs.
+          </p>
+
+          <div className="environments-layout">
+            <div className="environments-list">
+              {drafts.map(profile => (
+                <button
+                  key={profile.id}
+                  className={`environments-item ${profile.id === selectedId ? 'active' : ''}`}
+                  onClick={() => setSelectedId(profile.id)}
+                >
+                  {profile.name || '(unnamed)'}
+                </button>
+              ))}
+              <button className="btn btn-small btn-ghost" onClick={addProfile}>
+                + New
+              </button>
+            </div>
+
+            <div className="environments-editor">
+              {!selected ? (
+                <div className="empty-state"><p>Create an auth profile to get started.</p></div>
+              ) : (
+                <>
+                  <div className="environments-editor-header">
+                    <input
+                      className="form-input"
+                      type="text"
+                      value={selected.name}
+                      onChange={(e) => updateSelected({ name: e.target.value })}
+                      placeholder="Profile name"
+                    />
+                    <button className="btn btn-small btn-ghost" onClick={removeProfile}>
+                      Delete
+                    </button>
+                  </div>
+
+                  <div className="auth-profile-form">
+                    <label className="form-label">
+                      Grant type
+                      <select
+                        className="form-input"
+                        value={selected.grantType}
+                        onChange={(e) => updateSelected({ grantType: e.target.value })}
+                      >
+                        {Object.entries(GRANT_TYPES).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="form-label">
+                      Token URL
+                      <input
+                        className="form-input"
+                        type="text"
+                        value={selected.tokenUrl}
+                        onChange={(e) => updateSelected({ tokenUrl: e.target.value })}
+                        placeholder="https://auth.example.com/oauth/token"
+                      />
+                    </label>
+                    <label className="form-label">
+                      API hosts
+                      <input
+                        className="form-input"
+                        type="text"
+                        value={(selected.allowedHosts || []).join(', ')}
+                        onChange={(e) => updateSelected({ allowedHosts: e.target.value.split(',').map(host => host.trim()) })}
+                        placeholder="api.example.com, *.example.org"
+                        title="The token is only sent to requests for these hosts"
+                      />
+                    </label>
+                    <label className="form-label">
+                      Client ID
+                      <input
+                        className="form-input"
+                        type="text"
+                        value={selected.clientId}
+                        onChange={(e) => updateSelected({ clientId: e.target.value })}
+                      />
+                    </label>
+                    {secretField('clientSecret', 'Client secret')}
+                    <label className="form-label">
+                      Send client credentials
+                      <select
+                        className="form-input"
+                        value={selected.clientAuth}
+                        onChange={(e) => updateSelected({ clientAuth: e.target.value })}
+                      >
+                        <option value="basic">As a Basic Authorization header</option>
+                        <option value="body">In the request body</option>
+                      </select>
+                    </label>
+                    {selected.grantType === 'refresh_token' && secretField('refreshToken', 'Refresh token')}
+                    {selected.grantType === 'password' && (
+                      <>
+                        <label className="form-label">
+                          Username
+                          <input
+                            className="form-input"
+                            type="text"
+                            value={selected.username}
+                            onChange={(e) => updateSelected({ username: e.target.value })}
+                          />
+                        </label>
+                        {secretField('password', 'Password')}
+                      </>
+                    )}
+                    <label className="form-label">
+                      Scope
+                      <input
+                        className="form-input"
+                        type="text"
+                        value={selected.scope}
+                        onChange={(e) => updateSelected({ scope: e.target.value })}
+                        placeholder="optional, space separated"
+                      />
+                    </label>
+                    <label className="form-label">
+                      Audience
+                      <input
+                        className="form-input"
+                        type="text"
+                        value={selected.audience}
+                        onChange={(e) => updateSelected({ audience: e.target.value })}
+                        placeholder="optional (Auth0, Okta)"
+                      />
+                    </label>
+                  </div>
+
+                  {testResult && (
+                    <div className={`result-banner ${testResult.success ? 'success' : testResult.success === false ? 'error' : ''}`}>
+                      {testResult.message}
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="modal-footer har-import-actions">
+          {error && <div className="result-banner error">{error}</div>}
+          {isSaved && window.switchboard && (
+            <button className="btn btn-ghost" onClick={handleTest} title="Request a token with the saved settings">
+              Test
+            </button>
+          )}
+          <button className="btn btn-primary" onClick={handleSave}>
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * A profile's allowed hosts, cleaned up: lower case, without a pasted scheme,
+ * port or path, empty entries dropped
+ */
+function apiHosts(profile) {
+  return (profile.allowedHosts || [])
+    .map(host => host.trim().toLowerCase().replace(/^[a-z][a-z\d+.-]*:\/\//, '').replace(/[:/?#].*$/, ''))
+    .filter(Boolean);
+}
+
+export default AuthProfilesModal;
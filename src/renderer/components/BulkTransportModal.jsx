@@ -1,6 +1,11 @@
 import React, { useState, useRef, useEffect } from 'react';
 import useAppStore from '../store/appStore';
 import { parseCurl } from '../utils/curlParser';
+import { detectPaginationFromParams } from '../utils/paginationDetect';
+import { resolveRequest } from '../utils/environments';
+import { runRequestChain } from '../utils/requestChain';
+import { createCancelScope, cancelledResult, sleep } from '../utils/cancellation';
+import { endpointKey, formatDuration, summarizeLatency } from '../utils/latency';
 
 /**
  * Known response patterns for cursor-based pagination (mirrored from CurlInput)
@@ -57,16 +62,27 @@ function extractDataArray(data) {
   return null;
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+// Pagination used for list sources whose params don't reveal a pagination style
+const DEFAULT_SOURCE_PAGINATION = {
+  mode: 'none', hasDetected: false, currentPage: 1, perPage: 10,
+  pageParamName: 'page', perPageParamName: 'per_page', cursorParamName: null
+};
+
+// Transport log labels for entries that aren't a page
+const LOG_LABELS = { '-': 'TOTAL', login: 'Login', chain: 'Chain' };
+
+// Request list entries a "Request List" bulk run goes through (parsed, not excluded)
+const isBulkEntry = (entry) => entry.request && entry.bulk !== false;
 
 /**
  * Browser-mode fetch using Vite dev server proxy to bypass CORS.
  */
-async function browserFetch(requestConfig) {
+async function browserFetch(requestConfig, signal) {
   const { method, url, headers, data, params } = requestConfig;
   const startTime = Date.now();
+  if (requestConfig.authProfileId || requestConfig.signing || requestConfig.cookieJar) {
+    return { success: false, error: 'OAuth2 auth profiles, request signing and cookie jars require Electron mode.', code: 'BROWSER_FETCH_ERROR' };
+  }
   try {
     let fullUrl = url;
     if (params && Object.keys(params).length > 0) {
@@ -78,7 +94,7 @@ async function browserFetch(requestConfig) {
     const fetchHeaders = { ...(headers || {}) };
     delete fetchHeaders['Host'];
     delete fetchHeaders['host'];
-    const fetchOptions = { method: method || 'GET', headers: fetchHeaders };
+    const fetchOptions = { method: method || 'GET', headers: fetchHeaders, signal };
     if (data && method !== 'GET' && method !== 'HEAD') {
       fetchOptions.body = typeof data === 'string' ? data : JSON.stringify(data);
     }
@@ -94,9 +110,10 @@ async function browserFetch(requestConfig) {
     }
     return {
       success: true, status: response.status, statusText: response.statusText,
-      headers: responseHeaders, data: responseData, timing: Date.now() - startTime
+      headers: responseHeaders, data: responseData, timing: { total: Date.now() - startTime }
     };
   } catch (error) {
+    if (error.name === 'AbortError') return cancelledResult();
     return { success: false, error: error.message, code: 'BROWSER_FETCH_ERROR' };
   }
 }
@@ -106,7 +123,7 @@ async function browserFetch(requestConfig) {
  * The Apps Script must be deployed as a Web App with doPost().
  * This works from both browser and Electron — no OAuth needed.
  */
-async function sendToGoogleSheet(webAppUrl, dataArray, sheetName) {
+async function sendToGoogleSheet(webAppUrl, dataArray, sheetName, scope) {
   try {
     // Route through Vite CORS proxy in dev mode
     const isDev = window.location.hostname === 'localhost';
@@ -122,7 +139,8 @@ async function sendToGoogleSheet(webAppUrl, dataArray, sheetName) {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(payload),
-      redirect: 'follow'
+      redirect: 'follow',
+      signal: scope?.signal
     });
 
     // Google Apps Script Web Apps return redirects; follow them
@@ -142,6 +160,7 @@ async function sendToGoogleSheet(webAppUrl, dataArray, sheetName) {
       return { success: false, error: responseData?.error || `HTTP ${response.status}` };
     }
   } catch (err) {
+    if (err.name === 'AbortError') return cancelledResult();
     return { success: false, error: err.message };
   }
 }
@@ -149,7 +168,7 @@ async function sendToGoogleSheet(webAppUrl, dataArray, sheetName) {
 /**
  * Send data to n8n webhook
  */
-async function sendToN8n(webhookUrl, dataArray) {
+async function sendToN8n(webhookUrl, dataArray, scope) {
   try {
     const isDev = window.location.hostname === 'localhost';
     const fetchUrl = isDev ? `/api-proxy/${webhookUrl}` : webhookUrl;
@@ -161,13 +180,16 @@ async function sendToN8n(webhookUrl, dataArray) {
     };
 
     if (window.switchboard) {
-      return await window.switchboard.sendToN8n(webhookUrl, dataArray);
+      return scope
+        ? await scope.run(requestId => window.switchboard.sendToN8n(webhookUrl, dataArray, requestId))
+        : await window.switchboard.sendToN8n(webhookUrl, dataArray);
     }
 
     const response = await fetch(fetchUrl, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
+      body: JSON.stringify(payload),
+      signal: scope?.signal
     });
 
     if (response.ok) {
@@ -176,6 +198,7 @@ async function sendToN8n(webhookUrl, dataArray) {
       return { success: false, error: `HTTP ${response.status}` };
     }
   } catch (err) {
+    if (err.name === 'AbortError') return cancelledResult();
     return { success: false, error: err.message };
   }
 }
@@ -196,9 +219,10 @@ async function sendToN8n(webhookUrl, dataArray) {
  * @param {object} [options] - Optional settings
  * @param {number} [options.maxIds=Infinity] - Stop after collecting this many IDs
  * @param {{ current: boolean }} [options.cancelRef] - Ref to check for cancellation
+ * @param {AbortSignal} [options.signal] - Aborts the page request in flight
  */
 async function fetchIdsFromSheet(webAppUrl, sheetName, column, options = {}) {
-  const { maxIds = Infinity, cancelRef = null } = options;
+  const { maxIds = Infinity, cancelRef = null, signal } = options;
   const allIds = [];
   let start = 0;
   const limit = 500;
@@ -222,7 +246,12 @@ async function fetchIdsFromSheet(webAppUrl, sheetName, column, options = {}) {
     const url = `${webAppUrl}?${params.toString()}`;
     const fetchUrl = isDev ? `/api-proxy/${url}` : url;
 
-    const response = await fetch(fetchUrl, { redirect: 'follow' });
+    let response;
+    try {
+      response = await fetch(fetchUrl, { redirect: 'follow', signal });
+    } catch (err) {
+      throw err.name === 'AbortError' ? new Error('Cancelled') : err;
+    }
     let data;
     const contentType = response.headers.get('content-type') || '';
     if (contentType.includes('application/json')) {
@@ -255,7 +284,7 @@ async function fetchIdsFromSheet(webAppUrl, sheetName, column, options = {}) {
  * Send enrichment data to Google Sheet in merge mode.
  * Matches rows by keyColumn and appends new columns.
  */
-async function sendMergeToSheet(webAppUrl, dataArray, sheetName, keyColumn) {
+async function sendMergeToSheet(webAppUrl, dataArray, sheetName, keyColumn, scope) {
   try {
     const isDev = window.location.hostname === 'localhost';
     const fetchUrl = isDev ? `/api-proxy/${webAppUrl}` : webAppUrl;
@@ -271,7 +300,8 @@ async function sendMergeToSheet(webAppUrl, dataArray, sheetName, keyColumn) {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(payload),
-      redirect: 'follow'
+      redirect: 'follow',
+      signal: scope?.signal
     });
 
     let responseData;
@@ -289,6 +319,7 @@ async function sendMergeToSheet(webAppUrl, dataArray, sheetName, keyColumn) {
       return { success: false, error: responseData?.error || `HTTP ${response.status}` };
     }
   } catch (err) {
+    if (err.name === 'AbortError') return cancelledResult();
     return { success: false, error: err.message };
   }
 }
@@ -338,23 +369,28 @@ function buildRequestFromTemplate(parsedTemplate, id) {
 function BulkTransportModal() {
   const {
     setShowBulkTransport, bulkTransport, setBulkTransport, resetBulkTransport,
-    parsedRequest, pagination, config, rateLimit,
-    enrichment, setEnrichment, resetEnrichment
+    parsedRequest, pagination, config, rateLimit, requestList,
+    enrichment, setEnrichment, resetEnrichment, authProfiles, requestChain
   } = useAppStore();
 
   // Workflow mode: 'choose' | 'bulk' | 'enrich'
-  const [workflowMode, setWorkflowMode] = useState('choose');
+  // Opening from the request list skips straight to the bulk flow
+  const [workflowMode, setWorkflowMode] = useState(() =>
+    useAppStore.getState().bulkTransport.source === 'list' ? 'bulk' : 'choose'
+  );
 
   const [target, setTarget] = useState(null); // null | 'gsheet' | 'n8n'
   const [localWebAppUrl, setLocalWebAppUrl] = useState(config.googleWebAppUrl || '');
   const [localWebhook, setLocalWebhook] = useState(config.n8nWebhookUrl || '');
   const [localSheetName, setLocalSheetName] = useState('API_Data');
   const cancelRef = useRef(false);
+  const cancelScopeRef = useRef(null); // aborts the page fetch / send in flight
   const pauseRef = useRef(false);
   const logEndRef = useRef(null);
 
   // Enrichment-specific refs
   const enrichCancelRef = useRef(false);
+  const enrichCancelScopeRef = useRef(null);
   const enrichPauseRef = useRef(false);
   const enrichLogEndRef = useRef(null);
 
@@ -363,6 +399,8 @@ function BulkTransportModal() {
   const [enrichSourceSheet, setEnrichSourceSheet] = useState('');
   const [enrichKeyColumn, setEnrichKeyColumn] = useState('id');
   const [enrichCurlTemplate, setEnrichCurlTemplate] = useState('');
+  const [enrichAuthProfileId, setEnrichAuthProfileId] = useState(parsedRequest?.authProfileId || '');
+  const [enrichUseRequestSigning, setEnrichUseRequestSigning] = useState(!!parsedRequest?.signing);
   const [enrichWriteMode, setEnrichWriteMode] = useState('merge'); // 'merge' | 'new'
   const [enrichDestSheet, setEnrichDestSheet] = useState('');
   const [enrichBatchSize, setEnrichBatchSize] = useState(50);
@@ -384,12 +422,10 @@ function BulkTransportModal() {
 
   const handleClose = () => {
     if (bulkTransport.isRunning) {
-      cancelRef.current = true;
-      setBulkTransport({ isCancelled: true });
+      handleCancel();
     }
     if (enrichment.isRunning) {
-      enrichCancelRef.current = true;
-      setEnrichment({ isCancelled: true });
+      handleEnrichCancel();
     }
     setTimeout(() => {
       setShowBulkTransport(false);
@@ -411,6 +447,7 @@ function BulkTransportModal() {
 
   const handleCancel = () => {
     cancelRef.current = true;
+    cancelScopeRef.current?.cancel();
     setBulkTransport({ isCancelled: true });
   };
 
@@ -437,6 +474,8 @@ function BulkTransportModal() {
   const startEnrichment = async (resumeFrom = 0) => {
     enrichCancelRef.current = false;
     enrichPauseRef.current = false;
+    const scope = createCancelScope();
+    enrichCancelScopeRef.current = scope;
 
     // Parse the cURL template
     let parsedTemplate;
@@ -447,6 +486,9 @@ function BulkTransportModal() {
       return;
     }
 
+    // Environment values are fixed for the whole run
+    const variables = useAppStore.getState().getActiveVariables();
+
     // parseCurl may URL-encode {id} to %7Bid%7D — decode it back
     parsedTemplate.url = decodeURIComponent(parsedTemplate.url);
 
@@ -488,7 +530,8 @@ function BulkTransportModal() {
         const maxIdLimit = enrichMaxIds && parseInt(enrichMaxIds, 10) > 0 ? parseInt(enrichMaxIds, 10) : Infinity;
         idList = await fetchIdsFromSheet(enrichWebAppUrl, enrichSourceSheet, enrichKeyColumn, {
           maxIds: maxIdLimit,
-          cancelRef: enrichCancelRef
+          cancelRef: enrichCancelRef,
+          signal: scope.signal
         });
       } catch (err) {
         addEnrichLog({ id: '-', status: `Error fetching IDs: ${err.message}` });
@@ -513,6 +556,7 @@ function BulkTransportModal() {
     let batch = [];
     let batchNum = 0;
     let processedCount = resumeFrom;
+    let batchStart = resumeFrom; // first ID whose result isn't in the sheet yet
     let errors = resumeFrom > 0 ? [...useAppStore.getState().enrichment.errors] : [];
 
     for (let i = resumeFrom; i < idList.length; i++) {
@@ -538,11 +582,15 @@ function BulkTransportModal() {
 
       // Rate limit delay
       if (i > resumeFrom) {
-        await sleep(enrichDelayMs);
+        await sleep(enrichDelayMs, scope.signal);
+        if (enrichCancelRef.current) break;
       }
 
-      // Build request for this ID
-      const requestConfig = buildRequestFromTemplate(parsedTemplate, id);
+      // Build request for this ID, then fill in {{variables}} from the active environment
+      const template = buildRequestFromTemplate(parsedTemplate, id);
+      if (enrichUseRequestSigning && parsedRequest?.signing) template.signing = parsedRequest.signing;
+      const requestConfig = resolveRequest(template, variables);
+      if (enrichAuthProfileId) requestConfig.authProfileId = enrichAuthProfileId;
 
       // Fetch with retry
       let result = null;
@@ -554,9 +602,9 @@ function BulkTransportModal() {
 
         try {
           if (window.switchboard) {
-            result = await window.switchboard.executeRequest(requestConfig);
+            result = await scope.run(requestId => window.switchboard.executeRequest(requestConfig, requestId, { fullBody: true }));
           } else {
-            result = await browserFetch(requestConfig);
+            result = await browserFetch(requestConfig, scope.signal);
           }
 
           if (result.status === 429 && retries < maxRetries) {
@@ -565,14 +613,14 @@ function BulkTransportModal() {
             let waitMs = retryAfter ? parseInt(retryAfter, 10) * 1000 : Math.min(2000 * Math.pow(2, retries - 1), 30000);
             if (isNaN(waitMs)) waitMs = 2000 * retries;
             addEnrichLog({ id, status: `Rate limited (retry ${retries}, waiting ${Math.round(waitMs/1000)}s)` });
-            await sleep(waitMs);
+            await sleep(waitMs, scope.signal);
             continue;
           }
           break;
         } catch (err) {
           if (retries < maxRetries) {
             retries++;
-            await sleep(2000 * retries);
+            await sleep(2000 * retries, scope.signal);
             continue;
           }
           result = { success: false, error: err.message };
@@ -633,7 +681,12 @@ function BulkTransportModal() {
 
         try {
           const writeSheet = enrichWriteMode === 'new' && enrichDestSheet ? enrichDestSheet : enrichSourceSheet;
-          const sendResult = await sendMergeToSheet(enrichWebAppUrl, batch, writeSheet, enrichKeyColumn);
+          const sendResult = await sendMergeToSheet(enrichWebAppUrl, batch, writeSheet, enrichKeyColumn, scope);
+          if (sendResult.cancelled) {
+            addEnrichLog({ id: '-', status: `Batch ${batchNum} cancelled while sending` });
+            batchNum--;
+            break;
+          }
           if (sendResult.success) {
             addEnrichLog({ id: '-', status: `Batch ${batchNum} merged: ${sendResult.result}` });
           } else {
@@ -648,6 +701,7 @@ function BulkTransportModal() {
         }
 
         batch = [];
+        batchStart = i + 1;
       }
     }
 
@@ -659,8 +713,10 @@ function BulkTransportModal() {
 
       try {
         const writeSheet = enrichWriteMode === 'new' && enrichDestSheet ? enrichDestSheet : enrichSourceSheet;
-        const sendResult = await sendMergeToSheet(enrichWebAppUrl, batch, writeSheet, enrichKeyColumn);
-        if (sendResult.success) {
+        const sendResult = await sendMergeToSheet(enrichWebAppUrl, batch, writeSheet, enrichKeyColumn, scope);
+        if (sendResult.cancelled) {
+          addEnrichLog({ id: '-', status: 'Final batch cancelled while sending' });
+        } else if (sendResult.success) {
           addEnrichLog({ id: '-', status: `Final batch merged: ${sendResult.result}` });
         } else {
           errors.push({ id: `batch-${batchNum}`, error: sendResult.error });
@@ -677,12 +733,14 @@ function BulkTransportModal() {
     const status = wasCancelled ? 'Cancelled' :
       errors.length > 0 ? `Completed with ${errors.length} error(s)` : 'Completed';
 
+    // A cancelled run resumes from the first ID of the batch that was never written
+    const resumeIndex = wasCancelled ? batchStart : processedCount;
     addEnrichLog({ id: '-', status: `DONE: ${status}. ${processedCount}/${idList.length} IDs processed, ${batchNum} batches sent.` });
     setEnrichment({
       isRunning: false,
-      processedIds: processedCount,
+      processedIds: resumeIndex,
       completedAt: wasCancelled ? null : new Date().toISOString(),
-      lastProcessedIndex: processedCount,
+      lastProcessedIndex: resumeIndex,
     });
   };
 
@@ -708,27 +766,79 @@ function BulkTransportModal() {
 
   const handleEnrichCancel = () => {
     enrichCancelRef.current = true;
+    enrichCancelScopeRef.current?.cancel();
     setEnrichment({ isCancelled: true });
   };
 
+  /**
+   * Send a bulk run's login request (e.g. a form POST that answers with a
+   * session cookie). Returns the cookie jar holding the session, or null
+   * when the login failed or was cancelled.
+   */
+  const runLoginStep = async (loginCurl, variables, scope) => {
+    let loginRequest;
+    try {
+      loginRequest = parseCurl(loginCurl);
+    } catch (err) {
+      addLog({ page: 'login', items: 0, status: `error parsing login cURL: ${err.message}` });
+      setBulkTransport({ errors: [{ page: 'login', error: err.message }] });
+      return null;
+    }
+
+    const cookieJar = loginRequest.cookieJar || 'default';
+    const requestConfig = resolveRequest({ ...loginRequest, cookieJar }, variables);
+    const result = await scope.run(requestId => window.switchboard.executeRequest(requestConfig, requestId, { fullBody: true }));
+
+    if (result.cancelled) {
+      addLog({ page: 'login', items: 0, status: 'cancelled' });
+      return null;
+    }
+    if (!result.success || result.status >= 400) {
+      const error = result.success ? `HTTP ${result.status}` : result.error;
+      addLog({ page: 'login', items: 0, status: `login error: ${error}` });
+      setBulkTransport({ errors: [{ page: 'login', error }] });
+      return null;
+    }
+    addLog({ page: 'login', items: 0, status: `logged in (HTTP ${result.status}), cookies kept in the "${cookieJar}" jar` });
+    return cookieJar;
+  };
+
   /**
    * Core bulk transport engine.
    * Fetches pages one by one, sends each page's data to the destination.
    */
   const startTransport = async () => {
     const state = useAppStore.getState();
-    const { parsedRequest, pagination, rateLimit } = state;
+    const { rateLimit } = state;
     const bt = state.bulkTransport;
 
-    if (!parsedRequest) return;
+    // Either the current request with its pagination state, or every request in the list
+    // (unless excluded from bulk) with pagination from its import hint or detected from its own query params
+    const sources = bt.source === 'list'
+      ? state.requestList.filter(isBulkEntry).map(entry => ({
+          name: entry.name,
+          request: entry.request,
+          pagination: {
+            ...DEFAULT_SOURCE_PAGINATION,
+            ...(entry.pagination || detectPaginationFromParams(entry.request.params) || {})
+          }
+        }))
+      : [{ name: null, request: state.parsedRequest, pagination: state.pagination, chain: state.requestChain }];
+
+    if (sources.length === 0 || !sources[0].request) return;
+
+    // Environment values are fixed for the whole run
+    const variables = state.getActiveVariables();
 
     cancelRef.current = false;
     pauseRef.current = false;
+    const scope = createCancelScope();
+    cancelScopeRef.current = scope;
 
     setBulkTransport({
       isRunning: true, isPaused: false, isCancelled: false,
       currentPage: 0, totalPagesSent: 0, totalItemsSent: 0,
-      errors: [], log: [], startedAt: new Date().toISOString(), completedAt: null,
+      errors: [], log: [], latency: {}, startedAt: new Date().toISOString(), completedAt: null,
     });
 
     // Save config
@@ -739,242 +849,302 @@ function BulkTransportModal() {
       await window.switchboard.setConfig('n8nWebhookUrl', localWebhook);
     }
 
-    let pageNum = 0;
+    // Login step: sent once before the first page; the session cookies it gets reach
+    // every page through the cookie jar they share
+    if (window.switchboard && bt.loginCurl.trim()) {
+      const loginJar = await runLoginStep(bt.loginCurl, variables, scope);
+      if (!loginJar) {
+        setBulkTransport({ isRunning: false, completedAt: new Date().toISOString() });
+        return;
+      }
+      const withJar = (request) => (request && !request.cookieJar ? { ...request, cookieJar: loginJar } : request);
+      for (const source of sources) {
+        source.request = withJar(source.request);
+        source.chain = source.chain?.map(step => ({ ...step, request: withJar(step.request) }));
+      }
+    }
+
     let totalItems = 0;
     let totalPages = 0;
-    let nextPageUrl = null;
-    let nextCursor = null;
-    let isFirstPage = true;
-    let reachedEnd = false;
     let errors = [];
+    const latency = {}; // endpoint -> response times of every attempt, for p50 / p95
 
     const maxPages = bt.mode === 'pages' ? bt.maxPages : 9999;
 
-    while (!reachedEnd && pageNum < maxPages) {
-      // Check cancel
-      if (cancelRef.current) {
-        addLog({ page: pageNum + 1, items: 0, status: 'cancelled' });
-        break;
-      }
+    for (let sourceIdx = 0; sourceIdx < sources.length; sourceIdx++) {
+      if (cancelRef.current) break;
 
-      // Check pause
-      while (pauseRef.current && !cancelRef.current) {
-        await sleep(500);
-      }
-      if (cancelRef.current) {
-        addLog({ page: pageNum + 1, items: 0, status: 'cancelled' });
-        break;
+      const { name: sourceName, request: parsedRequest, pagination, chain } = sources[sourceIdx];
+      // Log entries carry the request name when transporting the whole list
+      const addSourceLog = (entry) => addLog(sourceName ? { ...entry, source: sourceName } : entry);
+
+      // Request chain: sent once before the first page; what it extracts fills every page
+      let sourceVariables = variables;
+      if (chain?.length > 0) {
+        const run = await runRequestChain(chain, variables, (config) => (window.switchboard
+          ? scope.run(requestId => window.switchboard.executeRequest(config, requestId, { fullBody: true }))
+          : browserFetch(config, scope.signal)));
+        if (!run.success) {
+          if (!run.cancelled) {
+            errors.push({ page: 'chain', error: run.error });
+            setBulkTransport({ errors: [...errors] });
+          }
+          addSourceLog({ page: 'chain', items: 0, status: run.cancelled ? 'cancelled' : `chain error: ${run.error}` });
+          continue;
+        }
+        const names = Object.keys(run.variables);
+        addSourceLog({ page: 'chain', items: 0, status: `${run.steps.length} steps sent${names.length ? `, extracted ${names.join(', ')}` : ''}` });
+        sourceVariables = { ...variables, ...run.variables };
       }
 
-      pageNum++;
-      setBulkTransport({ currentPage: pageNum });
+      let pageNum = 0;
+      let nextPageUrl = null;
+      let nextCursor = null;
+      let isFirstPage = true;
+      let reachedEnd = false;
 
-      // Build request config for this page
-      let requestConfig;
+      while (!reachedEnd && pageNum < maxPages) {
+        // Check cancel
+        if (cancelRef.current) {
+          addSourceLog({ page: pageNum + 1, items: 0, status: 'cancelled' });
+          break;
+        }
 
-      if (pagination.mode === 'cursor') {
-        if (isFirstPage) {
-          // First page: use original URL
-          requestConfig = {
-            ...parsedRequest,
-            params: {
-              ...(parsedRequest.params || {}),
-              [pagination.perPageParamName]: String(pagination.perPage)
-            }
-          };
-        } else if (nextPageUrl) {
-          // Full URL cursor (Workable, Facebook style)
-          requestConfig = {
-            ...parsedRequest,
-            url: nextPageUrl,
-            params: {}
-          };
-        } else if (nextCursor && pagination.cursorParamName) {
-          // Token cursor
+        // Check pause
+        while (pauseRef.current && !cancelRef.current) {
+          await sleep(500);
+        }
+        if (cancelRef.current) {
+          addSourceLog({ page: pageNum + 1, items: 0, status: 'cancelled' });
+          break;
+        }
+
+        pageNum++;
+        setBulkTransport({ currentPage: pageNum });
+
+        // Build request config for this page
+        let requestConfig;
+
+        if (pagination.mode === 'cursor') {
+          if (isFirstPage) {
+            // First page: use original URL
+            requestConfig = {
+              ...parsedRequest,
+              params: {
+                ...(parsedRequest.params || {}),
+                [pagination.perPageParamName]: String(pagination.perPage)
+              }
+            };
+          } else if (nextPageUrl) {
+            // Full URL cursor (Workable, Facebook style)
+            requestConfig = {
+              ...parsedRequest,
+              url: nextPageUrl,
+              params: {}
+            };
+          } else if (nextCursor && pagination.cursorParamName) {
+            // Token cursor
+            requestConfig = {
+              ...parsedRequest,
+              params: {
+                ...(parsedRequest.params || {}),
+                [pagination.cursorParamName]: nextCursor,
+                [pagination.perPageParamName]: String(pagination.perPage)
+              }
+            };
+          } else if (!isFirstPage) {
+            // No more pages
+            reachedEnd = true;
+            break;
+          }
+        } else if (pagination.mode === 'page') {
           requestConfig = {
             ...parsedRequest,
             params: {
               ...(parsedRequest.params || {}),
-              [pagination.cursorParamName]: nextCursor,
+              [pagination.pageParamName]: String(pageNum),
               [pagination.perPageParamName]: String(pagination.perPage)
             }
           };
-        } else if (!isFirstPage) {
-          // No more pages
+        } else {
+          // No pagination mode - just fetch once
+          requestConfig = { ...parsedRequest };
           reachedEnd = true;
-          break;
         }
-      } else if (pagination.mode === 'page') {
-        requestConfig = {
-          ...parsedRequest,
-          params: {
-            ...(parsedRequest.params || {}),
-            [pagination.pageParamName]: String(pageNum),
-            [pagination.perPageParamName]: String(pagination.perPage)
-          }
-        };
-      } else {
-        // No pagination mode - just fetch once
-        requestConfig = { ...parsedRequest };
-        reachedEnd = true;
-      }
 
-      isFirstPage = false;
+        isFirstPage = false;
 
-      // Rate limit delay
-      if (pageNum > 1 && rateLimit.delayMs > 0) {
-        setBulkTransport({ currentPage: pageNum });
-        await sleep(rateLimit.delayMs);
-      }
+        // Rate limit delay
+        if ((pageNum > 1 || sourceIdx > 0) && rateLimit.delayMs > 0) {
+          setBulkTransport({ currentPage: pageNum });
+          await sleep(rateLimit.delayMs, scope.signal);
+        }
 
-      // Fetch page with retry
-      let result = null;
-      let retries = 0;
-      const maxRetries = rateLimit.retryOn429 ? rateLimit.maxRetries : 0;
+        // Fill in {{variables}} from the active environment and the request chain
+        requestConfig = resolveRequest(requestConfig, sourceVariables);
 
-      while (true) {
-        if (cancelRef.current) break;
+        // Fetch page with retry
+        let result = null;
+        let retries = 0;
+        const maxRetries = rateLimit.retryOn429 ? rateLimit.maxRetries : 0;
 
-        try {
-          if (window.switchboard) {
-            result = await window.switchboard.executeRequest(requestConfig);
-          } else {
-            result = await browserFetch(requestConfig);
-          }
+        while (true) {
+          if (cancelRef.current) break;
 
-          if (result.status === 429 && retries < maxRetries) {
-            retries++;
-            const retryAfter = result.headers?.['retry-after'];
-            let waitMs = retryAfter ? parseInt(retryAfter, 10) * 1000 : Math.min(2000 * Math.pow(2, retries - 1), 30000);
-            if (isNaN(waitMs)) waitMs = 2000 * retries;
-            addLog({ page: pageNum, items: 0, status: `rate-limited (retry ${retries}, waiting ${Math.round(waitMs/1000)}s)` });
-            await sleep(waitMs);
-            continue;
+          try {
+            if (window.switchboard) {
+              result = await scope.run(requestId => window.switchboard.executeRequest(requestConfig, requestId, { fullBody: true }));
+            } else {
+              result = await browserFetch(requestConfig, scope.signal);
+            }
+
+            if (result.timing) {
+              const key = endpointKey(requestConfig);
+              latency[key] = [...(latency[key] || []), result.timing.total];
+              setBulkTransport({ latency: { ...latency } });
+            }
+
+            if (result.status === 429 && retries < maxRetries) {
+              retries++;
+              const retryAfter = result.headers?.['retry-after'];
+              let waitMs = retryAfter ? parseInt(retryAfter, 10) * 1000 : Math.min(2000 * Math.pow(2, retries - 1), 30000);
+              if (isNaN(waitMs)) waitMs = 2000 * retries;
+              addSourceLog({ page: pageNum, items: 0, status: `rate-limited (retry ${retries}, waiting ${Math.round(waitMs/1000)}s)` });
+              await sleep(waitMs, scope.signal);
+              continue;
+            }
+            break;
+          } catch (err) {
+            if (retries < maxRetries) {
+              retries++;
+              await sleep(2000 * retries, scope.signal);
+              continue;
+            }
+            result = { success: false, error: err.message };
+            break;
           }
+        }
+
+        if (cancelRef.current) {
+          addSourceLog({ page: pageNum, items: 0, status: 'cancelled' });
           break;
-        } catch (err) {
-          if (retries < maxRetries) {
-            retries++;
-            await sleep(2000 * retries);
-            continue;
+        }
+
+        if (!result || !result.success) {
+          const errMsg = result?.error || 'Unknown fetch error';
+          errors.push({ page: pageNum, error: errMsg });
+          addSourceLog({ page: pageNum, items: 0, status: `fetch error: ${errMsg}` });
+          setBulkTransport({ errors: [...errors] });
+          // Continue to next page for non-fatal errors, but stop on network errors
+          if (errMsg.includes('Network error') || errMsg.includes('BROWSER_FETCH_ERROR')) {
+            reachedEnd = true;
           }
-          result = { success: false, error: err.message };
-          break;
+          continue;
         }
-      }
 
-      if (cancelRef.current) break;
+        // Extract the data array from response
+        let dataArray = extractDataArray(result.data);
 
-      if (!result || !result.success) {
-        const errMsg = result?.error || 'Unknown fetch error';
-        errors.push({ page: pageNum, error: errMsg });
-        addLog({ page: pageNum, items: 0, status: `fetch error: ${errMsg}` });
-        setBulkTransport({ errors: [...errors] });
-        // Continue to next page for non-fatal errors, but stop on network errors
-        if (errMsg.includes('Network error') || errMsg.includes('BROWSER_FETCH_ERROR')) {
+        if (!dataArray || dataArray.length === 0) {
+          addSourceLog({ page: pageNum, items: 0, status: 'empty page - stopping' });
           reachedEnd = true;
+          break;
         }
-        continue;
-      }
-
-      // Extract the data array from response
-      let dataArray = extractDataArray(result.data);
-
-      if (!dataArray || dataArray.length === 0) {
-        addLog({ page: pageNum, items: 0, status: 'empty page - stopping' });
-        reachedEnd = true;
-        break;
-      }
-
-      // Date range filtering
-      const btState = useAppStore.getState().bulkTransport;
-      if (btState.mode === 'dateRange' && btState.dateField && (btState.dateFrom || btState.dateTo)) {
-        const fromDate = btState.dateFrom ? new Date(btState.dateFrom) : null;
-        const toDate = btState.dateTo ? new Date(btState.dateTo) : null;
-
-        const originalCount = dataArray.length;
-        dataArray = dataArray.filter(item => {
-          const fieldVal = item[btState.dateField];
-          if (!fieldVal) return false;
-          const itemDate = new Date(fieldVal);
-          if (isNaN(itemDate.getTime())) return false;
-          if (fromDate && itemDate < fromDate) return false;
-          if (toDate && itemDate > toDate) return false;
-          return true;
-        });
 
-        // If all items on this page are before the from-date, we might be done
-        // (assuming API returns newest first)
-        if (dataArray.length === 0 && fromDate) {
-          // Check if any items were before the range entirely
-          const anyBefore = extractDataArray(result.data)?.some(item => {
-            const d = new Date(item[btState.dateField]);
-            return !isNaN(d.getTime()) && d < fromDate;
+        // Date range filtering
+        const btState = useAppStore.getState().bulkTransport;
+        if (btState.mode === 'dateRange' && btState.dateField && (btState.dateFrom || btState.dateTo)) {
+          const fromDate = btState.dateFrom ? new Date(btState.dateFrom) : null;
+          const toDate = btState.dateTo ? new Date(btState.dateTo) : null;
+
+          const originalCount = dataArray.length;
+          dataArray = dataArray.filter(item => {
+            const fieldVal = item[btState.dateField];
+            if (!fieldVal) return false;
+            const itemDate = new Date(fieldVal);
+            if (isNaN(itemDate.getTime())) return false;
+            if (fromDate && itemDate < fromDate) return false;
+            if (toDate && itemDate > toDate) return false;
+            return true;
           });
-          if (anyBefore) {
-            addLog({ page: pageNum, items: 0, status: 'all items outside date range - stopping' });
-            reachedEnd = true;
-            break;
+
+          // If all items on this page are before the from-date, we might be done
+          // (assuming API returns newest first)
+          if (dataArray.length === 0 && fromDate) {
+            // Check if any items were before the range entirely
+            const anyBefore = extractDataArray(result.data)?.some(item => {
+              const d = new Date(item[btState.dateField]);
+              return !isNaN(d.getTime()) && d < fromDate;
+            });
+            if (anyBefore) {
+              addSourceLog({ page: pageNum, items: 0, status: 'all items outside date range - stopping' });
+              reachedEnd = true;
+              break;
+            }
           }
-        }
 
-        if (dataArray.length === 0) {
-          addLog({ page: pageNum, items: 0, status: `0/${originalCount} items matched date range - skipping` });
-          // Continue to next page, items might match later
+          if (dataArray.length === 0) {
+            addSourceLog({ page: pageNum, items: 0, status: `0/${originalCount} items matched date range - skipping` });
+            // Continue to next page, items might match later
+          }
         }
-      }
 
-      // Send data to destination
-      if (dataArray.length > 0) {
-        let sendResult;
-        try {
-          if (target === 'gsheet') {
-            sendResult = await sendToGoogleSheet(localWebAppUrl, dataArray, localSheetName);
-          } else if (target === 'n8n') {
-            sendResult = await sendToN8n(localWebhook, dataArray);
-          }
+        // Send data to destination
+        if (dataArray.length > 0) {
+          let sendResult;
+          try {
+            if (target === 'gsheet') {
+              sendResult = await sendToGoogleSheet(localWebAppUrl, dataArray, localSheetName, scope);
+            } else if (target === 'n8n') {
+              sendResult = await sendToN8n(localWebhook, dataArray, scope);
+            }
 
-          if (sendResult && sendResult.success) {
-            totalItems += dataArray.length;
-            totalPages++;
-            addLog({ page: pageNum, items: dataArray.length, status: 'sent' });
-            setBulkTransport({ totalPagesSent: totalPages, totalItemsSent: totalItems });
-          } else {
-            const errMsg = sendResult?.error || 'Send failed';
-            errors.push({ page: pageNum, error: errMsg });
-            addLog({ page: pageNum, items: dataArray.length, status: `send error: ${errMsg}` });
+            if (sendResult?.cancelled) {
+              addSourceLog({ page: pageNum, items: dataArray.length, status: 'cancelled while sending' });
+              break;
+            }
+            if (sendResult && sendResult.success) {
+              totalItems += dataArray.length;
+              totalPages++;
+              addSourceLog({ page: pageNum, items: dataArray.length, status: 'sent' });
+              setBulkTransport({ totalPagesSent: totalPages, totalItemsSent: totalItems });
+            } else {
+              const errMsg = sendResult?.error || 'Send failed';
+              errors.push({ page: pageNum, error: errMsg });
+              addSourceLog({ page: pageNum, items: dataArray.length, status: `send error: ${errMsg}` });
+              setBulkTransport({ errors: [...errors] });
+            }
+          } catch (err) {
+            errors.push({ page: pageNum, error: err.message });
+            addSourceLog({ page: pageNum, items: dataArray.length, status: `send error: ${err.message}` });
             setBulkTransport({ errors: [...errors] });
           }
-        } catch (err) {
-          errors.push({ page: pageNum, error: err.message });
-          addLog({ page: pageNum, items: dataArray.length, status: `send error: ${err.message}` });
-          setBulkTransport({ errors: [...errors] });
         }
-      }
 
-      // Detect next page cursor from response
-      if (pagination.mode === 'cursor') {
-        const cursorInfo = detectCursorFromResponse(result.data);
-        if (cursorInfo) {
-          if (cursorInfo.isUrl) {
-            nextPageUrl = cursorInfo.value;
-            nextCursor = null;
+        // Detect next page cursor from response
+        if (pagination.mode === 'cursor') {
+          const cursorInfo = detectCursorFromResponse(result.data);
+          if (cursorInfo) {
+            if (cursorInfo.isUrl) {
+              nextPageUrl = cursorInfo.value;
+              nextCursor = null;
+            } else {
+              nextCursor = cursorInfo.value;
+              nextPageUrl = null;
+            }
           } else {
-            nextCursor = cursorInfo.value;
-            nextPageUrl = null;
+            // No more pages
+            reachedEnd = true;
+          }
+        } else if (pagination.mode === 'page') {
+          // For page-based, check if we got fewer items than perPage
+          if (dataArray.length < pagination.perPage) {
+            reachedEnd = true;
           }
         } else {
-          // No more pages
-          reachedEnd = true;
-        }
-      } else if (pagination.mode === 'page') {
-        // For page-based, check if we got fewer items than perPage
-        if (dataArray.length < pagination.perPage) {
+          // No pagination
           reachedEnd = true;
         }
-      } else {
-        // No pagination
-        reachedEnd = true;
       }
     }
 
@@ -991,6 +1161,7 @@ function BulkTransportModal() {
 
   const { isRunning, isPaused, log, totalPagesSent, totalItemsSent, currentPage, errors } = bulkTransport;
   const isComplete = !isRunning && bulkTransport.completedAt;
+  const latencySummary = summarizeLatency(bulkTransport.latency || {});
 
   // Enrichment derived state
   const enrichRunning = enrichment.isRunning;
@@ -1118,6 +1289,37 @@ function BulkTransportModal() {
               </div>
             )}
 
+            {/* Source selection (only when there is a request list) */}
+            {requestList.length > 0 && (
+              <div className="bulk-mode-section">
+                <h4>Source</h4>
+                <label className="bulk-mode-option">
+                  <input
+                    type="radio"
+                    name="bulkSource"
+                    checked={bulkTransport.source === 'current'}
+                    onChange={() => setBulkTransport({ source: 'current' })}
+                  />
+                  <div className="bulk-mode-info">
+                    <span className="bulk-mode-title">Current Request</span>
+                    <span className="bulk-mode-desc">{parsedRequest ? `${parsedRequest.method} ${parsedRequest.url}` : 'No request parsed'}</span>
+                  </div>
+                </label>
+                <label className="bulk-mode-option">
+                  <input
+                    type="radio"
+                    name="bulkSource"
+                    checked={bulkTransport.source === 'list'}
+                    onChange={() => setBulkTransport({ source: 'list' })}
+                  />
+                  <div className="bulk-mode-info">
+                    <span className="bulk-mode-title">Request List ({requestList.filter(isBulkEntry).length})</span>
+                    <span className="bulk-mode-desc">Run every request in the list one after another, each with its own pagination</span>
+                  </div>
+                </label>
+              </div>
+            )}
+
             {/* Transport mode selection */}
             <div className="bulk-mode-section">
               <h4>Transport Mode</h4>
@@ -1207,6 +1409,24 @@ function BulkTransportModal() {
               )}
             </div>
 
+            {/* Login step for APIs behind a session cookie */}
+            {window.switchboard && (
+              <div className="bulk-mode-section">
+                <h4>Login Step (optional)</h4>
+                <p className="settings-hint">
+                  Sent once before the first page, e.g. a form login. The cookies it gets are sent with every page
+                  through its cookie jar (<code>-c</code> in the command, or "default").
+                </p>
+                <textarea
+                  className="form-input enrich-curl-textarea"
+                  value={bulkTransport.loginCurl}
+                  onChange={(e) => setBulkTransport({ loginCurl: e.target.value })}
+                  placeholder={`curl 'https://tool.example.com/login' \\\n  --data-urlencode 'username={{user}}' --data-urlencode 'password={{password}}'`}
+                  rows={3}
+                />
+              </div>
+            )}
+
             {/* Info summary */}
             <div className="bulk-summary">
               <div className="bulk-summary-item">
@@ -1221,6 +1441,12 @@ function BulkTransportModal() {
                 <span className="bulk-summary-label">Per page:</span>
                 <span className="bulk-summary-value">{pagination.perPage} items</span>
               </div>
+              {bulkTransport.source === 'current' && requestChain.length > 0 && (
+                <div className="bulk-summary-item">
+                  <span className="bulk-summary-label">Request chain:</span>
+                  <span className="bulk-summary-value">{requestChain.length} steps sent before the first page</span>
+                </div>
+              )}
               <div className="bulk-summary-item">
                 <span className="bulk-summary-label">Rate limit delay:</span>
                 <span className="bulk-summary-value">{rateLimit.delayMs}ms between requests</span>
@@ -1240,7 +1466,7 @@ function BulkTransportModal() {
               disabled={
                 (target === 'gsheet' && !localWebAppUrl) ||
                 (target === 'n8n' && !localWebhook) ||
-                !parsedRequest ||
+                (bulkTransport.source === 'list' ? !requestList.some(isBulkEntry) : !parsedRequest) ||
                 (bulkTransport.mode === 'dateRange' && !bulkTransport.dateField)
               }
             >
@@ -1307,6 +1533,32 @@ function BulkTransportModal() {
               </div>
             )}
 
+            {/* Response times per endpoint */}
+            {latencySummary.length > 0 && (
+              <table className="latency-table">
+                <thead>
+                  <tr>
+                    <th>Endpoint</th>
+                    <th>Requests</th>
+                    <th>p50</th>
+                    <th>p95</th>
+                    <th>Max</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {latencySummary.map(row => (
+                    <tr key={row.endpoint}>
+                      <td className="latency-endpoint" title={row.endpoint}>{row.endpoint}</td>
+                      <td>{row.count}</td>
+                      <td>{formatDuration(row.p50)}</td>
+                      <td>{formatDuration(row.p95)}</td>
+                      <td>{formatDuration(row.max)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
             {/* Log output */}
             <div className="bulk-log">
               <div className="bulk-log-header">Transport Log</div>
@@ -1323,8 +1575,11 @@ function BulkTransportModal() {
                     }`}
                   >
                     <span className="log-page">
-                      {entry.page !== '-' ? `Page ${entry.page}` : 'TOTAL'}
+                      {LOG_LABELS[entry.page] || `Page ${entry.page}`}
                     </span>
+                    {entry.source && (
+                      <span className="log-source">{entry.source}</span>
+                    )}
                     {entry.items > 0 && (
                       <span className="log-items">{entry.items} items</span>
                     )}
@@ -1399,7 +1654,7 @@ function BulkTransportModal() {
 
               {/* cURL template */}
               <label className="form-label">
-                cURL Template <span className="settings-hint">(use <code>{'{id}'}</code> as placeholder)</span>
+                cURL Template <span className="settings-hint">(use <code>{'{id}'}</code> as placeholder; <code>{'{{variables}}'}</code> come from the active environment)</span>
                 <textarea
                   className="form-input enrich-curl-textarea"
                   value={enrichCurlTemplate}
@@ -1409,6 +1664,31 @@ function BulkTransportModal() {
                 />
               </label>
 
+              {authProfiles.length > 0 && (
+                <label className="form-label">
+                  Auth Profile
+                  <select
+                    className="form-input"
+                    value={enrichAuthProfileId}
+                    onChange={(e) => setEnrichAuthProfileId(e.target.value)}
+                  >
+                    <option value="">None (use the template's headers)</option>
+                    {authProfiles.map(profile => <option key={profile.id} value={profile.id}>{profile.name}</option>)}
+                  </select>
+                </label>
+              )}
+
+              {parsedRequest?.signing && (
+                <label className="enrich-signing-toggle">
+                  <input
+                    type="checkbox"
+                    checked={enrichUseRequestSigning}
+                    onChange={(e) => setEnrichUseRequestSigning(e.target.checked)}
+                  />
+                  Sign each call like the current request ({parsedRequest.signing.type})
+                </label>
+              )}
+
               {/* Write mode */}
               <div className="enrich-config-row">
                 <label className="form-label">
@@ -0,0 +1,145 @@
+import React, { useEffect, useState } from 'react';
+import useAppStore from '../store/appStore';
+
+/**
+ * Viewer for the cookie jars the main process keeps for requests with a
+ * cookieJar. Cookies can be removed one at a time, or a whole jar cleared to
+ * end a session (the next request naming it starts empty).
+ */
+function CookieJarsModal() {
+  const { setShowCookieJars } = useAppStore();
+
+  const [jars, setJars] = useState(null); // [{ name, cookies }]
+  const [selectedName, setSelectedName] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = async () => {
+    const result = await window.switchboard.getCookieJars();
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    setError(null);
+    setJars(result.jars);
+    setSelectedName(prev => (result.jars.some(jar => jar.name === prev) ? prev : result.jars[0]?.name || null));
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const selected = jars?.find(jar => jar.name === selectedName) || null;
+
+  const handleRemove = async (cookie) => {
+    const result = await window.switchboard.removeCookie(selected.name, cookie);
+    if (!result.success) setError(result.error);
+    await load();
+  };
+
+  const handleClear = async (name) => {
+    await window.switchboard.clearCookieJars(name);
+    await load();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={() => setShowCookieJars(false)}>
+      <div className="modal modal-wide environments-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Cookie Jars</h2>
+          <button className="btn btn-ghost modal-close" onClick={() => setShowCookieJars(false)}>
+            X
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="modal-subtitle">
+            Cookies set by responses to requests that name a cookie jar (<code>-c</code> / <code>-b</code> or the
+            Request Preview). They are kept in memory until the app quits.
+          </p>
+
+          {!jars ? (
+            <div className="empty-state"><p className="pulse">Loading...</p></div>
+          ) : jars.length === 0 ? (
+            <div className="empty-state"><p>No cookie jars yet. Send a request with a cookie jar to start one.</p></div>
+          ) : (
+            <div className="environments-layout">
+              <div className="environments-list">
+                {jars.map(jar => (
+                  <button
+                    key={jar.name}
+                    className={`environments-item ${jar.name === selectedName ? 'active' : ''}`}
+                    onClick={() => setSelectedName(jar.name)}
+                  >
+                    {jar.name} ({jar.cookies.length})
+                  </button>
+                ))}
+              </div>
+
+              <div className="environments-editor">
+                {selected && (
+                  <>
+                    <div className="environments-editor-header">
+                      <h3 className="cookie-jar-name">{selected.name}</h3>
+                      <button className="btn btn-small btn-ghost" onClick={() => handleClear(selected.name)}>
+                        Clear jar
+                      </button>
+                    </div>
+                    {selected.cookies.length === 0 ? (
+                      <div className="empty-state"><p>This jar is empty.</p></div>
+                    ) : (
+                      <table className="latency-table cookie-table">
+                        <thead>
+                          <tr>
+                            <th>Name</th>
+                            <th>Value</th>
+                            <th>Domain</th>
+                            <th>Path</th>
+                            <th>Expires</th>
+                            <th>Flags</th>
+                            <th />
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {selected.cookies.map(cookie => (
+                            <tr key={`${cookie.domain}|${cookie.path}|${cookie.key}`}>
+                              <td>{cookie.key}</td>
+                              <td className="latency-endpoint" title={cookie.value}>{cookie.value}</td>
+                              <td>{cookie.domain}</td>
+                              <td>{cookie.path}</td>
+                              <td>{cookie.expires ? new Date(cookie.expires).toLocaleString() : 'Session'}</td>
+                              <td>
+                                {[cookie.secure && 'Secure', cookie.httpOnly && 'HttpOnly', cookie.sameSite && `SameSite=${cookie.sameSite}`]
+                                  .filter(Boolean).join(', ')}
+                              </td>
+                              <td>
+                                <button className="btn btn-small btn-ghost" onClick={() => handleRemove(cookie)} title="Remove this cookie">
+                                  X
+                                </button>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="modal-footer har-import-actions">
+          {error && <div className="result-banner error">{error}</div>}
+          <button className="btn btn-ghost" onClick={load}>
+            Refresh
+          </button>
+          <button className="btn btn-ghost" onClick={() => handleClear()} disabled={!jars || jars.length === 0}>
+            Clear all jars
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CookieJarsModal;
@@ -1,12 +1,17 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import useAppStore from '../store/appStore';
-import { parseCurl } from '../utils/curlParser';
-
-// Known pagination parameter patterns
-const PAGE_PARAM_NAMES = ['page', 'p', 'pageNumber', 'page_number', 'pageNo', 'pg'];
-const OFFSET_PARAM_NAMES = ['offset', 'skip', 'start'];
-const CURSOR_PARAM_NAMES = ['cursor', 'after', 'since_id', 'next_cursor', 'starting_after', 'next_token', 'continuation'];
-const PER_PAGE_PARAM_NAMES = ['per_page', 'perPage', 'page_size', 'pageSize', 'limit', 'count', 'size', 'rows', 'maxResults', 'max_results'];
+import { detectSnippetFormat, parseRequestSnippet } from '../utils/snippetParser';
+import { splitCurlCommands } from '../utils/curlParser';
+import { resolveRequest } from '../utils/environments';
+import { runRequestChain } from '../utils/requestChain';
+import { runAssertions } from '../utils/assertions';
+import { createCancelScope, cancelledResult, sleep } from '../utils/cancellation';
+import { blobBody, isBinaryContentType } from '../utils/responseBody';
+import { detectPaginationFromParams } from '../utils/paginationDetect';
+import { parseHar, requestDisplayName } from '../utils/harImporter';
+import { isPostmanCollection } from '../utils/postmanImporter';
+import { isOpenApiSpec, parseOpenApiSpec } from '../utils/openapiImporter';
+import RequestList from './RequestList';
 
 // Known response patterns for cursor-based pagination
 const CURSOR_RESPONSE_PATHS = [
@@ -30,85 +35,72 @@ function CurlInput() {
     curlInput, setCurlInput, setParsedRequest, setParseError,
     parsedRequest, isExecuting, setIsExecuting, setApiResponse,
     setExecuteError, setActiveTab, pagination, setPagination, setFetchPageFn,
-    rateLimit, setRateLimit
+    rateLimit, setRateLimit, setHarImport, setPostmanImport, setOpenapiImport,
+    addToRequestList, loadRequest
   } = useAppStore();
 
   const [parseStatus, setParseStatus] = useState(null); // 'success' | 'error' | null
+  const [batchSummary, setBatchSummary] = useState(null); // "3 of 4 commands added..." after a multi-command paste
+  const highlightRef = useRef(null);
+
+  // Unknown flags from the last parse, if they still line up with the current text
+  const unknownFlags = (parsedRequest?.warnings || []).filter(w =>
+    w.unknown && curlInput.substr(w.position, w.flag.length) === w.flag
+  );
+
+  const syncHighlightScroll = (e) => {
+    if (highlightRef.current) {
+      highlightRef.current.scrollTop = e.target.scrollTop;
+      highlightRef.current.scrollLeft = e.target.scrollLeft;
+    }
+  };
 
   // Register the fetchPage function so ResponseViewer pagination can use it
   useEffect(() => {
     setFetchPageFn((pageOrDirection) => executeFetch(pageOrDirection));
   }, []);
 
+  // Several cURL commands at once (vendor docs, shell scripts): each becomes a
+  // request list entry, failed ones with their own error. Returns false for a single command.
+  const importCommands = (text) => {
+    const commands = splitCurlCommands(text);
+    if (commands.length < 2) return false;
+
+    const entries = commands.map(({ text: command }, idx) => {
+      try {
+        const request = parseRequestSnippet(command);
+        return { name: requestDisplayName(request.method, request.url), source: 'paste', request };
+      } catch (err) {
+        return { name: `Command ${idx + 1}`, source: 'paste', error: err.message };
+      }
+    });
+    addToRequestList(entries);
+
+    const parsed = entries.filter(entry => entry.request);
+    setBatchSummary(`${parsed.length} of ${entries.length} commands added to the request list`);
+    if (parsed.length > 0) {
+      loadRequest(parsed[0].request);
+      setParseStatus('success');
+    } else {
+      setCurlInput(text);
+      setParseError(`None of the ${entries.length} commands could be parsed`);
+      setParseStatus('error');
+    }
+    return true;
+  };
+
   const handleParse = () => {
+    setBatchSummary(null);
+    if (importCommands(curlInput)) return;
     try {
-      const parsed = parseCurl(curlInput);
+      const parsed = parseRequestSnippet(curlInput);
       setParsedRequest(parsed);
       setParseStatus('success');
 
       // Auto-detect pagination parameters from query params
-      if (parsed.params) {
-        const paramKeys = Object.keys(parsed.params);
-        const detectedPageParam = paramKeys.find(k => PAGE_PARAM_NAMES.includes(k));
-        const detectedPerPageParam = paramKeys.find(k => PER_PAGE_PARAM_NAMES.includes(k));
-        const detectedCursorParam = paramKeys.find(k => CURSOR_PARAM_NAMES.includes(k));
-        const detectedOffsetParam = paramKeys.find(k => OFFSET_PARAM_NAMES.includes(k));
-
-        if (detectedCursorParam) {
-          // Cursor param found in URL (e.g., since_id, cursor, after)
-          setPagination({
-            mode: 'cursor',
-            cursorParamName: detectedCursorParam,
-            perPageParamName: detectedPerPageParam || 'limit',
-            perPage: detectedPerPageParam ? parseInt(parsed.params[detectedPerPageParam], 10) || 10 : 10,
-            hasDetected: true,
-            currentPage: 1,
-            nextCursor: null,
-            prevCursors: [],
-            nextPageUrl: null,
-          });
-        } else if (detectedPageParam) {
-          // Page-number based pagination
-          setPagination({
-            mode: 'page',
-            pageParamName: detectedPageParam,
-            perPageParamName: detectedPerPageParam || 'per_page',
-            currentPage: parseInt(parsed.params[detectedPageParam], 10) || 1,
-            perPage: detectedPerPageParam ? parseInt(parsed.params[detectedPerPageParam], 10) || 10 : 10,
-            hasDetected: true,
-            nextCursor: null,
-            prevCursors: [],
-            cursorParamName: null,
-            nextPageUrl: null,
-          });
-        } else if (detectedOffsetParam) {
-          // Offset-based pagination (treat like page-based with offset math)
-          setPagination({
-            mode: 'page',
-            pageParamName: detectedOffsetParam,
-            perPageParamName: detectedPerPageParam || 'limit',
-            currentPage: 1,
-            perPage: detectedPerPageParam ? parseInt(parsed.params[detectedPerPageParam], 10) || 10 : 10,
-            hasDetected: true,
-            nextCursor: null,
-            prevCursors: [],
-            cursorParamName: null,
-            nextPageUrl: null,
-          });
-        } else if (detectedPerPageParam) {
-          // Only limit/per_page found — might be cursor-based (will detect from response)
-          setPagination({
-            mode: 'cursor',  // Assume cursor until proven otherwise
-            perPageParamName: detectedPerPageParam,
-            perPage: parseInt(parsed.params[detectedPerPageParam], 10) || 10,
-            hasDetected: true,
-            currentPage: 1,
-            nextCursor: null,
-            prevCursors: [],
-            cursorParamName: null,
-            nextPageUrl: null,
-          });
-        }
+      const detected = detectPaginationFromParams(parsed.params);
+      if (detected) {
+        setPagination(detected);
       }
     } catch (err) {
       setParseError(err.message);
@@ -121,13 +113,16 @@ function CurlInput() {
   };
 
   const handlePaste = (e) => {
-    // Auto-parse on paste
+    // Auto-parse on paste (cURL, fetch, PowerShell, HTTPie or wget)
     const text = e.clipboardData?.getData('text') || '';
-    if (text.trim().toLowerCase().startsWith('curl')) {
+    setBatchSummary(null);
+    if (importCommands(text)) {
+      e.preventDefault();
+    } else if (detectSnippetFormat(text)) {
       setCurlInput(text);
       setTimeout(() => {
         try {
-          const parsed = parseCurl(text);
+          const parsed = parseRequestSnippet(text);
           setParsedRequest(parsed);
           setParseStatus('success');
         } catch (err) {
@@ -138,29 +133,83 @@ function CurlInput() {
     }
   };
 
+  // Route a dropped or chosen file to the matching importer (HAR, Postman, OpenAPI, or plain cURL text)
+  const importFile = async (file) => {
+    if (!file) return;
+    const text = await file.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch { /* not JSON */ }
+
+    try {
+      if (file.name.toLowerCase().endsWith('.har') || Array.isArray(json?.log?.entries)) {
+        setHarImport({ fileName: file.name, entries: parseHar(json ?? text) });
+      } else if (isPostmanCollection(json)) {
+        setPostmanImport({ fileName: file.name, collection: json });
+      } else if (/\.ya?ml$/i.test(file.name) || isOpenApiSpec(json)) {
+        setOpenapiImport({ fileName: file.name, spec: parseOpenApiSpec(json ?? text) });
+      } else if (json) {
+        throw new Error(`${file.name} is not a HAR file, Postman collection or OpenAPI spec`);
+      } else {
+        setCurlInput(text);
+      }
+    } catch (err) {
+      setParseError(err.message);
+      setParseStatus('error');
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    importFile(e.dataTransfer.files?.[0]);
+  };
+
   const sampleCurl = `curl -X GET "https://api.coingecko.com/api/v3/coins/markets?vs_currency=usd&order=market_cap_desc&per_page=10&page=1" -H "accept: application/json"`;
 
   return (
     <div className="panel curl-input-panel">
       <div className="panel-header">
         <h2>Paste cURL Command</h2>
-        <button
-          className="btn btn-small btn-ghost"
-          onClick={() => { setCurlInput(sampleCurl); }}
-          title="Load sample cURL"
-        >
-          Sample
-        </button>
+        <div className="panel-header-actions">
+          <label className="btn btn-small btn-ghost" title="Import a browser HAR export, Postman collection or OpenAPI/Swagger spec (or drop the file on the input)">
+            Import
+            <input
+              type="file"
+              accept=".har,.json,.yaml,.yml,application/json"
+              hidden
+              onChange={(e) => { importFile(e.target.files?.[0]); e.target.value = ''; }}
+            />
+          </label>
+          <button
+            className="btn btn-small btn-ghost"
+            onClick={() => { setCurlInput(sampleCurl); }}
+            title="Load sample cURL"
+          >
+            Sample
+          </button>
+        </div>
       </div>
 
-      <textarea
-        className="curl-textarea"
-        value={curlInput}
-        onChange={(e) => setCurlInput(e.target.value)}
-        onPaste={handlePaste}
-        placeholder={`Paste your cURL command here...\n\nExample:\ncurl -X GET "https://api.example.com/data" \\\n  -H "Authorization: Bearer token123" \\\n  -H "Content-Type: application/json"`}
-        spellCheck={false}
-      />
+      <div
+        className="curl-editor"
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={handleDrop}
+      >
+        {/* Backdrop that marks unknown flags behind the transparent textarea */}
+        <div className="curl-highlights" ref={highlightRef} aria-hidden="true">
+          {renderFlagHighlights(curlInput, unknownFlags)}
+        </div>
+        <textarea
+          className="curl-textarea"
+          value={curlInput}
+          onChange={(e) => setCurlInput(e.target.value)}
+          onPaste={handlePaste}
+          onScroll={syncHighlightScroll}
+          placeholder={`Paste a cURL, fetch(), PowerShell, HTTPie or wget command here (or several cURL commands, or drop a HAR, Postman or OpenAPI file)...\n\nExample:\ncurl -X GET "https://api.example.com/data" \\\n  -H "Authorization: Bearer token123" \\\n  -H "Content-Type: application/json"`}
+          spellCheck={false}
+        />
+      </div>
+
+      <RequestList />
 
       {/* Rate Limit Settings */}
       <div className="rate-limit-bar">
@@ -208,17 +257,48 @@ function CurlInput() {
           {isExecuting ? 'Fetching...' : 'Fetch Data'}
         </button>
 
+        {isExecuting && (
+          <button className="btn btn-danger" onClick={cancelFetch} title="Abort the request in flight">
+            Cancel
+          </button>
+        )}
+
         {parseStatus === 'success' && (
           <span className="status-badge success">Parsed OK</span>
         )}
         {parseStatus === 'error' && (
           <span className="status-badge error">Parse Error</span>
         )}
+        {batchSummary && (
+          <span className="status-badge success">{batchSummary}</span>
+        )}
       </div>
     </div>
   );
 }
 
+/**
+ * Split the input into plain text and <mark>ed spans for each flagged position
+ */
+function renderFlagHighlights(text, flags) {
+  const sorted = [...flags].sort((a, b) => a.position - b.position);
+  const nodes = [];
+  let cursor = 0;
+
+  sorted.forEach((w, idx) => {
+    if (w.position < cursor) return;
+    nodes.push(text.substring(cursor, w.position));
+    nodes.push(
+      <mark key={idx} title={w.reason}>{text.substr(w.position, w.flag.length)}</mark>
+    );
+    cursor = w.position + w.flag.length;
+  });
+
+  // Trailing space keeps the backdrop height in step with a final newline
+  nodes.push(text.substring(cursor) + ' ');
+  return nodes;
+}
+
 /**
  * Detect cursor-based pagination from API response data.
  * Scans known response patterns to find next page URLs or cursor tokens.
@@ -283,11 +363,14 @@ function extractRateLimitInfo(headers) {
   return (Object.keys(info).length > 0) ? info : null;
 }
 
+// Cancel scope of the fetch in progress (one at a time, see isExecuting)
+let activeFetch = null;
+
 /**
- * Sleep helper
+ * Abort the fetch in progress, including a rate-limit or retry wait
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function cancelFetch() {
+  if (activeFetch) activeFetch.cancel();
 }
 
 /**
@@ -310,6 +393,8 @@ async function executeFetch(pageOrDirection) {
   if (!parsedRequest) return;
   setIsExecuting(true);
   setExecuteError(null);
+  const scope = createCancelScope();
+  activeFetch = scope;
 
   // Rate limit: enforce delay between requests
   const now = Date.now();
@@ -317,9 +402,33 @@ async function executeFetch(pageOrDirection) {
   if (rateLimit.lastRequestTime > 0 && timeSinceLastRequest < rateLimit.delayMs) {
     const waitTime = rateLimit.delayMs - timeSinceLastRequest;
     setRateLimit({ isWaiting: true, waitUntil: now + waitTime });
-    await sleep(waitTime);
+    await sleep(waitTime, scope.signal);
     setRateLimit({ isWaiting: false, waitUntil: null });
   }
+  if (scope.cancelled) {
+    finishFetch(scope);
+    return;
+  }
+
+  // Request chain: its steps run before a fresh fetch; moving between pages reuses what they extracted
+  let chainValues = {};
+  if (state.requestChain.length > 0) {
+    const isPageNavigation = typeof pageOrDirection === 'number' || pageOrDirection === 'next' || pageOrDirection === 'prev';
+    if (isPageNavigation && state.chainRun?.success) {
+      chainValues = state.chainRun.variables;
+    } else {
+      const run = await runRequestChain(state.requestChain, state.getActiveVariables(), (config) => (window.switchboard
+        ? scope.run(requestId => window.switchboard.executeRequest(config, requestId, { fullBody: true }))
+        : browserFetch(config, scope.signal)));
+      state.setChainRun(run);
+      if (!run.success) {
+        setExecuteError(run.cancelled ? 'Request cancelled' : run.error);
+        finishFetch(scope);
+        return;
+      }
+      chainValues = run.variables;
+    }
+  }
 
   // Build request config
   let requestConfig;
@@ -430,6 +539,9 @@ async function executeFetch(pageOrDirection) {
     requestConfig = { ...parsedRequest };
   }
 
+  // Fill in {{variables}} from the active environment and the request chain
+  requestConfig = resolveRequest(requestConfig, { ...state.getActiveVariables(), ...chainValues });
+
   // Execute with retry logic
   let retryCount = 0;
   const maxRetries = rateLimit.retryOn429 ? rateLimit.maxRetries : 0;
@@ -440,9 +552,14 @@ async function executeFetch(pageOrDirection) {
 
       let result;
       if (window.switchboard) {
-        result = await window.switchboard.executeRequest(requestConfig);
+        result = await scope.run(requestId => window.switchboard.executeRequest(requestConfig, requestId));
       } else {
-        result = await browserFetch(requestConfig);
+        result = await browserFetch(requestConfig, scope.signal);
+      }
+
+      if (result.cancelled) {
+        setExecuteError('Request cancelled');
+        break;
       }
 
       // Check for 429 Too Many Requests
@@ -459,8 +576,12 @@ async function executeFetch(pageOrDirection) {
         }
 
         setRateLimit({ isWaiting: true, waitUntil: Date.now() + waitMs, retryCount });
-        await sleep(waitMs);
+        await sleep(waitMs, scope.signal);
         setRateLimit({ isWaiting: false, waitUntil: null });
+        if (scope.cancelled) {
+          setExecuteError('Request cancelled');
+          break;
+        }
         continue; // retry
       }
 
@@ -478,6 +599,7 @@ async function executeFetch(pageOrDirection) {
           const newState = {
             hasDetected: true,
             mode: 'cursor',
+            cursorPath: cursorInfo.path,
           };
 
           if (cursorInfo.isUrl) {
@@ -498,25 +620,32 @@ async function executeFetch(pageOrDirection) {
         }
       }
 
+      const { requestAssertions, setAssertionResults } = state;
+      setAssertionResults(requestAssertions.length > 0 ? await runAssertions(requestAssertions, result) : null);
       setApiResponse(result);
       setActiveTab('response');
       break; // success, exit retry loop
 
     } catch (err) {
-      if (retryCount < maxRetries) {
+      if (retryCount < maxRetries && !scope.cancelled) {
         retryCount++;
         const waitMs = 2000 * retryCount;
         setRateLimit({ isWaiting: true, waitUntil: Date.now() + waitMs, retryCount });
-        await sleep(waitMs);
+        await sleep(waitMs, scope.signal);
         setRateLimit({ isWaiting: false, waitUntil: null });
-        continue;
+        if (!scope.cancelled) continue;
       }
-      setExecuteError(err.message);
+      setExecuteError(scope.cancelled ? 'Request cancelled' : err.message);
       break;
     }
   }
 
-  setIsExecuting(false);
+  finishFetch(scope);
+}
+
+function finishFetch(scope) {
+  if (activeFetch === scope) activeFetch = null;
+  useAppStore.getState().setIsExecuting(false);
 }
 
 /**
@@ -538,11 +667,31 @@ function guessCursorParamName(responsePath) {
  * Routes: /api-proxy/{real-url} -> Vite proxy -> real API server
  * Falls back to direct fetch if proxy unavailable (production build).
  */
-async function browserFetch(requestConfig) {
-  const { method, url, headers, data, params } = requestConfig;
+async function browserFetch(requestConfig, signal) {
+  const { method, url, headers, data, params, form, dataParts, queryParts } = requestConfig;
   const startTime = Date.now();
 
   try {
+    // The browser has no disk access, so file parts can only be sent from Electron
+    if (form && form.some(part => part.file)) {
+      return {
+        success: false,
+        error: 'File uploads (-F name=@file) require Electron mode.',
+        code: 'BROWSER_FETCH_ERROR'
+      };
+    }
+    if (dataParts || queryParts) {
+      return {
+        success: false,
+        error: 'Reading data from files (-d @file, --data-urlencode name@file) requires Electron mode.',
+        code: 'BROWSER_FETCH_ERROR'
+      };
+    }
+    // Tokens and signatures are computed by the main process
+    if (requestConfig.authProfileId || requestConfig.signing || requestConfig.cookieJar) {
+      return { success: false, error: 'OAuth2 auth profiles, request signing and cookie jars require Electron mode.', code: 'BROWSER_FETCH_ERROR' };
+    }
+
     // Build full URL with query params
     let fullUrl = url;
     if (params && Object.keys(params).length > 0) {
@@ -561,10 +710,19 @@ async function browserFetch(requestConfig) {
 
     const fetchOptions = {
       method: method || 'GET',
-      headers: fetchHeaders
+      headers: fetchHeaders,
+      signal
     };
 
-    if (data && method !== 'GET' && method !== 'HEAD') {
+    if (form && form.length > 0) {
+      // Let fetch generate the multipart boundary
+      const formData = new FormData();
+      form.forEach(part => formData.append(part.name, part.value ?? ''));
+      fetchOptions.body = formData;
+      for (const key of Object.keys(fetchHeaders)) {
+        if (key.toLowerCase() === 'content-type') delete fetchHeaders[key];
+      }
+    } else if (data && method !== 'GET' && method !== 'HEAD') {
       fetchOptions.body = typeof data === 'string' ? data : JSON.stringify(data);
     }
 
@@ -575,8 +733,11 @@ async function browserFetch(requestConfig) {
     });
 
     let responseData;
+    let body;
     const contentType = response.headers.get('content-type') || '';
-    if (contentType.includes('application/json')) {
+    if (isBinaryContentType(contentType)) {
+      body = await blobBody(response, fullUrl);
+    } else if (contentType.includes('application/json')) {
       responseData = await response.json();
     } else {
       responseData = await response.text();
@@ -588,9 +749,11 @@ async function browserFetch(requestConfig) {
       statusText: response.statusText,
       headers: responseHeaders,
       data: responseData,
-      timing: Date.now() - startTime
+      ...(body && { body }),
+      timing: { total: Date.now() - startTime }
     };
   } catch (error) {
+    if (error.name === 'AbortError') return cancelledResult();
     return {
       success: false,
       error: error.message.includes('Failed to fetch')
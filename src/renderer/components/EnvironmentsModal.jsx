@@ -0,0 +1,254 @@
+import React, { useState } from 'react';
+import useAppStore from '../store/appStore';
+
+/**
+ * Environment editor: named key/value sets substituted into requests as {{key}}.
+ * Edits are kept locally until "Save"; secret values are entered like passwords.
+ * A saved secret shows up empty (its value stays in the main process) until the
+ * user asks to see it. The main process keeps a saved value only under its own
+ * environment and name, so renaming, copying or un-marking a secret carries the
+ * value over only once it has been revealed.
+ */
+function EnvironmentsModal() {
+  const { environments, setEnvironments, setShowEnvironments, activeEnvironmentId, setActiveEnvironmentId } = useAppStore();
+
+  const [drafts, setDrafts] = useState(() => JSON.parse(JSON.stringify(environments)));
+  const [selectedId, setSelectedId] = useState(activeEnvironmentId || environments[0]?.id || null);
+  const [revealed, setRevealed] = useState({}); // "envId:index" -> true while a secret is shown
+  const [error, setError] = useState(null);
+
+  const selected = drafts.find(env => env.id === selectedId) || null;
+
+  const updateSelected = (updates) => {
+    setDrafts(prev => prev.map(env => (env.id === selectedId ? { ...env, ...updates } : env)));
+  };
+
+  const updateVariable = (index, updates) => {
+    updateSelected({
+      variables: selected.variables.map((v, i) => (i === index ? { ...v, ...updates } : v))
+    });
+  };
+
+  const addEnvironment = (source = null) => {
+    const env = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+      name: source ? `${source.name} (copy)` : `Environment ${drafts.length + 1}`,
+      variables: source ? source.variables.map(v => ({ ...v })) : [{ key: 'baseUrl', value: '', secret: false }]
+    };
+    setDrafts(prev => [...prev, env]);
+    setSelectedId(env.id);
+  };
+
+  // Saved value of a secret, after the main process' confirmation; null when not shown
+  const revealValue = async (v) => {
+    if (!v.ref || v.value || !window.switchboard) return v.value;
+    const result = await window.switchboard.revealSecret(v.ref);
+    if (!result.success) {
+      if (!result.cancelled) setError(result.error);
+      return null;
+    }
+    return result.value;
+  };
+
+  const toggleReveal = async (index, revealKey) => {
+    if (!revealed[revealKey]) {
+      const value = await revealValue(selected.variables[index]);
+      if (value === null) return;
+      updateVariable(index, { value });
+    }
+    setRevealed(prev => ({ ...prev, [revealKey]: !prev[revealKey] }));
+  };
+
+  // Un-marking a secret turns its value into a plain one, so it has to be revealed first
+  const toggleSecret = async (index, secret) => {
+    if (secret) {
+      updateVariable(index, { secret });
+      return;
+    }
+    const value = await revealValue(selected.variables[index]);
+    if (value !== null) updateVariable(index, { secret, value });
+  };
+
+  // A saved value stays with the environment and name it was saved under (env:<id>:<key>)
+  const valuePlaceholder = (v) => {
+    if (!v.secret || !v.ref) return 'value';
+    return v.ref === `env:${selected.id}:${v.key.trim()}`
+      ? 'Saved (encrypted) - type to replace'
+      : 'Show or type the value to keep it under this name';
+  };
+
+  const removeEnvironment = () => {
+    const remaining = drafts.filter(env => env.id !== selectedId);
+    setDrafts(remaining);
+    setSelectedId(remaining[0]?.id || null);
+  };
+
+  const handleSave = async () => {
+    for (const env of drafts) {
+      const keys = env.variables.map(v => v.key.trim()).filter(Boolean);
+      const duplicate = keys.find((key, i) => keys.indexOf(key) !== i);
+      if (!env.name.trim()) {
+        setError('Every environment needs a name');
+        return;
+      }
+      if (duplicate) {
+        setError(`"${env.name}" defines {{${duplicate}}} twice`);
+        return;
+      }
+    }
+
+    const cleaned = drafts.map(env => ({
+      ...env,
+      name: env.name.trim(),
+      variables: env.variables
+        .map(v => ({ key: v.key.trim(), value: v.value, secret: !!v.secret, ...(v.ref && { ref: v.ref }) }))
+        .filter(v => v.key)
+    }));
+
+    try {
+      await setEnvironments(cleaned);
+      setShowEnvironments(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={() => setShowEnvironments(false)}>
+      <div className="modal modal-wide environments-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Environments</h2>
+          <button className="btn btn-ghost modal-close" onClick={() => setShowEnvironments(false)}>
+            X
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="modal-subtitle">
+            Use <code>{'{{name}}'}</code> anywhere in a request (URL, headers, params, body, Enrich templates).
+            The active environment fills the values in when the request is sent.
+          </p>
+
+          <div className="environments-layout">
+            <div className="environments-list">
+              {drafts.map(env => (
+                <button
+                  key={env.id}
+                  className={`environments-item ${env.id === selectedId ? 'active' : ''}`}
+                  onClick={() => setSelectedId(env.id)}
+                >
+                  {env.name || '(unnamed)'}
+                  {env.id === activeEnvironmentId && <span className="environments-active-mark">active</span>}
+                </button>
+              ))}
+              <button className="btn btn-small btn-ghost" onClick={() => addEnvironment()}>
+                + New
+              </button>
+            </div>
+
+            <div className="environments-editor">
+              {!selected ? (
+                <div className="empty-state"><p>Create an environment to get started.</p></div>
+              ) : (
+                <>
+                  <div className="environments-editor-header">
+                    <input
+                      className="form-input"
+                      type="text"
+                      value={selected.name}
+                      onChange={(e) => updateSelected({ name: e.target.value })}
+                      placeholder="Environment name"
+                    />
+                    <button className="btn btn-small btn-ghost" onClick={() => addEnvironment(selected)}>
+                      Duplicate
+                    </button>
+                    <button className="btn btn-small btn-ghost" onClick={removeEnvironment}>
+                      Delete
+                    </button>
+                  </div>
+
+                  <table className="kv-table environments-variables">
+                    <tbody>
+                      {selected.variables.map((v, index) => {
+                        const revealKey = `${selected.id}:${index}`;
+                        return (
+                          <tr key={index}>
+                            <td className="kv-key">
+                              <input
+                                className="form-input"
+                                type="text"
+                                value={v.key}
+                                onChange={(e) => updateVariable(index, { key: e.target.value })}
+                                placeholder="name"
+                              />
+                            </td>
+                            <td className="kv-value">
+                              <input
+                                className="form-input"
+                                type={v.secret && !revealed[revealKey] ? 'password' : 'text'}
+                                value={v.value}
+                                onChange={(e) => updateVariable(index, { value: e.target.value })}
+                                placeholder={valuePlaceholder(v)}
+                              />
+                            </td>
+                            <td>
+                              <label className="environments-secret" title="Masked in the request preview">
+                                <input
+                                  type="checkbox"
+                                  checked={!!v.secret}
+                                  onChange={(e) => toggleSecret(index, e.target.checked)}
+                                />
+                                secret
+                              </label>
+                            </td>
+                            <td>
+                              {v.secret && (
+                                <button
+                                  className="btn btn-small btn-ghost"
+                                  onClick={() => toggleReveal(index, revealKey)}
+                                >
+                                  {revealed[revealKey] ? 'Hide' : 'Show'}
+                                </button>
+                              )}
+                              <button
+                                className="btn btn-small btn-ghost"
+                                onClick={() => updateSelected({ variables: selected.variables.filter((_, i) => i !== index) })}
+                                title="Remove variable"
+                              >
+                                x
+                              </button>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                  <button
+                    className="btn btn-small btn-ghost"
+                    onClick={() => updateSelected({ variables: [...selected.variables, { key: '', value: '', secret: false }] })}
+                  >
+                    + Variable
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="modal-footer har-import-actions">
+          {error && <div className="result-banner error">{error}</div>}
+          {selected && selected.id !== activeEnvironmentId && environments.some(env => env.id === selected.id) && (
+            <button className="btn btn-ghost" onClick={() => setActiveEnvironmentId(selected.id)}>
+              Make Active
+            </button>
+          )}
+          <button className="btn btn-primary" onClick={handleSave}>
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default EnvironmentsModal;
@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import useAppStore from '../store/appStore';
+import { harEntryToRequest, requestDisplayName } from '../utils/harImporter';
+
+function HarImportModal() {
+  const { harImport, setHarImport, loadRequest, addToRequestList } = useAppStore();
+
+  const [selected, setSelected] = useState([]); // entry indexes
+  const [filter, setFilter] = useState('');
+  const [apiOnly, setApiOnly] = useState(true);
+
+  if (!harImport) return null;
+
+  const { fileName, entries } = harImport;
+
+  // Hide static assets by default; XHR/fetch and JSON responses are what we usually want
+  const visible = entries.filter(e => {
+    if (apiOnly && !isApiEntry(e)) return false;
+    if (filter && !`${e.method} ${e.url}`.toLowerCase().includes(filter.toLowerCase())) return false;
+    return true;
+  });
+
+  const toggle = (index) => {
+    setSelected(prev => prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]);
+  };
+
+  const toggleAll = () => {
+    const allSelected = visible.every(e => selected.includes(e.index));
+    setSelected(allSelected ? [] : visible.map(e => e.index));
+  };
+
+  const selectedEntries = entries.filter(e => selected.includes(e.index));
+
+  const handleLoad = () => {
+    loadRequest(harEntryToRequest(selectedEntries[0].entry));
+    setHarImport(null);
+  };
+
+  const handleAddToList = () => {
+    addToRequestList(selectedEntries.map(e => ({
+      name: requestDisplayName(e.method, e.url),
+      source: 'har',
+      request: harEntryToRequest(e.entry)
+    })));
+    setHarImport(null);
+  };
+
+  return (
+    <div className="modal-overlay" onClick={() => setHarImport(null)}>
+      <div className="modal modal-wide har-import-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Import from HAR</h2>
+          <button className="btn btn-ghost modal-close" onClick={() => setHarImport(null)}>
+            X
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="modal-subtitle">
+            {fileName}: {entries.length} entries. Pick the requests to import.
+          </p>
+
+          <div className="har-filter-bar">
+            <input
+              className="search-input"
+              type="text"
+              placeholder="Filter by method or URL..."
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+            />
+            <label className="har-filter-toggle">
+              <input type="checkbox" checked={apiOnly} onChange={(e) => setApiOnly(e.target.checked)} />
+              API calls only
+            </label>
+          </div>
+
+          <div className="har-entry-list">
+            <table className="kv-table har-entry-table">
+              <thead>
+                <tr>
+                  <th>
+                    <input
+                      type="checkbox"
+                      checked={visible.length > 0 && visible.every(e => selected.includes(e.index))}
+                      onChange={toggleAll}
+                    />
+                  </th>
+                  <th>Method</th>
+                  <th>URL</th>
+                  <th>Status</th>
+                  <th>Size</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visible.map(e => (
+                  <tr key={e.index} onClick={() => toggle(e.index)} className={selected.includes(e.index) ? 'selected' : ''}>
+                    <td>
+                      <input type="checkbox" checked={selected.includes(e.index)} readOnly />
+                    </td>
+                    <td className="kv-key">{e.method}</td>
+                    <td className="kv-value har-url" title={e.url}>{e.url}</td>
+                    <td className={e.status >= 400 || e.status === 0 ? 'har-status-error' : 'har-status-ok'}>
+                      {e.status || '-'}
+                    </td>
+                    <td>{formatBytes(e.size)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {visible.length === 0 && (
+              <div className="empty-state"><p>No entries match the filter.</p></div>
+            )}
+          </div>
+        </div>
+
+        <div className="modal-footer har-import-actions">
+          <button
+            className="btn btn-primary"
+            onClick={handleLoad}
+            disabled={selectedEntries.length !== 1}
+            title="Open the selected entry in the editor"
+          >
+            Load in Editor
+          </button>
+          <button
+            className="btn btn-accent"
+            onClick={handleAddToList}
+            disabled={selectedEntries.length === 0}
+            title="Add the selected entries to the request list (usable as a Bulk Transport source)"
+          >
+            Add {selectedEntries.length || ''} to Request List
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function isApiEntry(e) {
+  if (e.resourceType) return e.resourceType === 'xhr' || e.resourceType === 'fetch';
+  return e.mimeType.includes('json') || e.method !== 'GET';
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return '-';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1048576) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1048576).toFixed(1)} MB`;
+}
+
+export default HarImportModal;
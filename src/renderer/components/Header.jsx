@@ -2,7 +2,11 @@ import React from 'react';
 import useAppStore from '../store/appStore';
 
 function Header() {
-  const { activeTab, setActiveTab, apiResponse, setShowSettings, resetAll } = useAppStore();
+  const {
+    activeTab, setActiveTab, apiResponse, setShowSettings, resetAll, showLibrary, setShowLibrary,
+    environments, activeEnvironmentId, setActiveEnvironmentId, setShowEnvironments, setShowAuthProfiles,
+    setShowCookieJars
+  } = useAppStore();
 
   return (
     <header className="header">
@@ -30,6 +34,33 @@ function Header() {
       </nav>
 
       <div className="header-right">
+        <select
+          className="environment-select"
+          value={activeEnvironmentId}
+          onChange={(e) => setActiveEnvironmentId(e.target.value)}
+          title="Environment whose values fill in {{variables}} when requests are sent"
+        >
+          <option value="">No environment</option>
+          {environments.map(env => <option key={env.id} value={env.id}>{env.name}</option>)}
+        </select>
+        <button className="btn btn-ghost" onClick={() => setShowEnvironments(true)} title="Edit environments">
+          Environments
+        </button>
+        <button className="btn btn-ghost" onClick={() => setShowAuthProfiles(true)} title="OAuth2 token sources for APIs">
+          Auth
+        </button>
+        {window.switchboard && (
+          <button className="btn btn-ghost" onClick={() => setShowCookieJars(true)} title="Inspect or clear the cookie jars">
+            Cookies
+          </button>
+        )}
+        <button
+          className={`btn btn-ghost ${showLibrary ? 'active' : ''}`}
+          onClick={() => setShowLibrary(!showLibrary)}
+          title="Show or hide the saved request library"
+        >
+          Library
+        </button>
         <button className="btn btn-ghost" onClick={resetAll} title="Reset All">
           Reset
         </button>
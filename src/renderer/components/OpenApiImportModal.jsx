@@ -0,0 +1,207 @@
+import React, { useState, useMemo } from 'react';
+import useAppStore from '../store/appStore';
+import {
+  listOperations, groupOperationsByTag, getServers, buildOperationRequest,
+  detectOperationPagination, defaultParameterValues, exampleBody
+} from '../utils/openapiImporter';
+
+function OpenApiImportModal() {
+  const { openapiImport, setOpenapiImport, loadRequest, addToRequestList } = useAppStore();
+  const spec = openapiImport?.spec;
+
+  const operations = useMemo(() => (spec ? listOperations(spec) : []), [spec]);
+  const groups = useMemo(() => (spec ? groupOperationsByTag(spec, operations) : []), [spec, operations]);
+  const servers = useMemo(() => (spec ? getServers(spec) : []), [spec]);
+
+  const [filter, setFilter] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [baseUrl, setBaseUrl] = useState(servers[0] || '');
+  const [values, setValues] = useState({});
+  const [body, setBody] = useState('');
+  const [error, setError] = useState(null);
+
+  if (!openapiImport) return null;
+
+  const selected = operations.find(op => op.id === selectedId) || null;
+  const pagination = selected ? detectOperationPagination(selected, values) : null;
+
+  const selectOperation = (op) => {
+    setSelectedId(op.id);
+    setValues(defaultParameterValues(op));
+    setBody(exampleBody(spec, op));
+    setError(null);
+  };
+
+  const setValue = (key, value) => setValues(prev => ({ ...prev, [key]: value }));
+
+  const matches = (op) => !filter ||
+    `${op.method} ${op.path} ${op.summary} ${op.operationId || ''}`.toLowerCase().includes(filter.toLowerCase());
+
+  const buildRequest = () => {
+    try {
+      setError(null);
+      return buildOperationRequest(selected, { baseUrl, values, body });
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const handleLoad = () => {
+    const request = buildRequest();
+    if (!request) return;
+    loadRequest(request, pagination);
+    setOpenapiImport(null);
+  };
+
+  const handleAddToList = () => {
+    const request = buildRequest();
+    if (!request) return;
+    addToRequestList([{
+      name: selected.operationId || `${selected.method} ${selected.path}`,
+      folder: selected.tags[0],
+      source: 'openapi',
+      request,
+      ...(pagination ? { pagination } : {})
+    }]);
+    setError(null);
+  };
+
+  return (
+    <div className="modal-overlay" onClick={() => setOpenapiImport(null)}>
+      <div className="modal modal-wide openapi-import-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Import from OpenAPI</h2>
+          <button className="btn btn-ghost modal-close" onClick={() => setOpenapiImport(null)}>
+            X
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="modal-subtitle">
+            {spec.info?.title || openapiImport.fileName}
+            {spec.info?.version ? ` v${spec.info.version}` : ''}: {operations.length} operations.
+            Pick one and fill in its parameters.
+          </p>
+
+          <div className="openapi-layout">
+            {/* Operation browser, grouped by tag */}
+            <div className="openapi-operations">
+              <input
+                className="search-input"
+                type="text"
+                placeholder="Filter operations..."
+                value={filter}
+                onChange={(e) => setFilter(e.target.value)}
+              />
+              {groups.map(({ tag, operations: ops }) => {
+                const visible = ops.filter(matches);
+                if (visible.length === 0) return null;
+                return (
+                  <div key={tag} className="openapi-tag">
+                    <h4>{tag}</h4>
+                    {visible.map(op => (
+                      <button
+                        key={op.id}
+                        className={`openapi-operation ${op.id === selectedId ? 'active' : ''} ${op.deprecated ? 'deprecated' : ''}`}
+                        onClick={() => selectOperation(op)}
+                        title={op.summary}
+                      >
+                        <span className="request-list-method">{op.method}</span>
+                        <span className="request-list-name">{op.path}</span>
+                      </button>
+                    ))}
+                  </div>
+                );
+              })}
+            </div>
+
+            {/* Parameter form for the selected operation */}
+            <div className="openapi-form">
+              {!selected ? (
+                <div className="empty-state"><p>Select an operation on the left.</p></div>
+              ) : (
+                <>
+                  <h3>{selected.method} {selected.path}</h3>
+                  {selected.summary && <p className="settings-hint">{selected.summary}</p>}
+
+                  <label className="form-label">
+                    Base URL
+                    <input
+                      className="form-input"
+                      type="url"
+                      list="openapi-servers"
+                      value={baseUrl}
+                      onChange={(e) => setBaseUrl(e.target.value)}
+                      placeholder="https://api.example.com"
+                    />
+                    <datalist id="openapi-servers">
+                      {servers.map(s => <option key={s} value={s} />)}
+                    </datalist>
+                  </label>
+
+                  {selected.parameters.map(p => (
+                    <label key={`${p.in}:${p.name}`} className="form-label" title={p.description}>
+                      {p.name} <span className="openapi-param-in">{p.in}{p.required ? ', required' : ''}</span>
+                      <input
+                        className="form-input"
+                        type="text"
+                        value={values[`${p.in}:${p.name}`] ?? ''}
+                        onChange={(e) => setValue(`${p.in}:${p.name}`, e.target.value)}
+                        placeholder={p.description}
+                      />
+                    </label>
+                  ))}
+
+                  {selected.requestBody && (
+                    <label className="form-label">
+                      Body <span className="openapi-param-in">{selected.requestBody.contentType}</span>
+                      <textarea
+                        className="form-input enrich-curl-textarea"
+                        value={body}
+                        onChange={(e) => setBody(e.target.value)}
+                        rows={8}
+                      />
+                    </label>
+                  )}
+
+                  {pagination && (
+                    <p className="settings-hint">
+                      Pagination detected from declared parameters: <strong>{pagination.mode}</strong>
+                      {' '}({pagination.mode === 'cursor'
+                        ? pagination.cursorParamName || 'cursor from response'
+                        : pagination.pageParamName}
+                      {pagination.perPageParamName ? `, ${pagination.perPageParamName}` : ''})
+                    </p>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="modal-footer har-import-actions">
+          {error && <div className="result-banner error">{error}</div>}
+          <button
+            className="btn btn-primary"
+            onClick={handleLoad}
+            disabled={!selected}
+            title="Open the operation in the editor"
+          >
+            Load in Editor
+          </button>
+          <button
+            className="btn btn-accent"
+            onClick={handleAddToList}
+            disabled={!selected}
+            title="Add the operation to the request list (usable as a Bulk Transport source)"
+          >
+            Add to Request List
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default OpenApiImportModal;
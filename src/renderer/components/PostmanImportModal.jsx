@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import useAppStore from '../store/appStore';
+import { importPostmanCollection, isPostmanEnvironment, summarizeCollection } from '../utils/postmanImporter';
+
+function PostmanImportModal() {
+  const { postmanImport, setPostmanImport, addToRequestList } = useAppStore();
+
+  const [environment, setEnvironment] = useState(postmanImport?.environment || null);
+  const [envError, setEnvError] = useState(null);
+  const [importError, setImportError] = useState(null);
+
+  if (!postmanImport) return null;
+
+  const { fileName, collection } = postmanImport;
+  const folders = summarizeCollection(collection);
+  const total = Object.values(folders).reduce((sum, n) => sum + n, 0);
+  const collectionVars = (collection.variable || []).length;
+
+  const handleEnvironmentFile = async (file) => {
+    if (!file) return;
+    setEnvError(null);
+    try {
+      const json = JSON.parse(await file.text());
+      if (!isPostmanEnvironment(json)) throw new Error('Not a Postman environment export');
+      setEnvironment(json);
+    } catch (err) {
+      setEnvError(err.message);
+    }
+  };
+
+  const handleImport = () => {
+    try {
+      addToRequestList(importPostmanCollection(collection, environment));
+      setPostmanImport(null);
+    } catch (err) {
+      setImportError(err.message);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={() => setPostmanImport(null)}>
+      <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Import Postman Collection</h2>
+          <button className="btn btn-ghost modal-close" onClick={() => setPostmanImport(null)}>
+            X
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="modal-subtitle">
+            {collection.info?.name || fileName}: {total} requests, {collectionVars} collection variables.
+          </p>
+
+          <table className="kv-table">
+            <tbody>
+              {Object.entries(folders).map(([folder, count]) => (
+                <tr key={folder}>
+                  <td className="kv-key">{folder}</td>
+                  <td className="kv-value">{count} request{count === 1 ? '' : 's'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="modal-preview">
+            <h4>Environment (optional)</h4>
+            <p className="settings-hint">
+              Values from a Postman environment export override collection variables when resolving <code>{'{{variables}}'}</code>.
+            </p>
+            <div className="auth-actions">
+              <label className="btn btn-small btn-ghost">
+                Choose environment file
+                <input
+                  type="file"
+                  accept=".json,application/json"
+                  hidden
+                  onChange={(e) => { handleEnvironmentFile(e.target.files?.[0]); e.target.value = ''; }}
+                />
+              </label>
+              {environment && (
+                <span className="status-badge success">
+                  {environment.name || 'Environment'} ({environment.values.length} values)
+                </span>
+              )}
+            </div>
+            {envError && <p className="auth-message">{envError}</p>}
+          </div>
+        </div>
+
+        <div className="modal-footer">
+          {importError && <div className="result-banner error">{importError}</div>}
+          <button className="btn btn-primary btn-full" onClick={handleImport} disabled={total === 0}>
+            Import {total} Requests to Request List
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PostmanImportModal;
@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { toCurl } from '../utils/curlParser';
+import { parseRequestSnippet } from '../utils/snippetParser';
+import { EXTRACT_SOURCES, newChainStep } from '../utils/requestChain';
+
+/**
+ * Editor for the steps sent before the current request. Each step is a
+ * pasted request plus extractions that turn part of its response into a
+ * {{variable}} for the steps after it and for the request itself.
+ * `run` is the last chain run, shown per step.
+ */
+function RequestChainEditor({ steps, onChange, run }) {
+  const updateStep = (id, updates) => onChange(steps.map(step => (step.id === id ? { ...step, ...updates } : step)));
+
+  const moveStep = (idx, offset) => {
+    const next = [...steps];
+    [next[idx], next[idx + offset]] = [next[idx + offset], next[idx]];
+    onChange(next);
+  };
+
+  return (
+    <>
+      {steps.map((step, idx) => (
+        <ChainStep
+          key={step.id}
+          step={step}
+          index={idx}
+          report={run?.steps?.[idx]}
+          onUpdate={(updates) => updateStep(step.id, updates)}
+          onMoveUp={idx > 0 ? () => moveStep(idx, -1) : null}
+          onRemove={() => onChange(steps.filter(s => s.id !== step.id))}
+        />
+      ))}
+      <button className="btn btn-small btn-ghost" onClick={() => onChange([...steps, newChainStep(steps.length)])}>
+        + Add step
+      </button>
+      {run && !run.success && <div className="result-banner error">{run.error}</div>}
+    </>
+  );
+}
+
+function ChainStep({ step, index, report, onUpdate, onMoveUp, onRemove }) {
+  const [draft, setDraft] = useState(() => (step.request ? toCurl(step.request) : ''));
+  const [parseError, setParseError] = useState(null);
+
+  const applyDraft = () => {
+    if (!draft.trim()) {
+      setParseError(null);
+      onUpdate({ request: null });
+      return;
+    }
+    try {
+      const { warnings, ...request } = parseRequestSnippet(draft);
+      setParseError(null);
+      onUpdate({ request });
+    } catch (err) {
+      setParseError(err.message);
+    }
+  };
+
+  const updateExtraction = (idx, updates) =>
+    onUpdate({ extract: step.extract.map((item, i) => (i === idx ? { ...item, ...updates } : item)) });
+
+  return (
+    <div className="chain-step">
+      <div className="environments-editor-header">
+        <span className="chain-step-index">{index + 1}</span>
+        <input
+          className="form-input"
+          type="text"
+          value={step.name}
+          onChange={(e) => onUpdate({ name: e.target.value })}
+          placeholder="Step name"
+        />
+        {onMoveUp && (
+          <button className="btn btn-small btn-ghost" onClick={onMoveUp} title="Send this step earlier">
+            Up
+          </button>
+        )}
+        <button className="btn btn-small btn-ghost" onClick={onRemove} title="Remove this step">
+          x
+        </button>
+      </div>
+
+      <textarea
+        className="form-input enrich-curl-textarea"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={applyDraft}
+        placeholder={`curl -X POST 'https://api.example.com/exports' -H 'Authorization: Bearer {{token}}'`}
+        rows={3}
+      />
+      {parseError && <div className="result-banner error">{parseError}</div>}
+
+      <table className="kv-table chain-extractions">
+        <tbody>
+          {step.extract.map((extraction, idx) => (
+            <tr key={idx}>
+              <td>
+                <input
+                  className="form-input"
+                  type="text"
+                  value={extraction.variable}
+                  onChange={(e) => updateExtraction(idx, { variable: e.target.value.replace(/[{}\s]/g, '') })}
+                  placeholder="variable"
+                />
+              </td>
+              <td>
+                <select
+                  className="form-input"
+                  value={extraction.from}
+                  onChange={(e) => updateExtraction(idx, { from: e.target.value, path: e.target.value === 'json' ? '$' : '' })}
+                >
+                  {Object.entries(EXTRACT_SOURCES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+              </td>
+              <td>
+                <input
+                  className="form-input"
+                  type="text"
+                  value={extraction.path}
+                  onChange={(e) => updateExtraction(idx, { path: e.target.value })}
+                  placeholder={extraction.from === 'json' ? '$.data.id' : 'Location'}
+                />
+              </td>
+              <td>
+                <button
+                  className="btn btn-small btn-ghost"
+                  onClick={() => onUpdate({ extract: step.extract.filter((_, i) => i !== idx) })}
+                  title="Remove this extraction"
+                >
+                  x
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button
+        className="btn btn-small btn-ghost"
+        onClick={() => onUpdate({ extract: [...step.extract, { variable: '', from: 'json', path: '$' }] })}
+      >
+        + Extract value
+      </button>
+
+      {report && (
+        <p className="settings-hint">
+          <span className={`status-badge ${report.error ? 'error' : 'success'}`}>
+            {report.status ? `HTTP ${report.status}` : 'failed'}
+          </span>{' '}
+          {report.error || Object.entries(report.extracted)
+            .map(([name, value]) => `{{${name}}} = ${value.length > 60 ? `${value.slice(0, 60)}...` : value}`)
+            .join(', ')}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default RequestChainEditor;
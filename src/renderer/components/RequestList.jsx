@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import useAppStore from '../store/appStore';
+
+/**
+ * Compact list of imported requests shown under the cURL input.
+ * Entries are grouped by folder (Postman collections); clicking one loads it into the editor.
+ * Each entry can also be run straight away, saved to the library, or left out of Bulk Transport.
+ */
+function RequestList() {
+  const {
+    requestList, removeFromRequestList, clearRequestList, updateRequestListEntry, loadRequest, parsedRequest,
+    setBulkTransport, setShowBulkTransport, saveRequest, isExecuting
+  } = useAppStore();
+
+  const [collapsed, setCollapsed] = useState({}); // folder -> true
+  const [savedIds, setSavedIds] = useState({});   // entry id -> true once saved
+  const [saveErrors, setSaveErrors] = useState({}); // entry id -> why it could not be saved
+
+  const runEntry = (entry) => {
+    loadRequest(entry.request, entry.pagination);
+    useAppStore.getState()._fetchPageFn?.();
+  };
+
+  const saveEntry = async (entry) => {
+    try {
+      await saveRequest({ name: entry.name, request: entry.request, pagination: entry.pagination });
+      setSavedIds(prev => ({ ...prev, [entry.id]: true }));
+    } catch (err) {
+      setSaveErrors(prev => ({ ...prev, [entry.id]: err.message }));
+    }
+  };
+
+  const toggleFolder = (folder) => {
+    setCollapsed(prev => ({ ...prev, [folder]: !prev[folder] }));
+  };
+
+  const openBulkTransport = () => {
+    setBulkTransport({ source: 'list' });
+    setShowBulkTransport(true);
+  };
+
+  if (requestList.length === 0) return null;
+
+  // Keep first-seen folder order; entries without a folder sit at the top
+  const groups = [];
+  for (const entry of requestList) {
+    const folder = entry.folder || '';
+    let group = groups.find(g => g.folder === folder);
+    if (!group) {
+      group = { folder, entries: [] };
+      groups.push(group);
+    }
+    group.entries.push(entry);
+  }
+
+  return (
+    <div className="request-list">
+      <div className="request-list-header">
+        <span>Request List ({requestList.length})</span>
+        <div className="request-list-actions">
+          <button
+            className="btn btn-small btn-ghost"
+            onClick={openBulkTransport}
+            title="Fetch every request in the list and send the data to Google Sheets or n8n"
+          >
+            Bulk Transport
+          </button>
+          <button className="btn btn-small btn-ghost" onClick={clearRequestList}>
+            Clear
+          </button>
+        </div>
+      </div>
+      <div className="request-list-entries">
+        {groups.map(({ folder, entries }) => (
+          <React.Fragment key={folder || '(root)'}>
+            {folder && (
+              <button className="request-list-folder" onClick={() => toggleFolder(folder)}>
+                {collapsed[folder] ? '+' : '-'} {folder} ({entries.length})
+              </button>
+            )}
+            {!collapsed[folder] && entries.map(entry => (
+              <div
+                key={entry.id}
+                className={`request-list-entry ${folder ? 'nested' : ''} ${entry.request && parsedRequest === entry.request ? 'active' : ''}`}
+              >
+                {entry.request ? (
+                  <button
+                    className="request-list-load"
+                    onClick={() => loadRequest(entry.request, entry.pagination)}
+                    title={entry.request.url}
+                  >
+                    <span className="request-list-method">{entry.request.method}</span>
+                    <span className="request-list-name">{entry.name}</span>
+                  </button>
+                ) : (
+                  <span className="request-list-load request-list-error" title={entry.error}>
+                    <span className="request-list-method">ERR</span>
+                    <span className="request-list-name">{entry.name}: {entry.error}</span>
+                  </span>
+                )}
+                <span className="request-list-source">{entry.source}</span>
+                {entry.request && (
+                  <>
+                    <label className="request-list-bulk" title="Include in Bulk Transport runs over the request list">
+                      <input
+                        type="checkbox"
+                        checked={entry.bulk !== false}
+                        onChange={(e) => updateRequestListEntry(entry.id, { bulk: e.target.checked })}
+                      />
+                      bulk
+                    </label>
+                    <button
+                      className="btn btn-small btn-ghost"
+                      onClick={() => runEntry(entry)}
+                      disabled={isExecuting}
+                      title="Load and fetch this request"
+                    >
+                      Run
+                    </button>
+                    <button
+                      className="btn btn-small btn-ghost"
+                      onClick={() => saveEntry(entry)}
+                      disabled={savedIds[entry.id]}
+                      title={saveErrors[entry.id] || 'Save to the request library'}
+                    >
+                      {savedIds[entry.id] ? 'Saved' : saveErrors[entry.id] ? 'Not saved' : 'Save'}
+                    </button>
+                  </>
+                )}
+                <button
+                  className="btn btn-small btn-ghost"
+                  onClick={() => removeFromRequestList(entry.id)}
+                  title="Remove from list"
+                >
+                  x
+                </button>
+              </div>
+            ))}
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default RequestList;
@@ -1,9 +1,23 @@
-import React from 'react';
+import React, { useState } from 'react';
 import useAppStore from '../store/appStore';
-import { toCurl } from '../utils/curlParser';
+import { findHeaderKey, parseCookieString, SHELL_LABELS } from '../utils/curlParser';
+import { CODE_GENERATORS } from '../utils/codeGenerators';
+import { SNIPPET_FORMATS } from '../utils/snippetParser';
+import { environmentVariables, findVariables, inlineSigningSecrets, resolveRequest, SECRET_MASK } from '../utils/environments';
+import { chainVariables } from '../utils/requestChain';
+import SigningEditor from './SigningEditor';
+import RequestChainEditor from './RequestChainEditor';
+import AssertionsEditor from './AssertionsEditor';
 
 function RequestPreview() {
-  const { parsedRequest, parseError } = useAppStore();
+  const {
+    parsedRequest, setParsedRequest, parseError, pagination, environments, activeEnvironmentId, authProfiles,
+    setShowCookieJars, requestChain, setRequestChain, chainRun, requestAssertions, setRequestAssertions
+  } = useAppStore();
+  const [showCopyMenu, setShowCopyMenu] = useState(false);
+  const [copyStatus, setCopyStatus] = useState(null);
+  const [singleLine, setSingleLine] = useState(false);
+  const [showResolved, setShowResolved] = useState(false);
 
   if (parseError) {
     return (
@@ -32,7 +46,32 @@ function RequestPreview() {
     );
   }
 
-  const { method, url, headers, data, params } = parsedRequest;
+  // {{variables}} in the request, shown either as written or filled in from the active environment (secrets masked)
+  const environment = environments.find(env => env.id === activeEnvironmentId) || null;
+  const variableNames = findVariables(parsedRequest);
+  const displayVariables = environmentVariables(environment, { mask: true });
+  const chainProvided = chainVariables(requestChain); // { variable: step name }
+  const shownRequest = showResolved ? resolveRequest(parsedRequest, displayVariables) : parsedRequest;
+
+  const { method, url, headers, data, params, form, dataParts, dataInQuery, queryParts, warnings, transport, format, shell } = shownRequest;
+
+  // Cookie / User-Agent / Referer (-b, -A, -e) get their own section
+  const cookieKey = findHeaderKey(headers, 'Cookie');
+  const userAgentKey = findHeaderKey(headers, 'User-Agent');
+  const refererKey = findHeaderKey(headers, 'Referer');
+  const browserKeys = [cookieKey, userAgentKey, refererKey].filter(Boolean);
+  const cookies = cookieKey ? parseCookieString(headers[cookieKey]) : {};
+  const otherHeaders = Object.entries(headers || {}).filter(([key]) => !browserKeys.includes(key));
+
+  const copyAs = (generator) => {
+    const text = generator.generate(parsedRequest, pagination, { multiline: !singleLine });
+    // Signing keys typed into the request stay out of the clipboard (snippets end up in chats)
+    const leaked = inlineSigningSecrets(parsedRequest.signing).some(field => text.includes(parsedRequest.signing[field]));
+    if (!leaked) navigator.clipboard.writeText(text);
+    setShowCopyMenu(false);
+    setCopyStatus(leaked ? 'Not copied: make the signing keys {{secret}} variables first' : `Copied ${generator.label}`);
+    setTimeout(() => setCopyStatus(null), leaked ? 4000 : 1500);
+  };
 
   const methodColors = {
     GET: '#61affe',
@@ -48,13 +87,32 @@ function RequestPreview() {
     <div className="panel request-preview-panel">
       <div className="panel-header">
         <h2>Request Preview</h2>
-        <button
-          className="btn btn-small btn-ghost"
-          onClick={() => navigator.clipboard.writeText(toCurl(parsedRequest))}
-          title="Copy as cURL"
-        >
-          Copy cURL
-        </button>
+        <div className="copy-menu">
+          <button
+            className="btn btn-small btn-ghost"
+            onClick={() => setShowCopyMenu(!showCopyMenu)}
+            title="Copy the request as cURL or as code (includes a pagination loop when pagination is detected)"
+          >
+            {copyStatus || 'Copy as...'}
+          </button>
+          {showCopyMenu && (
+            <div className="copy-menu-list">
+              {CODE_GENERATORS.map(gen => (
+                <button key={gen.id} className="copy-menu-item" onClick={() => copyAs(gen)}>
+                  {gen.label}
+                </button>
+              ))}
+              <label className="copy-menu-option" title="Put cURL commands on one line instead of using line continuations">
+                <input
+                  type="checkbox"
+                  checked={singleLine}
+                  onChange={(e) => setSingleLine(e.target.checked)}
+                />
+                Single line
+              </label>
+            </div>
+          )}
+        </div>
       </div>
 
       <div className="request-preview">
@@ -67,8 +125,170 @@ function RequestPreview() {
             {method}
           </span>
           <span className="request-url">{url}</span>
+          {format && (
+            <span className="format-badge" title="Detected input format">
+              {SNIPPET_FORMATS[format] || format}
+              {shell ? ` (${SHELL_LABELS[shell] || shell})` : ''}
+            </span>
+          )}
         </div>
 
+        {/* OAuth2 auth profile */}
+        {(authProfiles.length > 0 || parsedRequest.authProfileId) && (
+          <div className="request-section">
+            <h3>Auth Profile</h3>
+            <select
+              className="form-input"
+              value={parsedRequest.authProfileId || ''}
+              onChange={(e) => {
+                const { authProfileId, ...request } = parsedRequest;
+                setParsedRequest(e.target.value ? { ...request, authProfileId: e.target.value } : request);
+              }}
+              title="The profile's access token replaces the Authorization header when the request is sent"
+            >
+              <option value="">None (send the request's own headers)</option>
+              {authProfiles.map(profile => <option key={profile.id} value={profile.id}>{profile.name}</option>)}
+              {parsedRequest.authProfileId && !authProfiles.some(profile => profile.id === parsedRequest.authProfileId) && (
+                <option value={parsedRequest.authProfileId}>(deleted profile)</option>
+              )}
+            </select>
+          </div>
+        )}
+
+        {/* Request signing (--aws-sigv4, --digest, HMAC), computed per request by the main process */}
+        <div className="request-section">
+          <h3>Request Signing</h3>
+          <SigningEditor
+            signing={parsedRequest.signing}
+            onChange={(signing) => {
+              const { signing: previous, ...request } = parsedRequest;
+              setParsedRequest(signing ? { ...request, signing } : request);
+            }}
+          />
+          {parsedRequest.signing && (
+            <p className="settings-hint">
+              Signed again for every request, Bulk page and Enrich ID. Typed keys work for sending; to save or
+              copy the request, use <code>{'{{secret}}'}</code> environment variables so they stay in the vault.
+            </p>
+          )}
+        </div>
+
+        {/* Request chain: steps sent first, whose extractions fill {{variables}} in this request */}
+        <div className="request-section">
+          <h3>Request Chain{requestChain.length > 0 ? ` (${requestChain.length} steps first)` : ''}</h3>
+          {requestChain.length > 0 && (
+            <p className="settings-hint">
+              Steps are sent in order before this request (and once before a Bulk run). A value extracted
+              as <code>{'{{name}}'}</code> fills that variable in later steps and in this request.
+            </p>
+          )}
+          <RequestChainEditor steps={requestChain} onChange={setRequestChain} run={chainRun} />
+        </div>
+
+        {/* Assertions: checked against every response, and by Run all in the library */}
+        <div className="request-section">
+          <h3>Assertions{requestAssertions.length > 0 ? ` (${requestAssertions.length})` : ''}</h3>
+          {requestAssertions.length > 0 && (
+            <p className="settings-hint">
+              Checked against each response (pass/fail shows above the body) and saved with the request
+              for the library's Run all. JSON values are read with JSONPath, e.g. <code>$.data[0].id</code>.
+            </p>
+          )}
+          <AssertionsEditor assertions={requestAssertions} onChange={setRequestAssertions} />
+        </div>
+
+        {/* Cookie jar (-b / -c): cookies kept by the main process across requests naming the same jar */}
+        <div className="request-section">
+          <div className="request-section-header">
+            <h3>Cookie Jar</h3>
+            {window.switchboard && (
+              <button className="btn btn-small btn-ghost" onClick={() => setShowCookieJars(true)}>
+                View cookies
+              </button>
+            )}
+          </div>
+          <input
+            className="form-input"
+            type="text"
+            value={parsedRequest.cookieJar || ''}
+            onChange={(e) => {
+              const { cookieJar, ...request } = parsedRequest;
+              setParsedRequest(e.target.value ? { ...request, cookieJar: e.target.value } : request);
+            }}
+            placeholder="None - name a jar (e.g. session) to keep the cookies the server sets"
+          />
+          {parsedRequest.cookieJar && (
+            <p className="settings-hint">
+              Cookies set by the responses are kept until the app quits and sent with every request naming
+              the same jar, so a login request can open the session for the ones after it.
+            </p>
+          )}
+        </div>
+
+        {/* Environment Variables */}
+        {variableNames.length > 0 && (
+          <div className="request-section">
+            <div className="request-section-header">
+              <h3>Variables ({environment ? environment.name : 'no environment'})</h3>
+              <div className="view-toggle">
+                <button
+                  className={`btn btn-small btn-ghost ${!showResolved ? 'active' : ''}`}
+                  onClick={() => setShowResolved(false)}
+                >
+                  Template
+                </button>
+                <button
+                  className={`btn btn-small btn-ghost ${showResolved ? 'active' : ''}`}
+                  onClick={() => setShowResolved(true)}
+                  title="Preview with the active environment's values (secrets masked)"
+                >
+                  Resolved
+                </button>
+              </div>
+            </div>
+            <table className="kv-table">
+              <tbody>
+                {variableNames.map(name => (
+                  <tr key={name}>
+                    <td className="kv-key">{`{{${name}}}`}</td>
+                    <td className="kv-value">
+                      {Object.hasOwn(chainProvided, name) ? (
+                        <span className="status-badge neutral">from chain step "{chainProvided[name]}"</span>
+                      ) : Object.hasOwn(displayVariables, name) ? (
+                        <span className={displayVariables[name] === SECRET_MASK ? 'secret-value' : ''}>{displayVariables[name]}</span>
+                      ) : (
+                        <span className="status-badge error">{name.startsWith('$') ? 'dynamic, sent as-is' : 'not set'}</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Parse Diagnostics */}
+        {warnings && warnings.length > 0 && (
+          <div className="request-section">
+            <h3>Parse Warnings ({warnings.filter(w => !w.honored).length} not honored)</h3>
+            <table className="kv-table parse-warnings">
+              <tbody>
+                {warnings.map((w, idx) => (
+                  <tr key={`${w.flag}-${w.position}-${idx}`} className={w.honored ? 'warning-honored' : 'warning-ignored'}>
+                    <td className="kv-key">{w.flag}</td>
+                    <td className="kv-value">
+                      <span className={`status-badge ${w.honored ? 'success' : 'error'}`}>
+                        {w.unknown ? 'unknown' : w.honored ? 'honored' : 'ignored'}
+                      </span>
+                      {' '}{w.reason}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
         {/* Query Params */}
         {params && Object.keys(params).length > 0 && (
           <div className="request-section">
@@ -87,12 +307,58 @@ function RequestPreview() {
         )}
 
         {/* Headers */}
-        {headers && Object.keys(headers).length > 0 && (
+        {otherHeaders.length > 0 && (
           <div className="request-section">
             <h3>Headers</h3>
             <table className="kv-table">
               <tbody>
-                {Object.entries(headers).map(([key, value]) => (
+                {otherHeaders.map(([key, value]) => (
+                  <tr key={key}>
+                    <td className="kv-key">{key}</td>
+                    <td className="kv-value">{value}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Cookies & Client */}
+        {browserKeys.length > 0 && (
+          <div className="request-section">
+            <h3>Cookies &amp; Client</h3>
+            <table className="kv-table">
+              <tbody>
+                {userAgentKey && (
+                  <tr>
+                    <td className="kv-key">User-Agent</td>
+                    <td className="kv-value">{headers[userAgentKey]}</td>
+                  </tr>
+                )}
+                {refererKey && (
+                  <tr>
+                    <td className="kv-key">Referer</td>
+                    <td className="kv-value">{headers[refererKey]}</td>
+                  </tr>
+                )}
+                {Object.entries(cookies).map(([name, value]) => (
+                  <tr key={`cookie-${name}`}>
+                    <td className="kv-key">cookie: {name}</td>
+                    <td className="kv-value">{value}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Transport (-k, -m, --connect-timeout, -x, --max-redirs, -L) */}
+        {transport && (
+          <div className="request-section">
+            <h3>Transport</h3>
+            <table className="kv-table">
+              <tbody>
+                {describeTransport(transport).map(([key, value]) => (
                   <tr key={key}>
                     <td className="kv-key">{key}</td>
                     <td className="kv-value">{value}</td>
@@ -103,6 +369,27 @@ function RequestPreview() {
           </div>
         )}
 
+        {/* Multipart Form */}
+        {form && form.length > 0 && (
+          <div className="request-section">
+            <h3>Form Data (multipart)</h3>
+            <table className="kv-table">
+              <tbody>
+                {form.map((part, idx) => (
+                  <tr key={`${part.name}-${idx}`}>
+                    <td className="kv-key">{part.name}</td>
+                    <td className="kv-value">
+                      {part.file
+                        ? `${part.inline ? 'contents of' : 'file'} ${part.file}${part.type ? ` (${part.type})` : ''}`
+                        : part.value}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
         {/* Body */}
         {data && (
           <div className="request-section">
@@ -112,9 +399,41 @@ function RequestPreview() {
             </pre>
           </div>
         )}
+
+        {/* Data read from files at send time */}
+        {(dataParts || queryParts) && (
+          <div className="request-section">
+            <h3>Data From Files {dataInQuery || !dataParts ? '(query string)' : '(body)'}</h3>
+            <pre className="code-block">
+              {[...(dataParts || []), ...(queryParts || [])].map(describeDataPart).join('&')}
+            </pre>
+          </div>
+        )}
       </div>
     </div>
   );
 }
 
+/**
+ * Turn the parsed transport options into display rows
+ */
+function describeTransport(transport) {
+  const rows = [];
+  if (transport.insecure) rows.push(['TLS verification', 'disabled (-k)']);
+  if (transport.maxTime) rows.push(['Max time', `${transport.maxTime}s`]);
+  if (transport.connectTimeout) rows.push(['Connect timeout', `${transport.connectTimeout}s`]);
+  if (transport.proxy) rows.push(['Proxy', transport.proxy + (transport.proxyUser ? ' (with credentials)' : '')]);
+  if (transport.followRedirects) rows.push(['Follow redirects', 'yes (-L)']);
+  if (transport.maxRedirs !== undefined) rows.push(['Max redirects', transport.maxRedirs < 0 ? 'unlimited' : transport.maxRedirs]);
+  return rows;
+}
+
+/**
+ * Render a data segment for display; file references show as name@file
+ */
+function describeDataPart(part) {
+  if (typeof part === 'string') return part;
+  return `${part.name ? `${part.name}=` : ''}<${part.file}${part.urlencode ? ', url-encoded' : ''}>`;
+}
+
 export default RequestPreview;
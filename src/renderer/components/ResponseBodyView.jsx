@@ -0,0 +1,83 @@
+import React, { useEffect, useState } from 'react';
+import { PREVIEW_TYPES, formatBytes, previewUrl } from '../utils/responseBody';
+
+/**
+ * Body of a response kept on disk by the main process: an image / PDF preview
+ * for binary content, or the text read one page at a time.
+ */
+function ResponseBodyView({ body }) {
+  if (body.binary) {
+    if (/^image\//i.test(body.contentType)) {
+      return (
+        <div className="body-preview">
+          <img src={previewUrl(body)} alt={body.fileName} />
+        </div>
+      );
+    }
+    if (PREVIEW_TYPES.test(body.contentType)) {
+      return <iframe className="body-preview-frame" src={previewUrl(body)} title={body.fileName} />;
+    }
+    return (
+      <div className="empty-state">
+        <p>
+          Binary response ({body.contentType || 'unknown type'}, {formatBytes(body.size)}) - no preview available.
+          Use "Save as..." to keep it.
+        </p>
+      </div>
+    );
+  }
+
+  return <TextPages body={body} />;
+}
+
+function TextPages({ body }) {
+  const [page, setPage] = useState(null); // { text, offset, nextOffset, size }
+  const [previousOffsets, setPreviousOffsets] = useState([]);
+  const [error, setError] = useState(null);
+
+  const load = async (offset) => {
+    const result = await window.switchboard.readResponseBody(body.id, offset);
+    if (!result.success) {
+      setError(result.error);
+      return false;
+    }
+    setError(null);
+    setPage(result);
+    return true;
+  };
+
+  useEffect(() => {
+    setPreviousOffsets([]);
+    load(0);
+  }, [body.id]);
+
+  const goNext = async () => {
+    if (await load(page.nextOffset)) setPreviousOffsets(prev => [...prev, page.offset]);
+  };
+
+  const goPrev = async () => {
+    if (await load(previousOffsets[previousOffsets.length - 1])) setPreviousOffsets(prev => prev.slice(0, -1));
+  };
+
+  if (error) return <div className="result-banner error">{error}</div>;
+  if (!page) return <div className="empty-state"><p className="pulse">Loading...</p></div>;
+
+  return (
+    <>
+      <div className="body-pager">
+        <span className="pagination-label">
+          Large response - showing {formatBytes(page.offset)} to {formatBytes(page.nextOffset)} of {formatBytes(page.size)}
+        </span>
+        <button className="pagination-btn" onClick={goPrev} disabled={previousOffsets.length === 0}>
+          &larr; Prev
+        </button>
+        <button className="pagination-btn" onClick={goNext} disabled={page.nextOffset >= page.size}>
+          Next &rarr;
+        </button>
+      </div>
+      <pre className="code-block">{page.text}</pre>
+    </>
+  );
+}
+
+export default ResponseBodyView;
@@ -1,15 +1,21 @@
 import React, { useState } from 'react';
 import useAppStore from '../store/appStore';
+import TimingWaterfall from './TimingWaterfall';
+import AssertionResults from './AssertionResults';
+import ResponseBodyView from './ResponseBodyView';
+import { formatDuration } from '../utils/latency';
+import { formatBytes, saveResponseBody } from '../utils/responseBody';
 
 function ResponseViewer() {
   const {
     apiResponse, executeError, setShowExportModal, setShowBulkTransport, setActiveTab,
     pagination, setPagination, _fetchPageFn, isExecuting,
-    rateLimit, parsedRequest
+    rateLimit, parsedRequest, assertionResults
   } = useAppStore();
 
   const [viewMode, setViewMode] = useState('pretty'); // 'pretty' | 'raw' | 'headers'
   const [searchTerm, setSearchTerm] = useState('');
+  const [saveError, setSaveError] = useState(null);
 
   if (executeError) {
     return (
@@ -39,11 +45,17 @@ function ResponseViewer() {
     );
   }
 
-  const { success, status, statusText, headers, data, error, timing } = apiResponse;
+  const { success, status, statusText, headers, data, body, error, timing } = apiResponse;
   const statusColor = status >= 200 && status < 300 ? '#49cc90' : status >= 400 ? '#f93e3e' : '#fca130';
 
-  const dataString = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
-  const dataSize = new Blob([dataString]).size;
+  // A binary or very large body isn't in `data`; only its descriptor is
+  const dataString = body ? '' : typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+  const dataSize = body ? body.size : new Blob([dataString]).size;
+
+  const handleSave = async () => {
+    const result = await saveResponseBody(body);
+    setSaveError(result.success || result.cancelled ? null : result.error);
+  };
 
   // Count items - check both top-level array and nested data arrays
   let itemCount = null;
@@ -133,7 +145,7 @@ function ResponseViewer() {
                 <span className="meta-item">{itemCount} items</span>
               )}
               {timing && (
-                <span className="meta-item">{timing}ms</span>
+                <span className="meta-item">{formatDuration(timing.total)}</span>
               )}
             </>
           )}
@@ -145,16 +157,22 @@ function ResponseViewer() {
           <button className="btn btn-small btn-ghost" onClick={() => setActiveTab('input')}>
             Back
           </button>
-          <button
-            className="btn btn-small btn-ghost"
-            onClick={() => navigator.clipboard.writeText(dataString)}
-          >
-            Copy JSON
-          </button>
+          {body ? (
+            <button className="btn btn-small btn-ghost" onClick={handleSave}>
+              Save as...
+            </button>
+          ) : (
+            <button
+              className="btn btn-small btn-ghost"
+              onClick={() => navigator.clipboard.writeText(dataString)}
+            >
+              Copy JSON
+            </button>
+          )}
           <button
             className="btn btn-small btn-accent"
             onClick={() => setShowExportModal(true)}
-            disabled={!success}
+            disabled={!success || !!body}
           >
             Export Page
           </button>
@@ -180,6 +198,13 @@ function ResponseViewer() {
         </div>
       </div>
 
+      {saveError && <div className="result-banner error">Save failed: {saveError}</div>}
+
+      {/* Timing breakdown */}
+      {success && <TimingWaterfall timing={timing} />}
+
+      <AssertionResults checks={assertionResults} />
+
       {/* Rate Limit Info Bar */}
       {(rateLimit.rateLimitInfo || rateLimit.isWaiting) && (
         <div className="rate-limit-info-bar">
@@ -302,7 +327,7 @@ function ResponseViewer() {
           Headers
         </button>
 
-        {viewMode === 'pretty' && (
+        {viewMode === 'pretty' && !body && (
           <input
             className="search-input"
             type="text"
@@ -327,12 +352,13 @@ function ResponseViewer() {
 
       {/* Content */}
       <div className="response-content">
-        {viewMode === 'pretty' && (
+        {body && viewMode !== 'headers' && <ResponseBodyView body={body} />}
+        {viewMode === 'pretty' && !body && (
           <pre className="code-block json-pretty">
             {JSON.stringify(filteredData, null, 2)}
           </pre>
         )}
-        {viewMode === 'raw' && (
+        {viewMode === 'raw' && !body && (
           <pre className="code-block">{dataString}</pre>
         )}
         {viewMode === 'headers' && headers && (
@@ -372,12 +398,6 @@ function filterJSON(data, term) {
   return filtered;
 }
 
-function formatBytes(bytes) {
-  if (bytes < 1024) return `${bytes} B`;
-  if (bytes < 1048576) return `${(bytes / 1024).toFixed(1)} KB`;
-  return `${(bytes / 1048576).toFixed(1)} MB`;
-}
-
 function formatResetTime(resetTimestamp) {
   // Could be epoch seconds or relative seconds
   if (resetTimestamp > 1e9) {
@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import useAppStore, { paginationSettings, rateLimitSettings } from '../store/appStore';
+import { requestDisplayName } from '../utils/harImporter';
+
+/**
+ * Sidebar library of saved requests (stored under the savedRequests key).
+ * Requests keep their pagination, rate-limit, chain and assertion settings; clicking one
+ * loads it back into the editor. Entries can be tagged, searched, renamed and duplicated,
+ * and Run all sends the listed ones and reports how their assertions did.
+ */
+function SavedRequests() {
+  const {
+    savedRequests, parsedRequest, pagination, rateLimit, requestChain, requestAssertions, saveRequest,
+    updateSavedRequest, duplicateSavedRequest, deleteSavedRequest, loadSavedRequest, setTestRunner
+  } = useAppStore();
+
+  const [search, setSearch] = useState('');
+  const [activeTag, setActiveTag] = useState(null);
+  const [draft, setDraft] = useState(null);     // { id?, name, tags } while the save / edit form is open
+  const [error, setError] = useState(null);
+
+  const allTags = [...new Set(savedRequests.flatMap(entry => entry.tags || []))].sort();
+
+  const query = search.trim().toLowerCase();
+  const visible = savedRequests.filter(entry => {
+    if (activeTag && !(entry.tags || []).includes(activeTag)) return false;
+    if (!query) return true;
+    const haystack = `${entry.name} ${(entry.tags || []).join(' ')} ${entry.request.method} ${entry.request.url}`;
+    return haystack.toLowerCase().includes(query);
+  });
+
+  const startSave = () => {
+    setError(null);
+    setDraft({ name: requestDisplayName(parsedRequest.method, parsedRequest.url), tags: '' });
+  };
+
+  const startEdit = (entry) => {
+    setError(null);
+    setDraft({ id: entry.id, name: entry.name, tags: (entry.tags || []).join(', ') });
+  };
+
+  const submitDraft = async (e) => {
+    e.preventDefault();
+    const name = draft.name.trim();
+    if (!name) {
+      setError('Name is required');
+      return;
+    }
+    const tags = [...new Set(draft.tags.split(',').map(t => t.trim()).filter(Boolean))];
+
+    try {
+      if (draft.id) {
+        await updateSavedRequest(draft.id, { name, tags });
+      } else {
+        await saveRequest({
+          name,
+          tags,
+          request: parsedRequest,
+          pagination: paginationSettings(pagination),
+          rateLimit: rateLimitSettings(rateLimit),
+          chain: requestChain,
+          assertions: requestAssertions
+        });
+      }
+      setDraft(null);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = (entry) => {
+    if (window.confirm(`Delete "${entry.name}" from the library?`)) {
+      deleteSavedRequest(entry.id);
+    }
+  };
+
+  return (
+    <div className="panel saved-requests-panel">
+      <div className="panel-header">
+        <h2>Library ({savedRequests.length})</h2>
+        <div className="panel-header-actions">
+          {window.switchboard && (
+            <button
+              className="btn btn-small btn-ghost"
+              onClick={() => setTestRunner({ entryIds: visible.map(entry => entry.id) })}
+              disabled={visible.length === 0}
+              title="Send the listed requests one by one and report how their assertions did"
+            >
+              Run all
+            </button>
+          )}
+          <button
+            className="btn btn-small btn-ghost"
+            onClick={startSave}
+            disabled={!parsedRequest}
+            title="Save the current request with its pagination, rate-limit, chain and assertion settings"
+          >
+            Save current
+          </button>
+        </div>
+      </div>
+
+      {draft && (
+        <form className="saved-request-form" onSubmit={submitDraft}>
+          <input
+            className="form-input"
+            type="text"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            placeholder="Name"
+            autoFocus
+          />
+          <input
+            className="form-input"
+            type="text"
+            value={draft.tags}
+            onChange={(e) => setDraft({ ...draft, tags: e.target.value })}
+            placeholder="Tags, comma separated"
+          />
+          {error && <div className="result-banner error">{error}</div>}
+          <div className="saved-request-form-actions">
+            <button type="submit" className="btn btn-small btn-primary">
+              {draft.id ? 'Update' : 'Save'}
+            </button>
+            <button type="button" className="btn btn-small btn-ghost" onClick={() => setDraft(null)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="saved-requests-filters">
+        <input
+          className="search-input"
+          type="text"
+          placeholder="Search name, tag or URL..."
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        {allTags.length > 0 && (
+          <div className="saved-request-tags">
+            {allTags.map(tag => (
+              <button
+                key={tag}
+                className={`saved-request-tag ${activeTag === tag ? 'active' : ''}`}
+                onClick={() => setActiveTag(activeTag === tag ? null : tag)}
+              >
+                {tag}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="saved-requests-entries">
+        {visible.length === 0 ? (
+          <div className="empty-state">
+            <p>{savedRequests.length === 0 ? 'Parse a request and click "Save current" to keep it here.' : 'No saved request matches.'}</p>
+          </div>
+        ) : visible.map(entry => (
+          <div key={entry.id} className={`saved-request ${parsedRequest === entry.request ? 'active' : ''}`}>
+            <button
+              className="saved-request-load"
+              onClick={() => loadSavedRequest(entry.id)}
+              title={`${entry.request.method} ${entry.request.url}`}
+            >
+              <span className="request-list-method">{entry.request.method}</span>
+              <span className="request-list-name">{entry.name}</span>
+              {entry.chain?.length > 0 && (
+                <span className="request-list-source" title="Runs its chain steps first">+{entry.chain.length} steps</span>
+              )}
+              {entry.assertions?.length > 0 && (
+                <span className="request-list-source" title="Assertions checked against its response">
+                  {entry.assertions.length} checks
+                </span>
+              )}
+            </button>
+            {entry.tags?.length > 0 && (
+              <div className="saved-request-tags">
+                {entry.tags.map(tag => (
+                  <button key={tag} className="saved-request-tag" onClick={() => setActiveTag(tag)}>
+                    {tag}
+                  </button>
+                ))}
+              </div>
+            )}
+            <div className="saved-request-actions">
+              <button className="btn btn-small btn-ghost" onClick={() => startEdit(entry)} title="Rename or retag">
+                Edit
+              </button>
+              <button className="btn btn-small btn-ghost" onClick={() => duplicateSavedRequest(entry.id)} title="Duplicate">
+                Duplicate
+              </button>
+              <button className="btn btn-small btn-ghost" onClick={() => handleDelete(entry)} title="Delete">
+                x
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default SavedRequests;
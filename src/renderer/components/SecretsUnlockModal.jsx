@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import useAppStore from '../store/appStore';
+
+/**
+ * Shown on launch when the secrets vault can't be opened with the OS keyring:
+ * asks for the passphrase, or for a new one when there is no keyring (or the
+ * keyring that protected the old vault is gone).
+ */
+function SecretsUnlockModal({ onUnlocked }) {
+  const { secretsStatus, setSecretsStatus } = useAppStore();
+
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const isLocked = secretsStatus.state === 'locked';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!isLocked && passphrase !== confirmation) {
+      setError('Passphrases do not match');
+      return;
+    }
+
+    setBusy(true);
+    const result = isLocked
+      ? await window.switchboard.unlockSecrets(passphrase)
+      : await window.switchboard.setupSecrets(passphrase);
+    setBusy(false);
+
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    setSecretsStatus(result.status);
+    await onUnlocked();
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{isLocked ? 'Unlock Secrets' : 'Protect Secrets'}</h2>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="modal-body">
+            <p className="modal-subtitle">
+              {isLocked && 'Enter your passphrase to use saved secrets (Google credentials, secret environment variables).'}
+              {secretsStatus.state === 'setup' &&
+                'No OS keyring is available to protect saved secrets. Choose a passphrase; you will be asked for it on every launch.'}
+              {secretsStatus.state === 'unavailable' &&
+                `${secretsStatus.error} Choose a passphrase to start a new secret store; secrets saved in the old one cannot be recovered.`}
+            </p>
+
+            <label className="form-label">
+              Passphrase
+              <input
+                className="form-input"
+                type="password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                autoFocus
+              />
+            </label>
+            {!isLocked && (
+              <label className="form-label">
+                Confirm passphrase
+                <input
+                  className="form-input"
+                  type="password"
+                  value={confirmation}
+                  onChange={(e) => setConfirmation(e.target.value)}
+                />
+              </label>
+            )}
+          </div>
+
+          <div className="modal-footer har-import-actions">
+            {error && <div className="result-banner error">{error}</div>}
+            <button
+              type="button"
+              className="btn btn-ghost"
+              onClick={() => setSecretsStatus({ ...secretsStatus, dismissed: true })}
+              title="Continue without saved secrets for this session"
+            >
+              Skip
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={!passphrase || busy}>
+              {busy ? 'Working...' : isLocked ? 'Unlock' : 'Save Passphrase'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default SecretsUnlockModal;
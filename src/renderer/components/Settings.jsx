@@ -9,6 +9,32 @@ function Settings() {
 
   const [saving, setSaving] = useState(false);
   const [authStatus, setAuthStatus] = useState(null);
+  const [showSecret, setShowSecret] = useState(false);
+
+  // The client secret goes to the encrypted vault; only a newly typed value is sent
+  const saveClientSecret = async () => {
+    if (!config.googleClientSecret) return;
+    const result = await window.switchboard.setSecret('googleClientSecret', config.googleClientSecret);
+    if (!result.success) throw new Error(result.error);
+    setConfigValue('googleClientSecret', '');
+    setConfigValue('hasGoogleClientSecret', true);
+    setShowSecret(false);
+  };
+
+  const handleRevealSecret = async () => {
+    if (showSecret) {
+      setConfigValue('googleClientSecret', '');
+      setShowSecret(false);
+      return;
+    }
+    const result = await window.switchboard.revealSecret('googleClientSecret');
+    if (!result.success) {
+      if (!result.cancelled) setAuthStatus(result.error);
+      return;
+    }
+    setConfigValue('googleClientSecret', result.value);
+    setShowSecret(true);
+  };
 
   const handleSave = async () => {
     setSaving(true);
@@ -16,11 +42,12 @@ function Settings() {
       if (window.switchboard) {
         await window.switchboard.setConfig('n8nWebhookUrl', config.n8nWebhookUrl);
         await window.switchboard.setConfig('googleClientId', config.googleClientId);
-        await window.switchboard.setConfig('googleClientSecret', config.googleClientSecret);
         await window.switchboard.setConfig('googleScriptId', config.googleScriptId);
+        await saveClientSecret();
       }
       setSaving(false);
-    } catch {
+    } catch (err) {
+      setAuthStatus(err.message);
       setSaving(false);
     }
   };
@@ -32,14 +59,19 @@ function Settings() {
     }
 
     // Save credentials first
-    await window.switchboard.setConfig('googleClientId', config.googleClientId);
-    await window.switchboard.setConfig('googleClientSecret', config.googleClientSecret);
+    try {
+      await window.switchboard.setConfig('googleClientId', config.googleClientId);
+      await saveClientSecret();
+    } catch (err) {
+      setAuthStatus(err.message);
+      return;
+    }
 
     setAuthStatus('Opening browser for Google sign-in...');
     const result = await window.switchboard.googleAuthStart();
 
     if (result.success) {
-      setGoogleAuth({ authenticated: true, tokens: result.tokens });
+      setGoogleAuth({ authenticated: true });
       setAuthStatus('Authenticated successfully!');
     } else {
       setAuthStatus(`Auth failed: ${result.error}`);
@@ -48,9 +80,9 @@ function Settings() {
 
   const handleDisconnect = async () => {
     if (window.switchboard) {
-      await window.switchboard.deleteConfig('googleTokens');
+      await window.switchboard.googleAuthDisconnect();
     }
-    setGoogleAuth({ authenticated: false, tokens: null });
+    setGoogleAuth({ authenticated: false });
     setAuthStatus('Disconnected from Google');
   };
 
@@ -101,13 +133,20 @@ function Settings() {
 
             <label className="form-label">
               Client Secret
-              <input
-                className="form-input"
-                type="password"
-                value={config.googleClientSecret}
-                onChange={(e) => setConfigValue('googleClientSecret', e.target.value)}
-                placeholder="GOCSPX-..."
-              />
+              <div className="secret-input">
+                <input
+                  className="form-input"
+                  type={showSecret ? 'text' : 'password'}
+                  value={config.googleClientSecret}
+                  onChange={(e) => setConfigValue('googleClientSecret', e.target.value)}
+                  placeholder={config.hasGoogleClientSecret ? 'Saved (encrypted) - type to replace' : 'GOCSPX-...'}
+                />
+                {config.hasGoogleClientSecret && window.switchboard && (
+                  <button type="button" className="btn btn-small btn-ghost" onClick={handleRevealSecret}>
+                    {showSecret ? 'Hide' : 'Show'}
+                  </button>
+                )}
+              </div>
             </label>
 
             <label className="form-label">
@@ -133,7 +172,7 @@ function Settings() {
                 <button
                   className="btn btn-primary"
                   onClick={handleGoogleAuth}
-                  disabled={!config.googleClientId || !config.googleClientSecret}
+                  disabled={!config.googleClientId || !(config.googleClientSecret || config.hasGoogleClientSecret)}
                 >
                   Authenticate with Google
                 </button>
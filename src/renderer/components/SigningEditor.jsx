@@ -0,0 +1,105 @@
+import React from 'react';
+import { inlineSigningSecrets } from '../utils/environments';
+
+const SIGNING_TYPES = {
+  '': 'None',
+  'aws-sigv4': 'AWS Signature V4',
+  hmac: 'HMAC header signature',
+  digest: 'HTTP Digest'
+};
+
+const DEFAULTS = {
+  'aws-sigv4': { accessKeyId: '', secretAccessKey: '', sessionToken: '', region: '', service: 'execute-api' },
+  hmac: {
+    secret: '', header: 'X-Signature', prefix: '', algorithm: 'sha256', encoding: 'hex',
+    payload: '{timestamp}.{body}', timestampHeader: 'X-Timestamp', timestampFormat: 'unix'
+  },
+  digest: { username: '', password: '' }
+};
+
+/**
+ * Editor for a request's `signing` config. The main process computes the
+ * signature on every send (each Bulk page, each Enrich ID), so only the
+ * settings are stored with the request. Keys typed in (or pasted with -u) are
+ * used as they are, but the request can only be saved or copied once they are
+ * {{secret}} variables.
+ */
+function SigningEditor({ signing, onChange }) {
+  const type = signing?.type || '';
+  const inline = inlineSigningSecrets(signing);
+
+  const update = (updates) => onChange({ ...signing, ...updates });
+
+  const field = (key, label, { secret = false, placeholder = '' } = {}) => (
+    <label className="form-label">
+      {label}
+      <input
+        className="form-input"
+        type={secret ? 'password' : 'text'}
+        value={signing[key] ?? ''}
+        onChange={(e) => update({ [key]: e.target.value })}
+        placeholder={placeholder}
+      />
+      {inline.includes(key) && (
+        <span className="settings-hint">
+          Used as typed, but saving or copying the request needs a <code>{'{{variable}}'}</code> marked secret instead.
+        </span>
+      )}
+    </label>
+  );
+
+  const select = (key, label, options) => (
+    <label className="form-label">
+      {label}
+      <select className="form-input" value={signing[key]} onChange={(e) => update({ [key]: e.target.value })}>
+        {Object.entries(options).map(([value, text]) => <option key={value} value={value}>{text}</option>)}
+      </select>
+    </label>
+  );
+
+  return (
+    <>
+      <select
+        className="form-input"
+        value={type}
+        onChange={(e) => onChange(e.target.value ? { type: e.target.value, ...DEFAULTS[e.target.value] } : null)}
+      >
+        {Object.entries(SIGNING_TYPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+      </select>
+
+      {type && (
+        <div className="auth-profile-form signing-form">
+          {type === 'aws-sigv4' && (
+            <>
+              {field('accessKeyId', 'Access key ID')}
+              {field('secretAccessKey', 'Secret access key', { secret: true, placeholder: '{{awsSecretKey}}' })}
+              {field('region', 'Region', { placeholder: 'us-east-1' })}
+              {field('service', 'Service', { placeholder: 'execute-api' })}
+              {field('sessionToken', 'Session token', { secret: true, placeholder: 'optional, {{awsSessionToken}}' })}
+            </>
+          )}
+          {type === 'hmac' && (
+            <>
+              {field('secret', 'Secret', { secret: true, placeholder: '{{hmacSecret}}' })}
+              {field('payload', 'Signed payload', { placeholder: '{method}\\n{path}\\n{timestamp}\\n{body}' })}
+              {field('header', 'Signature header')}
+              {field('prefix', 'Signature prefix', { placeholder: 'optional, e.g. sha256=' })}
+              {select('algorithm', 'Algorithm', { sha256: 'HMAC-SHA256', sha512: 'HMAC-SHA512', sha1: 'HMAC-SHA1' })}
+              {select('encoding', 'Encoding', { hex: 'hex', base64: 'base64' })}
+              {field('timestampHeader', 'Timestamp header', { placeholder: 'optional' })}
+              {select('timestampFormat', 'Timestamp', { unix: 'Unix seconds', 'unix-ms': 'Unix milliseconds', iso: 'ISO 8601' })}
+            </>
+          )}
+          {type === 'digest' && (
+            <>
+              {field('username', 'Username')}
+              {field('password', 'Password', { secret: true, placeholder: '{{password}}' })}
+            </>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default SigningEditor;
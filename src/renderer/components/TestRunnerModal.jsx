@@ -0,0 +1,218 @@
+import React, { useEffect, useRef, useState } from 'react';
+import useAppStore from '../store/appStore';
+import { resolveRequest } from '../utils/environments';
+import { runRequestChain } from '../utils/requestChain';
+import { assertionSummary, runAssertions } from '../utils/assertions';
+import { createCancelScope, sleep } from '../utils/cancellation';
+import { formatDuration } from '../utils/latency';
+import AssertionResults from './AssertionResults';
+
+const OUTCOME_BADGES = { passed: 'success', failed: 'error', error: 'error', unchecked: 'neutral' };
+
+/**
+ * "Run all" for the library: sends the listed saved requests one by one (each
+ * after its chain, with the active environment), checks their assertions and
+ * reports the outcome per request. Only the saved first page is sent.
+ */
+function TestRunnerModal() {
+  const { testRunner, setTestRunner, savedRequests, getActiveVariables, rateLimit } = useAppStore();
+
+  const [report, setReport] = useState([]); // [{ id, name, method, url, outcome, status?, time?, error?, checks }]
+  const [running, setRunning] = useState(false);
+  const [startedAt, setStartedAt] = useState(null);
+  const [completedAt, setCompletedAt] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const scopeRef = useRef(null);
+
+  const entries = testRunner.entryIds.map(id => savedRequests.find(entry => entry.id === id)).filter(Boolean);
+
+  const run = async () => {
+    const scope = createCancelScope();
+    scopeRef.current = scope;
+    setRunning(true);
+    setReport([]);
+    setStartedAt(Date.now());
+    setCompletedAt(null);
+
+    const variables = getActiveVariables();
+    const send = (config) => scope.run(requestId => window.switchboard.executeRequest(config, requestId, { fullBody: true }));
+
+    for (const [idx, entry] of entries.entries()) {
+      if (idx > 0) await sleep(entry.rateLimit?.delayMs ?? rateLimit.delayMs, scope.signal);
+      if (scope.cancelled) break;
+      const row = await runEntry(entry, variables, send);
+      if (!row || scope.cancelled) break;
+      setReport(prev => [...prev, row]);
+    }
+
+    // A run replaced by "Run again" (or a remount) leaves the state to its successor
+    if (scopeRef.current !== scope) return;
+    setRunning(false);
+    setCompletedAt(Date.now());
+  };
+
+  useEffect(() => {
+    run();
+    return () => scopeRef.current?.cancel();
+  }, []);
+
+  const close = () => {
+    scopeRef.current?.cancel();
+    setTestRunner(null);
+  };
+
+  const counts = ['passed', 'failed', 'error', 'unchecked']
+    .map(outcome => [outcome, report.filter(row => row.outcome === outcome).length]);
+
+  const downloadReport = () => {
+    const json = JSON.stringify({ startedAt: new Date(startedAt).toISOString(), results: report }, null, 2);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = `test-report-${new Date(startedAt).toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  return (
+    <div className="modal-overlay" onClick={close}>
+      <div className="modal modal-wide environments-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Run All ({entries.length} requests)</h2>
+          <button className="btn btn-ghost modal-close" onClick={close}>
+            X
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="modal-subtitle">
+            Each saved request runs its chain, is sent with the active environment and has its assertions checked.
+            Requests without assertions only report their status.
+          </p>
+
+          <div className="test-runner-summary">
+            {counts.filter(([, count]) => count > 0).map(([outcome, count]) => (
+              <span key={outcome} className={`status-badge ${OUTCOME_BADGES[outcome]}`}>{count} {outcome}</span>
+            ))}
+            <span className="settings-hint">
+              {running
+                ? <span className="pulse">Running {report.length + 1} of {entries.length}...</span>
+                : `${report.length} of ${entries.length} run${completedAt ? ` in ${formatDuration(completedAt - startedAt)}` : ''}`}
+            </span>
+          </div>
+
+          <table className="latency-table test-runner-table">
+            <thead>
+              <tr>
+                <th>Request</th>
+                <th>Status</th>
+                <th>Time</th>
+                <th>Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.map(row => (
+                <React.Fragment key={row.id}>
+                  <tr onClick={() => setExpandedId(expandedId === row.id ? null : row.id)} title="Show the checks">
+                    <td>
+                      <span className="request-list-method">{row.method}</span> {row.name}
+                    </td>
+                    <td>{row.status ?? '-'}</td>
+                    <td>{row.time !== undefined ? formatDuration(row.time) : '-'}</td>
+                    <td>
+                      <span className={`status-badge ${OUTCOME_BADGES[row.outcome]}`}>{outcomeText(row)}</span>
+                    </td>
+                  </tr>
+                  {expandedId === row.id && (
+                    <tr>
+                      <td colSpan={4}>
+                        {row.error && <div className="result-banner error">{row.error}</div>}
+                        <AssertionResults checks={row.checks} />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="modal-footer har-import-actions">
+          {running ? (
+            <button className="btn btn-ghost" onClick={() => scopeRef.current?.cancel()}>
+              Stop
+            </button>
+          ) : (
+            <>
+              <button className="btn btn-ghost" onClick={() => navigator.clipboard.writeText(reportMarkdown(report))} disabled={report.length === 0}>
+                Copy as Markdown
+              </button>
+              <button className="btn btn-ghost" onClick={downloadReport} disabled={report.length === 0}>
+                Download JSON
+              </button>
+              <button className="btn btn-primary" onClick={run}>
+                Run again
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Run one saved request: its chain, the request, its assertions. Resolves to
+ * its report row, or null when the run was cancelled.
+ */
+async function runEntry(entry, variables, send) {
+  const row = { id: entry.id, name: entry.name, method: entry.request.method, url: entry.request.url, checks: [] };
+
+  let chainValues = {};
+  if (entry.chain?.length > 0) {
+    const chain = await runRequestChain(entry.chain, variables, send);
+    if (chain.cancelled) return null;
+    if (!chain.success) return { ...row, outcome: 'error', error: chain.error };
+    chainValues = chain.variables;
+  }
+
+  const result = await send(resolveRequest(entry.request, { ...variables, ...chainValues }));
+  if (result.cancelled) return null;
+
+  const checks = await runAssertions(entry.assertions, result);
+  const { failed } = assertionSummary(checks);
+  const outcome = !result.success ? 'error'
+    : checks.length === 0 ? 'unchecked'
+    : failed > 0 ? 'failed' : 'passed';
+
+  return {
+    ...row,
+    outcome,
+    status: result.status,
+    time: result.timing?.total,
+    ...(result.success ? {} : { error: result.error }),
+    checks
+  };
+}
+
+function outcomeText(row) {
+  if (row.outcome === 'error') return 'error';
+  if (row.outcome === 'unchecked') return 'no assertions';
+  const { passed } = assertionSummary(row.checks);
+  return `${passed}/${row.checks.length} passed`;
+}
+
+function reportMarkdown(report) {
+  const cell = (text) => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const lines = ['| Request | Status | Time | Result |', '| --- | --- | --- | --- |'];
+  for (const row of report) {
+    const time = row.time !== undefined ? formatDuration(row.time) : '-';
+    lines.push(`| ${cell(`${row.method} ${row.name}`)} | ${row.status ?? '-'} | ${time} | ${outcomeText(row)} |`);
+    if (row.error) lines.push(`| | | | ${cell(row.error)} |`);
+    for (const check of row.checks.filter(c => c.passed === false)) {
+      lines.push(`| | | | ${cell(`FAIL ${check.label}: ${check.message}`)} |`);
+    }
+  }
+  return lines.join('\n');
+}
+
+export default TestRunnerModal;
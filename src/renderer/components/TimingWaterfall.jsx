@@ -0,0 +1,52 @@
+import React from 'react';
+import { formatDuration } from '../utils/latency';
+
+// Phases as measured by the main process, in the order they happen
+const PHASES = [
+  { key: 'blocked', label: 'Queued' },
+  { key: 'dns', label: 'DNS' },
+  { key: 'connect', label: 'Connect' },
+  { key: 'tls', label: 'TLS' },
+  { key: 'ttfb', label: 'Waiting (TTFB)' },
+  { key: 'download', label: 'Download' }
+];
+
+/**
+ * Waterfall bar for a response's timing breakdown. Browser-mode responses only
+ * carry a total, so nothing is drawn for them.
+ */
+function TimingWaterfall({ timing }) {
+  if (!timing || timing.ttfb === undefined) return null;
+
+  const phases = PHASES.filter(phase => timing[phase.key] > 0);
+  const total = timing.total || phases.reduce((sum, phase) => sum + timing[phase.key], 0) || 1;
+
+  return (
+    <div className="timing-waterfall">
+      <div className="timing-bar">
+        {phases.map(phase => (
+          <span
+            key={phase.key}
+            className={`timing-segment timing-${phase.key}`}
+            style={{ width: `${(timing[phase.key] / total) * 100}%` }}
+            title={`${phase.label}: ${formatDuration(timing[phase.key])}`}
+          />
+        ))}
+      </div>
+      <div className="timing-legend">
+        {phases.map(phase => (
+          <span key={phase.key} className="timing-legend-item">
+            <span className={`timing-swatch timing-${phase.key}`} />
+            {phase.label} {formatDuration(timing[phase.key])}
+          </span>
+        ))}
+        {timing.reusedConnection && <span className="timing-note">reused connection</span>}
+        {timing.redirects > 0 && (
+          <span className="timing-note">{timing.redirects} redirect{timing.redirects > 1 ? 's' : ''}</span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TimingWaterfall;
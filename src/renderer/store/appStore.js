@@ -1,4 +1,8 @@
 import { create } from 'zustand';
+import { toCurl } from '../utils/curlParser';
+import { detectPaginationFromParams } from '../utils/paginationDetect';
+import { environmentVariables, inlineSigningSecrets } from '../utils/environments';
+import { releaseResponseBody } from '../utils/responseBody';
 
 const useAppStore = create((set, get) => ({
   // ── Layer 1: cURL Input State ──
@@ -10,12 +14,164 @@ const useAppStore = create((set, get) => ({
   setParsedRequest: (request) => set({ parsedRequest: request, parseError: null }),
   setParseError: (error) => set({ parseError: error, parsedRequest: null }),
 
+  // ── Request List (imported requests, e.g. from a HAR file, Postman collection or a multi-command paste) ──
+  requestList: [],             // [{ id, name, source, folder?, request, pagination?, bulk? } | { id, name, source, error }]
+  addToRequestList: (entries) => set((state) => ({
+    requestList: [
+      ...state.requestList,
+      ...entries.map((entry, idx) => ({ id: `${Date.now()}-${idx}-${Math.random().toString(36).slice(2, 7)}`, ...entry }))
+    ]
+  })),
+  updateRequestListEntry: (id, updates) => set((state) => ({
+    requestList: state.requestList.map(entry => (entry.id === id ? { ...entry, ...updates } : entry))
+  })),
+  removeFromRequestList: (id) => set((state) => ({
+    requestList: state.requestList.filter(entry => entry.id !== id)
+  })),
+  clearRequestList: () => set({ requestList: [] }),
+
+  // Make a request config the current one (as if its cURL had been pasted and parsed)
+  // paginationHint (e.g. from an OpenAPI spec) takes precedence over detection from the URL
+  loadRequest: (request, paginationHint = null) => {
+    const { resetPagination, setPagination } = get();
+    set({
+      curlInput: toCurl(request), parsedRequest: request, parseError: null, activeTab: 'input',
+      requestChain: [], chainRun: null, requestAssertions: [], assertionResults: null
+    });
+    resetPagination();
+    const detected = paginationHint || detectPaginationFromParams(request.params);
+    if (detected) setPagination(detected);
+  },
+
+  // ── Request chain: steps sent before the current request; their extractions fill its {{variables}} ──
+  requestChain: [],            // [{ id, name, request, extract: [{ variable, from: 'json' | 'header', path }] }]
+  chainRun: null,              // last run: { success, variables?, error?, steps: [{ name, status, extracted?, error? }] }
+  setRequestChain: (steps) => set({ requestChain: steps, chainRun: null }),
+  setChainRun: (run) => set({ chainRun: run }),
+
+  // ── Response assertions: checks run against every response of the current request ──
+  requestAssertions: [],       // [{ id, type, ...settings }], see utils/assertions
+  assertionResults: null,      // checks of the last response: [{ id, label, passed: true | false | null, message }]
+  setRequestAssertions: (assertions) => set({ requestAssertions: assertions }),
+  setAssertionResults: (results) => set({ assertionResults: results }),
+  testRunner: null,            // { entryIds } of the saved requests to run while the test runner is open
+  setTestRunner: (val) => set({ testRunner: val }),
+
+  // ── Saved Requests (persisted under the savedRequests store key) ──
+  savedRequests: [],           // [{ id, name, tags, request, pagination?, rateLimit?, chain?, assertions?, savedAt, updatedAt? }]
+  showLibrary: true,
+  setShowLibrary: (val) => set({ showLibrary: val }),
+  setSavedRequests: (list) => set({ savedRequests: list }),
+  saveRequest: async ({ name, tags = [], request, pagination, rateLimit, chain, assertions }) => {
+    // Saved requests are plain settings; signing keys have to come from the vault
+    const signed = [request, ...(chain || []).map(step => step.request)];
+    if (signed.some(req => inlineSigningSecrets(req?.signing).length > 0)) {
+      throw new Error('Request signing keys must be {{secret}} environment variables before the request can be saved');
+    }
+    const entry = {
+      id: newId(),
+      name,
+      tags,
+      request,
+      ...(pagination ? { pagination } : {}),
+      ...(rateLimit ? { rateLimit } : {}),
+      ...(chain?.length ? { chain } : {}),
+      ...(assertions?.length ? { assertions } : {}),
+      savedAt: new Date().toISOString()
+    };
+    await updateSavedRequests(get, set, list => [...list, entry]);
+    return entry;
+  },
+  updateSavedRequest: (id, updates) => updateSavedRequests(get, set, list =>
+    list.map(entry => (entry.id === id ? { ...entry, ...updates, updatedAt: new Date().toISOString() } : entry))
+  ),
+  duplicateSavedRequest: (id) => updateSavedRequests(get, set, list => {
+    const idx = list.findIndex(entry => entry.id === id);
+    if (idx === -1) return list;
+    const copy = { ...list[idx], id: newId(), name: `${list[idx].name} (copy)`, savedAt: new Date().toISOString() };
+    delete copy.updatedAt;
+    return [...list.slice(0, idx + 1), copy, ...list.slice(idx + 1)];
+  }),
+  deleteSavedRequest: (id) => updateSavedRequests(get, set, list => list.filter(entry => entry.id !== id)),
+  // Load a saved request into the editor with the pagination, rate-limit, chain and assertion settings it was saved with
+  loadSavedRequest: (id) => {
+    const { savedRequests, loadRequest, setRateLimit, setRequestChain, setRequestAssertions } = get();
+    const entry = savedRequests.find(e => e.id === id);
+    if (!entry) return;
+    loadRequest(entry.request, entry.pagination || null);
+    if (entry.rateLimit) setRateLimit(entry.rateLimit);
+    if (entry.chain) setRequestChain(entry.chain);
+    if (entry.assertions) setRequestAssertions(entry.assertions);
+  },
+
+  // ── Environments (persisted under the environments / activeEnvironmentId store keys) ──
+  // In Electron a stored secret comes back as { value: '', ref } and is resolved in the main process
+  environments: [],            // [{ id, name, variables: [{ key, value, secret, ref? }] }]
+  activeEnvironmentId: '',     // '' = no environment, {{variables}} are sent as-is
+  showEnvironments: false,
+  setShowEnvironments: (val) => set({ showEnvironments: val }),
+  restoreEnvironments: (environments, activeEnvironmentId) => set({ environments, activeEnvironmentId }),
+  setEnvironments: async (environments) => {
+    if (window.switchboard) {
+      const result = await window.switchboard.saveEnvironments(environments);
+      if (!result.success) throw new Error(result.error);
+      environments = result.environments;
+    }
+    const { activeEnvironmentId } = get();
+    const stillExists = environments.some(env => env.id === activeEnvironmentId);
+    set({ environments, activeEnvironmentId: stillExists ? activeEnvironmentId : '' });
+  },
+  setActiveEnvironmentId: async (id) => {
+    if (window.switchboard) await window.switchboard.setConfig('activeEnvironmentId', id);
+    set({ activeEnvironmentId: id });
+  },
+  getActiveEnvironment: () => {
+    const { environments, activeEnvironmentId } = get();
+    return environments.find(env => env.id === activeEnvironmentId) || null;
+  },
+  // Values substituted into {{variables}} when a request is sent
+  getActiveVariables: () => environmentVariables(get().getActiveEnvironment()),
+
+  // ── OAuth2 auth profiles (main process mints the tokens; a request picks one with authProfileId) ──
+  authProfiles: [],            // [{ id, name, grantType, tokenUrl, clientId, clientAuth, scope, audience, username, saved }]
+  showAuthProfiles: false,
+  setShowAuthProfiles: (val) => set({ showAuthProfiles: val }),
+  restoreAuthProfiles: (authProfiles) => set({ authProfiles }),
+  setAuthProfiles: async (authProfiles) => {
+    if (window.switchboard) {
+      const result = await window.switchboard.saveAuthProfiles(authProfiles);
+      if (!result.success) throw new Error(result.error);
+      authProfiles = result.profiles;
+    }
+    set({ authProfiles });
+  },
+
+  // Cookie viewer (the jars themselves live in the main process)
+  showCookieJars: false,
+  setShowCookieJars: (val) => set({ showCookieJars: val }),
+
+  // HAR import picker
+  harImport: null,             // { fileName, entries } while the picker is open
+  setHarImport: (val) => set({ harImport: val }),
+
+  // Postman import dialog
+  postmanImport: null,         // { fileName, collection } while the dialog is open
+  setPostmanImport: (val) => set({ postmanImport: val }),
+
+  // OpenAPI / Swagger operation browser
+  openapiImport: null,         // { fileName, spec } while the browser is open
+  setOpenapiImport: (val) => set({ openapiImport: val }),
+
   // ── Layer 2: API Response State ──
   apiResponse: null,
   isExecuting: false,
   executeError: null,
 
-  setApiResponse: (response) => set({ apiResponse: response, executeError: null }),
+  setApiResponse: (response) => {
+    const previous = get().apiResponse?.body;
+    if (previous && previous !== response?.body) releaseResponseBody(previous);
+    set({ apiResponse: response, executeError: null });
+  },
   setIsExecuting: (val) => set({ isExecuting: val }),
   setExecuteError: (error) => set({ executeError: error }),
 
@@ -37,14 +193,19 @@ const useAppStore = create((set, get) => ({
   setShowSettings: (val) => set({ showSettings: val }),
 
   // Google auth state
-  googleAuth: { authenticated: false, tokens: null },
+  googleAuth: { authenticated: false },
   setGoogleAuth: (auth) => set({ googleAuth: auth }),
 
+  // Secrets vault: { state: 'unlocked' | 'locked' | 'setup' | 'unavailable', protection, error?, dismissed? }
+  secretsStatus: null,
+  setSecretsStatus: (status) => set({ secretsStatus: status }),
+
   // ── Config cache ──
   config: {
     n8nWebhookUrl: '',
     googleClientId: '',
-    googleClientSecret: '',
+    googleClientSecret: '',      // only a newly typed value; the saved one stays in the main process
+    hasGoogleClientSecret: false,
     googleScriptId: '',
     googleWebAppUrl: ''
   },
@@ -65,6 +226,7 @@ const useAppStore = create((set, get) => ({
     nextCursor: null,            // next cursor URL or token
     prevCursors: [],             // stack of previous cursor URLs for "Back" navigation
     cursorParamName: null,       // e.g. 'since_id', 'cursor', 'after'
+    cursorPath: null,            // where the next cursor/URL was found in the response, e.g. 'paging.next'
     nextPageUrl: null,           // full URL for next page (e.g., Workable's paging.next)
     currentPageEntry: null,      // the URL/cursor that was used to fetch the current page (for prev stack)
   },
@@ -75,7 +237,7 @@ const useAppStore = create((set, get) => ({
     pagination: {
       currentPage: 1, perPage: 10, pageParamName: 'page', perPageParamName: 'per_page',
       hasDetected: false, mode: 'none', nextCursor: null, prevCursors: [],
-      cursorParamName: null, nextPageUrl: null, currentPageEntry: null
+      cursorParamName: null, cursorPath: null, nextPageUrl: null, currentPageEntry: null
     }
   }),
 
@@ -108,6 +270,7 @@ const useAppStore = create((set, get) => ({
   showBulkTransport: false,
   setShowBulkTransport: (val) => set({ showBulkTransport: val }),
   bulkTransport: {
+    source: 'current',     // 'current' (parsed request) | 'list' (every request in requestList)
     isRunning: false,
     isPaused: false,
     isCancelled: false,
@@ -116,12 +279,14 @@ const useAppStore = create((set, get) => ({
     dateFrom: '',           // for 'dateRange' mode (ISO string)
     dateTo: '',             // for 'dateRange' mode (ISO string)
     dateField: '',          // which field to filter by (e.g. 'created_at')
+    loginCurl: '',          // optional cURL sent before the first page (session cookie logins)
     // Progress tracking
     currentPage: 0,
     totalPagesSent: 0,
     totalItemsSent: 0,
     errors: [],
     log: [],               // array of { page, items, status, timestamp }
+    latency: {},           // { "GET https://host/path": [ms, ...] } per fetched page
     startedAt: null,
     completedAt: null,
   },
@@ -130,10 +295,10 @@ const useAppStore = create((set, get) => ({
   })),
   resetBulkTransport: () => set({
     bulkTransport: {
-      isRunning: false, isPaused: false, isCancelled: false,
-      mode: 'all', maxPages: 10, dateFrom: '', dateTo: '', dateField: '',
+      source: 'current', isRunning: false, isPaused: false, isCancelled: false,
+      mode: 'all', maxPages: 10, dateFrom: '', dateTo: '', dateField: '', loginCurl: '',
       currentPage: 0, totalPagesSent: 0, totalItemsSent: 0,
-      errors: [], log: [], startedAt: null, completedAt: null,
+      errors: [], log: [], latency: {}, startedAt: null, completedAt: null,
     }
   }),
 
@@ -182,29 +347,64 @@ const useAppStore = create((set, get) => ({
   setActiveTab: (tab) => set({ activeTab: tab }),
 
   // ── Reset ──
-  resetAll: () => set({
-    curlInput: '',
-    parsedRequest: null,
-    parseError: null,
-    apiResponse: null,
-    isExecuting: false,
-    executeError: null,
-    exportTarget: null,
-    isExporting: false,
-    exportResult: null,
-    exportError: null,
-    showExportModal: false,
-    activeTab: 'input',
-    pagination: {
-      currentPage: 1, perPage: 10, pageParamName: 'page', perPageParamName: 'per_page',
-      hasDetected: false, mode: 'none', nextCursor: null, prevCursors: [],
-      cursorParamName: null, nextPageUrl: null, currentPageEntry: null
-    },
-    rateLimit: {
-      delayMs: 500, retryOn429: true, maxRetries: 3, retryCount: 0,
-      lastRequestTime: 0, rateLimitInfo: null, isWaiting: false, waitUntil: null
-    }
-  })
+  resetAll: () => {
+    const body = get().apiResponse?.body;
+    if (body) releaseResponseBody(body);
+    set({
+      curlInput: '',
+      parsedRequest: null,
+      parseError: null,
+      requestChain: [],
+      chainRun: null,
+      requestAssertions: [],
+      assertionResults: null,
+      apiResponse: null,
+      isExecuting: false,
+      executeError: null,
+      exportTarget: null,
+      isExporting: false,
+      exportResult: null,
+      exportError: null,
+      showExportModal: false,
+      activeTab: 'input',
+      pagination: {
+        currentPage: 1, perPage: 10, pageParamName: 'page', perPageParamName: 'per_page',
+        hasDetected: false, mode: 'none', nextCursor: null, prevCursors: [],
+        cursorParamName: null, cursorPath: null, nextPageUrl: null, currentPageEntry: null
+      },
+      rateLimit: {
+        delayMs: 500, retryOn429: true, maxRetries: 3, retryCount: 0,
+        lastRequestTime: 0, rateLimitInfo: null, isWaiting: false, waitUntil: null
+      }
+    });
+  }
 }));
 
+// Pagination fields worth keeping with a saved request (the rest is per-session cursor state)
+export function paginationSettings(pagination) {
+  const { mode, hasDetected, perPage, pageParamName, perPageParamName, cursorParamName, cursorPath } = pagination;
+  return { mode, hasDetected, perPage, pageParamName, perPageParamName, cursorParamName, cursorPath };
+}
+
+// Rate-limit fields worth keeping with a saved request
+export function rateLimitSettings(rateLimit) {
+  const { delayMs, retryOn429, maxRetries } = rateLimit;
+  return { delayMs, retryOn429, maxRetries };
+}
+
+function newId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+// Apply a change to the saved request list and persist it. The stored list is
+// re-read first so a change never drops entries written elsewhere.
+async function updateSavedRequests(get, set, change) {
+  const current = window.switchboard
+    ? (await window.switchboard.getConfig('savedRequests')) || []
+    : get().savedRequests;
+  const savedRequests = change(current);
+  if (window.switchboard) await window.switchboard.setConfig('savedRequests', savedRequests);
+  set({ savedRequests });
+}
+
 export default useAppStore;
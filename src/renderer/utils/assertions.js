@@ -0,0 +1,196 @@
+/**
+ * Response assertions
+ * Checks attached to a request and run against its response: status in a
+ * range, a header present, a JSONPath value that equals or matches something,
+ * the length of an array, the response time and a JSON Schema. A schema is
+ * validated by the main process, so that check needs Electron mode.
+ *
+ * An assertion is { id, type, ...settings } with the settings of its type
+ * (see newAssertion); a check result is { id, label, passed, message }, where
+ * passed is null for a check that couldn't run.
+ */
+
+import { readJsonPath } from './jsonPath';
+
+export const ASSERTION_TYPES = {
+  status: 'Status in range',
+  header: 'Header present',
+  jsonPath: 'JSONPath value',
+  length: 'Array length',
+  time: 'Response time',
+  schema: 'JSON Schema'
+};
+
+export const JSON_PATH_OPS = { exists: 'exists', equals: 'equals', matches: 'matches regex' };
+export const LENGTH_OPS = { '==': '=', '>=': '>=', '<=': '<=' };
+
+export function newAssertion(type = 'status') {
+  const defaults = {
+    status: { min: 200, max: 299 },
+    header: { name: '' },
+    jsonPath: { path: '$', op: 'equals', expected: '' },
+    length: { path: '$', op: '>=', expected: 1 },
+    time: { maxMs: 2000 },
+    schema: { schema: '{\n  "type": "object"\n}' }
+  };
+  return { id: `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`, type, ...defaults[type] };
+}
+
+export function describeAssertion(assertion) {
+  switch (assertion.type) {
+    case 'status':
+      return Number(assertion.min) === Number(assertion.max)
+        ? `Status is ${assertion.min}`
+        : `Status ${assertion.min}-${assertion.max}`;
+    case 'header':
+      return `Header ${assertion.name || '(unnamed)'} present`;
+    case 'jsonPath':
+      if (assertion.op === 'exists') return `${assertion.path} exists`;
+      return assertion.op === 'matches'
+        ? `${assertion.path} matches /${assertion.expected}/`
+        : `${assertion.path} equals ${assertion.expected}`;
+    case 'length':
+      return `${assertion.path} length ${LENGTH_OPS[assertion.op] || assertion.op} ${assertion.expected}`;
+    case 'time':
+      return `Response time under ${assertion.maxMs} ms`;
+    case 'schema':
+      return 'Body matches JSON Schema';
+    default:
+      return `Unknown assertion "${assertion.type}"`;
+  }
+}
+
+/**
+ * Run every assertion against an execute-request result. Resolves to one
+ * check result per assertion, in order.
+ */
+export async function runAssertions(assertions, result) {
+  const checks = [];
+  for (const assertion of assertions || []) {
+    const label = describeAssertion(assertion);
+    let outcome;
+    if (!result.success) {
+      outcome = { passed: false, message: `request failed: ${result.error}` };
+    } else {
+      try {
+        outcome = await checkAssertion(assertion, result);
+      } catch (err) {
+        outcome = { passed: false, message: err.message };
+      }
+    }
+    checks.push({ id: assertion.id, label, ...outcome });
+  }
+  return checks;
+}
+
+/**
+ * { passed, failed, skipped } counts of a list of check results
+ */
+export function assertionSummary(checks) {
+  return {
+    passed: checks.filter(check => check.passed === true).length,
+    failed: checks.filter(check => check.passed === false).length,
+    skipped: checks.filter(check => check.passed === null).length
+  };
+}
+
+async function checkAssertion(assertion, result) {
+  switch (assertion.type) {
+    case 'status': {
+      const passed = result.status >= Number(assertion.min) && result.status <= Number(assertion.max);
+      return { passed, message: `HTTP ${result.status}` };
+    }
+    case 'header': {
+      const name = String(assertion.name || '').trim().toLowerCase();
+      const key = Object.keys(result.headers || {}).find(header => header.toLowerCase() === name);
+      return key === undefined
+        ? { passed: false, message: 'header missing' }
+        : { passed: true, message: preview(result.headers[key]) };
+    }
+    case 'time': {
+      const total = result.timing?.total;
+      if (total === undefined) return { passed: null, message: 'no timing recorded' };
+      return { passed: total < Number(assertion.maxMs), message: `${Math.round(total)} ms` };
+    }
+    case 'jsonPath':
+    case 'length':
+    case 'schema': {
+      // A spooled body (binary, or too large for IPC) isn't in the result
+      if (result.body) return { passed: null, message: 'the body was kept on disk and not checked' };
+      const data = responseJson(result);
+      if (assertion.type === 'schema') return checkSchema(assertion, data);
+      return assertion.type === 'length' ? checkLength(assertion, data) : checkJsonPath(assertion, data);
+    }
+    default:
+      throw new Error(`Unknown assertion "${assertion.type}"`);
+  }
+}
+
+function checkJsonPath({ path, op, expected }, data) {
+  const actual = readJsonPath(data, path);
+  if (actual === undefined) return { passed: false, message: `nothing found at ${path}` };
+  if (op === 'exists') return { passed: true, message: preview(actual) };
+
+  let passed;
+  if (op === 'matches') {
+    let pattern;
+    try {
+      pattern = new RegExp(expected);
+    } catch (err) {
+      throw new Error(`Invalid regex: ${err.message}`);
+    }
+    passed = pattern.test(typeof actual === 'string' ? actual : JSON.stringify(actual));
+  } else {
+    // The expected value is read as JSON when it parses ("42", "true", "[1,2]"), as text otherwise
+    let value = expected;
+    try { value = JSON.parse(expected); } catch { /* plain text */ }
+    passed = deepEqual(actual, value) || (typeof actual === 'string' && actual === expected);
+  }
+  return { passed, message: `got ${preview(actual)}` };
+}
+
+function checkLength({ path, op, expected }, data) {
+  const actual = readJsonPath(data, path);
+  if (!Array.isArray(actual)) {
+    return { passed: false, message: actual === undefined ? `nothing found at ${path}` : `${path} is not an array` };
+  }
+  const want = Number(expected);
+  const passed = op === '>=' ? actual.length >= want : op === '<=' ? actual.length <= want : actual.length === want;
+  return { passed, message: `length ${actual.length}` };
+}
+
+async function checkSchema({ schema }, data) {
+  if (!window.switchboard) return { passed: null, message: 'JSON Schema checks require Electron mode' };
+  let parsed;
+  try {
+    parsed = JSON.parse(schema);
+  } catch (err) {
+    throw new Error(`Invalid schema JSON: ${err.message}`);
+  }
+  const validation = await window.switchboard.validateJsonSchema(parsed, data);
+  if (!validation.success) throw new Error(`Invalid schema: ${validation.error}`);
+  return validation.valid
+    ? { passed: true, message: 'valid' }
+    : { passed: false, message: validation.errors.slice(0, 3).join('; ') + (validation.errors.length > 3 ? '; ...' : '') };
+}
+
+function responseJson(result) {
+  if (typeof result.data !== 'string') return result.data;
+  try {
+    return JSON.parse(result.data);
+  } catch {
+    throw new Error('the response is not JSON');
+  }
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => deepEqual(a[key], b[key]));
+}
+
+function preview(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 60)}...` : text;
+}
@@ -0,0 +1,59 @@
+/**
+ * Request cancellation
+ * A cancel scope covers one run (a fetch, a bulk transport, an enrichment).
+ * Requests sent through Electron carry an ID that the main process aborts on
+ * cancel-request; browser-mode fetches take the scope's AbortSignal.
+ */
+
+let requestCounter = 0;
+
+export function createCancelScope() {
+  const controller = new AbortController();
+  const inFlight = new Set();
+
+  return {
+    signal: controller.signal,
+    get cancelled() {
+      return controller.signal.aborted;
+    },
+    /** Send an IPC request with a fresh ID, abortable until it settles */
+    async run(call) {
+      const requestId = `req-${Date.now()}-${++requestCounter}`;
+      inFlight.add(requestId);
+      try {
+        return await call(requestId);
+      } finally {
+        inFlight.delete(requestId);
+      }
+    },
+    cancel() {
+      if (controller.signal.aborted) return;
+      controller.abort();
+      for (const requestId of inFlight) window.switchboard?.cancelRequest(requestId);
+    }
+  };
+}
+
+/**
+ * Result object for a request that was cancelled, shaped like the main process' one
+ */
+export function cancelledResult() {
+  return { success: false, cancelled: true, error: 'Request cancelled', code: 'ECANCELED' };
+}
+
+/**
+ * Wait ms milliseconds, or less if the signal aborts first
+ */
+export function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
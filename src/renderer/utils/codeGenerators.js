@@ -0,0 +1,813 @@
+/**
+ * Code Generators
+ * Turn a parsed request config (the shape parseCurl returns) into ready-to-run
+ * snippets for other languages, the same way toCurl turns it back into cURL.
+ * When the pagination state says page or cursor, the snippet includes a loop
+ * that walks every page. All functions are pure: (config, pagination?) -> string.
+ * The cURL entries take a third options argument ({ multiline }).
+ */
+
+import { toCurl } from './curlParser';
+import { OFFSET_PARAM_NAMES } from './paginationDetect';
+
+const INDENT = '    ';
+
+// Methods with a requests.<method>() shortcut
+const PYTHON_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+// Escapes for control characters, which only double-quoted PHP strings have
+const PHP_ESCAPES = { '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+// Request signing the main process computes on every send; no snippet computes it
+const SIGNING_LABELS = { 'aws-sigv4': 'AWS Signature V4', hmac: 'HMAC signature', digest: 'HTTP Digest auth' };
+
+/**
+ * Snippet generators for the "Copy as..." menu, in menu order
+ */
+export const CODE_GENERATORS = [
+  { id: 'curl', label: 'cURL (bash)', generate: (config, pagination, options) => toCurl(config, { ...options, shell: 'bash' }) },
+  { id: 'curl-powershell', label: 'cURL (PowerShell)', generate: (config, pagination, options) => toCurl(config, { ...options, shell: 'powershell' }) },
+  { id: 'curl-cmd', label: 'cURL (cmd)', generate: (config, pagination, options) => toCurl(config, { ...options, shell: 'cmd' }) },
+  { id: 'python', label: 'Python (requests)', generate: (config, pagination) => toPythonRequests(config, pagination) },
+  { id: 'fetch', label: 'Node.js (fetch)', generate: (config, pagination) => toNodeFetch(config, pagination) },
+  { id: 'axios', label: 'Node.js (axios)', generate: (config, pagination) => toNodeAxios(config, pagination) },
+  { id: 'go', label: 'Go (net/http)', generate: (config, pagination) => toGoNetHttp(config, pagination) },
+  { id: 'php', label: 'PHP (cURL)', generate: (config, pagination) => toPhpCurl(config, pagination) }
+];
+
+// ── Python requests ──
+
+export function toPythonRequests(config, pagination = null) {
+  const req = describeRequest(config, pagination);
+  const paging = describePagination(pagination);
+  const lines = [...signingWarning(req, '#'), 'import requests', ''];
+
+  lines.push(`url = ${pyString(req.url)}`);
+  if (hasKeys(req.headers)) lines.push(`headers = ${pyLiteral(req.headers, '')}`);
+  if (hasKeys(req.params) || paging) lines.push(`params = ${pyLiteral(req.params, '')}`);
+
+  const args = ['url'];
+  if (hasKeys(req.headers)) args.push('headers=headers');
+  if (hasKeys(req.params) || paging) args.push('params=params');
+
+  switch (req.body?.kind) {
+    case 'json':
+      lines.push(`payload = ${pyLiteral(req.body.value, '')}`);
+      args.push('json=payload');
+      break;
+    case 'text':
+      lines.push(`payload = ${pyString(req.body.value)}`);
+      args.push('data=payload');
+      break;
+    case 'form': {
+      const fields = req.body.parts.filter(p => !p.file);
+      const files = req.body.parts.filter(p => p.file);
+      if (fields.length) {
+        lines.push(`form_data = {\n${fields.map(p => `${INDENT}${pyString(p.name)}: ${pyString(p.value ?? '')},`).join('\n')}\n}`);
+        args.push('data=form_data');
+      }
+      if (files.length) {
+        lines.push(`files = {\n${files.map(p =>
+          `${INDENT}${pyString(p.name)}: (${pyString(p.filename || basename(p.file))}, open(${pyString(p.file)}, "rb")${p.type ? `, ${pyString(p.type)}` : ''}),`
+        ).join('\n')}\n}`);
+        args.push('files=files');
+      }
+      break;
+    }
+    case 'file':
+      lines.push(`with open(${pyString(req.body.file)}, "rb") as f:\n${INDENT}payload = f.read()`);
+      args.push('data=payload');
+      break;
+    default:
+      break;
+  }
+
+  const { transport } = req;
+  if (!transport.followRedirects && req.method !== 'HEAD') args.push('allow_redirects=False');
+  if (transport.insecure) args.push('verify=False');
+  if (transport.maxTime || transport.connectTimeout) {
+    args.push(`timeout=${transport.connectTimeout ? `(${transport.connectTimeout}, ${transport.maxTime || 'None'})` : transport.maxTime}`);
+  }
+  if (transport.proxy) {
+    const proxy = proxyUrl(transport.proxy);
+    lines.push(`proxies = {"http": ${pyString(proxy)}, "https": ${pyString(proxy)}}`);
+    args.push('proxies=proxies');
+  }
+
+  const call = (urlExpr) => {
+    const callArgs = [urlExpr, ...args.slice(1)].join(', ');
+    return PYTHON_METHODS.includes(req.method)
+      ? `requests.${req.method.toLowerCase()}(${callArgs})`
+      : `requests.request(${pyString(req.method)}, ${callArgs})`;
+  };
+  lines.push('');
+
+  if (!paging) {
+    lines.push(`response = ${call('url')}`);
+    lines.push('response.raise_for_status()');
+    lines.push(req.expectJson ? 'print(response.json())' : 'print(response.text)');
+    return lines.join('\n') + '\n';
+  }
+
+  const body = (indent) => [
+    `${indent}response = ${paging.kind === 'nextUrl' ? call('next_url') : call('url')}`,
+    `${indent}response.raise_for_status()`,
+    `${indent}data = response.json()`,
+    `${indent}# Adjust to where your API puts the records`,
+    `${indent}items = data if isinstance(data, list) else data.get("data", [])`,
+    `${indent}for item in items:`,
+    `${indent}${INDENT}print(item)`
+  ];
+
+  if (paging.kind === 'page') {
+    lines.push(`${paging.counter} = ${paging.start}`);
+    lines.push('while True:');
+    lines.push(`${INDENT}params[${pyString(paging.param)}] = ${paging.counter}`);
+    if (paging.perPageParam) lines.push(`${INDENT}params[${pyString(paging.perPageParam)}] = ${paging.perPage}`);
+    lines.push(...body(INDENT));
+    lines.push(`${INDENT}if not items:`, `${INDENT}${INDENT}break`);
+    lines.push(`${INDENT}${paging.counter} += ${paging.step}`);
+  } else if (paging.kind === 'cursor') {
+    lines.push('cursor = None', 'while True:');
+    lines.push(`${INDENT}if cursor:`, `${INDENT}${INDENT}params[${pyString(paging.param)}] = cursor`);
+    if (paging.perPageParam) lines.push(`${INDENT}params[${pyString(paging.perPageParam)}] = ${paging.perPage}`);
+    lines.push(...body(INDENT));
+    lines.push(`${INDENT}cursor = ${paging.lastId
+      ? `items[-1]["id"] if ${pyPath('data', paging.path)} and items else None`
+      : pyPath('data', paging.path)}`);
+    lines.push(`${INDENT}if not cursor:`, `${INDENT}${INDENT}break`);
+  } else {
+    lines.push('next_url = url', 'while next_url:');
+    lines.push(...body(INDENT));
+    lines.push(`${INDENT}next_url = ${pyPath('data', paging.path)}`);
+    lines.push(`${INDENT}params = None  # the next URL already carries the query string`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function pyPath(root, path) {
+  return path.reduce((expr, key, idx) =>
+    `${expr}.get(${pyString(key)}${idx < path.length - 1 ? ', {}' : ''})`, `(${root} if isinstance(${root}, dict) else {})`);
+}
+
+function pyString(str) {
+  return JSON.stringify(String(str));
+}
+
+function pyLiteral(value, indent) {
+  if (value === null || value === undefined) return 'None';
+  if (value === true) return 'True';
+  if (value === false) return 'False';
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'string') return pyString(value);
+  const inner = indent + INDENT;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return `[\n${value.map(v => `${inner}${pyLiteral(v, inner)},`).join('\n')}\n${indent}]`;
+  }
+  const entries = Object.entries(value);
+  if (entries.length === 0) return '{}';
+  return `{\n${entries.map(([k, v]) => `${inner}${pyString(k)}: ${pyLiteral(v, inner)},`).join('\n')}\n${indent}}`;
+}
+
+// ── Node.js fetch ──
+
+export function toNodeFetch(config, pagination = null) {
+  const req = describeRequest(config, pagination);
+  const paging = describePagination(pagination);
+  const lines = signingWarning(req, '//');
+  const needsFs = req.body?.kind === 'file' || req.body?.parts?.some(p => p.file);
+
+  if (needsFs) lines.push("import fs from 'node:fs';", '');
+  if (req.transport.insecure) {
+    lines.push('// -k / --insecure: fetch has no per-request switch; run with NODE_TLS_REJECT_UNAUTHORIZED=0 (development only)', '');
+  }
+
+  lines.push(`const url = new URL(${jsString(req.url)});`);
+  for (const [key, value] of Object.entries(req.params)) {
+    lines.push(`url.searchParams.set(${jsString(key)}, ${jsString(value)});`);
+  }
+
+  const options = [`method: ${jsString(req.method)}`];
+  if (hasKeys(req.headers)) options.push(`headers: ${jsLiteral(req.headers, INDENT.slice(2))}`);
+  lines.push(...jsBodySetup(req, 'fetch'));
+  if (req.body) options.push('body');
+  if (!req.transport.followRedirects) options.push("redirect: 'manual'");
+  if (req.transport.maxTime) options.push(`signal: AbortSignal.timeout(${req.transport.maxTime * 1000})`);
+
+  lines.push(`const options = {\n${options.map(o => `  ${o},`).join('\n')}\n};`, '');
+
+  const fetchPage = (target) => [
+    `const response = await fetch(${target === 'nextUrl' ? 'nextUrl ?? url' : 'url'}, options);`,
+    'if (!response.ok) throw new Error(`HTTP ${response.status}`);',
+    `const data = await response.${req.expectJson || paging ? 'json' : 'text'}();`
+  ];
+
+  if (!paging) {
+    lines.push(...fetchPage('url'), 'console.log(data);');
+    return lines.join('\n') + '\n';
+  }
+
+  lines.push(...jsPaginationLoop(paging, fetchPage, 'url'));
+  return lines.join('\n') + '\n';
+}
+
+// ── Node.js axios ──
+
+export function toNodeAxios(config, pagination = null) {
+  const req = describeRequest(config, pagination);
+  const paging = describePagination(pagination);
+  const lines = [...signingWarning(req, '//'), "import axios from 'axios';"];
+  const needsFs = req.body?.kind === 'file' || req.body?.parts?.some(p => p.file);
+
+  if (needsFs) lines.push("import fs from 'node:fs';");
+  if (req.transport.insecure) lines.push("import https from 'node:https';");
+  lines.push('');
+
+  lines.push(...jsBodySetup(req, 'axios'));
+
+  const options = [`method: ${jsString(req.method.toLowerCase())}`, `url: ${jsString(req.url)}`];
+  if (hasKeys(req.headers)) options.push(`headers: ${jsLiteral(req.headers, INDENT.slice(2))}`);
+  if (hasKeys(req.params) || paging) options.push(`params: ${jsLiteral(req.params, INDENT.slice(2))}`);
+  if (req.body) options.push('data: body');
+  if (req.transport.maxTime) options.push(`timeout: ${req.transport.maxTime * 1000}`);
+  if (!req.transport.followRedirects) options.push('maxRedirects: 0');
+  else if (req.transport.maxRedirs !== undefined) options.push(`maxRedirects: ${req.transport.maxRedirs < 0 ? 'Infinity' : req.transport.maxRedirs}`);
+  if (req.transport.insecure) options.push('httpsAgent: new https.Agent({ rejectUnauthorized: false })');
+  if (req.transport.proxy) {
+    const proxy = safeUrl(req.transport.proxy);
+    if (proxy) options.push(`proxy: { protocol: ${jsString(proxy.protocol.replace(':', ''))}, host: ${jsString(proxy.hostname)}, port: ${proxy.port || 80} }`);
+  }
+
+  lines.push(`const config = {\n${options.map(o => `  ${o},`).join('\n')}\n};`, '');
+
+  const fetchPage = (target) => [
+    `const { data } = await axios(${target === 'nextUrl' ? 'nextUrl ? { ...config, url: nextUrl, params: undefined } : config' : 'config'});`
+  ];
+
+  if (!paging) {
+    lines.push(...fetchPage('url'), 'console.log(data);');
+    return lines.join('\n') + '\n';
+  }
+
+  lines.push(...jsPaginationLoop(paging, fetchPage, 'config.params'));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Body construction lines shared by the fetch and axios generators
+ */
+function jsBodySetup(req, client) {
+  switch (req.body?.kind) {
+    case 'json':
+      return [client === 'fetch'
+        ? `const body = JSON.stringify(${jsLiteral(req.body.value, '')});`
+        : `const body = ${jsLiteral(req.body.value, '')};`];
+    case 'text':
+      return [`const body = ${jsString(req.body.value)};`];
+    case 'form':
+      return [
+        'const body = new FormData();',
+        ...req.body.parts.map(p => p.file
+          ? `body.append(${jsString(p.name)}, await fs.openAsBlob(${jsString(p.file)}${p.type ? `, { type: ${jsString(p.type)} }` : ''}), ${jsString(p.filename || basename(p.file))});`
+          : `body.append(${jsString(p.name)}, ${jsString(p.value ?? '')});`)
+      ];
+    case 'file':
+      return [`const body = fs.readFileSync(${jsString(req.body.file)});`];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Pagination loop shared by the fetch and axios generators.
+ * paramsTarget is how the loop sets query params ('url' uses url.searchParams);
+ * fetchPage('url' | 'nextUrl') returns the lines that fetch one page into `data`.
+ */
+function jsPaginationLoop(paging, fetchPage, paramsTarget) {
+  const setParam = (name, value) => paramsTarget === 'url'
+    ? `url.searchParams.set(${jsString(name)}, ${value});`
+    : `${paramsTarget}[${jsString(name)}] = ${value};`;
+  const indent = (line) => `  ${line}`;
+  const processItems = [
+    '// Adjust to where your API puts the records',
+    'const items = Array.isArray(data) ? data : data.data ?? [];',
+    'for (const item of items) console.log(item);'
+  ];
+  const lines = [];
+
+  if (paging.kind === 'page') {
+    lines.push(`for (let ${paging.counter} = ${paging.start}; ; ${paging.counter} += ${paging.step}) {`);
+    lines.push(indent(setParam(paging.param, `String(${paging.counter})`)));
+    if (paging.perPageParam) lines.push(indent(setParam(paging.perPageParam, `'${paging.perPage}'`)));
+    lines.push(...fetchPage('url').map(indent), ...processItems.map(indent));
+    lines.push(indent('if (items.length === 0) break;'), '}');
+  } else if (paging.kind === 'cursor') {
+    lines.push('let cursor = null;', 'do {');
+    lines.push(indent(`if (cursor) ${setParam(paging.param, 'cursor')}`));
+    if (paging.perPageParam) lines.push(indent(setParam(paging.perPageParam, `'${paging.perPage}'`)));
+    lines.push(...fetchPage('url').map(indent), ...processItems.map(indent));
+    lines.push(indent(`cursor = ${paging.lastId
+      ? `${jsPath('data', paging.path)} && items.length ? items[items.length - 1].id : null`
+      : jsPath('data', paging.path)};`), '} while (cursor);');
+  } else {
+    lines.push('let nextUrl = null;', 'do {');
+    lines.push(...fetchPage('nextUrl').map(indent));
+    lines.push(...processItems.map(indent));
+    lines.push(indent(`nextUrl = ${jsPath('data', paging.path)};`), '} while (nextUrl);');
+  }
+
+  return lines;
+}
+
+function jsPath(root, path) {
+  return `${root}${path.map(key => (/^[A-Za-z_$][\w$]*$/.test(key) ? `?.${key}` : `?.[${jsString(key)}]`)).join('')}`;
+}
+
+function jsString(str) {
+  return `'${String(str).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n').replace(/\r/g, '\\r')}'`;
+}
+
+function jsLiteral(value, indent) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'string') return jsString(value);
+  if (typeof value !== 'object') return String(value);
+  const inner = indent + '  ';
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return `[\n${value.map(v => `${inner}${jsLiteral(v, inner)},`).join('\n')}\n${indent}]`;
+  }
+  const entries = Object.entries(value);
+  if (entries.length === 0) return '{}';
+  return `{\n${entries.map(([k, v]) =>
+    `${inner}${/^[A-Za-z_$][\w$]*$/.test(k) ? k : jsString(k)}: ${jsLiteral(v, inner)},`
+  ).join('\n')}\n${indent}}`;
+}
+
+// ── Go net/http ──
+
+export function toGoNetHttp(config, pagination = null) {
+  const req = describeRequest(config, pagination);
+  const paging = describePagination(pagination);
+  const imports = new Set(['fmt', 'io', 'net/http']);
+  const T = '\t';
+  const main = [];
+  const helpers = [];
+
+  main.push(`${T}endpoint := ${goString(req.url)}`);
+  const hasQuery = hasKeys(req.params) || !!paging;
+  if (hasQuery) {
+    imports.add('net/url');
+    main.push(`${T}params := url.Values{}`);
+  }
+  for (const [key, value] of Object.entries(req.params)) {
+    main.push(`${T}params.Set(${goString(key)}, ${goString(value)})`);
+  }
+
+  // Client with transport options
+  const clientOpts = [];
+  if (req.transport.maxTime) {
+    imports.add('time');
+    clientOpts.push(`Timeout: ${Math.round(req.transport.maxTime * 1000)} * time.Millisecond`);
+  }
+  const transportOpts = [];
+  if (req.transport.insecure) {
+    imports.add('crypto/tls');
+    transportOpts.push('TLSClientConfig: &tls.Config{InsecureSkipVerify: true}');
+  }
+  if (req.transport.proxy) {
+    imports.add('net/url');
+    transportOpts.push(`Proxy: http.ProxyURL(mustParseURL(${goString(proxyUrl(req.transport.proxy))}))`);
+    helpers.push([
+      'func mustParseURL(raw string) *url.URL {',
+      `${T}u, err := url.Parse(raw)`,
+      `${T}if err != nil {`,
+      `${T}${T}panic(err)`,
+      `${T}}`,
+      `${T}return u`,
+      '}'
+    ].join('\n'));
+  }
+  if (transportOpts.length) clientOpts.push(`Transport: &http.Transport{${transportOpts.join(', ')}}`);
+  if (!req.transport.followRedirects) {
+    clientOpts.push('CheckRedirect: func(req *http.Request, via []*http.Request) error { return http.ErrUseLastResponse }');
+  } else if (req.transport.maxRedirs !== undefined && req.transport.maxRedirs >= 0) {
+    imports.add('errors');
+    clientOpts.push(`CheckRedirect: func(req *http.Request, via []*http.Request) error { if len(via) > ${req.transport.maxRedirs} { return errors.New("too many redirects") }; return nil }`);
+  }
+  main.push(`${T}client := &http.Client{${clientOpts.join(', ')}}`, '');
+
+  // fetch(pageURL) closure so pagination loops can reuse the request setup
+  const fetchLines = [`${T}fetch := func(pageURL string) []byte {`];
+  const TT = T + T;
+  switch (req.body?.kind) {
+    case 'json':
+    case 'text': {
+      imports.add('strings');
+      const text = req.body.kind === 'json' ? JSON.stringify(req.body.value) : req.body.value;
+      fetchLines.push(`${TT}body := strings.NewReader(${goRawString(text)})`);
+      break;
+    }
+    case 'form': {
+      imports.add('bytes');
+      imports.add('mime/multipart');
+      fetchLines.push(`${TT}body := &bytes.Buffer{}`, `${TT}writer := multipart.NewWriter(body)`);
+      for (const p of req.body.parts) {
+        if (p.file) {
+          imports.add('os');
+          fetchLines.push(
+            `${TT}if f, err := os.Open(${goString(p.file)}); err == nil {`,
+            `${TT}${T}part, _ := writer.CreateFormFile(${goString(p.name)}, ${goString(p.filename || basename(p.file))})`,
+            `${TT}${T}io.Copy(part, f)`,
+            `${TT}${T}f.Close()`,
+            `${TT}} else {`,
+            `${TT}${T}panic(err)`,
+            `${TT}}`
+          );
+        } else {
+          fetchLines.push(`${TT}writer.WriteField(${goString(p.name)}, ${goString(p.value ?? '')})`);
+        }
+      }
+      fetchLines.push(`${TT}writer.Close()`);
+      break;
+    }
+    case 'file':
+      imports.add('os');
+      fetchLines.push(`${TT}body, err := os.Open(${goString(req.body.file)})`, `${TT}if err != nil {`, `${TT}${T}panic(err)`, `${TT}}`, `${TT}defer body.Close()`);
+      break;
+    default:
+      break;
+  }
+
+  fetchLines.push(
+    `${TT}req, err := http.NewRequest(${goString(req.method)}, pageURL, ${req.body ? 'body' : 'nil'})`,
+    `${TT}if err != nil {`, `${TT}${T}panic(err)`, `${TT}}`
+  );
+  for (const [key, value] of Object.entries(req.headers)) {
+    fetchLines.push(`${TT}req.Header.Set(${goString(key)}, ${goString(value)})`);
+  }
+  if (req.body?.kind === 'form') fetchLines.push(`${TT}req.Header.Set("Content-Type", writer.FormDataContentType())`);
+  fetchLines.push(
+    `${TT}resp, err := client.Do(req)`,
+    `${TT}if err != nil {`, `${TT}${T}panic(err)`, `${TT}}`,
+    `${TT}defer resp.Body.Close()`,
+    `${TT}data, err := io.ReadAll(resp.Body)`,
+    `${TT}if err != nil {`, `${TT}${T}panic(err)`, `${TT}}`,
+    `${TT}if resp.StatusCode >= 400 {`,
+    `${TT}${T}panic(fmt.Sprintf("HTTP %d: %s", resp.StatusCode, data))`,
+    `${TT}}`,
+    `${TT}return data`,
+    `${T}}`,
+    ''
+  );
+  main.push(...fetchLines);
+
+  if (!paging) {
+    main.push(`${T}fmt.Println(string(fetch(${hasQuery ? 'endpoint + "?" + params.Encode()' : 'endpoint'})))`);
+  } else {
+    imports.add('encoding/json');
+    helpers.push([
+      '// records returns the list of records in a page. Adjust to your API\'s response shape.',
+      'func records(data any) []any {',
+      `${T}if list, ok := data.([]any); ok {`,
+      `${T}${T}return list`,
+      `${T}}`,
+      `${T}if obj, ok := data.(map[string]any); ok {`,
+      `${T}${T}if list, ok := obj["data"].([]any); ok {`,
+      `${T}${T}${T}return list`,
+      `${T}${T}}`,
+      `${T}}`,
+      `${T}return nil`,
+      '}'
+    ].join('\n'));
+
+    const decode = [
+      `${TT}var data any`,
+      `${TT}if err := json.Unmarshal(fetch(pageURL), &data); err != nil {`,
+      `${TT}${T}panic(err)`,
+      `${TT}}`,
+      `${TT}items := records(data)`,
+      `${TT}for _, item := range items {`,
+      `${TT}${T}fmt.Println(item)`,
+      `${TT}}`
+    ];
+
+    if (paging.kind === 'page') {
+      imports.add('strconv');
+      main.push(`${T}for ${paging.counter} := ${paging.start}; ; ${paging.counter} += ${paging.step} {`);
+      main.push(`${TT}params.Set(${goString(paging.param)}, strconv.Itoa(${paging.counter}))`);
+      if (paging.perPageParam) main.push(`${TT}params.Set(${goString(paging.perPageParam)}, "${paging.perPage}")`);
+      main.push(`${TT}pageURL := endpoint + "?" + params.Encode()`, ...decode);
+      main.push(`${TT}if len(items) == 0 {`, `${TT}${T}break`, `${TT}}`, `${T}}`);
+    } else {
+      if (!paging.lastId) helpers.push([
+        '// lookup follows a path of keys through decoded JSON and returns the string at the end',
+        'func lookup(data any, path ...string) string {',
+        `${T}for _, key := range path {`,
+        `${T}${T}obj, ok := data.(map[string]any)`,
+        `${T}${T}if !ok {`,
+        `${T}${T}${T}return ""`,
+        `${T}${T}}`,
+        `${T}${T}data = obj[key]`,
+        `${T}}`,
+        `${T}if s, ok := data.(string); ok {`,
+        `${T}${T}return s`,
+        `${T}}`,
+        `${T}return ""`,
+        '}'
+      ].join('\n'));
+      const pathArgs = paging.path.map(goString).join(', ');
+
+      if (paging.kind === 'cursor') {
+        if (paging.perPageParam) main.push(`${T}params.Set(${goString(paging.perPageParam)}, "${paging.perPage}")`);
+        main.push(`${T}cursor := ""`, `${T}for {`);
+        main.push(`${TT}if cursor != "" {`, `${TT}${T}params.Set(${goString(paging.param)}, cursor)`, `${TT}}`);
+        main.push(`${TT}pageURL := endpoint + "?" + params.Encode()`, ...decode);
+        if (paging.lastId) {
+          main.push(
+            `${TT}cursor = ""`,
+            `${TT}if obj, ok := data.(map[string]any); ok && obj[${goString(paging.path[0])}] == true && len(items) > 0 {`,
+            `${TT}${T}if last, ok := items[len(items)-1].(map[string]any); ok {`,
+            `${TT}${T}${T}cursor = fmt.Sprint(last["id"])`,
+            `${TT}${T}}`,
+            `${TT}}`
+          );
+        } else {
+          main.push(`${TT}cursor = lookup(data, ${pathArgs})`);
+        }
+        main.push(`${TT}if cursor == "" {`, `${TT}${T}break`, `${TT}}`, `${T}}`);
+      } else {
+        main.push(`${T}for pageURL := endpoint + "?" + params.Encode(); pageURL != ""; {`, ...decode);
+        main.push(`${TT}pageURL = lookup(data, ${pathArgs})`, `${T}}`);
+      }
+    }
+  }
+
+  const sortedImports = [...imports].sort();
+  return [
+    ...signingWarning(req, '//'),
+    'package main',
+    '',
+    'import (',
+    ...sortedImports.map(i => `${T}"${i}"`),
+    ')',
+    '',
+    'func main() {',
+    ...main,
+    '}',
+    ...helpers.map(h => `\n${h}`)
+  ].join('\n') + '\n';
+}
+
+function goString(str) {
+  return JSON.stringify(String(str));
+}
+
+function goRawString(str) {
+  return str.includes('`') ? goString(str) : `\`${str}\``;
+}
+
+// ── PHP cURL ──
+
+export function toPhpCurl(config, pagination = null) {
+  const req = describeRequest(config, pagination);
+  const paging = describePagination(pagination);
+  const lines = ['<?php', '', ...signingWarning(req, '//')];
+
+  const hasQuery = hasKeys(req.params) || !!paging;
+  lines.push(`$endpoint = ${phpString(req.url)};`);
+  if (hasQuery) lines.push(`$params = ${phpArray(req.params, '')};`);
+
+  const opts = [
+    'CURLOPT_RETURNTRANSFER => true',
+    `CURLOPT_CUSTOMREQUEST => ${phpString(req.method)}`
+  ];
+  if (req.method === 'HEAD') opts.push('CURLOPT_NOBODY => true');
+  if (hasKeys(req.headers)) {
+    opts.push(`CURLOPT_HTTPHEADER => [\n${Object.entries(req.headers).map(([k, v]) => `${INDENT}${INDENT}${phpString(`${k}: ${v}`)},`).join('\n')}\n${INDENT}]`);
+  }
+
+  switch (req.body?.kind) {
+    case 'json':
+      opts.push(`CURLOPT_POSTFIELDS => json_encode(${phpArray(req.body.value, INDENT)})`);
+      break;
+    case 'text':
+      opts.push(`CURLOPT_POSTFIELDS => ${phpString(req.body.value)}`);
+      break;
+    case 'form':
+      opts.push(`CURLOPT_POSTFIELDS => [\n${req.body.parts.map(p => `${INDENT}${INDENT}${phpString(p.name)} => ${p.file
+        ? `new CURLFile(${phpString(p.file)}${p.type || p.filename ? `, ${phpString(p.type || '')}` : ''}${p.filename ? `, ${phpString(p.filename)}` : ''})`
+        : phpString(p.value ?? '')},`).join('\n')}\n${INDENT}]`);
+      break;
+    case 'file':
+      opts.push(`CURLOPT_POSTFIELDS => file_get_contents(${phpString(req.body.file)})`);
+      break;
+    default:
+      break;
+  }
+
+  const { transport } = req;
+  if (transport.followRedirects) {
+    opts.push('CURLOPT_FOLLOWLOCATION => true');
+    if (transport.maxRedirs !== undefined) opts.push(`CURLOPT_MAXREDIRS => ${transport.maxRedirs}`);
+  }
+  if (transport.insecure) opts.push('CURLOPT_SSL_VERIFYPEER => false', 'CURLOPT_SSL_VERIFYHOST => 0');
+  if (transport.maxTime) opts.push(`CURLOPT_TIMEOUT_MS => ${Math.round(transport.maxTime * 1000)}`);
+  if (transport.connectTimeout) opts.push(`CURLOPT_CONNECTTIMEOUT_MS => ${Math.round(transport.connectTimeout * 1000)}`);
+  if (transport.proxy) opts.push(`CURLOPT_PROXY => ${phpString(transport.proxy)}`);
+  if (transport.proxyUser) opts.push(`CURLOPT_PROXYUSERPWD => ${phpString(transport.proxyUser)}`);
+
+  lines.push(
+    '',
+    'function fetch_page(string $url): string',
+    '{',
+    `${INDENT}$ch = curl_init($url);`,
+    `${INDENT}curl_setopt_array($ch, [\n${opts.map(o => `${INDENT}${INDENT}${o.replace(/\n/g, `\n${INDENT}`)},`).join('\n')}\n${INDENT}]);`,
+    `${INDENT}$response = curl_exec($ch);`,
+    `${INDENT}if ($response === false) {`,
+    `${INDENT}${INDENT}throw new RuntimeException(curl_error($ch));`,
+    `${INDENT}}`,
+    `${INDENT}$status = curl_getinfo($ch, CURLINFO_RESPONSE_CODE);`,
+    `${INDENT}curl_close($ch);`,
+    `${INDENT}if ($status >= 400) {`,
+    `${INDENT}${INDENT}throw new RuntimeException("HTTP $status: $response");`,
+    `${INDENT}}`,
+    `${INDENT}return $response;`,
+    '}',
+    ''
+  );
+
+  const withQuery = "$endpoint . '?' . http_build_query($params)";
+
+  if (!paging) {
+    lines.push(`$response = fetch_page(${hasQuery ? withQuery : '$endpoint'});`);
+    lines.push(req.expectJson ? 'print_r(json_decode($response, true));' : 'echo $response;');
+    return lines.join('\n') + '\n';
+  }
+
+  const processItems = (indent) => [
+    `${indent}// Adjust to where your API puts the records`,
+    `${indent}$items = array_is_list($data) ? $data : ($data['data'] ?? []);`,
+    `${indent}foreach ($items as $item) {`,
+    `${indent}${INDENT}print_r($item);`,
+    `${indent}}`
+  ];
+  const phpPath = `$data${paging.path?.map(key => `[${phpString(key)}]`).join('') || ''} ?? null`;
+
+  if (paging.kind === 'page') {
+    if (paging.perPageParam) lines.push(`$params[${phpString(paging.perPageParam)}] = ${paging.perPage};`);
+    lines.push(`for ($${paging.counter} = ${paging.start}; ; $${paging.counter} += ${paging.step}) {`);
+    lines.push(`${INDENT}$params[${phpString(paging.param)}] = $${paging.counter};`);
+    lines.push(`${INDENT}$data = json_decode(fetch_page(${withQuery}), true);`, ...processItems(INDENT));
+    lines.push(`${INDENT}if (count($items) === 0) {`, `${INDENT}${INDENT}break;`, `${INDENT}}`, '}');
+  } else if (paging.kind === 'cursor') {
+    if (paging.perPageParam) lines.push(`$params[${phpString(paging.perPageParam)}] = ${paging.perPage};`);
+    lines.push('$cursor = null;', 'do {');
+    lines.push(`${INDENT}if ($cursor !== null) {`, `${INDENT}${INDENT}$params[${phpString(paging.param)}] = $cursor;`, `${INDENT}}`);
+    lines.push(`${INDENT}$data = json_decode(fetch_page(${withQuery}), true);`, ...processItems(INDENT));
+    lines.push(`${INDENT}$cursor = ${paging.lastId ? `!empty(${phpPath.replace(' ?? null', '')}) && $items ? end($items)['id'] : null` : phpPath};`, '} while ($cursor);');
+  } else {
+    lines.push(`$url = ${withQuery};`, 'do {');
+    lines.push(`${INDENT}$data = json_decode(fetch_page($url), true);`, ...processItems(INDENT));
+    lines.push(`${INDENT}$url = ${phpPath};`, '} while ($url);');
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function phpString(str) {
+  const text = String(str);
+  if (!/[\x00-\x1f\x7f]/.test(text)) return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  // Written as escapes, so no line break ends up inside the literal (and under the indenting)
+  return `"${text.replace(/[\\"$]/g, '\\$&').replace(/[\x00-\x1f\x7f]/g, c =>
+    PHP_ESCAPES[c] || `\\x${c.charCodeAt(0).toString(16).padStart(2, '0')}`)}"`;
+}
+
+function phpArray(value, indent) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'string') return phpString(value);
+  if (typeof value !== 'object') return String(value);
+  const inner = indent + INDENT;
+  const entries = Array.isArray(value) ? value.map(v => [null, v]) : Object.entries(value);
+  if (entries.length === 0) return '[]';
+  return `[\n${entries.map(([k, v]) =>
+    `${inner}${k === null ? '' : `${phpString(k)} => `}${phpArray(v, inner)},`
+  ).join('\n')}\n${indent}]`;
+}
+
+// ── Shared helpers ──
+
+/**
+ * Normalize a request config for the generators:
+ * { method, url, params, headers, body, transport, signing, expectJson }.
+ * Query params owned by the pagination loop are left out of params.
+ */
+function describeRequest(config, pagination) {
+  const paging = describePagination(pagination);
+  const params = { ...(config.params || {}) };
+  if (paging?.param) delete params[paging.param];
+  if (paging?.perPageParam) delete params[paging.perPageParam];
+
+  const headers = { ...(config.headers || {}) };
+  const contentTypeKey = Object.keys(headers).find(k => k.toLowerCase() === 'content-type');
+  const contentType = contentTypeKey ? headers[contentTypeKey].toLowerCase() : '';
+
+  let body = null;
+  if (config.form?.length) {
+    // The client sets the multipart boundary itself
+    if (contentTypeKey) delete headers[contentTypeKey];
+    body = { kind: 'form', parts: config.form };
+  } else if (config.data !== undefined && config.data !== null && config.data !== '') {
+    if (typeof config.data === 'object') {
+      body = { kind: 'json', value: config.data };
+    } else {
+      body = { kind: 'text', value: config.data };
+    }
+  } else if (config.dataParts?.length && !config.dataInQuery) {
+    const fileSeg = config.dataParts.find(seg => typeof seg === 'object' && seg.file && !seg.urlencode);
+    if (fileSeg) body = { kind: 'file', file: fileSeg.file };
+  }
+
+  const accept = Object.entries(headers).find(([k]) => k.toLowerCase() === 'accept')?.[1] || '';
+
+  return {
+    method: (config.method || 'GET').toUpperCase(),
+    url: config.url,
+    params,
+    headers,
+    body,
+    transport: config.transport || {},
+    signing: SIGNING_LABELS[config.signing?.type] || null,
+    expectJson: accept.includes('json') || contentType.includes('json') || !accept
+  };
+}
+
+/**
+ * Normalize the pagination state into what the loop scaffolding needs, or null
+ */
+function describePagination(pagination) {
+  if (!pagination) return null;
+
+  if (pagination.mode === 'page' && pagination.pageParamName) {
+    const isOffset = OFFSET_PARAM_NAMES.includes(pagination.pageParamName);
+    return {
+      kind: 'page',
+      param: pagination.pageParamName,
+      perPageParam: pagination.perPageParamName || null,
+      perPage: pagination.perPage || 10,
+      counter: isOffset ? 'offset' : 'page',
+      start: isOffset ? 0 : 1,
+      step: isOffset ? pagination.perPage || 10 : 1
+    };
+  }
+
+  if (pagination.mode === 'cursor') {
+    const path = (pagination.cursorPath || '').split('.').filter(Boolean);
+    if (pagination.nextPageUrl || (pagination.cursorPath && !pagination.cursorParamName && path.length)) {
+      return { kind: 'nextUrl', path: path.length ? path : ['next'] };
+    }
+    return {
+      kind: 'cursor',
+      param: pagination.cursorParamName || 'cursor',
+      perPageParam: pagination.perPageParamName || null,
+      perPage: pagination.perPage || 10,
+      path: path.length ? path : ['next_cursor'],
+      // Stripe-style: has_more flag, next cursor is the last record's id
+      lastId: path[path.length - 1] === 'has_more'
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Comment lines warning that a signed request's snippet sends it unsigned
+ */
+function signingWarning(req, marker) {
+  if (!req.signing) return [];
+  return [`${marker} Warning: ${req.signing} is not generated; add it before running, or the request is sent without authentication`, ''];
+}
+
+function hasKeys(obj) {
+  return !!obj && Object.keys(obj).length > 0;
+}
+
+function basename(path) {
+  return String(path).split(/[\\/]/).pop();
+}
+
+/**
+ * Proxy URL with a scheme; -x takes a bare host:port, which means http://
+ */
+function proxyUrl(proxy) {
+  return /^[a-z][a-z\d+.-]*:\/\//i.test(proxy) ? proxy : `http://${proxy}`;
+}
+
+function safeUrl(str) {
+  try {
+    return new URL(/^[a-z]+:\/\//i.test(str) ? str : `http://${str}`);
+  } catch {
+    return null;
+  }
+}
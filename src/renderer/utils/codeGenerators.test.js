@@ -0,0 +1,274 @@
+import { describe, expect, it } from 'vitest';
+import { toGoNetHttp, toNodeAxios, toNodeFetch, toPhpCurl, toPythonRequests } from './codeGenerators';
+
+const simpleGet = {
+  method: 'GET',
+  url: 'https://api.example.com/users',
+  headers: { Accept: 'application/json' }
+};
+
+const postWithParams = {
+  method: 'POST',
+  url: 'https://api.example.com/users',
+  params: { team: 'core' },
+  headers: { 'Content-Type': 'application/json' },
+  data: { name: 'Ada' },
+  transport: { followRedirects: true, maxRedirs: 3, insecure: true, maxTime: 5, proxy: 'proxy.local:8080' }
+};
+
+const pagePagination = { mode: 'page', pageParamName: 'page', perPageParamName: 'per_page', perPage: 50 };
+
+describe('toPythonRequests', () => {
+  it('generates a simple GET', () => {
+    expect(toPythonRequests(simpleGet)).toBe([
+      'import requests',
+      '',
+      'url = "https://api.example.com/users"',
+      'headers = {',
+      '    "Accept": "application/json",',
+      '}',
+      '',
+      'response = requests.get(url, headers=headers, allow_redirects=False)',
+      'response.raise_for_status()',
+      'print(response.json())',
+      ''
+    ].join('\n'));
+  });
+
+  it('passes the body, params and transport options', () => {
+    const code = toPythonRequests(postWithParams);
+    expect(code).toContain('params = {\n    "team": "core",\n}');
+    expect(code).toContain('payload = {\n    "name": "Ada",\n}');
+    expect(code).toContain('requests.post(url, headers=headers, params=params, json=payload, verify=False, timeout=5, proxies=proxies)');
+    expect(code).not.toContain('allow_redirects');
+  });
+
+  it('gives a bare -x proxy a scheme', () => {
+    expect(toPythonRequests(postWithParams)).toContain(
+      'proxies = {"http": "http://proxy.local:8080", "https": "http://proxy.local:8080"}'
+    );
+    const code = toPythonRequests({ ...simpleGet, transport: { proxy: 'socks5://proxy.local:1080' } });
+    expect(code).toContain('"https": "socks5://proxy.local:1080"');
+  });
+
+  it('writes a page loop', () => {
+    const code = toPythonRequests(simpleGet, pagePagination);
+    expect(code).toContain('page = 1\nwhile True:\n    params["page"] = page\n    params["per_page"] = 50');
+    expect(code).toContain('    if not items:\n        break\n    page += 1');
+  });
+});
+
+describe('toNodeFetch', () => {
+  it('generates a simple GET', () => {
+    expect(toNodeFetch(simpleGet)).toBe([
+      "const url = new URL('https://api.example.com/users');",
+      'const options = {',
+      "  method: 'GET',",
+      '  headers: {',
+      "    Accept: 'application/json',",
+      '  },',
+      "  redirect: 'manual',",
+      '};',
+      '',
+      'const response = await fetch(url, options);',
+      'if (!response.ok) throw new Error(`HTTP ${response.status}`);',
+      'const data = await response.json();',
+      'console.log(data);',
+      ''
+    ].join('\n'));
+  });
+
+  it('passes the body, params and timeout', () => {
+    const code = toNodeFetch(postWithParams);
+    expect(code).toContain("url.searchParams.set('team', 'core');");
+    expect(code).toContain("const body = JSON.stringify({\n  name: 'Ada',\n});");
+    expect(code).toContain('  body,\n  signal: AbortSignal.timeout(5000),');
+    expect(code).toContain('NODE_TLS_REJECT_UNAUTHORIZED=0');
+    expect(code).not.toContain("redirect: 'manual'");
+  });
+
+  it('writes a cursor loop', () => {
+    const code = toNodeFetch(simpleGet, { mode: 'cursor', cursorParamName: 'after', cursorPath: 'meta.next' });
+    expect(code).toContain("  if (cursor) url.searchParams.set('after', cursor);");
+    expect(code).toContain('  cursor = data?.meta?.next;\n} while (cursor);');
+  });
+});
+
+describe('toNodeAxios', () => {
+  it('generates a simple GET', () => {
+    expect(toNodeAxios(simpleGet)).toBe([
+      "import axios from 'axios';",
+      '',
+      'const config = {',
+      "  method: 'get',",
+      "  url: 'https://api.example.com/users',",
+      '  headers: {',
+      "    Accept: 'application/json',",
+      '  },',
+      '  maxRedirects: 0,',
+      '};',
+      '',
+      'const { data } = await axios(config);',
+      'console.log(data);',
+      ''
+    ].join('\n'));
+  });
+
+  it('passes the body, params and transport options', () => {
+    const code = toNodeAxios(postWithParams);
+    expect(code).toContain("import https from 'node:https';");
+    expect(code).toContain("  params: {\n    team: 'core',\n  },");
+    expect(code).toContain('  data: body,\n  timeout: 5000,\n  maxRedirects: 3,');
+    expect(code).toContain('  httpsAgent: new https.Agent({ rejectUnauthorized: false }),');
+    expect(code).toContain("  proxy: { protocol: 'http', host: 'proxy.local', port: 8080 },");
+  });
+
+  it('follows the next URL', () => {
+    const code = toNodeAxios(simpleGet, { mode: 'cursor', nextPageUrl: true, cursorPath: 'links.next' });
+    expect(code).toContain('await axios(nextUrl ? { ...config, url: nextUrl, params: undefined } : config);');
+    expect(code).toContain('  nextUrl = data?.links?.next;\n} while (nextUrl);');
+  });
+});
+
+describe('toGoNetHttp', () => {
+  it('generates a simple GET without a query string', () => {
+    expect(toGoNetHttp(simpleGet)).toBe([
+      'package main',
+      '',
+      'import (',
+      '\t"fmt"',
+      '\t"io"',
+      '\t"net/http"',
+      ')',
+      '',
+      'func main() {',
+      '\tendpoint := "https://api.example.com/users"',
+      '\tclient := &http.Client{CheckRedirect: func(req *http.Request, via []*http.Request) error { return http.ErrUseLastResponse }}',
+      '',
+      '\tfetch := func(pageURL string) []byte {',
+      '\t\treq, err := http.NewRequest("GET", pageURL, nil)',
+      '\t\tif err != nil {',
+      '\t\t\tpanic(err)',
+      '\t\t}',
+      '\t\treq.Header.Set("Accept", "application/json")',
+      '\t\tresp, err := client.Do(req)',
+      '\t\tif err != nil {',
+      '\t\t\tpanic(err)',
+      '\t\t}',
+      '\t\tdefer resp.Body.Close()',
+      '\t\tdata, err := io.ReadAll(resp.Body)',
+      '\t\tif err != nil {',
+      '\t\t\tpanic(err)',
+      '\t\t}',
+      '\t\tif resp.StatusCode >= 400 {',
+      '\t\t\tpanic(fmt.Sprintf("HTTP %d: %s", resp.StatusCode, data))',
+      '\t\t}',
+      '\t\treturn data',
+      '\t}',
+      '',
+      '\tfmt.Println(string(fetch(endpoint)))',
+      '}',
+      ''
+    ].join('\n'));
+  });
+
+  it('passes the body, params and transport options', () => {
+    const code = toGoNetHttp(postWithParams);
+    expect(code).toContain('\t"crypto/tls"\n\t"errors"\n\t"fmt"\n\t"io"\n\t"net/http"\n\t"net/url"\n\t"strings"\n\t"time"\n');
+    expect(code).toContain('\tparams := url.Values{}\n\tparams.Set("team", "core")');
+    expect(code).toContain('Proxy: http.ProxyURL(mustParseURL("http://proxy.local:8080"))');
+    expect(code).toContain('if len(via) > 3 { return errors.New("too many redirects") }');
+    expect(code).toContain('body := strings.NewReader(`{"name":"Ada"}`)');
+    expect(code).toContain('\tfmt.Println(string(fetch(endpoint + "?" + params.Encode())))');
+  });
+
+  it('writes a page loop', () => {
+    const code = toGoNetHttp(simpleGet, pagePagination);
+    expect(code).toContain('\tparams := url.Values{}');
+    expect(code).toContain('\tfor page := 1; ; page += 1 {\n\t\tparams.Set("page", strconv.Itoa(page))\n\t\tparams.Set("per_page", "50")');
+  });
+});
+
+describe('toPhpCurl', () => {
+  it('generates a simple GET without a query string', () => {
+    expect(toPhpCurl(simpleGet)).toBe([
+      '<?php',
+      '',
+      "$endpoint = 'https://api.example.com/users';",
+      '',
+      'function fetch_page(string $url): string',
+      '{',
+      '    $ch = curl_init($url);',
+      '    curl_setopt_array($ch, [',
+      '        CURLOPT_RETURNTRANSFER => true,',
+      "        CURLOPT_CUSTOMREQUEST => 'GET',",
+      '        CURLOPT_HTTPHEADER => [',
+      "            'Accept: application/json',",
+      '        ],',
+      '    ]);',
+      '    $response = curl_exec($ch);',
+      '    if ($response === false) {',
+      '        throw new RuntimeException(curl_error($ch));',
+      '    }',
+      '    $status = curl_getinfo($ch, CURLINFO_RESPONSE_CODE);',
+      '    curl_close($ch);',
+      '    if ($status >= 400) {',
+      '        throw new RuntimeException("HTTP $status: $response");',
+      '    }',
+      '    return $response;',
+      '}',
+      '',
+      '$response = fetch_page($endpoint);',
+      'print_r(json_decode($response, true));',
+      ''
+    ].join('\n'));
+  });
+
+  it('follows redirects only with -L', () => {
+    expect(toPhpCurl(simpleGet)).not.toContain('CURLOPT_FOLLOWLOCATION');
+    expect(toPhpCurl({ ...simpleGet, transport: { maxRedirs: 2 } })).not.toContain('CURLOPT_MAXREDIRS');
+    const code = toPhpCurl(postWithParams);
+    expect(code).toContain('        CURLOPT_FOLLOWLOCATION => true,\n        CURLOPT_MAXREDIRS => 3,');
+  });
+
+  it('passes the body, params and transport options', () => {
+    const code = toPhpCurl(postWithParams);
+    expect(code).toContain("$params = [\n    'team' => 'core',\n];");
+    expect(code).toContain("CURLOPT_POSTFIELDS => json_encode([\n            'name' => 'Ada',\n        ])");
+    expect(code).toContain("        CURLOPT_PROXY => 'proxy.local:8080',");
+    expect(code).toContain("$response = fetch_page($endpoint . '?' . http_build_query($params));");
+  });
+
+  it('keeps multi-line bodies intact', () => {
+    const text = toPhpCurl({ ...simpleGet, method: 'POST', data: "a\nb 'q' $x \\ \"d\"\tt" });
+    expect(text).toContain('        CURLOPT_POSTFIELDS => "a\\nb \'q\' \\$x \\\\ \\"d\\"\\tt",');
+    const json = toPhpCurl({ ...simpleGet, method: 'POST', data: { note: 'line one\nline two' } });
+    expect(json).toContain("CURLOPT_POSTFIELDS => json_encode([\n            'note' => \"line one\\nline two\",\n        ])");
+  });
+
+  it('writes a page loop', () => {
+    const code = toPhpCurl(simpleGet, pagePagination);
+    expect(code).toContain("$endpoint = 'https://api.example.com/users';\n$params = [];\n");
+    expect(code).toContain("$params['per_page'] = 50;\nfor ($page = 1; ; $page += 1) {\n    $params['page'] = $page;");
+  });
+});
+
+describe('signed requests', () => {
+  const signed = { ...simpleGet, signing: { type: 'aws-sigv4', accessKeyId: 'AKID', secretAccessKey: '{{awsSecretKey}}', region: 'us-east-1', service: 'execute-api' } };
+
+  it('warns that the signature is not generated', () => {
+    const warning = 'Warning: AWS Signature V4 is not generated; add it before running, or the request is sent without authentication';
+    expect(toPythonRequests(signed)).toMatch(new RegExp(`^# ${warning}\n\nimport requests\n`));
+    expect(toNodeFetch(signed)).toMatch(new RegExp(`^// ${warning}\n\nconst url = `));
+    expect(toNodeAxios(signed)).toMatch(new RegExp(`^// ${warning}\n\nimport axios`));
+    expect(toGoNetHttp(signed)).toMatch(new RegExp(`^// ${warning}\n\npackage main\n`));
+    expect(toPhpCurl({ ...simpleGet, signing: { type: 'digest', username: 'ada', password: '{{password}}' } }))
+      .toMatch(/^<\?php\n\n\/\/ Warning: HTTP Digest auth is not generated;/);
+  });
+
+  it('leaves the warning out of unsigned requests', () => {
+    for (const generate of [toPythonRequests, toNodeFetch, toNodeAxios, toGoNetHttp, toPhpCurl]) {
+      expect(generate(simpleGet)).not.toContain('Warning:');
+    }
+  });
+});
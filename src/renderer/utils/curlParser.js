@@ -1,27 +1,107 @@
 /**
  * cURL Parser - Layer 1 of the Switchboard
  * Converts raw cURL command strings into structured request config objects.
- * Handles: GET/POST/PUT/PATCH/DELETE, headers, data/body, query params, auth
+ * Handles: GET/POST/PUT/PATCH/DELETE, headers, data/body, multipart forms, query params, auth
  */
 
-export function parseCurl(curlString) {
+import { basicAuthHeader, findHeaderKey } from '../../shared/requestVariables';
+
+export { basicAuthHeader, findHeaderKey };
+
+// Value-less short flags that may be bundled together (e.g. -sSL)
+const BOOLEAN_SHORT_FLAGS = ['s', 'S', 'L', 'k', 'v', 'i', 'I', 'f', 'G', '#', 'O'];
+
+// Short flags that take a value, which curl also accepts attached (-XPOST, -d@file, -HAccept:x)
+const VALUE_SHORT_FLAGS = ['X', 'H', 'd', 'F', 'u', 'b', 'c', 'A', 'e', 'm', 'x', 'U', 'o', 'w', 'D', 'E', 'T'];
+
+// Flags we recognise but that don't change the request Switchboard sends.
+// honored: true means the behaviour already matches curl's.
+const KNOWN_IGNORED_FLAGS = {
+  '--compressed': { honored: true, reason: 'Responses are decompressed automatically' },
+  '-s': { honored: true, reason: 'Output option, no effect on the request' },
+  '--silent': { honored: true, reason: 'Output option, no effect on the request' },
+  '-S': { honored: true, reason: 'Output option, no effect on the request' },
+  '--show-error': { honored: true, reason: 'Output option, no effect on the request' },
+  '-v': { honored: false, reason: 'Verbose output is not available; see the Headers tab instead' },
+  '--verbose': { honored: false, reason: 'Verbose output is not available; see the Headers tab instead' },
+  '-i': { honored: true, reason: 'Response headers are always captured' },
+  '--include': { honored: true, reason: 'Response headers are always captured' },
+  '-f': { honored: false, reason: 'HTTP errors are shown as responses, not failures' },
+  '--fail': { honored: false, reason: 'HTTP errors are shown as responses, not failures' },
+  '-#': { honored: true, reason: 'Output option, no effect on the request' },
+  '--progress-bar': { honored: true, reason: 'Output option, no effect on the request' },
+  '-O': { honored: false, reason: 'Responses are shown in the app, not written to disk' },
+  '--remote-name': { honored: false, reason: 'Responses are shown in the app, not written to disk' },
+  '-o': { takesValue: true, honored: false, reason: 'Responses are shown in the app, not written to disk' },
+  '--output': { takesValue: true, honored: false, reason: 'Responses are shown in the app, not written to disk' },
+  '-w': { takesValue: true, honored: false, reason: 'Output option, no effect on the request' },
+  '--write-out': { takesValue: true, honored: false, reason: 'Output option, no effect on the request' },
+  '-D': { takesValue: true, honored: false, reason: 'Response headers are shown in the app, not written to disk' },
+  '--dump-header': { takesValue: true, honored: false, reason: 'Response headers are shown in the app, not written to disk' },
+  '--retry': { takesValue: true, honored: false, reason: 'Use the "Auto-retry on 429" setting instead' },
+  '--http1.1': { honored: false, reason: 'The HTTP version is chosen by the HTTP client' },
+  '--http2': { honored: false, reason: 'The HTTP version is chosen by the HTTP client' },
+  '--cacert': { takesValue: true, honored: false, reason: 'Custom CA certificates are not supported' },
+  '--cert': { takesValue: true, honored: false, reason: 'Client certificates are not supported' },
+  '-E': { takesValue: true, honored: false, reason: 'Client certificates are not supported' },
+  '--key': { takesValue: true, honored: false, reason: 'Client certificates are not supported' },
+  '--ntlm': { honored: false, reason: 'NTLM auth is not supported' },
+  '--resolve': { takesValue: true, honored: false, reason: 'Custom DNS resolution is not supported' },
+  '--limit-rate': { takesValue: true, honored: false, reason: 'Bandwidth limiting is not supported' },
+  '-T': { takesValue: true, honored: false, reason: 'Use -F or --data-binary @file to upload files' },
+  '--upload-file': { takesValue: true, honored: false, reason: 'Use -F or --data-binary @file to upload files' }
+};
+
+// Transport flags that take a value: flag -> [transport key, value parser]
+const parseSeconds = (v) => (isFinite(parseFloat(v)) && parseFloat(v) > 0 ? parseFloat(v) : null);
+const parseCount = (v) => (/^-?\d+$/.test(v) ? parseInt(v, 10) : null);
+const TRANSPORT_VALUE_FLAGS = {
+  '-m': ['maxTime', parseSeconds],
+  '--max-time': ['maxTime', parseSeconds],
+  '--connect-timeout': ['connectTimeout', parseSeconds],
+  '-x': ['proxy', (v) => v || null],
+  '--proxy': ['proxy', (v) => v || null],
+  '-U': ['proxyUser', (v) => v || null],
+  '--proxy-user': ['proxyUser', (v) => v || null],
+  '--max-redirs': ['maxRedirs', parseCount]
+};
+
+// Headers that have a dedicated cURL flag, emitted by toCurl in that form
+const BROWSER_HEADER_FLAGS = {
+  cookie: '-b',
+  'user-agent': '-A',
+  referer: '-e'
+};
+
+const DATA_FLAGS = ['-d', '--data', '--data-ascii', '--data-raw', '--data-binary', '--data-urlencode'];
+
+// Display names for the shell dialects parseCurl understands and toCurl emits
+export const SHELL_LABELS = {
+  bash: 'bash',
+  powershell: 'PowerShell',
+  cmd: 'cmd'
+};
+
+/**
+ * Parse a cURL command into a request config.
+ * @param {string} curlString - The command as pasted
+ * @param {{ shell?: 'bash' | 'powershell' | 'cmd' }} [options] - Quoting dialect (detected when omitted)
+ */
+export function parseCurl(curlString, { shell } = {}) {
   if (!curlString || typeof curlString !== 'string') {
     throw new Error('Invalid input: please paste a cURL command');
   }
 
-  // Normalize: remove line continuations and extra whitespace
-  let raw = curlString
-    .replace(/\\\n/g, ' ')   // backslash newline
-    .replace(/\\\r\n/g, ' ') // windows line continuation
-    .replace(/`\n/g, ' ')    // PowerShell backtick continuation
-    .replace(/\s+/g, ' ')
-    .trim();
+  // Tokenize the raw input so warning positions point into the text the user pasted
+  const dialect = SHELL_LABELS[shell] ? shell : detectShellDialect(curlString);
+  const tokenList = expandShortFlags(tokenize(normalizeSmartQuotes(curlString), dialect));
 
-  // Strip leading "curl" keyword
-  if (raw.toLowerCase().startsWith('curl ')) {
-    raw = raw.substring(5).trim();
-  } else if (raw.toLowerCase() === 'curl') {
-    throw new Error('No URL provided in cURL command');
+  // Strip leading "curl" keyword (curl.exe when copied for PowerShell)
+  if (tokenList.length > 0 && /^curl(\.exe)?$/i.test(tokenList[0].text)) {
+    tokenList.shift();
+    if (tokenList.length === 0) {
+      throw new Error('No URL provided in cURL command');
+    }
   }
 
   const result = {
@@ -30,10 +110,21 @@ export function parseCurl(curlString) {
     headers: {},
     data: null,
     params: {},
-    auth: null
+    form: [],
+    auth: null,
+    transport: {},
+    warnings: []
   };
 
-  const tokens = tokenize(raw);
+  const tokens = tokenList.map(t => t.text);
+  const warn = (idx, reason, honored, extra = {}) => {
+    result.warnings.push({ flag: tokens[idx], position: tokenList[idx].start, reason, honored, ...extra });
+  };
+  const dataSegments = [];
+  const querySegments = [];
+  let useGet = false;
+  let jsonBody = false;
+  let signing = null;
   let i = 0;
 
   while (i < tokens.length) {
@@ -50,24 +141,94 @@ export function parseCurl(curlString) {
     else if (token === '-H' || token === '--header') {
       i++;
       if (i < tokens.length) {
-        const headerStr = stripQuotes(tokens[i]);
+        const headerStr = tokens[i];
         const colonIdx = headerStr.indexOf(':');
-        if (colonIdx > 0) {
+        if (/^[^:;\s]+;$/.test(headerStr)) {
+          // "Name;" sends the header with an empty value
+          result.headers[headerStr.slice(0, -1)] = '';
+        } else if (colonIdx > 0) {
           const key = headerStr.substring(0, colonIdx).trim();
           const value = headerStr.substring(colonIdx + 1).trim();
           result.headers[key] = value;
         }
       }
     }
-    // Data / Body
-    else if (token === '-d' || token === '--data' || token === '--data-raw' || token === '--data-binary' || token === '--data-urlencode') {
+    // Data / Body (repeated flags accumulate, joined with '&' like curl does)
+    else if (DATA_FLAGS.includes(token)) {
+      i++;
+      if (i < tokens.length) {
+        dataSegments.push(parseDataArg(tokens[i], token));
+      }
+    }
+    // Query-string only data
+    else if (token === '--url-query') {
       i++;
       if (i < tokens.length) {
-        const bodyStr = stripQuotes(tokens[i]);
-        result.data = tryParseJSON(bodyStr) || bodyStr;
-        // If sending data, default to POST unless explicitly set
-        if (result.method === 'GET' && !tokens.includes('-X') && !tokens.includes('--request')) {
-          result.method = 'POST';
+        querySegments.push(parseUrlQueryArg(tokens[i]));
+      }
+    }
+    // JSON body shorthand (curl 7.82+): like --data-binary plus JSON headers
+    else if (token === '--json') {
+      i++;
+      if (i < tokens.length) {
+        dataSegments.push(parseDataArg(tokens[i], '--data-binary'));
+        jsonBody = true;
+      }
+    }
+    // Cookies: "name=value; other=value", or a cookie file, which names the cookie jar to send from
+    else if (token === '-b' || token === '--cookie') {
+      i++;
+      if (i < tokens.length) {
+        const cookieStr = tokens[i];
+        if (cookieStr.includes('=')) {
+          const key = findHeaderKey(result.headers, 'Cookie') || 'Cookie';
+          result.headers[key] = result.headers[key] ? `${result.headers[key]}; ${cookieStr}` : cookieStr;
+        } else {
+          // -c names the jar that's written to; when both are given that one wins
+          result.cookieJar = result.cookieJar || cookieJarName(cookieStr);
+          warn(i - 1, `Cookie file "${cookieStr}" is used as a cookie jar name; the file itself is not read`, true);
+        }
+      }
+    }
+    // Cookie jar: cookies the server sets are kept for later requests naming the same jar
+    else if (token === '-c' || token === '--cookie-jar') {
+      i++;
+      if (i < tokens.length) {
+        result.cookieJar = cookieJarName(tokens[i]);
+        warn(i - 1, `Cookies are kept in the "${result.cookieJar}" cookie jar until the app quits; the file itself is not written`, true);
+      }
+    }
+    // User agent
+    else if (token === '-A' || token === '--user-agent') {
+      i++;
+      if (i < tokens.length) {
+        result.headers[findHeaderKey(result.headers, 'User-Agent') || 'User-Agent'] = tokens[i];
+      }
+    }
+    // Referer (curl's ";auto" suffix only matters for redirects)
+    else if (token === '-e' || token === '--referer') {
+      i++;
+      if (i < tokens.length) {
+        const referer = tokens[i].replace(/;auto$/, '');
+        if (referer) {
+          result.headers[findHeaderKey(result.headers, 'Referer') || 'Referer'] = referer;
+        }
+      }
+    }
+    // Send -d data as a GET query string
+    else if (token === '-G' || token === '--get') {
+      useGet = true;
+    }
+    // Multipart form fields / file uploads
+    else if (token === '-F' || token === '--form' || token === '--form-string') {
+      i++;
+      if (i < tokens.length) {
+        const part = parseFormPart(tokens[i], token === '--form-string');
+        if (part) {
+          result.form.push(part);
+          if (result.method === 'GET' && !hasExplicitMethod(tokens)) {
+            result.method = 'POST';
+          }
         }
       }
     }
@@ -75,35 +236,75 @@ export function parseCurl(curlString) {
     else if (token === '-u' || token === '--user') {
       i++;
       if (i < tokens.length) {
-        const authStr = stripQuotes(tokens[i]);
-        const [username, password] = authStr.split(':');
-        result.auth = { username, password: password || '' };
-        result.headers['Authorization'] = 'Basic ' + btoa(authStr);
+        const authStr = tokens[i];
+        const colonIdx = authStr.indexOf(':');
+        result.auth = colonIdx === -1
+          ? { username: authStr, password: '' }
+          : { username: authStr.substring(0, colonIdx), password: authStr.substring(colonIdx + 1) };
+        result.headers['Authorization'] = basicAuthHeader(authStr);
       }
     }
     // Bearer token shorthand
     else if (token === '--oauth2-bearer') {
       i++;
       if (i < tokens.length) {
-        result.headers['Authorization'] = `Bearer ${stripQuotes(tokens[i])}`;
+        result.headers['Authorization'] = `Bearer ${tokens[i]}`;
+      }
+    }
+    // Signed auth (credentials come from -u), computed by the main process for each request
+    else if (token === '--digest') {
+      signing = { type: 'digest' };
+    }
+    else if (token === '--aws-sigv4') {
+      i++;
+      if (i < tokens.length) {
+        // provider1[:provider2[:region[:service]]]
+        const [provider, , region, service] = tokens[i].split(':');
+        if (provider.toLowerCase() === 'aws') {
+          signing = { type: 'aws-sigv4', region: region || '', service: service || '' };
+        } else {
+          warn(i - 1, `Only the "aws" SigV4 provider is supported, "${provider}" ignored`, false);
+        }
       }
     }
-    // Compressed
-    else if (token === '--compressed') {
-      // Accept-Encoding is implicit, skip
+    // Transport options, applied by the main process
+    else if (token === '-k' || token === '--insecure') {
+      result.transport.insecure = true;
     }
-    // Follow redirects
     else if (token === '-L' || token === '--location') {
-      // Axios follows by default, skip
+      result.transport.followRedirects = true;
+    }
+    else if (TRANSPORT_VALUE_FLAGS[token]) {
+      i++;
+      if (i < tokens.length) {
+        const [key, parse] = TRANSPORT_VALUE_FLAGS[token];
+        const value = parse(tokens[i]);
+        if (value === null) {
+          warn(i - 1, `Invalid value "${tokens[i]}", ignored`, false);
+        } else {
+          result.transport[key] = value;
+        }
+      }
+    }
+    // HEAD request
+    else if (token === '-I' || token === '--head') {
+      result.method = 'HEAD';
     }
-    // Silent/verbose flags (ignore)
-    else if (token === '-s' || token === '--silent' || token === '-v' || token === '--verbose' || token === '-k' || token === '--insecure' || token === '-i' || token === '--include') {
-      // Skip
+    // Flags we recognise but don't (fully) act on
+    else if (KNOWN_IGNORED_FLAGS[token]) {
+      const { takesValue, honored, reason } = KNOWN_IGNORED_FLAGS[token];
+      warn(i, reason, honored);
+      if (takesValue) i++;
     }
     // URL (anything that looks like a URL or doesn't start with -)
     else if (!token.startsWith('-') || token.match(/^https?:\/\//)) {
-      const urlStr = stripQuotes(token);
-      if (urlStr.match(/^https?:\/\//) || urlStr.match(/^[a-zA-Z0-9].*\..+/)) {
+      const urlStr = token;
+      if (urlStr.includes('{{')) {
+        // Templated URL ({{baseUrl}}/users): keep it verbatim, environment variables are resolved at send time
+        const qIdx = urlStr.indexOf('?');
+        result.url = qIdx === -1 ? urlStr : urlStr.substring(0, qIdx);
+        if (qIdx !== -1) mergeQueryString(result.params, urlStr.substring(qIdx + 1));
+      } else if (urlStr.match(/^https?:\/\//) || urlStr.match(/^[a-zA-Z0-9].*\..+/)) {
         // Parse URL and extract query params
         try {
           const urlObj = new URL(urlStr.startsWith('http') ? urlStr : `https://${urlStr}`);
@@ -116,6 +317,18 @@ export function parseCurl(curlString) {
         }
       }
     }
+    // A short flag with its value attached (-XPOST, -sd@file): read again as separate tokens
+    else if (splitShortFlags(token)) {
+      const { start } = tokenList[i];
+      const parts = splitShortFlags(token);
+      tokens.splice(i, 1, ...parts.map(part => part.text));
+      tokenList.splice(i, 1, ...parts.map(part => ({ text: part.text, start: start + part.offset })));
+      continue;
+    }
+    // Anything else starting with '-' is a flag we don't know about
+    else {
+      warn(i, 'Unknown flag, ignored', false, { unknown: true });
+    }
 
     i++;
   }
@@ -124,79 +337,759 @@ export function parseCurl(curlString) {
     throw new Error('No URL found in cURL command');
   }
 
+  applyDataSegments(result, dataSegments, querySegments, useGet, hasExplicitMethod(tokens), jsonBody);
+
+  // --json sets these unless the command already provides them
+  if (jsonBody) {
+    if (!findHeaderKey(result.headers, 'Content-Type')) result.headers['Content-Type'] = 'application/json';
+    if (!findHeaderKey(result.headers, 'Accept')) result.headers['Accept'] = 'application/json';
+  }
+
+  if (signing) applySigning(result, signing);
+
+  // Remember where a Windows command came from (shown next to the format)
+  if (dialect !== 'bash') result.shell = dialect;
+
   // Clean up empty objects
   if (Object.keys(result.params).length === 0) delete result.params;
   if (Object.keys(result.headers).length === 0) delete result.headers;
   if (!result.data) delete result.data;
+  if (result.form.length === 0) delete result.form;
   if (!result.auth) delete result.auth;
+  if (Object.keys(result.transport).length === 0) delete result.transport;
+  if (result.warnings.length === 0) delete result.warnings;
 
   return result;
 }
 
 /**
- * Tokenize a cURL command string, respecting quoted strings
+ * Jar name for a -b / -c file argument ("" and "-", curl's no-file forms, use the default jar)
  */
-function tokenize(input) {
-  const tokens = [];
-  let current = '';
-  let inSingleQuote = false;
-  let inDoubleQuote = false;
-  let escaped = false;
+function cookieJarName(file) {
+  return file && file !== '-' ? file : 'default';
+}
+
+/**
+ * Move -u credentials (sent as Basic auth by default) into a --digest /
+ * --aws-sigv4 signing config. Like curl, a SigV4 region and service missing
+ * from the flag are taken from an *.amazonaws.com host.
+ */
+function applySigning(result, signing) {
+  const { username = '', password = '' } = result.auth || {};
+  const authKey = findHeaderKey(result.headers, 'Authorization');
+  if (result.auth && authKey && result.headers[authKey].startsWith('Basic ')) delete result.headers[authKey];
+  result.auth = null;
+
+  if (signing.type === 'digest') {
+    result.signing = { type: 'digest', username, password };
+    return;
+  }
+
+  const host = /^https?:\/\/([^/:?#]+)/i.exec(result.url)?.[1] || '';
+  const [, hostService, hostRegion] = /([\w-]+)\.([\w-]+)\.amazonaws\.com(\.cn)?$/i.exec(host) || [];
+  result.signing = {
+    type: 'aws-sigv4',
+    accessKeyId: username,
+    secretAccessKey: password,
+    region: signing.region || hostRegion || '',
+    service: signing.service || hostService || ''
+  };
+  // A session token from -H x-amz-security-token is signed with the request
+  const tokenKey = findHeaderKey(result.headers, 'X-Amz-Security-Token');
+  if (tokenKey) {
+    result.signing.sessionToken = result.headers[tokenKey];
+    delete result.headers[tokenKey];
+  }
+}
+
+/**
+ * Guess which shell a command was written for.
+ * Chrome's "Copy as cURL (cmd)" wraps every argument in ^"...^" and ends lines
+ * with ^; PowerShell needs curl.exe (plain curl is an Invoke-WebRequest alias)
+ * and continues lines with a backtick. Anything else is treated as bash.
+ */
+export function detectShellDialect(input) {
+  if (/(^|\s)\^"|\s\^\r?\n/.test(input)) return 'cmd';
+  if (/^\s*curl\.exe\b/i.test(input) || /`\r?\n/.test(input)) return 'powershell';
+  return 'bash';
+}
+
+// PowerShell treats the typographic quotes as ordinary quote characters
+const PS_SINGLE_QUOTES = "'‘’‚‛";
+const PS_DOUBLE_QUOTES = '"“”„';
+
+// Per-dialect escape character and the characters that end a command outside quotes
+const ESCAPE_CHARS = { bash: '\\', powershell: '`', cmd: '^' };
+const COMMAND_TERMINATORS = { bash: ';&|<>', powershell: ';|<>', cmd: '&|<>' };
+// "curl" at the start of a command, after an optional "$ " / "> " prompt or PowerShell "&"
+const CURL_COMMAND_START = /^(?:[$>]\s+|&\s*)?(curl(?:\.exe)?)(?=\s|$)/i;
+
+/**
+ * Split pasted text into the cURL commands it contains (vendor docs and shell
+ * scripts often list several). A command ends at an unescaped line break or at
+ * ; & | < > outside quotes, so pipes, redirects, comments and lines that are
+ * not cURL commands are dropped.
+ * @returns {{ text: string, start: number }[]} Each command and its offset into the input
+ */
+export function splitCurlCommands(input) {
+  const dialect = detectShellDialect(input);
+  const escapeChar = ESCAPE_CHARS[dialect];
+  const terminators = COMMAND_TERMINATORS[dialect];
+  const commands = [];
+  let start = null;          // offset of the cURL command being read
+  let atSegmentStart = true;
+  let quote = null;          // closing quote characters while inside quotes
+  let quoteEscapes = false;
+
+  const end = (pos) => {
+    if (start !== null) {
+      commands.push({ text: input.substring(start, pos).trim(), start });
+      start = null;
+    }
+  };
 
   for (let i = 0; i < input.length; i++) {
     const char = input[i];
 
-    if (escaped) {
-      current += char;
-      escaped = false;
+    if (quote) {
+      if (quoteEscapes && char === escapeChar) i++;
+      else if (quote.includes(char)) quote = null;
       continue;
     }
 
-    if (char === '\\' && !inSingleQuote) {
-      escaped = true;
+    if (atSegmentStart) {
+      if (/\s/.test(char)) continue;
+      atSegmentStart = false;
+      if (char === '#' && dialect !== 'cmd') {
+        const lineEnd = input.indexOf('\n', i);
+        i = (lineEnd === -1 ? input.length : lineEnd) - 1;
+        continue;
+      }
+      const match = CURL_COMMAND_START.exec(input.substring(i, i + 16));
+      if (match) {
+        start = i + match[0].length - match[1].length;
+        i += match[0].length - 1;
+        continue;
+      }
+    }
+
+    if (char === escapeChar) {
+      // An escaped line break continues the command; in cmd it also escapes the next character
+      if (input[i + 1] === '\r' && input[i + 2] === '\n') i++;
+      if (dialect === 'cmd' && input[i + 1] === '\n') i++;
+      i++;
       continue;
     }
 
-    if (char === "'" && !inDoubleQuote) {
-      inSingleQuote = !inSingleQuote;
-      current += char;
+    if (char === '\n' || terminators.includes(char)) {
+      end(i);
+      atSegmentStart = true;
+    } else if (dialect === 'bash' && char === '$' && input[i + 1] === "'") {
+      quote = "'";
+      quoteEscapes = true;
+      i++;
+    } else if (dialect === 'powershell' && (PS_SINGLE_QUOTES.includes(char) || PS_DOUBLE_QUOTES.includes(char))) {
+      quote = PS_SINGLE_QUOTES.includes(char) ? PS_SINGLE_QUOTES : PS_DOUBLE_QUOTES;
+      quoteEscapes = quote === PS_DOUBLE_QUOTES;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+      quoteEscapes = char === '"' && dialect === 'bash';
+    }
+  }
+
+  end(input.length);
+
+  return commands.filter(command => command.text);
+}
+
+/**
+ * Split a command into words using the quoting rules of its shell.
+ * Returns { text, start } entries where text is the unquoted word and start
+ * is its offset into the input.
+ */
+function tokenize(input, dialect = 'bash') {
+  if (dialect === 'cmd') return tokenizeCmd(input);
+  if (dialect === 'powershell') return tokenizePowerShell(input);
+  return tokenizeBash(input);
+}
+
+/**
+ * bash: '...' is literal, "..." honours \" \\ \$ \` escapes, $'...' expands
+ * C-style escapes and a bare backslash escapes the next character.
+ * Backslash-newline (and a stray PowerShell backtick-newline) continue the line.
+ */
+function tokenizeBash(input) {
+  const tokens = [];
+  let current = null; // null = between words, '' = an (empty) word has started
+  let start = 0;
+  let i = 0;
+
+  const begin = (pos) => {
+    if (current === null) {
+      current = '';
+      start = pos;
+    }
+  };
+
+  const flush = () => {
+    if (current !== null) {
+      tokens.push({ text: current, start });
+      current = null;
+    }
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if ((char === '\\' || char === '`') && /^\r?\n/.test(input.substring(i + 1, i + 3))) {
+      i += input[i + 1] === '\r' ? 3 : 2;
+      flush();
+      continue;
+    }
+
+    if (char === "'") {
+      begin(i);
+      const close = input.indexOf("'", i + 1);
+      const end = close === -1 ? input.length : close;
+      current += input.substring(i + 1, end);
+      i = end + 1;
       continue;
     }
 
-    if (char === '"' && !inSingleQuote) {
-      inDoubleQuote = !inDoubleQuote;
-      current += char;
+    if (char === '$' && input[i + 1] === "'") {
+      begin(i);
+      const { text, end } = readAnsiCString(input, i + 2);
+      current += text;
+      i = end;
       continue;
     }
 
-    if (char === ' ' && !inSingleQuote && !inDoubleQuote) {
-      if (current) {
-        tokens.push(current);
-        current = '';
+    if (char === '"') {
+      begin(i);
+      i++;
+      while (i < input.length && input[i] !== '"') {
+        if (input[i] === '\\') {
+          const next = input[i + 1];
+          if (next === '\n' || (next === '\r' && input[i + 2] === '\n')) {
+            i += next === '\r' ? 3 : 2;
+            continue;
+          }
+          if (next !== undefined && '"\\$`'.includes(next)) {
+            current += next;
+            i += 2;
+            continue;
+          }
+        }
+        current += input[i++];
       }
+      i++;
+      continue;
+    }
+
+    if (char === '\\') {
+      begin(i);
+      if (i + 1 < input.length) current += input[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      flush();
+      i++;
       continue;
     }
 
+    begin(i);
     current += char;
+    i++;
   }
 
-  if (current) {
-    tokens.push(current);
+  flush();
+
+  return tokens;
+}
+
+/**
+ * cmd.exe: two parsers run one after the other. cmd itself removes ^ escapes
+ * outside "quotes" (a ^ before a line break joins the lines and keeps the
+ * next character literally, which is how Chrome encodes newlines in values),
+ * then curl.exe's C runtime splits the result with splitWindowsArgs.
+ */
+function tokenizeCmd(input) {
+  const chars = [];
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (char === '^' && !quoted) {
+      let next = i + 1;
+      if (/^\r?\n/.test(input.substring(next, next + 2))) {
+        next += input[next] === '\r' ? 2 : 1;
+      }
+      if (input[next] === '\r' && input[next + 1] === '\n') next++;
+      if (next < input.length) chars.push({ char: input[next], pos: next });
+      i = next;
+      continue;
+    }
+
+    if (char === '"') quoted = !quoted;
+    if (char !== '\r') chars.push({ char, pos: i });
+  }
+
+  return splitWindowsArgs(chars);
+}
+
+/**
+ * Split { char, pos } entries into arguments the way the Microsoft C runtime
+ * builds argv: 2n backslashes before a quote become n and the quote toggles
+ * quoting, 2n+1 become n plus a literal quote, "" inside quotes is a literal
+ * quote, and backslashes anywhere else are literal.
+ */
+function splitWindowsArgs(chars) {
+  const tokens = [];
+  let current = null;
+  let start = 0;
+  let inQuotes = false;
+
+  const begin = (pos) => {
+    if (current === null) {
+      current = '';
+      start = pos;
+    }
+  };
+
+  for (let k = 0; k < chars.length; k++) {
+    const { char, pos } = chars[k];
+
+    if (char === '\\') {
+      let count = 0;
+      while (chars[k + count]?.char === '\\') count++;
+      begin(pos);
+      if (chars[k + count]?.char === '"') {
+        current += '\\'.repeat(Math.floor(count / 2));
+        if (count % 2 === 1) {
+          current += '"';
+          k += count;
+        } else {
+          k += count - 1;
+        }
+      } else {
+        current += '\\'.repeat(count);
+        k += count - 1;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      begin(pos);
+      if (inQuotes && chars[k + 1]?.char === '"') {
+        current += '"';
+        k++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+      continue;
+    }
+
+    if (/\s/.test(char) && !inQuotes) {
+      if (current !== null) {
+        tokens.push({ text: current, start });
+        current = null;
+      }
+      continue;
+    }
+
+    begin(pos);
+    current += char;
   }
 
+  if (current !== null) tokens.push({ text: current, start });
+
   return tokens;
 }
 
+const PS_ESCAPES = { 0: '\0', a: '\x07', b: '\b', e: '\x1b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v' };
+const isPsQuote = (quotes, char) => char !== undefined && quotes.includes(char);
+
 /**
- * Strip surrounding quotes from a string
+ * PowerShell: '...' is literal with '' as an embedded quote, "..." and bare
+ * words use backtick escapes (`n, `t, `", `u{...}) and "" is an embedded
+ * quote. Backtick-newline continues the line. After the --% stop-parsing
+ * token the rest of the line goes to curl.exe unchanged (split by the C runtime).
+ * $variables are not expanded.
  */
-function stripQuotes(str) {
-  if (!str) return str;
-  if ((str.startsWith("'") && str.endsWith("'")) ||
-      (str.startsWith('"') && str.endsWith('"'))) {
-    return str.slice(1, -1);
+function tokenizePowerShell(input) {
+  const tokens = [];
+  let current = null;
+  let start = 0;
+  let i = 0;
+
+  const begin = (pos) => {
+    if (current === null) {
+      current = '';
+      start = pos;
+    }
+  };
+
+  const flush = () => {
+    if (current !== null) {
+      tokens.push({ text: current, start });
+      current = null;
+    }
+  };
+
+  // Backtick escape at i; returns the expanded text and the index after it
+  const readEscape = (pos) => {
+    const next = input[pos + 1];
+    const unicode = /^u\{([0-9a-fA-F]{1,6})\}/.exec(input.substring(pos + 1, pos + 10));
+    if (unicode) return [String.fromCodePoint(parseInt(unicode[1], 16)), pos + 1 + unicode[0].length];
+    if (next === undefined) return ['', pos + 1];
+    return [PS_ESCAPES[next] ?? next, pos + 2];
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (char === '`' && /^\r?\n/.test(input.substring(i + 1, i + 3))) {
+      i += input[i + 1] === '\r' ? 3 : 2;
+      flush();
+      continue;
+    }
+
+    if (current === null && input.startsWith('--%', i) && (i + 3 === input.length || /\s/.test(input[i + 3]))) {
+      const lineEnd = input.slice(i + 3).search(/\r?\n/);
+      const end = lineEnd === -1 ? input.length : i + 3 + lineEnd;
+      const rest = [];
+      for (let k = i + 3; k < end; k++) rest.push({ char: input[k], pos: k });
+      tokens.push(...splitWindowsArgs(rest));
+      i = end;
+      continue;
+    }
+
+    if (char === '`') {
+      begin(i);
+      const [text, next] = readEscape(i);
+      current += text;
+      i = next;
+      continue;
+    }
+
+    if (PS_SINGLE_QUOTES.includes(char)) {
+      begin(i);
+      i++;
+      while (i < input.length) {
+        if (PS_SINGLE_QUOTES.includes(input[i])) {
+          if (!isPsQuote(PS_SINGLE_QUOTES, input[i + 1])) break;
+          i++;
+        }
+        current += input[i++];
+      }
+      i++;
+      continue;
+    }
+
+    if (PS_DOUBLE_QUOTES.includes(char)) {
+      begin(i);
+      i++;
+      while (i < input.length) {
+        if (input[i] === '`') {
+          const [text, next] = readEscape(i);
+          current += text;
+          i = next;
+          continue;
+        }
+        if (PS_DOUBLE_QUOTES.includes(input[i])) {
+          if (!isPsQuote(PS_DOUBLE_QUOTES, input[i + 1])) break;
+          i++;
+        }
+        current += input[i++];
+      }
+      i++;
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      flush();
+      i++;
+      continue;
+    }
+
+    begin(i);
+    current += char;
+    i++;
   }
-  return str;
+
+  flush();
+
+  return tokens;
+}
+
+/**
+ * Read the body of a bash $'...' string starting after the opening quote.
+ * Returns the expanded text and the index just past the closing quote.
+ */
+function readAnsiCString(input, pos) {
+  const simple = { a: '\x07', b: '\b', e: '\x1b', E: '\x1b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', '\\': '\\', "'": "'", '"': '"', '?': '?' };
+  let text = '';
+  let i = pos;
+
+  while (i < input.length && input[i] !== "'") {
+    if (input[i] !== '\\') {
+      text += input[i++];
+      continue;
+    }
+
+    const next = input[i + 1];
+    let match;
+    if (next in simple) {
+      text += simple[next];
+      i += 2;
+    } else if ((match = /^x([0-9a-fA-F]{1,2})/.exec(input.substring(i + 1, i + 4)))) {
+      text += String.fromCharCode(parseInt(match[1], 16));
+      i += 1 + match[0].length;
+    } else if ((match = /^u([0-9a-fA-F]{1,4})/.exec(input.substring(i + 1, i + 6))) ||
+               (match = /^U([0-9a-fA-F]{1,8})/.exec(input.substring(i + 1, i + 10)))) {
+      text += String.fromCodePoint(parseInt(match[1], 16));
+      i += 1 + match[0].length;
+    } else if ((match = /^[0-7]{1,3}/.exec(input.substring(i + 1, i + 4)))) {
+      text += String.fromCharCode(parseInt(match[0], 8));
+      i += 1 + match[0].length;
+    } else {
+      text += `\\${next ?? ''}`;
+      i += 2;
+    }
+  }
+
+  return { text, end: i + 1 };
+}
+
+/**
+ * Chat apps (Slack, Teams) and word processors turn quotes into typographic
+ * ones. When a command has no plain quotes at all, map them back. The
+ * replacement is one character for one so token offsets stay valid.
+ */
+function normalizeSmartQuotes(input) {
+  if (/['"]/.test(input) || !/[‘’“”]/.test(input)) return input;
+  return input.replace(/[‘’]/g, "'").replace(/[“”]/g, '"');
+}
+
+/**
+ * Expand bundled boolean short flags (-sSL -> -s -S -L). Bundles containing
+ * anything other than known value-less short flags are left untouched.
+ */
+function expandShortFlags(tokens) {
+  const expanded = [];
+  for (const token of tokens) {
+    if (/^-[a-zA-Z#]{2,}$/.test(token.text) && [...token.text.substring(1)].every(c => BOOLEAN_SHORT_FLAGS.includes(c))) {
+      [...token.text.substring(1)].forEach((c, idx) => expanded.push({ text: `-${c}`, start: token.start + idx + 1 }));
+    } else {
+      expanded.push(token);
+    }
+  }
+  return expanded;
+}
+
+/**
+ * Split "-XPOST" into "-X" "POST", and "-sLd@file" into "-s" "-L" "-d" "@file":
+ * boolean flags up to a value flag, which takes the rest of the token. Returns
+ * null for anything else. Only called for tokens in flag position, so a value
+ * that happens to start with "-" is never split.
+ */
+function splitShortFlags(text) {
+  if (!/^-[^-]/.test(text)) return null;
+  const parts = [];
+  for (let idx = 1; idx < text.length; idx++) {
+    const flag = text[idx];
+    if (VALUE_SHORT_FLAGS.includes(flag)) {
+      parts.push({ text: `-${flag}`, offset: idx - 1 });
+      if (idx + 1 < text.length) parts.push({ text: text.substring(idx + 1), offset: idx + 1 });
+      return parts;
+    }
+    if (!BOOLEAN_SHORT_FLAGS.includes(flag)) return null;
+    parts.push({ text: `-${flag}`, offset: idx - 1 });
+  }
+  return null;
+}
+
+/**
+ * Apply accumulated -d / --url-query segments to the request config.
+ * Segments are strings that are already encoded, or file references
+ * ({ file, name?, urlencode?, stripNewlines? }) that only the main process can read.
+ * With -G the data goes to the query string instead of the body.
+ * --json pieces are concatenated as-is rather than joined with '&'.
+ */
+function applyDataSegments(result, dataSegments, querySegments, useGet, explicitMethod, jsonBody) {
+  const isResolved = (segments) => segments.every(seg => typeof seg === 'string');
+
+  if (dataSegments.length > 0) {
+    if (!isResolved(dataSegments)) {
+      result.dataParts = dataSegments;
+      if (useGet) result.dataInQuery = true;
+    } else if (useGet) {
+      mergeQueryString(result.params, dataSegments.join('&'));
+    } else {
+      const joined = dataSegments.join(jsonBody ? '' : '&');
+      result.data = tryParseJSON(joined) || joined;
+    }
+
+    // If sending a body, default to POST unless explicitly set
+    if (!useGet && result.method === 'GET' && !explicitMethod) {
+      result.method = 'POST';
+    }
+  }
+
+  if (querySegments.length > 0) {
+    if (isResolved(querySegments)) {
+      mergeQueryString(result.params, querySegments.join('&'));
+    } else {
+      result.queryParts = querySegments;
+    }
+  }
+}
+
+/**
+ * Merge an encoded query string (a=1&b=2) into a params object
+ */
+function mergeQueryString(params, qs) {
+  new URLSearchParams(qs).forEach((value, key) => {
+    params[key] = value;
+  });
+}
+
+/**
+ * Parse the argument of a data flag following curl's rules:
+ *   -d / --data / --data-ascii   @file reads the file, stripping CR/LF
+ *   --data-binary                @file reads the file as-is
+ *   --data-raw                   taken literally
+ *   --data-urlencode             content | =content | name=content | @file | name@file
+ */
+function parseDataArg(value, flag) {
+  if (flag === '--data-urlencode') {
+    return parseUrlencodeArg(value);
+  }
+  if (flag !== '--data-raw' && value.startsWith('@')) {
+    return { file: value.substring(1), stripNewlines: flag !== '--data-binary' };
+  }
+  return value;
+}
+
+/**
+ * Parse a --data-urlencode style argument. The first '=' or '@' decides the form.
+ */
+function parseUrlencodeArg(value) {
+  const sepIdx = value.search(/[=@]/);
+  if (sepIdx === -1) return curlEscape(value);
+
+  const name = value.substring(0, sepIdx);
+  const content = value.substring(sepIdx + 1);
+
+  if (value[sepIdx] === '@') {
+    return { file: content, name: name || undefined, urlencode: true };
+  }
+  return name ? `${name}=${curlEscape(content)}` : curlEscape(content);
+}
+
+/**
+ * Parse a --url-query argument: same forms as --data-urlencode,
+ * except a leading '+' means the content is used without encoding.
+ */
+function parseUrlQueryArg(value) {
+  if (value.startsWith('+')) return value.substring(1);
+  return parseUrlencodeArg(value);
+}
+
+/**
+ * Percent-encode everything except RFC 3986 unreserved characters (matches curl_easy_escape)
+ */
+function curlEscape(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Split a Cookie header value into { name: value } pairs
+ */
+export function parseCookieString(cookieStr) {
+  const cookies = {};
+  for (const pair of (cookieStr || '').split(';')) {
+    const eqIdx = pair.indexOf('=');
+    if (eqIdx <= 0) continue;
+    cookies[pair.substring(0, eqIdx).trim()] = pair.substring(eqIdx + 1).trim();
+  }
+  return cookies;
+}
+
+/**
+ * Whether the command sets its method explicitly (-X / --request)
+ */
+function hasExplicitMethod(tokens) {
+  return tokens.includes('-X') || tokens.includes('--request');
+}
+
+/**
+ * Parse a single -F / --form value into a multipart part.
+ *   name=value               -> { name, value }
+ *   name=@/path;type=x/y     -> { name, file, type, filename }  (file upload)
+ *   name=</path              -> { name, file, inline: true }    (file contents as field value)
+ * --form-string values are always taken literally.
+ */
+function parseFormPart(str, literal = false) {
+  const eqIdx = str.indexOf('=');
+  if (eqIdx <= 0) return null;
+
+  const name = str.substring(0, eqIdx);
+  const rest = str.substring(eqIdx + 1);
+
+  if (literal || (!rest.startsWith('@') && !rest.startsWith('<'))) {
+    return { name, value: rest };
+  }
+
+  // Split off ;type= / ;filename= modifiers (the path and values may be "quoted")
+  const [filePath, ...modifiers] = splitFormValue(rest.substring(1));
+  const part = { name, file: filePath };
+  if (rest.startsWith('<')) part.inline = true;
+
+  for (const modifier of modifiers) {
+    const modEq = modifier.indexOf('=');
+    if (modEq <= 0) continue;
+    const key = modifier.substring(0, modEq).trim();
+    const value = modifier.substring(modEq + 1).trim();
+    if (key === 'type') part.type = value;
+    else if (key === 'filename') part.filename = value;
+  }
+
+  return part;
+}
+
+/**
+ * Split a -F value on ';' the way curl does: "double-quoted" sections may
+ * contain ';' and use \" and \\ as escapes.
+ */
+function splitFormValue(str) {
+  const pieces = [''];
+  let inQuotes = false;
+
+  for (let i = 0; i < str.length; i++) {
+    const char = str[i];
+    if (inQuotes && char === '\\' && (str[i + 1] === '"' || str[i + 1] === '\\')) {
+      pieces[pieces.length - 1] += str[++i];
+    } else if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === ';' && !inQuotes) {
+      pieces.push('');
+    } else {
+      pieces[pieces.length - 1] += char;
+    }
+  }
+
+  return pieces;
+}
+
+/**
+ * Quote a -F file name or modifier value when it would otherwise be split
+ */
+function quoteFormValue(str) {
+  return /[;",\\]/.test(str) ? `"${str.replace(/[\\"]/g, '\\$&')}"` : str;
 }
 
 /**
@@ -210,14 +1103,33 @@ function tryParseJSON(str) {
   }
 }
 
+// Per-shell command name, argument quoting and line continuation for toCurl
+const SHELL_DIALECTS = {
+  bash: { command: 'curl', quote: quoteBash, continuation: ' \\\n  ' },
+  // PowerShell's "curl" is an alias for Invoke-WebRequest; curl.exe is the real one
+  powershell: { command: 'curl.exe', quote: quotePowerShell, continuation: ' `\n  ' },
+  cmd: { command: 'curl', quote: quoteCmd, continuation: ' ^\n  ' }
+};
+
 /**
- * Convert a request config back to a cURL string (for display/copy)
+ * Convert a request config back to a cURL command.
+ * Every argument is quoted for the target shell, so parseCurl(toCurl(config))
+ * gives back the same request.
+ * @param {object} config - A request config as returned by parseCurl
+ * @param {{ shell?: 'bash' | 'powershell' | 'cmd', multiline?: boolean }} [options]
  */
-export function toCurl(config) {
-  const parts = ['curl'];
+export function toCurl(config, { shell = 'bash', multiline = true } = {}) {
+  const dialect = SHELL_DIALECTS[shell] || SHELL_DIALECTS.bash;
+  const q = (str) => dialect.quote(String(str), multiline);
+  const parts = [dialect.command];
 
-  if (config.method && config.method !== 'GET') {
-    parts.push(`-X ${config.method}`);
+  const sendsBody = !!(config.form?.length || config.data || (config.dataParts?.length && !config.dataInQuery));
+  const method = config.method || 'GET';
+  if (method === 'HEAD' && !sendsBody) {
+    // -X HEAD would leave curl waiting for a body that never comes
+    parts.push('-I');
+  } else if (method !== (sendsBody ? 'POST' : 'GET')) {
+    parts.push(`-X ${q(method)}`);
   }
 
   let url = config.url;
@@ -225,18 +1137,153 @@ export function toCurl(config) {
     const qs = new URLSearchParams(config.params).toString();
     url += `?${qs}`;
   }
-  parts.push(`'${url}'`);
+  parts.push(q(url));
+
+  const headers = { ...config.headers };
+  if (config.signing?.type === 'digest') {
+    parts.push('--digest', `-u ${q(`${config.signing.username}:${config.signing.password}`)}`);
+  } else if (config.signing?.type === 'aws-sigv4') {
+    const { accessKeyId, secretAccessKey, sessionToken, region, service } = config.signing;
+    parts.push(`--aws-sigv4 ${q(`aws:amz:${region}:${service}`)}`, `-u ${q(`${accessKeyId}:${secretAccessKey}`)}`);
+    if (sessionToken) headers['X-Amz-Security-Token'] = sessionToken;
+  }
+  const authKey = findHeaderKey(headers, 'Authorization');
+  if (config.auth && authKey) {
+    const { username, password } = config.auth;
+    const credentials = `${username}:${password ?? ''}`;
+    if (headers[authKey] === basicAuthHeader(credentials) || (!password && headers[authKey] === basicAuthHeader(username))) {
+      parts.push(`-u ${q(credentials)}`);
+      delete headers[authKey];
+    }
+  }
+
+  for (const [key, value] of Object.entries(headers)) {
+    const flag = BROWSER_HEADER_FLAGS[key.toLowerCase()];
+    const canonical = flag && value !== '' &&
+      (flag !== '-b' || value.includes('=')) && (flag !== '-e' || !value.endsWith(';auto'));
+    if (canonical) {
+      parts.push(`${flag} ${q(value)}`);
+    } else {
+      parts.push(`-H ${q(value === '' ? `${key};` : `${key}: ${value}`)}`);
+    }
+  }
+
+  // Read and write the same jar, as a curl session across several commands would
+  if (config.cookieJar) {
+    parts.push(`-b ${q(config.cookieJar)}`, `-c ${q(config.cookieJar)}`);
+  }
+
+  if (config.transport) {
+    const t = config.transport;
+    if (t.insecure) parts.push('-k');
+    if (t.followRedirects) parts.push('-L');
+    if (t.maxRedirs !== undefined) parts.push(`--max-redirs ${t.maxRedirs}`);
+    if (t.maxTime) parts.push(`--max-time ${t.maxTime}`);
+    if (t.connectTimeout) parts.push(`--connect-timeout ${t.connectTimeout}`);
+    if (t.proxy) parts.push(`-x ${q(t.proxy)}`);
+    if (t.proxyUser) parts.push(`-U ${q(t.proxyUser)}`);
+  }
 
-  if (config.headers) {
-    for (const [key, value] of Object.entries(config.headers)) {
-      parts.push(`-H '${key}: ${value}'`);
+  if (config.form) {
+    for (const part of config.form) {
+      // Text values that curl would read as a file or split on ';' are sent literally
+      const literal = !part.file && /^[@<]|;/.test(part.value ?? '');
+      parts.push(`${literal ? '--form-string' : '-F'} ${q(formPartToString(part))}`);
     }
   }
 
   if (config.data) {
     const body = typeof config.data === 'string' ? config.data : JSON.stringify(config.data);
-    parts.push(`-d '${body}'`);
+    parts.push(`${body.startsWith('@') ? '--data-raw' : '-d'} ${q(body)}`);
+  }
+
+  if (config.dataParts) {
+    if (config.dataInQuery) parts.push('-G');
+    for (const seg of config.dataParts) {
+      const [flag, value] = dataSegmentToFlag(seg);
+      parts.push(`${flag} ${q(value)}`);
+    }
+  }
+
+  if (config.queryParts) {
+    for (const seg of config.queryParts) {
+      parts.push(`--url-query ${q(typeof seg === 'string' ? `+${seg}` : `${seg.name ? seg.name : ''}@${seg.file}`)}`);
+    }
+  }
+
+  return parts.join(multiline ? dialect.continuation : ' ');
+}
+
+/**
+ * bash: single quotes are fully literal; an embedded ' becomes '\''.
+ * On a single line, values with newlines or control characters use $'...'.
+ */
+function quoteBash(str, multiline) {
+  if (!multiline && /[\x00-\x1f\x7f]/.test(str)) {
+    const escaped = str.replace(/[\\']/g, '\\$&').replace(/[\x00-\x1f\x7f]/g, (c) => {
+      const named = { '\n': '\\n', '\r': '\\r', '\t': '\\t' }[c];
+      return named || `\\x${c.charCodeAt(0).toString(16).padStart(2, '0')}`;
+    });
+    return `$'${escaped}'`;
   }
+  return `'${str.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * PowerShell: single-quoted strings are literal except for '' (which also
+ * covers typographic single quotes). Values with newlines use a double-quoted
+ * string with backtick escapes when everything has to fit on one line.
+ * Targets PowerShell 7.3+, which passes embedded double quotes to native
+ * commands unchanged.
+ */
+function quotePowerShell(str, multiline) {
+  if (!multiline && /[\r\n]/.test(str)) {
+    const escaped = str
+      .replace(/[`"$“”„]/g, '`$&')
+      .replace(/\r/g, '`r')
+      .replace(/\n/g, '`n')
+      .replace(/\t/g, '`t');
+    return `"${escaped}"`;
+  }
+  return `'${str.replace(/['‘’‚‛]/g, '$&$&')}'`;
+}
+
+/**
+ * cmd.exe: the value is first quoted the way curl.exe's C runtime splits its
+ * arguments (backslashes before a quote doubled, quotes as \"), then every
+ * character cmd treats specially is escaped with ^. This is the same form
+ * Chrome's "Copy as cURL (cmd)" produces. Line breaks inside a value need a
+ * ^ plus an empty line, so they are kept even in single-line output.
+ */
+function quoteCmd(str) {
+  const argv = str
+    .replace(/(\\*)"/g, (m, slashes) => `${slashes}${slashes}\\"`)
+    .replace(/(\\+)$/, '$1$1');
+  const escaped = argv
+    .replace(/[^a-zA-Z0-9\s_\-:=+~'/.,?;()*`\\]/g, '^$&')
+    .replace(/%(?=[a-zA-Z0-9_])/g, '%^')
+    .replace(/\r?\n/g, '^\n\n');
+  return `^"${escaped}^"`;
+}
 
-  return parts.join(' \\\n  ');
+/**
+ * Serialize a multipart part back into its -F value
+ */
+function formPartToString(part) {
+  if (!part.file) return `${part.name}=${part.value ?? ''}`;
+  let str = `${part.name}=${part.inline ? '<' : '@'}${quoteFormValue(part.file)}`;
+  if (part.type) str += `;type=${quoteFormValue(part.type)}`;
+  if (part.filename) str += `;filename=${quoteFormValue(part.filename)}`;
+  return str;
+}
+
+/**
+ * Map an unresolved data segment back to its data flag and (unquoted) value
+ */
+function dataSegmentToFlag(seg) {
+  if (typeof seg === 'string') {
+    return [seg.startsWith('@') ? '--data-raw' : '-d', seg];
+  }
+  if (seg.urlencode) return ['--data-urlencode', `${seg.name ? seg.name : ''}@${seg.file}`];
+  return [seg.stripNewlines ? '-d' : '--data-binary', `@${seg.file}`];
 }
@@ -0,0 +1,32 @@
+/**
+ * Environments
+ * Named sets of variables ({ key, value, secret }) that are substituted into a
+ * request config as {{key}} right before the request is sent, so one request
+ * can target staging and production. Secret values are masked wherever the
+ * resolved request is displayed. In Electron, saved secret values stay in the
+ * main process (the variable only carries a `ref`) and are filled in there.
+ */
+
+import { findVariables, inlineSigningSecrets, resolveRequest, substituteVariables } from '../../shared/requestVariables';
+
+// {{name}} substitution is shared with the main process, which fills in the secrets
+export { findVariables, inlineSigningSecrets, resolveRequest, substituteVariables };
+
+export const SECRET_MASK = '••••••';
+
+/**
+ * { key: value } for an environment (null = no environment)
+ * @param {{ mask?: boolean }} [options] - Replace secret values with SECRET_MASK (for display)
+ */
+export function environmentVariables(environment, { mask = false } = {}) {
+  const variables = {};
+  for (const v of environment?.variables || []) {
+    if (!v.key) continue;
+    if (mask && v.secret) {
+      variables[v.key] = SECRET_MASK;
+    } else if (!(v.secret && v.ref && !v.value)) {
+      variables[v.key] = v.value ?? '';
+    }
+  }
+  return variables;
+}
@@ -0,0 +1,168 @@
+/**
+ * HAR Importer
+ * Reads HAR files exported by browser DevTools and converts entries into
+ * the same request config objects that parseCurl returns.
+ */
+
+// Headers the browser/transport manages itself; re-sending them breaks requests
+const SKIPPED_HEADERS = ['host', 'content-length', 'connection'];
+
+/**
+ * Parse a HAR document and return a summary of each entry for the picker.
+ * Each summary keeps a reference to the raw entry for conversion later.
+ */
+export function parseHar(harText) {
+  let har;
+  try {
+    har = typeof harText === 'string' ? JSON.parse(harText) : harText;
+  } catch {
+    throw new Error('Invalid HAR file: not valid JSON');
+  }
+
+  const entries = har?.log?.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error('Invalid HAR file: missing log.entries');
+  }
+
+  return entries
+    .filter(entry => entry?.request?.url && /^https?:\/\//.test(entry.request.url))
+    .map((entry, index) => ({
+      index,
+      method: (entry.request.method || 'GET').toUpperCase(),
+      url: entry.request.url,
+      status: entry.response?.status || 0,
+      size: getResponseSize(entry.response),
+      mimeType: entry.response?.content?.mimeType || '',
+      resourceType: entry._resourceType || '',
+      startedDateTime: entry.startedDateTime || null,
+      entry
+    }));
+}
+
+/**
+ * Check whether a piece of text looks like a HAR document (used on file drop)
+ */
+export function isHar(text) {
+  try {
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed?.log?.entries);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Convert a single HAR entry into a request config (same shape as parseCurl output)
+ */
+export function harEntryToRequest(entry) {
+  const req = entry.request;
+  const result = {
+    method: (req.method || 'GET').toUpperCase(),
+    url: '',
+    headers: {},
+    params: {},
+    warnings: []
+  };
+
+  try {
+    const urlObj = new URL(req.url);
+    result.url = `${urlObj.origin}${urlObj.pathname}`;
+    urlObj.searchParams.forEach((value, key) => {
+      result.params[key] = value;
+    });
+  } catch {
+    result.url = req.url;
+  }
+
+  for (const { name, value } of req.headers || []) {
+    // HTTP/2 pseudo headers (:authority, :path, ...) are not real headers
+    if (!name || name.startsWith(':') || SKIPPED_HEADERS.includes(name.toLowerCase())) continue;
+    const existing = Object.keys(result.headers).find(k => k.toLowerCase() === name.toLowerCase());
+    if (existing) {
+      const sep = name.toLowerCase() === 'cookie' ? '; ' : ', ';
+      result.headers[existing] = `${result.headers[existing]}${sep}${value}`;
+    } else {
+      result.headers[name] = value;
+    }
+  }
+
+  // Some exporters only list cookies in the cookies array
+  const hasCookieHeader = Object.keys(result.headers).some(k => k.toLowerCase() === 'cookie');
+  if (!hasCookieHeader && Array.isArray(req.cookies) && req.cookies.length > 0) {
+    result.headers['Cookie'] = req.cookies.map(c => `${c.name}=${c.value}`).join('; ');
+  }
+
+  applyPostData(result, req.postData);
+
+  // Clean up empty objects (matches parseCurl)
+  if (Object.keys(result.params).length === 0) delete result.params;
+  if (Object.keys(result.headers).length === 0) delete result.headers;
+  if (result.warnings.length === 0) delete result.warnings;
+
+  return result;
+}
+
+/**
+ * Map HAR postData onto data / form
+ */
+function applyPostData(result, postData) {
+  if (!postData) return;
+  const mimeType = (postData.mimeType || '').toLowerCase();
+
+  if (mimeType.startsWith('multipart/form-data') && Array.isArray(postData.params)) {
+    result.form = postData.params.map(p => {
+      if (p.fileName) {
+        // HAR doesn't carry uploaded file contents
+        result.warnings.push({
+          flag: 'postData',
+          position: null,
+          reason: `File "${p.fileName}" for field "${p.name}" is not included in the HAR; sent as an empty field`,
+          honored: false
+        });
+      }
+      return { name: p.name, value: p.value || '' };
+    });
+    // The boundary in the recorded header won't match the one we generate
+    for (const key of Object.keys(result.headers)) {
+      if (key.toLowerCase() === 'content-type') delete result.headers[key];
+    }
+    return;
+  }
+
+  let text = postData.text;
+  if (text === undefined && Array.isArray(postData.params)) {
+    text = postData.params.map(p => `${p.name}=${p.value || ''}`).join('&');
+  }
+  if (!text) return;
+
+  if (mimeType.includes('json')) {
+    try {
+      result.data = JSON.parse(text);
+      return;
+    } catch {
+      // fall through to raw text
+    }
+  }
+  result.data = text;
+}
+
+/**
+ * Best-effort response size from a HAR response
+ */
+function getResponseSize(response) {
+  if (!response) return 0;
+  if (response.content && response.content.size > 0) return response.content.size;
+  if (response.bodySize > 0) return response.bodySize;
+  return 0;
+}
+
+/**
+ * Short display name for an imported request, e.g. "GET /api/v1/users"
+ */
+export function requestDisplayName(method, url) {
+  try {
+    return `${method} ${new URL(url).pathname}`;
+  } catch {
+    return `${method} ${url}`;
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * JSONPath
+ * The part of JSONPath that chain extractions and assertions need: $.a.b, $['a b'],
+ * $.items[0], $.items[-1], $.items[*].id and $..id. A path without the
+ * leading $ is read from the root ("data.token"). Filter and script
+ * expressions are not supported.
+ */
+
+// One step: .name / ..name / .* / [0] / [-1] / ['name'] / ["name"] / [*], the dot optional at the start
+const SEGMENT = /(\.\.|\.)?(?:([A-Za-z_$@][\w$@-]*|\*)|\[\s*(?:(-?\d+)|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|(\*))\s*\])/y;
+
+/**
+ * Every value the path matches, in document order
+ */
+export function queryJsonPath(data, path) {
+  let nodes = [data];
+  for (const segment of parseJsonPath(path)) {
+    const from = segment.recursive ? nodes.flatMap(descendants) : nodes;
+    nodes = from.flatMap(node => children(node, segment));
+  }
+  return nodes;
+}
+
+/**
+ * The value at a path: the match itself for a definite path ($.data.token),
+ * the array of matches when it has a wildcard or ..; undefined when nothing matches
+ */
+export function readJsonPath(data, path) {
+  const segments = parseJsonPath(path);
+  const matches = queryJsonPath(data, path);
+  const definite = segments.every(segment => !segment.recursive && !segment.wildcard);
+  if (definite) return matches[0];
+  return matches.length > 0 ? matches : undefined;
+}
+
+function parseJsonPath(path) {
+  const text = String(path || '').trim().replace(/^\$/, '');
+  const segments = [];
+  let pos = 0;
+
+  while (pos < text.length) {
+    SEGMENT.lastIndex = pos;
+    const match = SEGMENT.exec(text);
+    // A bare name only starts a path; after that, names need a dot
+    if (!match || (!match[1] && match[2] && pos > 0)) {
+      throw new Error(`Invalid JSONPath "${path}" at "${text.slice(pos)}"`);
+    }
+    const [, dots, name, index, singleQuoted, doubleQuoted, bracketWildcard] = match;
+    const segment = { recursive: dots === '..' };
+    if (name === '*' || bracketWildcard) segment.wildcard = true;
+    else if (index !== undefined) segment.index = parseInt(index, 10);
+    else segment.name = name ?? (singleQuoted ?? doubleQuoted).replace(/\\(.)/g, '$1');
+    segments.push(segment);
+    pos = SEGMENT.lastIndex;
+  }
+
+  return segments;
+}
+
+function children(node, segment) {
+  if (!node || typeof node !== 'object') return [];
+  if (segment.wildcard) return Array.isArray(node) ? node : Object.values(node);
+  if (segment.index !== undefined) {
+    if (!Array.isArray(node)) return [];
+    const index = segment.index < 0 ? node.length + segment.index : segment.index;
+    return index >= 0 && index < node.length ? [node[index]] : [];
+  }
+  return Object.prototype.hasOwnProperty.call(node, segment.name) ? [node[segment.name]] : [];
+}
+
+// A node and everything nested in it, depth first
+function descendants(node) {
+  if (!node || typeof node !== 'object') return [node];
+  return [node, ...Object.values(node).flatMap(descendants)];
+}
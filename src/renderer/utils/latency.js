@@ -0,0 +1,57 @@
+/**
+ * Latency helpers
+ * Formatting for request timings and per-endpoint p50 / p95 aggregation for
+ * Bulk Transport runs.
+ */
+
+/**
+ * 0.4 -> "0.4ms", 231.6 -> "232ms", 4210 -> "4.21s"
+ */
+export function formatDuration(ms) {
+  if (ms < 10) return `${Math.round(ms * 10) / 10}ms`;
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  return `${(ms / 1000).toFixed(2)}s`;
+}
+
+/**
+ * Group key for a request: method plus URL without the query string, so every
+ * page of a paginated endpoint lands in the same bucket
+ */
+export function endpointKey(config) {
+  const url = config.url || '';
+  let base = url.split(/[?#]/)[0];
+  try {
+    const parsed = new URL(url);
+    base = `${parsed.origin}${parsed.pathname}`;
+  } catch {
+    // Keep the raw URL for templates and relative URLs
+  }
+  return `${(config.method || 'GET').toUpperCase()} ${base}`;
+}
+
+/**
+ * Nearest-rank percentile of an ascending list
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * { endpoint: [ms, ...] } -> [{ endpoint, count, p50, p95, max }], slowest p95 first
+ */
+export function summarizeLatency(samples) {
+  return Object.entries(samples)
+    .map(([endpoint, durations]) => {
+      const sorted = [...durations].sort((a, b) => a - b);
+      return {
+        endpoint,
+        count: sorted.length,
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        max: sorted[sorted.length - 1]
+      };
+    })
+    .sort((a, b) => b.p95 - a.p95);
+}
@@ -0,0 +1,300 @@
+/**
+ * OpenAPI Importer
+ * Reads OpenAPI 3.x and Swagger 2.0 specs (JSON or YAML), lists their operations,
+ * and builds request configs with the same shape parseCurl returns from the
+ * values filled into the operation form.
+ */
+
+import { load as loadYaml } from 'js-yaml';
+import { detectPaginationFromParams } from './paginationDetect';
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+/**
+ * Parse spec text (JSON or YAML) and check it is an OpenAPI 3 / Swagger 2 document
+ */
+export function parseOpenApiSpec(text) {
+  let spec;
+  try {
+    spec = typeof text === 'string' ? loadYaml(text) : text;
+  } catch (err) {
+    throw new Error(`Invalid OpenAPI spec: ${err.reason || err.message}`);
+  }
+  if (!isOpenApiSpec(spec)) {
+    throw new Error('Invalid OpenAPI spec: expected an "openapi: 3.x" or "swagger: 2.0" document with paths');
+  }
+  return spec;
+}
+
+/**
+ * Check whether a parsed document looks like an OpenAPI 3 / Swagger 2 spec
+ */
+export function isOpenApiSpec(json) {
+  if (!json || typeof json !== 'object' || typeof json.paths !== 'object') return false;
+  return /^3\./.test(String(json.openapi || '')) || String(json.swagger || '') === '2.0';
+}
+
+/**
+ * Base URLs declared by the spec, with server variables set to their defaults
+ */
+export function getServers(spec) {
+  if (spec.swagger) {
+    if (!spec.host) return [];
+    const schemes = spec.schemes?.length ? spec.schemes : ['https'];
+    return schemes.map(scheme => `${scheme}://${spec.host}${(spec.basePath || '').replace(/\/$/, '')}`);
+  }
+  return (spec.servers || []).map(server =>
+    (server.url || '').replace(/\{([^}]+)\}/g, (match, name) =>
+      server.variables?.[name]?.default ?? match
+    ).replace(/\/$/, '')
+  ).filter(Boolean);
+}
+
+/**
+ * Flatten spec.paths into a list of operations.
+ * Path-level parameters are merged in (operation parameters win) and $refs are resolved.
+ * @returns {{ id, method, path, summary, operationId, tags, deprecated, parameters, requestBody }[]}
+ */
+export function listOperations(spec) {
+  const operations = [];
+
+  for (const [path, rawPathItem] of Object.entries(spec.paths || {})) {
+    const pathItem = resolveRef(spec, rawPathItem) || {};
+    const pathParams = (pathItem.parameters || []).map(p => resolveRef(spec, p));
+
+    for (const method of HTTP_METHODS) {
+      const op = pathItem[method];
+      if (!op) continue;
+
+      const opParams = (op.parameters || []).map(p => resolveRef(spec, p));
+      const merged = [...pathParams.filter(pp => !opParams.some(op2 => op2.name === pp.name && op2.in === pp.in)), ...opParams];
+
+      operations.push({
+        id: `${method.toUpperCase()} ${path}`,
+        method: method.toUpperCase(),
+        path,
+        summary: op.summary || op.description?.split('\n')[0] || '',
+        operationId: op.operationId || null,
+        tags: op.tags?.length ? op.tags : ['default'],
+        deprecated: !!op.deprecated,
+        parameters: merged.filter(p => p && ['path', 'query', 'header'].includes(p.in)).map(p => ({
+          name: p.name,
+          in: p.in,
+          required: p.in === 'path' || !!p.required,
+          description: p.description || '',
+          example: exampleForParameter(spec, p)
+        })),
+        requestBody: getRequestBody(spec, op, merged)
+      });
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Group operations by their first tag, keeping the spec's tag order where declared
+ */
+export function groupOperationsByTag(spec, operations) {
+  const order = (spec.tags || []).map(t => t.name);
+  const groups = {};
+  for (const op of operations) {
+    const tag = op.tags[0];
+    (groups[tag] = groups[tag] || []).push(op);
+  }
+  return Object.keys(groups)
+    .sort((a, b) => rank(order, a) - rank(order, b))
+    .map(tag => ({ tag, operations: groups[tag] }));
+}
+
+/**
+ * Build a request config for an operation from the form values.
+ * @param {object} operation - An entry from listOperations
+ * @param {{ baseUrl: string, values: object, body: string }} input - Parameter values keyed "in:name"
+ */
+export function buildOperationRequest(operation, { baseUrl, values = {}, body = '' }) {
+  const result = {
+    method: operation.method,
+    url: '',
+    headers: {},
+    params: {}
+  };
+
+  let path = operation.path;
+  for (const p of operation.parameters) {
+    const value = values[`${p.in}:${p.name}`];
+    const isEmpty = value === undefined || value === '';
+
+    if (p.in === 'path') {
+      if (isEmpty) throw new Error(`Path parameter "${p.name}" is required`);
+      path = path.replace(`{${p.name}}`, encodeURIComponent(value));
+    } else if (isEmpty) {
+      if (p.required) throw new Error(`${p.in === 'query' ? 'Query' : 'Header'} parameter "${p.name}" is required`);
+    } else if (p.in === 'query') {
+      result.params[p.name] = String(value);
+    } else {
+      result.headers[p.name] = String(value);
+    }
+  }
+
+  if (!baseUrl) throw new Error('No base URL: the spec declares no servers, enter one manually');
+  result.url = `${baseUrl.replace(/\/$/, '')}${path}`;
+
+  if (operation.requestBody && body.trim()) {
+    const { contentType } = operation.requestBody;
+    result.headers['Content-Type'] = contentType;
+    if (contentType.includes('json')) {
+      try {
+        result.data = JSON.parse(body);
+      } catch {
+        throw new Error('Request body is not valid JSON');
+      }
+    } else {
+      result.data = body;
+    }
+  }
+
+  // Clean up empty objects (matches parseCurl)
+  if (Object.keys(result.params).length === 0) delete result.params;
+  if (Object.keys(result.headers).length === 0) delete result.headers;
+
+  return result;
+}
+
+/**
+ * Pagination hint from the operation's declared query parameter names, so Bulk
+ * Transport can page through the endpoint without a sample fetch first.
+ * Returns a partial pagination state or null.
+ */
+export function detectOperationPagination(operation, values = {}) {
+  const declared = {};
+  for (const p of operation.parameters) {
+    if (p.in !== 'query') continue;
+    const value = values[`query:${p.name}`];
+    declared[p.name] = value !== undefined && value !== '' ? value : (p.example ?? '');
+  }
+  return detectPaginationFromParams(declared);
+}
+
+/**
+ * Default form values: examples and schema defaults for every parameter
+ */
+export function defaultParameterValues(operation) {
+  const values = {};
+  for (const p of operation.parameters) {
+    values[`${p.in}:${p.name}`] = p.example !== undefined ? String(p.example) : '';
+  }
+  return values;
+}
+
+/**
+ * Example body text for an operation (from declared examples, else generated from the schema)
+ */
+export function exampleBody(spec, operation) {
+  const rb = operation.requestBody;
+  if (!rb) return '';
+  if (rb.example !== undefined) {
+    return typeof rb.example === 'string' ? rb.example : JSON.stringify(rb.example, null, 2);
+  }
+  return rb.contentType.includes('json') && rb.schema
+    ? JSON.stringify(exampleFromSchema(spec, rb.schema, 0), null, 2)
+    : '';
+}
+
+/**
+ * Request body description for an operation: { contentType, schema, example } or null.
+ * Swagger 2 carries the body as an "in: body" parameter; formData params become urlencoded bodies.
+ */
+function getRequestBody(spec, op, params) {
+  if (spec.swagger) {
+    const bodyParam = params.find(p => p?.in === 'body');
+    if (bodyParam) {
+      const contentType = (op.consumes || spec.consumes || ['application/json'])[0];
+      return { contentType, schema: bodyParam.schema, example: bodyParam['x-example'] };
+    }
+    const formParams = params.filter(p => p?.in === 'formData');
+    if (formParams.length > 0) {
+      return {
+        contentType: 'application/x-www-form-urlencoded',
+        schema: null,
+        example: formParams.map(p => `${encodeURIComponent(p.name)}=${p.default ?? ''}`).join('&')
+      };
+    }
+    return null;
+  }
+
+  const requestBody = resolveRef(spec, op.requestBody);
+  if (!requestBody?.content) return null;
+  const types = Object.keys(requestBody.content);
+  const contentType = types.find(t => t.includes('json')) || types[0];
+  if (!contentType) return null;
+  const media = requestBody.content[contentType] || {};
+  const firstExample = media.examples ? resolveRef(spec, Object.values(media.examples)[0])?.value : undefined;
+  return {
+    contentType,
+    schema: media.schema ? resolveRef(spec, media.schema) : null,
+    example: media.example !== undefined ? media.example : firstExample
+  };
+}
+
+/**
+ * Example value for a parameter: example > x-example > schema example > default > first enum value
+ */
+function exampleForParameter(spec, p) {
+  const schema = resolveRef(spec, p.schema) || p;
+  const candidates = [p.example, p['x-example'], schema.example, schema.default, schema.enum?.[0]];
+  return candidates.find(v => v !== undefined);
+}
+
+/**
+ * Build a sample value from a JSON schema (depth-limited to survive recursive schemas)
+ */
+function exampleFromSchema(spec, rawSchema, depth) {
+  const schema = resolveRef(spec, rawSchema);
+  if (!schema || depth > 5) return null;
+  if (schema.example !== undefined) return schema.example;
+  if (schema.default !== undefined) return schema.default;
+  if (schema.enum?.length) return schema.enum[0];
+  if (schema.allOf) {
+    return Object.assign({}, ...schema.allOf.map(s => exampleFromSchema(spec, s, depth + 1)));
+  }
+  if (schema.oneOf || schema.anyOf) return exampleFromSchema(spec, (schema.oneOf || schema.anyOf)[0], depth + 1);
+
+  const type = schema.type || (schema.properties ? 'object' : schema.items ? 'array' : 'string');
+  switch (type) {
+    case 'object': {
+      const obj = {};
+      for (const [key, prop] of Object.entries(schema.properties || {})) {
+        obj[key] = exampleFromSchema(spec, prop, depth + 1);
+      }
+      return obj;
+    }
+    case 'array':
+      return schema.items ? [exampleFromSchema(spec, schema.items, depth + 1)] : [];
+    case 'integer':
+    case 'number':
+      return 0;
+    case 'boolean':
+      return false;
+    default:
+      return schema.format === 'date-time' ? new Date(0).toISOString() : 'string';
+  }
+}
+
+/**
+ * Follow a local "#/..." $ref (repeatedly, for refs to refs). External refs are left as-is.
+ */
+function resolveRef(spec, obj, seen = 0) {
+  if (!obj || typeof obj !== 'object' || typeof obj.$ref !== 'string' || seen > 10) return obj;
+  if (!obj.$ref.startsWith('#/')) return obj;
+  const target = obj.$ref.slice(2).split('/').reduce(
+    (node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')],
+    spec
+  );
+  return resolveRef(spec, target, seen + 1);
+}
+
+function rank(order, tag) {
+  const i = order.indexOf(tag);
+  return i === -1 ? order.length : i;
+}
@@ -0,0 +1,90 @@
+/**
+ * Pagination Detection
+ * Guesses the pagination style of a request from its query parameter names.
+ * Shared by the cURL input, importers and Bulk Transport.
+ */
+
+// Known pagination parameter patterns
+export const PAGE_PARAM_NAMES = ['page', 'p', 'pageNumber', 'page_number', 'pageNo', 'pg'];
+export const OFFSET_PARAM_NAMES = ['offset', 'skip', 'start'];
+export const CURSOR_PARAM_NAMES = ['cursor', 'after', 'since_id', 'next_cursor', 'starting_after', 'next_token', 'continuation'];
+export const PER_PAGE_PARAM_NAMES = ['per_page', 'perPage', 'page_size', 'pageSize', 'limit', 'count', 'size', 'rows', 'maxResults', 'max_results'];
+
+/**
+ * Detect pagination from query params.
+ * Returns a partial pagination state (for appStore.setPagination) or null if nothing matched.
+ */
+export function detectPaginationFromParams(params) {
+  if (!params) return null;
+
+  const paramKeys = Object.keys(params);
+  const detectedPageParam = paramKeys.find(k => PAGE_PARAM_NAMES.includes(k));
+  const detectedPerPageParam = paramKeys.find(k => PER_PAGE_PARAM_NAMES.includes(k));
+  const detectedCursorParam = paramKeys.find(k => CURSOR_PARAM_NAMES.includes(k));
+  const detectedOffsetParam = paramKeys.find(k => OFFSET_PARAM_NAMES.includes(k));
+  const perPage = detectedPerPageParam ? parseInt(params[detectedPerPageParam], 10) || 10 : 10;
+
+  if (detectedCursorParam) {
+    // Cursor param found in URL (e.g., since_id, cursor, after)
+    return {
+      mode: 'cursor',
+      cursorParamName: detectedCursorParam,
+      perPageParamName: detectedPerPageParam || 'limit',
+      perPage,
+      hasDetected: true,
+      currentPage: 1,
+      nextCursor: null,
+      prevCursors: [],
+      nextPageUrl: null,
+    };
+  }
+
+  if (detectedPageParam) {
+    // Page-number based pagination
+    return {
+      mode: 'page',
+      pageParamName: detectedPageParam,
+      perPageParamName: detectedPerPageParam || 'per_page',
+      currentPage: parseInt(params[detectedPageParam], 10) || 1,
+      perPage,
+      hasDetected: true,
+      nextCursor: null,
+      prevCursors: [],
+      cursorParamName: null,
+      nextPageUrl: null,
+    };
+  }
+
+  if (detectedOffsetParam) {
+    // Offset-based pagination (treat like page-based with offset math)
+    return {
+      mode: 'page',
+      pageParamName: detectedOffsetParam,
+      perPageParamName: detectedPerPageParam || 'limit',
+      currentPage: 1,
+      perPage,
+      hasDetected: true,
+      nextCursor: null,
+      prevCursors: [],
+      cursorParamName: null,
+      nextPageUrl: null,
+    };
+  }
+
+  if (detectedPerPageParam) {
+    // Only limit/per_page found — might be cursor-based (will detect from response)
+    return {
+      mode: 'cursor',  // Assume cursor until proven otherwise
+      perPageParamName: detectedPerPageParam,
+      perPage,
+      hasDetected: true,
+      currentPage: 1,
+      nextCursor: null,
+      prevCursors: [],
+      cursorParamName: null,
+      nextPageUrl: null,
+    };
+  }
+
+  return null;
+}
@@ -0,0 +1,268 @@
+/**
+ * Postman Importer
+ * Converts Postman v2.1 (and v2.0) collections into request configs with the
+ * same shape parseCurl returns. Folder structure is kept as a "/"-joined path,
+ * {{variables}} are resolved from collection and environment values, and
+ * auth blocks (bearer, basic, apikey) are turned into headers or params.
+ */
+
+import { basicAuthHeader } from './curlParser';
+import { substituteVariables } from './environments';
+
+/**
+ * Check whether parsed JSON looks like a Postman collection
+ */
+export function isPostmanCollection(json) {
+  return !!(json && json.info && Array.isArray(json.item) &&
+    (!json.info.schema || json.info.schema.includes('collection')));
+}
+
+/**
+ * Check whether parsed JSON looks like a Postman environment export
+ */
+export function isPostmanEnvironment(json) {
+  return !!(json && Array.isArray(json.values) &&
+    (json._postman_variable_scope === 'environment' || json.name !== undefined));
+}
+
+/**
+ * Flatten a collection into importable requests.
+ * @param {object} collection - Parsed collection JSON
+ * @param {object} [environment] - Parsed environment JSON (its values override collection variables)
+ * @returns {{ name: string, folder: string, source: string, request: object }[]}
+ */
+export function importPostmanCollection(collection, environment = null) {
+  if (!isPostmanCollection(collection)) {
+    throw new Error('Not a Postman collection (expected info + item)');
+  }
+
+  const variables = {
+    ...toVariableMap(collection.variable),
+    ...toVariableMap(environment?.values)
+  };
+
+  const results = [];
+  walkItems(collection.item, [], collection.auth || null, variables, results);
+  return results;
+}
+
+/**
+ * Summarize a collection for the import dialog: request count per folder
+ */
+export function summarizeCollection(collection) {
+  const folders = {};
+  const count = (items, path) => {
+    for (const item of items || []) {
+      if (Array.isArray(item.item)) {
+        count(item.item, [...path, item.name]);
+      } else {
+        const key = path.join(' / ') || '(root)';
+        folders[key] = (folders[key] || 0) + 1;
+      }
+    }
+  };
+  count(collection.item, []);
+  return folders;
+}
+
+function walkItems(items, path, inheritedAuth, variables, results) {
+  for (const item of items || []) {
+    // Folders have their own item array and may override auth for their children
+    const auth = item.auth !== undefined ? item.auth : inheritedAuth;
+
+    if (Array.isArray(item.item)) {
+      walkItems(item.item, [...path, item.name], auth, variables, results);
+      continue;
+    }
+
+    if (!item.request) continue;
+
+    try {
+      results.push({
+        name: item.name || 'Untitled request',
+        folder: path.join(' / '),
+        source: 'postman',
+        request: convertRequest(item.request, auth, variables, item.protocolProfileBehavior)
+      });
+    } catch (err) {
+      results.push({
+        name: item.name || 'Untitled request',
+        folder: path.join(' / '),
+        source: 'postman',
+        error: err.message
+      });
+    }
+  }
+}
+
+/**
+ * Convert one Postman request object into a request config
+ */
+function convertRequest(pmRequest, inheritedAuth, variables, behavior = {}) {
+  const req = typeof pmRequest === 'string' ? { url: pmRequest, method: 'GET' } : pmRequest;
+  const sub = (value) => substituteVariables(value, variables);
+
+  const result = {
+    method: (req.method || 'GET').toUpperCase(),
+    url: '',
+    headers: {},
+    params: {},
+    data: null,
+    form: []
+  };
+
+  // URL (raw string or structured object with path variables)
+  let rawUrl = typeof req.url === 'string' ? req.url : (req.url?.raw || buildRawUrl(req.url));
+  rawUrl = sub(rawUrl || '');
+  if (req.url && typeof req.url === 'object' && Array.isArray(req.url.variable)) {
+    for (const v of req.url.variable) {
+      rawUrl = rawUrl.replace(new RegExp(`:${escapeRegExp(v.key)}(?=/|\\?|#|$)`, 'g'), encodeURIComponent(sub(String(v.value ?? ''))));
+    }
+  }
+  if (!rawUrl) throw new Error('Request has no URL');
+
+  try {
+    const urlObj = new URL(/^https?:\/\//i.test(rawUrl) ? rawUrl : `https://${rawUrl}`);
+    // Keep unresolved {{variables}} readable instead of percent-encoded
+    result.url = `${urlObj.origin}${urlObj.pathname}`.replace(/%7B%7B(.*?)%7D%7D/g, '{{$1}}');
+    urlObj.searchParams.forEach((value, key) => {
+      result.params[key] = value;
+    });
+  } catch {
+    result.url = rawUrl;
+  }
+
+  for (const h of req.header || []) {
+    if (h.disabled || !h.key) continue;
+    result.headers[sub(h.key)] = sub(String(h.value ?? ''));
+  }
+
+  applyAuth(result, req.auth !== undefined ? req.auth : inheritedAuth, sub);
+  applyBody(result, req.body, sub);
+
+  // Postman follows redirects unless the request's settings turn it off
+  if (behavior.followRedirects !== false) {
+    result.transport = { followRedirects: true };
+    if (Number.isInteger(behavior.maxRedirects)) result.transport.maxRedirs = behavior.maxRedirects;
+  }
+
+  // Clean up empty objects (matches parseCurl)
+  if (Object.keys(result.params).length === 0) delete result.params;
+  if (Object.keys(result.headers).length === 0) delete result.headers;
+  if (!result.data) delete result.data;
+  if (result.form.length === 0) delete result.form;
+
+  return result;
+}
+
+/**
+ * Postman auth -> headers / params. v2.1 stores attributes as [{ key, value }],
+ * v2.0 as plain objects; both are accepted.
+ */
+function applyAuth(result, auth, sub) {
+  if (!auth || auth.type === 'noauth') return;
+  const attrs = toVariableMap(auth[auth.type]);
+  const get = (key) => sub(String(attrs[key] ?? ''));
+
+  if (auth.type === 'bearer') {
+    result.headers['Authorization'] = `Bearer ${get('token')}`;
+  } else if (auth.type === 'basic') {
+    const username = get('username');
+    const password = get('password');
+    result.auth = { username, password };
+    result.headers['Authorization'] = basicAuthHeader(`${username}:${password}`);
+  } else if (auth.type === 'apikey') {
+    const key = get('key') || 'x-api-key';
+    if (attrs.in === 'query') {
+      result.params[key] = get('value');
+    } else {
+      result.headers[key] = get('value');
+    }
+  }
+}
+
+/**
+ * Postman body modes -> data / form / dataParts
+ */
+function applyBody(result, body, sub) {
+  if (!body || body.disabled) return;
+  const hasContentType = Object.keys(result.headers).some(k => k.toLowerCase() === 'content-type');
+
+  switch (body.mode) {
+    case 'raw': {
+      const text = sub(body.raw || '');
+      if (!text) return;
+      const isJson = body.options?.raw?.language === 'json';
+      if (isJson && !hasContentType) result.headers['Content-Type'] = 'application/json';
+      try {
+        result.data = isJson ? JSON.parse(text) : text;
+      } catch {
+        result.data = text;
+      }
+      break;
+    }
+    case 'urlencoded':
+      result.data = (body.urlencoded || [])
+        .filter(p => !p.disabled)
+        .map(p => `${encodeURIComponent(sub(p.key))}=${encodeURIComponent(sub(String(p.value ?? '')))}`)
+        .join('&');
+      if (result.data && !hasContentType) result.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      break;
+    case 'formdata':
+      for (const p of body.formdata || []) {
+        if (p.disabled) continue;
+        if (p.type === 'file') {
+          const src = Array.isArray(p.src) ? p.src[0] : p.src;
+          if (src) result.form.push({ name: sub(p.key), file: src, ...(p.contentType ? { type: p.contentType } : {}) });
+        } else {
+          result.form.push({ name: sub(p.key), value: sub(String(p.value ?? '')) });
+        }
+      }
+      break;
+    case 'graphql': {
+      let gqlVariables;
+      try {
+        gqlVariables = body.graphql?.variables ? JSON.parse(sub(body.graphql.variables)) : undefined;
+      } catch {
+        gqlVariables = undefined;
+      }
+      result.data = { query: sub(body.graphql?.query || ''), ...(gqlVariables ? { variables: gqlVariables } : {}) };
+      if (!hasContentType) result.headers['Content-Type'] = 'application/json';
+      break;
+    }
+    case 'file':
+      if (body.file?.src) result.dataParts = [{ file: body.file.src, stripNewlines: false }];
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * [{ key, value, disabled|enabled }] (or a plain object) -> { key: value }
+ */
+function toVariableMap(list) {
+  if (!list) return {};
+  if (!Array.isArray(list)) return { ...list };
+  const map = {};
+  for (const v of list) {
+    if (!v || v.disabled || v.enabled === false || v.key === undefined) continue;
+    map[v.key] = v.value ?? '';
+  }
+  return map;
+}
+
+/**
+ * Rebuild a URL string from Postman's structured url object (when raw is missing)
+ */
+function buildRawUrl(url) {
+  if (!url) return '';
+  const host = Array.isArray(url.host) ? url.host.join('.') : (url.host || '');
+  const path = Array.isArray(url.path) ? url.path.join('/') : (url.path || '');
+  const query = (url.query || []).filter(q => !q.disabled).map(q => `${q.key}=${q.value ?? ''}`).join('&');
+  return `${url.protocol ? `${url.protocol}://` : ''}${host}${path ? `/${path}` : ''}${query ? `?${query}` : ''}`;
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,110 @@
+/**
+ * Request chains
+ * Steps sent one after another before a request: each step's extractions
+ * (a JSONPath into its JSON body, or a response header) become {{variables}}
+ * for the steps after it and for the request itself. Typical chains call a
+ * login or "create export" endpoint and feed the token or export ID it
+ * returns into the data request.
+ *
+ * A step is { id, name, request, extract: [{ variable, from: 'json' | 'header', path }] }.
+ */
+
+import { resolveRequest } from './environments';
+import { readJsonPath } from './jsonPath';
+
+export const EXTRACT_SOURCES = {
+  json: 'JSON body',
+  header: 'Response header'
+};
+
+export function newChainStep(index) {
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    name: `Step ${index + 1}`,
+    request: null,
+    extract: [{ variable: '', from: 'json', path: '$' }]
+  };
+}
+
+/**
+ * Variable names a chain provides: { name: step name }
+ */
+export function chainVariables(steps) {
+  const provided = {};
+  for (const step of steps || []) {
+    for (const { variable } of step.extract || []) {
+      if (variable) provided[variable] = step.name;
+    }
+  }
+  return provided;
+}
+
+/**
+ * Send every step with `send(requestConfig)` (resolves to an execute-request
+ * result) and collect what they extract. `variables` (the active environment)
+ * fill in the steps too. Resolves to { success, variables, steps } with the
+ * extracted variables only, or { success: false, error, cancelled?, steps }
+ * at the first step that fails or extracts nothing.
+ */
+export async function runRequestChain(steps, variables, send) {
+  const extracted = {};
+  const report = [];
+
+  for (const step of steps) {
+    if (!step.request) {
+      return { success: false, error: `Chain step "${step.name}" has no request`, steps: report };
+    }
+
+    const result = await send(resolveRequest(step.request, { ...variables, ...extracted }));
+    if (result.cancelled) return { success: false, cancelled: true, error: 'Request cancelled', steps: report };
+
+    const fail = (error) => {
+      report.push({ name: step.name, status: result.status ?? null, error });
+      return { success: false, error: `Chain step "${step.name}": ${error}`, steps: report };
+    };
+    if (!result.success) return fail(result.error);
+    if (result.status >= 400) return fail(`HTTP ${result.status}`);
+
+    const values = {};
+    for (const extraction of step.extract || []) {
+      if (!extraction.variable) continue;
+      let value;
+      try {
+        value = extractValue(result, extraction);
+      } catch (err) {
+        return fail(err.message);
+      }
+      if (value === undefined) {
+        const where = extraction.from === 'header' ? `header ${extraction.path}` : extraction.path;
+        return fail(`nothing found at ${where} for {{${extraction.variable}}}`);
+      }
+      values[extraction.variable] = value;
+    }
+
+    Object.assign(extracted, values);
+    report.push({ name: step.name, status: result.status, extracted: values });
+  }
+
+  return { success: true, variables: extracted, steps: report };
+}
+
+/**
+ * One extraction from a step's response, as the string substituted for its
+ * {{variable}}: objects and arrays become JSON, a missing value is undefined
+ */
+function extractValue(result, { from, path }) {
+  let value;
+  if (from === 'header') {
+    const key = Object.keys(result.headers || {}).find(name => name.toLowerCase() === path.trim().toLowerCase());
+    value = key === undefined ? undefined : result.headers[key];
+    if (Array.isArray(value)) value = value.join('; ');
+  } else {
+    let data = result.data;
+    if (typeof data === 'string') {
+      try { data = JSON.parse(data); } catch { throw new Error('the response is not JSON'); }
+    }
+    value = readJsonPath(data, path);
+  }
+  if (value === undefined) return undefined;
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
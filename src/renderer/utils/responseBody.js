@@ -0,0 +1,64 @@
+/**
+ * Response bodies
+ * Binary responses, and text responses too large to send over IPC, are kept by
+ * the main process in a temp file; the response then carries a `body`
+ * descriptor ({ id, binary, contentType, size, fileName }) instead of `data`.
+ * In browser mode binary bodies are Blobs with an object `url` instead of an id.
+ */
+
+const TEXT_TYPES = /^text\/|[/+](json|xml)\b|^application\/(javascript|x-www-form-urlencoded|graphql|x-ndjson|yaml|x-yaml)\b/i;
+
+/** Content types that can be previewed (<img> / <iframe>) */
+export const PREVIEW_TYPES = /^(image\/|application\/pdf)/i;
+
+export function isBinaryContentType(contentType) {
+  return !!contentType && !TEXT_TYPES.test(contentType);
+}
+
+/**
+ * Browser-mode body descriptor for a binary fetch response
+ */
+export async function blobBody(response, url) {
+  const blob = await response.blob();
+  const contentType = response.headers.get('content-type') || '';
+  const disposition = response.headers.get('content-disposition') || '';
+  const fileName = disposition.match(/filename\s*=\s*"?([^";]+)"?/i)?.[1]
+    || decodeURIComponent(new URL(url, window.location.href).pathname.split('/').pop())
+    || 'response';
+  return { binary: true, contentType, size: blob.size, fileName, url: URL.createObjectURL(blob) };
+}
+
+/**
+ * URL an <img> / <iframe> can load the body from
+ */
+export function previewUrl(body) {
+  return body.url || `switchboard-body://${body.id}/`;
+}
+
+/**
+ * "Save as..." - a native dialog in Electron, a download in the browser
+ */
+export async function saveResponseBody(body) {
+  if (body.url) {
+    const link = document.createElement('a');
+    link.href = body.url;
+    link.download = body.fileName;
+    link.click();
+    return { success: true };
+  }
+  return window.switchboard.saveResponseBody(body.id);
+}
+
+/**
+ * Free the temp file (or object URL) once the response is no longer shown
+ */
+export function releaseResponseBody(body) {
+  if (body.url) URL.revokeObjectURL(body.url);
+  else window.switchboard?.releaseResponseBody(body.id);
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1048576) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1048576).toFixed(1)} MB`;
+}
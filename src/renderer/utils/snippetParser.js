@@ -0,0 +1,866 @@
+/**
+ * Snippet Parser - front-end to the cURL parser
+ * Sniffs the format of pasted text and converts fetch(), PowerShell
+ * (Invoke-WebRequest / Invoke-RestMethod), HTTPie and wget snippets into the
+ * same request config object that parseCurl returns. The detected format is
+ * recorded on the config as `format`.
+ */
+
+import { parseCurl, findHeaderKey, basicAuthHeader } from './curlParser';
+
+// Display names for the detected formats (shown in RequestPreview)
+export const SNIPPET_FORMATS = {
+  curl: 'cURL',
+  fetch: 'fetch()',
+  powershell: 'PowerShell',
+  httpie: 'HTTPie',
+  wget: 'wget'
+};
+
+const POWERSHELL_COMMAND = /\b(Invoke-WebRequest|Invoke-RestMethod|iwr|irm)\b/i;
+
+// HTTP/2 pseudo headers that Chrome's "Copy as PowerShell" emits as plain headers
+const PSEUDO_HEADERS = ['authority', 'method', 'path', 'scheme'];
+
+/**
+ * Guess the format of a pasted snippet. Returns a SNIPPET_FORMATS key or null.
+ */
+export function detectSnippetFormat(text) {
+  if (!text || typeof text !== 'string') return null;
+  const trimmed = text.trim();
+
+  if (/^curl(\.exe)?(\s|$)/i.test(trimmed)) return 'curl';
+  if (/^(await\s+)?fetch\s*\(/.test(trimmed)) return 'fetch';
+  if (/^\$session\b/i.test(trimmed) || POWERSHELL_COMMAND.test(trimmed.split(/\s/)[0]) ||
+      /^\$\w+\s*=\s*(Invoke-WebRequest|Invoke-RestMethod)\b/i.test(trimmed)) return 'powershell';
+  if (/^https?\s/.test(trimmed)) return 'httpie';
+  if (/^wget(\s|$)/.test(trimmed)) return 'wget';
+  return null;
+}
+
+/**
+ * Parse any supported snippet into a request config.
+ * Unrecognised input falls through to parseCurl, which also accepts a bare URL.
+ */
+export function parseRequestSnippet(text) {
+  const format = detectSnippetFormat(text);
+  let result;
+
+  switch (format) {
+    case 'fetch':
+      result = parseFetch(text);
+      break;
+    case 'powershell':
+      result = parsePowerShell(text);
+      break;
+    case 'httpie':
+      result = parseHttpie(text);
+      break;
+    case 'wget':
+      result = parseWget(text);
+      break;
+    default:
+      result = parseCurl(text);
+      break;
+  }
+
+  result.format = format || 'curl';
+  return result;
+}
+
+// ── fetch() ──
+
+function parseFetch(text) {
+  const start = text.indexOf('(', text.indexOf('fetch')) + 1;
+  const reader = createLiteralReader(text, start);
+  const url = reader.value();
+  if (typeof url !== 'string') {
+    throw new Error('fetch(): the first argument must be a string URL');
+  }
+  const options = reader.skipComma() ? reader.value() || {} : {};
+
+  const result = emptyRequest((options.method || 'GET').toUpperCase());
+  applyUrl(result, url);
+
+  const headers = Array.isArray(options.headers) ? Object.fromEntries(options.headers) : options.headers || {};
+  for (const [key, value] of Object.entries(headers)) {
+    result.headers[key] = String(value);
+  }
+
+  if (options.referrer && options.referrer !== 'about:client' && !findHeaderKey(result.headers, 'Referer')) {
+    result.headers['Referer'] = options.referrer;
+  }
+
+  if (options.body !== undefined && options.body !== null) {
+    const body = typeof options.body === 'string' ? options.body : JSON.stringify(options.body);
+    result.data = tryParseJSON(body) || body;
+  }
+
+  // fetch() follows redirects unless told otherwise
+  if (options.redirect !== 'manual' && options.redirect !== 'error') result.transport.followRedirects = true;
+
+  if (options.credentials === 'include') {
+    result.warnings.push({
+      flag: 'credentials',
+      position: null,
+      reason: 'Browser cookies are not available here; add a Cookie header if the API needs one',
+      honored: false
+    });
+  }
+
+  return finishRequest(result);
+}
+
+/**
+ * Minimal reader for the JavaScript literals that appear in fetch() snippets:
+ * objects (quoted or bare keys), arrays, strings, numbers, true/false/null,
+ * JSON.stringify(...), new Headers(...) and new URLSearchParams(...).
+ * Nothing is evaluated.
+ */
+function createLiteralReader(src, pos) {
+  let i = pos;
+
+  const fail = (what) => {
+    throw new Error(`fetch(): unsupported ${what} at position ${i}`);
+  };
+
+  const skipSpace = () => {
+    while (i < src.length) {
+      if (/\s/.test(src[i])) i++;
+      else if (src.startsWith('//', i)) i = src.indexOf('\n', i) === -1 ? src.length : src.indexOf('\n', i);
+      else if (src.startsWith('/*', i)) i = src.indexOf('*/', i) === -1 ? src.length : src.indexOf('*/', i) + 2;
+      else break;
+    }
+  };
+
+  const expect = (char) => {
+    skipSpace();
+    if (src[i] !== char) fail(`syntax (expected "${char}")`);
+    i++;
+  };
+
+  const string = () => {
+    const quote = src[i++];
+    let out = '';
+    while (i < src.length && src[i] !== quote) {
+      if (quote === '`' && src.startsWith('${', i)) fail('template literal interpolation');
+      if (src[i] === '\\') {
+        const next = src[++i];
+        if (next === 'u') {
+          out += String.fromCharCode(parseInt(src.substr(i + 1, 4), 16));
+          i += 4;
+        } else {
+          out += { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', 0: '\0' }[next] ?? next;
+        }
+        i++;
+      } else {
+        out += src[i++];
+      }
+    }
+    i++;
+    return out;
+  };
+
+  const value = () => {
+    skipSpace();
+    const char = src[i];
+
+    if (char === '{') {
+      i++;
+      const obj = {};
+      skipSpace();
+      while (src[i] !== '}') {
+        skipSpace();
+        let key;
+        if (src[i] === '"' || src[i] === "'") {
+          key = string();
+        } else {
+          const ident = src.slice(i).match(/^[\w$-]+/);
+          if (!ident) fail('object key');
+          key = ident[0];
+          i += key.length;
+        }
+        expect(':');
+        obj[key] = value();
+        skipSpace();
+        if (src[i] === ',') i++;
+        skipSpace();
+        if (i >= src.length) fail('syntax (unclosed object)');
+      }
+      i++;
+      return obj;
+    }
+
+    if (char === '[') {
+      i++;
+      const arr = [];
+      skipSpace();
+      while (src[i] !== ']') {
+        arr.push(value());
+        skipSpace();
+        if (src[i] === ',') i++;
+        skipSpace();
+        if (i >= src.length) fail('syntax (unclosed array)');
+      }
+      i++;
+      return arr;
+    }
+
+    if (char === '"' || char === "'" || char === '`') return string();
+
+    const number = src.slice(i).match(/^-?\d+(\.\d+)?([eE][+-]?\d+)?/);
+    if (number) {
+      i += number[0].length;
+      return Number(number[0]);
+    }
+
+    const ident = src.slice(i).match(/^[A-Za-z_$][\w$.]*/);
+    if (!ident) fail(`character "${char}"`);
+    i += ident[0].length;
+
+    switch (ident[0]) {
+      case 'true': return true;
+      case 'false': return false;
+      case 'null': return null;
+      case 'undefined': return undefined;
+      case 'new': return value();
+      default: break;
+    }
+
+    // Known wrapper calls
+    skipSpace();
+    if (src[i] !== '(') fail(`expression "${ident[0]}"`);
+    i++;
+    const arg = value();
+    expect(')');
+    if (ident[0] === 'JSON.stringify') return JSON.stringify(arg);
+    if (ident[0] === 'Headers') return arg;
+    if (ident[0] === 'URLSearchParams') return new URLSearchParams(arg).toString();
+    return fail(`expression "${ident[0]}(...)"`);
+  };
+
+  const skipComma = () => {
+    skipSpace();
+    if (src[i] !== ',') return false;
+    i++;
+    skipSpace();
+    return src[i] !== ')';
+  };
+
+  return { value, skipComma };
+}
+
+// ── PowerShell ──
+
+function parsePowerShell(text) {
+  const match = POWERSHELL_COMMAND.exec(text);
+  if (!match) {
+    throw new Error('PowerShell: no Invoke-WebRequest / Invoke-RestMethod command found');
+  }
+
+  const args = tokenizePowerShell(text.slice(match.index + match[0].length));
+  const result = emptyRequest('GET');
+  let url = null;
+  // Invoke-WebRequest follows redirects, up to -MaximumRedirection
+  result.transport.followRedirects = true;
+
+  // Chrome's "Copy as PowerShell" puts the user agent and cookies on a WebRequestSession
+  const userAgent = /\$\w+\.UserAgent\s*=\s*("(?:[^"`]|`.|"")*"|'(?:[^']|'')*')/i.exec(text);
+  if (userAgent) result.headers['User-Agent'] = readPowerShellString(userAgent[1]);
+  const cookies = [];
+  const cookiePattern = /System\.Net\.Cookie\(\s*("(?:[^"`]|`.|"")*"|'(?:[^']|'')*')\s*,\s*("(?:[^"`]|`.|"")*"|'(?:[^']|'')*')/gi;
+  for (let m = cookiePattern.exec(text); m; m = cookiePattern.exec(text)) {
+    cookies.push(`${readPowerShellString(m[1])}=${readPowerShellString(m[2])}`);
+  }
+  if (cookies.length > 0) result.headers['Cookie'] = cookies.join('; ');
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.type !== 'param') {
+      if (url === null && typeof arg.value === 'string') url = arg.value;
+      continue;
+    }
+
+    const name = arg.value.toLowerCase();
+    const next = () => args[++i]?.value;
+
+    switch (name) {
+      case '-uri':
+        url = next();
+        break;
+      case '-method':
+        result.method = String(next()).toUpperCase();
+        break;
+      case '-headers': {
+        const headers = next();
+        for (const [key, value] of Object.entries(headers || {})) {
+          if (PSEUDO_HEADERS.includes(key.toLowerCase())) continue;
+          result.headers[key] = String(value);
+        }
+        break;
+      }
+      case '-body': {
+        const body = next();
+        result.data = typeof body === 'string' ? tryParseJSON(body) || body : body;
+        break;
+      }
+      case '-contenttype':
+        result.headers['Content-Type'] = next();
+        break;
+      case '-useragent':
+        result.headers['User-Agent'] = next();
+        break;
+      case '-skipcertificatecheck':
+        result.transport.insecure = true;
+        break;
+      case '-timeoutsec':
+        result.transport.maxTime = Number(next()) || undefined;
+        break;
+      case '-maximumredirection':
+        result.transport.maxRedirs = Number(next());
+        break;
+      case '-proxy':
+        result.transport.proxy = next();
+        break;
+      case '-usebasicparsing':
+      case '-websession':
+      case '-sessionvariable':
+        if (name !== '-usebasicparsing') i++;
+        break;
+      case '-outfile':
+      case '-credential':
+        i++;
+        result.warnings.push({ flag: arg.value, position: null, reason: 'Not supported, ignored', honored: false });
+        break;
+      default:
+        result.warnings.push({ flag: arg.value, position: null, reason: 'Unknown parameter, ignored', honored: false });
+        break;
+    }
+  }
+
+  if (!url) throw new Error('PowerShell: no -Uri found');
+  applyUrl(result, url);
+  if (result.data && result.method === 'GET' && !args.some(a => a.type === 'param' && a.value.toLowerCase() === '-method')) {
+    result.method = 'POST';
+  }
+
+  return finishRequest(result);
+}
+
+/**
+ * Split the arguments of a PowerShell command into { type, value } tokens.
+ * Handles backtick line continuations, quoted strings, @{ } hashtables and
+ * ( ) subexpressions (reduced to the first string literal inside them).
+ * Stops at the end of the statement.
+ */
+function tokenizePowerShell(src) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < src.length) {
+    const char = src[i];
+
+    if (char === '`' && /^\r?\n/.test(src.substring(i + 1, i + 3))) {
+      i += src[i + 1] === '\r' ? 3 : 2;
+      continue;
+    }
+    if (char === '\n' || char === ';' || char === '|') break;
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const end = findStringEnd(src, i);
+      tokens.push({ type: 'string', value: readPowerShellString(src.slice(i, end)) });
+      i = end;
+    } else if (src.startsWith('@{', i)) {
+      const end = findClosing(src, i + 1, '{', '}');
+      tokens.push({ type: 'hashtable', value: parseHashtable(src.slice(i + 2, end - 1)) });
+      i = end;
+    } else if (char === '(') {
+      const end = findClosing(src, i, '(', ')');
+      const inner = src.slice(i, end);
+      const literal = /("(?:[^"`]|`.|"")*"|'(?:[^']|'')*')/.exec(inner);
+      tokens.push({ type: 'expression', value: literal ? readPowerShellString(literal[1]) : inner });
+      i = end;
+    } else {
+      const word = src.slice(i).match(/^[^\s;|`]+/)[0];
+      tokens.push({ type: word.startsWith('-') && !/^-\d/.test(word) ? 'param' : 'word', value: word });
+      i += word.length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse the body of a @{ key = value; ... } hashtable
+ */
+function parseHashtable(src) {
+  const table = {};
+  let i = 0;
+
+  const readItem = () => {
+    while (i < src.length && /[\s;]/.test(src[i])) i++;
+    if (src[i] === '"' || src[i] === "'") {
+      const end = findStringEnd(src, i);
+      const value = readPowerShellString(src.slice(i, end));
+      i = end;
+      return value;
+    }
+    const word = src.slice(i).match(/^[^\s=;]+/);
+    if (!word) return null;
+    i += word[0].length;
+    return word[0];
+  };
+
+  while (i < src.length) {
+    const key = readItem();
+    if (key === null) break;
+    while (i < src.length && /\s/.test(src[i]) && src[i] !== '\n') i++;
+    if (src[i] !== '=') break;
+    i++;
+    while (i < src.length && /[ \t]/.test(src[i])) i++;
+    table[key] = readItem() ?? '';
+  }
+
+  return table;
+}
+
+/**
+ * Unquote a PowerShell string literal. Double-quoted strings use backtick
+ * escapes and "" for a quote, and "Copy as PowerShell" writes non-ASCII
+ * characters as $([char]233); single-quoted strings only '' for a quote.
+ */
+function readPowerShellString(literal) {
+  const quote = literal[0];
+  const body = literal.slice(1, -1);
+  if (quote === "'") return body.replace(/''/g, "'");
+  return body.replace(/""|`(.)|\$\(\[char\](\d+)\)/g, (m, escaped, code) => {
+    if (m === '""') return '"';
+    if (code !== undefined) return String.fromCharCode(Number(code));
+    return { n: '\n', t: '\t', r: '\r', 0: '\0' }[escaped] ?? escaped;
+  });
+}
+
+function findStringEnd(src, start) {
+  const quote = src[start];
+  let i = start + 1;
+  while (i < src.length) {
+    if (quote === '"' && src[i] === '`') {
+      i += 2;
+    } else if (src[i] === quote) {
+      if (src[i + 1] === quote) i += 2;
+      else return i + 1;
+    } else {
+      i++;
+    }
+  }
+  return src.length;
+}
+
+function findClosing(src, start, open, close) {
+  let depth = 0;
+  let i = start;
+  while (i < src.length) {
+    if (src[i] === '"' || src[i] === "'") {
+      i = findStringEnd(src, i);
+      continue;
+    }
+    if (src[i] === open) depth++;
+    if (src[i] === close && --depth === 0) return i + 1;
+    i++;
+  }
+  return src.length;
+}
+
+// ── HTTPie ──
+
+// Request item separators, longest first so ":=@" wins over ":=" and ":"
+const HTTPIE_SEPARATORS = [':=@', '==', ':=', '=@', '@', '=', ':', ';'];
+
+function parseHttpie(text) {
+  const words = splitShellWords(text);
+  const defaultScheme = words.shift() === 'https' ? 'https' : 'http';
+  const result = emptyRequest(null);
+  const jsonFields = {};
+  const formFields = []; // file uploads (name@path)
+  let formMode = false;
+  let url = null;
+  let auth = null;
+  let authType = 'basic';
+
+  const ignore = (flag, reason) => result.warnings.push({ flag, position: null, reason, honored: false });
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    const [flag, inlineValue] = word.startsWith('--') && word.includes('=') ? [word.slice(0, word.indexOf('=')), word.slice(word.indexOf('=') + 1)] : [word, undefined];
+    const value = () => (inlineValue !== undefined ? inlineValue : words[++i]);
+
+    // Options may appear before or after the URL
+    if (word.startsWith('-')) {
+      if (flag === '--form' || flag === '-f' || flag === '--multipart') formMode = true;
+      else if (flag === '--json' || flag === '-j') formMode = false;
+      else if (flag === '--auth' || flag === '-a') auth = value();
+      else if (flag === '--auth-type' || flag === '-A') authType = value();
+      else if (flag === '--verify') result.transport.insecure = /^(no|false)$/i.test(value());
+      else if (flag === '--follow' || flag === '-F') result.transport.followRedirects = true;
+      else if (flag === '--max-redirects') result.transport.maxRedirs = parseInt(value(), 10);
+      else if (flag === '--timeout') result.transport.maxTime = parseFloat(value()) || undefined;
+      else if (flag === '--proxy') result.transport.proxy = value().replace(/^\w+:(?=\w+:\/\/)/, '');
+      else if (flag === '--raw') result.data = value();
+      else if (['--print', '-p', '--pretty', '--style', '-s', '--output', '-o', '--session', '--session-read-only'].includes(flag)) {
+        value();
+        ignore(flag, 'Output/session option, no effect on the request');
+      } else {
+        ignore(flag, 'Unknown option, ignored');
+      }
+      continue;
+    }
+
+    // Optional METHOD before the URL
+    if (url === null && result.method === null && /^[A-Z]+$/.test(word)) {
+      result.method = word;
+      continue;
+    }
+
+    if (url === null) {
+      url = word.replace(/\\(.)/g, '$1');
+      continue;
+    }
+
+    applyHttpieItem(word, { result, jsonFields, formFields, ignore });
+  }
+
+  if (!url) throw new Error('HTTPie: no URL found');
+
+  // Shorthands: ":3000/path" is localhost, a missing scheme uses the command's default
+  if (url.startsWith(':')) url = `localhost${url}`;
+  if (!/^https?:\/\//i.test(url)) url = `${defaultScheme}://${url}`;
+  applyUrl(result, url);
+
+  if (auth !== null) {
+    if (authType === 'bearer') {
+      result.headers['Authorization'] = `Bearer ${auth}`;
+    } else {
+      const [username, ...rest] = auth.split(':');
+      result.auth = { username, password: rest.join(':') };
+      result.headers['Authorization'] = basicAuthHeader(auth);
+    }
+  }
+
+  // Plain fields become form fields with --form (multipart once a file is attached), JSON otherwise
+  const fieldPairs = Object.entries(jsonFields).map(([name, value]) => ({
+    name,
+    value: typeof value === 'string' ? value : JSON.stringify(value)
+  }));
+  if (formFields.length > 0) {
+    result.form = [...fieldPairs, ...formFields];
+  } else if (formMode && fieldPairs.length > 0) {
+    result.data = fieldPairs.map(p => `${encodeURIComponent(p.name)}=${encodeURIComponent(p.value)}`).join('&');
+    if (!findHeaderKey(result.headers, 'Content-Type')) result.headers['Content-Type'] = 'application/x-www-form-urlencoded; charset=utf-8';
+  } else if (Object.keys(jsonFields).length > 0) {
+    result.data = jsonFields;
+    if (!findHeaderKey(result.headers, 'Content-Type')) result.headers['Content-Type'] = 'application/json';
+    if (!findHeaderKey(result.headers, 'Accept')) result.headers['Accept'] = 'application/json, */*;q=0.5';
+  }
+
+  if (!result.method) {
+    result.method = result.data || result.form.length > 0 ? 'POST' : 'GET';
+  }
+
+  return finishRequest(result);
+}
+
+/**
+ * Apply one HTTPie request item (Header:Value, name==query, field=value, field:=json, field@file)
+ */
+function applyHttpieItem(item, { result, jsonFields, formFields, ignore }) {
+  let sepIndex = -1;
+  let sep = null;
+  for (let i = 0; i < item.length && sep === null; i++) {
+    if (item[i] === '\\') {
+      i++;
+      continue;
+    }
+    sep = HTTPIE_SEPARATORS.find(s => item.startsWith(s, i)) || null;
+    if (sep) sepIndex = i;
+  }
+
+  if (sep === null) {
+    ignore(item, 'Not a request item, ignored');
+    return;
+  }
+
+  const unescape = (s) => s.replace(/\\(.)/g, '$1');
+  const key = unescape(item.slice(0, sepIndex));
+  const value = unescape(item.slice(sepIndex + sep.length));
+
+  switch (sep) {
+    case ':':
+      if (value) result.headers[key] = value;
+      else delete result.headers[key];
+      break;
+    case ';':
+      result.headers[key] = '';
+      break;
+    case '==':
+      result.params[key] = value;
+      break;
+    case '=':
+      jsonFields[key] = value;
+      break;
+    case ':=': {
+      const parsed = tryParseJSON(value);
+      if (parsed === null && value !== 'null') ignore(item, 'Invalid JSON value, ignored');
+      else jsonFields[key] = parsed;
+      break;
+    }
+    case '@': {
+      const [file, type] = value.split(';type=');
+      formFields.push({ name: key, file, ...(type ? { type } : {}) });
+      break;
+    }
+    default:
+      // =@ and :=@ read the value from a local file
+      ignore(item, 'Field values read from files are not supported, ignored');
+      break;
+  }
+}
+
+// ── wget ──
+
+const WGET_IGNORED = ['-O', '--output-document', '-o', '--output-file', '-P', '--directory-prefix', '--load-cookies', '--save-cookies', '-t', '--tries', '-e', '--execute'];
+const WGET_OUTPUT_FLAGS = ['-q', '--quiet', '-S', '--server-response', '-v', '--verbose', '-nv', '--no-verbose', '-c', '--continue', '--keep-session-cookies', '--content-on-error'];
+
+// Value-less short flags that may be bundled (-qS), and short flags that take a value,
+// attached or at the end of a bundle (-T10, -qO-)
+const WGET_BOOLEAN_SHORT_FLAGS = ['q', 'S', 'v', 'c'];
+const WGET_VALUE_SHORT_FLAGS = ['O', 'o', 'P', 't', 'e', 'U', 'T'];
+
+function parseWget(text) {
+  const words = splitShellWords(text);
+  words.shift();
+  const result = emptyRequest(null);
+  let url = null;
+  let user = null;
+  let password = '';
+  // wget follows redirects, up to --max-redirect
+  result.transport.followRedirects = true;
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    // Bundled or attached short flags (-qO-, -T10): read again as separate words
+    const split = splitWgetShortFlags(word);
+    if (split) {
+      words.splice(i, 1, ...split);
+      i--;
+      continue;
+    }
+    const eq = word.startsWith('--') ? word.indexOf('=') : -1;
+    const flag = eq > -1 ? word.slice(0, eq) : word;
+    const value = () => (eq > -1 ? word.slice(eq + 1) : words[++i]);
+
+    switch (flag) {
+      case '--header': {
+        const header = value();
+        const colon = header.indexOf(':');
+        if (colon > 0) result.headers[header.slice(0, colon).trim()] = header.slice(colon + 1).trim();
+        break;
+      }
+      case '--method':
+        result.method = value().toUpperCase();
+        break;
+      case '--post-data':
+      case '--body-data': {
+        const body = value();
+        result.data = tryParseJSON(body) || body;
+        if (flag === '--post-data' && !result.method) result.method = 'POST';
+        break;
+      }
+      case '--post-file':
+      case '--body-file':
+        result.dataParts = [{ file: value(), stripNewlines: false }];
+        if (flag === '--post-file' && !result.method) result.method = 'POST';
+        break;
+      case '--user':
+      case '--http-user':
+        user = value();
+        break;
+      case '--password':
+      case '--http-password':
+        password = value();
+        break;
+      case '-U':
+      case '--user-agent':
+        result.headers['User-Agent'] = value();
+        break;
+      case '--referer':
+        result.headers['Referer'] = value();
+        break;
+      case '--no-check-certificate':
+        result.transport.insecure = true;
+        break;
+      case '-T':
+      case '--timeout':
+        result.transport.maxTime = parseFloat(value()) || undefined;
+        break;
+      case '--max-redirect':
+        result.transport.maxRedirs = parseInt(value(), 10);
+        break;
+      default:
+        if (WGET_IGNORED.includes(flag)) {
+          value();
+          result.warnings.push({ flag, position: null, reason: 'Output/cookie file option, ignored', honored: false });
+        } else if (WGET_OUTPUT_FLAGS.includes(flag)) {
+          result.warnings.push({ flag, position: null, reason: 'Output option, no effect on the request', honored: true });
+        } else if (word.startsWith('-')) {
+          result.warnings.push({ flag, position: null, reason: 'Unknown option, ignored', honored: false });
+        } else if (url === null) {
+          url = word;
+        }
+        break;
+    }
+  }
+
+  if (!url) throw new Error('wget: no URL found');
+  applyUrl(result, /^[a-z]+:\/\//i.test(url) ? url : `http://${url}`);
+
+  if (user !== null) {
+    result.auth = { username: user, password };
+    result.headers['Authorization'] = basicAuthHeader(`${user}:${password}`);
+  }
+  if (!result.method) result.method = 'GET';
+  if (result.data && !findHeaderKey(result.headers, 'Content-Type')) {
+    // wget sends post data as a urlencoded form unless told otherwise
+    result.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+  }
+
+  return finishRequest(result);
+}
+
+/**
+ * Split "-qO-" into "-q" "-O" "-": boolean flags up to a value flag, which takes
+ * the rest of the word. Returns null for single flags and anything unknown (-nv).
+ */
+function splitWgetShortFlags(word) {
+  if (!/^-[^-]./.test(word)) return null;
+  const parts = [];
+  for (let idx = 1; idx < word.length; idx++) {
+    const flag = word[idx];
+    if (WGET_VALUE_SHORT_FLAGS.includes(flag)) {
+      parts.push(`-${flag}`);
+      if (idx + 1 < word.length) parts.push(word.substring(idx + 1));
+      return parts;
+    }
+    if (!WGET_BOOLEAN_SHORT_FLAGS.includes(flag)) return null;
+    parts.push(`-${flag}`);
+  }
+  return parts;
+}
+
+// ── Shared helpers ──
+
+/**
+ * Split a POSIX shell command line into words (quotes removed, backslash-newline joined)
+ */
+function splitShellWords(text) {
+  const words = [];
+  let current = null;
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote === "'") {
+      if (char === "'") quote = null;
+      else current += char;
+    } else if (quote === '"') {
+      if (char === '"') quote = null;
+      else if (char === '\\' && /["\\$`\n]/.test(text[i + 1])) {
+        if (text[i + 1] !== '\n') current += text[i + 1];
+        i++;
+      } else current += char;
+    } else if (char === '\\') {
+      const next = text[++i];
+      if (next === '\n' || (next === '\r' && text[i + 1] === '\n')) {
+        if (next === '\r') i++;
+        if (current !== null) {
+          words.push(current);
+          current = null;
+        }
+      } else if (next !== undefined) {
+        // Keep the backslash for HTTPie item escapes like "a\:b"
+        current = (current ?? '') + (/[:=@;\\]/.test(next) ? `\\${next}` : next);
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+      current = current ?? '';
+    } else if (/\s/.test(char)) {
+      if (current !== null) {
+        words.push(current);
+        current = null;
+      }
+    } else {
+      current = (current ?? '') + char;
+    }
+  }
+
+  if (current !== null) words.push(current);
+  return words;
+}
+
+function emptyRequest(method) {
+  return {
+    method,
+    url: '',
+    headers: {},
+    data: null,
+    params: {},
+    form: [],
+    auth: null,
+    transport: {},
+    warnings: []
+  };
+}
+
+/**
+ * Split a URL into url + params, the same way parseCurl does
+ */
+function applyUrl(result, urlStr) {
+  try {
+    const urlObj = new URL(urlStr);
+    result.url = `${urlObj.origin}${urlObj.pathname}`;
+    urlObj.searchParams.forEach((value, key) => {
+      result.params[key] = value;
+    });
+  } catch {
+    result.url = urlStr;
+  }
+}
+
+/**
+ * Clean up empty fields (matches parseCurl)
+ */
+function finishRequest(result) {
+  for (const key of Object.keys(result.transport)) {
+    if (result.transport[key] === undefined || Number.isNaN(result.transport[key])) delete result.transport[key];
+  }
+  if (Object.keys(result.params).length === 0) delete result.params;
+  if (Object.keys(result.headers).length === 0) delete result.headers;
+  if (!result.data) delete result.data;
+  if (result.form.length === 0) delete result.form;
+  if (!result.auth) delete result.auth;
+  if (Object.keys(result.transport).length === 0) delete result.transport;
+  if (result.warnings.length === 0) delete result.warnings;
+  return result;
+}
+
+function tryParseJSON(str) {
+  try {
+    return JSON.parse(str);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,61 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { detectSnippetFormat, parseRequestSnippet } from './snippetParser';
+
+const fixture = (name) => readFileSync(new URL(`./__fixtures__/${name}`, import.meta.url), 'utf8');
+
+// "Copy as PowerShell" output as copied from the browsers' network panels
+describe('PowerShell browser fixtures', () => {
+  it('parses Chrome "Copy as PowerShell" for a POST', () => {
+    const text = fixture('chrome-powershell-post.txt');
+    expect(detectSnippetFormat(text)).toBe('powershell');
+    const result = parseRequestSnippet(text);
+    expect(result.method).toBe('POST');
+    expect(result.url).toBe('https://api.example.com/v1/orders');
+    expect(result.params).toEqual({ dry_run: 'true' });
+    expect(result.headers).toEqual({
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+      Cookie: 'session_id=abc123; theme=dark',
+      accept: 'application/json',
+      'accept-language': 'en-US,en;q=0.9',
+      origin: 'https://app.example.com',
+      referer: 'https://app.example.com/',
+      'sec-ch-ua': '"Chromium";v="124", "Google Chrome";v="124", "Not-A.Brand";v="99"',
+      'x-csrf-token': '$3cr3t`tick',
+      'Content-Type': 'application/json'
+    });
+    expect(result.data).toEqual({ item: 'Café crème', qty: 2, note: 'say "hi" for $5' });
+  });
+
+  it('parses Firefox "Copy as PowerShell" for a GET', () => {
+    const result = parseRequestSnippet(fixture('firefox-powershell-get.txt'));
+    expect(result.method).toBe('GET');
+    expect(result.params).toEqual({ page: '2', q: 'café' });
+    expect(result.headers).toMatchObject({
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:125.0) Gecko/20100101 Firefox/125.0',
+      Cookie: 'sid=s%3Aabc.def',
+      'If-None-Match': 'W/"5e-abc"'
+    });
+    expect(result.data).toBeUndefined();
+  });
+});
+
+describe('wget', () => {
+  it('splits bundled and attached short flags', () => {
+    const result = parseRequestSnippet("wget -qO- -T10 --header 'Accept: application/json' https://api.example.com/items");
+    expect(result.method).toBe('GET');
+    expect(result.url).toBe('https://api.example.com/items');
+    expect(result.headers).toEqual({ Accept: 'application/json' });
+    expect(result.transport.maxTime).toBe(10);
+    expect(result.warnings.map(w => w.flag)).toEqual(['-q', '-O']);
+    expect(result.warnings.some(w => w.reason.startsWith('Unknown'))).toBe(false);
+  });
+
+  it('keeps -nv and reports unknown bundles', () => {
+    const result = parseRequestSnippet('wget -nv -qz https://api.example.com/');
+    expect(result.warnings).toEqual([
+      { flag: '-nv', position: null, reason: 'Output option, no effect on the request', honored: true },
+      { flag: '-qz', position: null, reason: 'Unknown option, ignored', honored: false }
+    ]);
+  });
+});
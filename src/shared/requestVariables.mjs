@@ -0,0 +1,121 @@
+/**
+ * Request variables
+ * {{name}} substitution into a request config, shared by the renderer (plain
+ * environment variables) and the main process (secret ones), so both sides
+ * resolve a request the same way. Pure ESM with no Node or DOM dependencies.
+ */
+
+export const VARIABLE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+// Request config fields that are diagnostics, not request data
+const SKIPPED_FIELDS = ['warnings', 'format', 'shell'];
+
+// Request signing fields that hold keys. A request is saved and copied as-is,
+// so it can only be once these are {{variables}} (marked secret, in the vault).
+export const SIGNING_SECRET_FIELDS = ['secretAccessKey', 'sessionToken', 'secret', 'password'];
+
+/**
+ * Replace {{name}} with known variable values. Unknown and dynamic ({{$guid}})
+ * variables are left in place.
+ */
+export function substituteVariables(value, variables) {
+  if (typeof value !== 'string') return value;
+  return value.replace(VARIABLE_PATTERN, (match, name) =>
+    Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : match
+  );
+}
+
+/**
+ * Substitute variables into every string of a request config: URL, header
+ * names and values, params, body (string or JSON), form parts, auth and transport.
+ * Returns a new config; the original (templated) one is left untouched.
+ */
+export function resolveRequest(config, variables) {
+  if (!config || Object.keys(variables).length === 0) return config;
+  const resolved = {};
+  for (const [key, value] of Object.entries(config)) {
+    resolved[key] = SKIPPED_FIELDS.includes(key) ? value : resolveValue(value, variables);
+  }
+
+  // -u user:{{password}} was encoded into the Authorization header at parse time; encode it again
+  const authKey = config.auth && findHeaderKey(config.headers, 'Authorization');
+  if (authKey) {
+    const { username, password } = config.auth;
+    const header = config.headers[authKey];
+    const resolvedKey = findHeaderKey(resolved.headers, 'Authorization');
+    if (header === basicAuthHeader(`${username}:${password}`)) {
+      resolved.headers[resolvedKey] = basicAuthHeader(`${resolved.auth.username}:${resolved.auth.password}`);
+    } else if (!password && header === basicAuthHeader(username)) {
+      resolved.headers[resolvedKey] = basicAuthHeader(resolved.auth.username);
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Names of the {{variables}} a request config refers to, in order of appearance
+ */
+export function findVariables(config) {
+  const names = new Set();
+  const visit = (value) => {
+    if (typeof value === 'string') {
+      for (const match of value.matchAll(VARIABLE_PATTERN)) names.add(match[1]);
+    } else if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      for (const [key, inner] of Object.entries(value)) {
+        visit(key);
+        visit(inner);
+      }
+    }
+  };
+  for (const [key, value] of Object.entries(config || {})) {
+    if (!SKIPPED_FIELDS.includes(key)) visit(value);
+  }
+  return [...names];
+}
+
+/**
+ * Name of the variable a value consists of ('{{name}}' -> 'name'), or null
+ */
+export function variableReference(value) {
+  const match = typeof value === 'string' ? /^\{\{\s*([^{}]+?)\s*\}\}$/.exec(value) : null;
+  return match ? match[1] : null;
+}
+
+/**
+ * Signing key fields of a `signing` config filled in with anything but a {{variable}}
+ */
+export function inlineSigningSecrets(signing) {
+  return SIGNING_SECRET_FIELDS.filter(field => signing?.[field] && !variableReference(signing[field]));
+}
+
+/**
+ * Find an existing header key case-insensitively (browsers emit lowercase names)
+ */
+export function findHeaderKey(headers, name) {
+  const lower = name.toLowerCase();
+  return Object.keys(headers || {}).find(key => key.toLowerCase() === lower) || null;
+}
+
+/**
+ * Authorization header value for "user:password" (UTF-8 safe, unlike plain btoa)
+ */
+export function basicAuthHeader(credentials) {
+  const bytes = new TextEncoder().encode(credentials);
+  return 'Basic ' + btoa(String.fromCharCode(...bytes));
+}
+
+function resolveValue(value, variables) {
+  if (typeof value === 'string') return substituteVariables(value, variables);
+  if (Array.isArray(value)) return value.map(item => resolveValue(item, variables));
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, inner] of Object.entries(value)) {
+      result[substituteVariables(key, variables)] = resolveValue(inner, variables);
+    }
+    return result;
+  }
+  return value;
+}